@@ -5,3 +5,34 @@ export { parsePearPassData } from './src/parsers/pearPass'
 export { parseProtonPassData } from './src/parsers/protonPass'
 export { parseNordPassData } from './src/parsers/nordPass'
 export { parseKeePassData } from './src/parsers/keepass'
+export { parseImportData } from './src/parseImportData'
+export { importStream } from './src/importStream'
+export { connectImportWorker } from './src/connectImportWorker'
+export { exposeImportWorker } from './src/exposeImportWorker'
+export {
+  registerImporter,
+  unregisterImporter,
+  getSupportedImportSources
+} from './src/registry'
+export { detectImportFormat } from './src/detectImportFormat'
+export { DUPLICATE_ACTIONS, findDuplicates } from './src/findDuplicates'
+export { diffRecords, MERGE_STRATEGIES, mergeRecords } from './src/mergeRecords'
+export { planImport, resolvePlan, updatePlanItem } from './src/planImport'
+export { hashPassword } from './src/utils/hashPassword'
+export { ATTACHMENT_LIMITS } from './src/utils/createAttachment'
+export { normalizeRecord } from './src/utils/normalizeRecord'
+export {
+  createImportContext,
+  IMPORT_PHASES
+} from './src/utils/createImportContext'
+export {
+  ArchiveLimitError,
+  IMPORT_ERROR_CODES,
+  ImportAbortedError,
+  ImportError,
+  InvalidCredentialsError,
+  MalformedFileError,
+  UnsupportedFileTypeError,
+  UnsupportedSourceError,
+  UnsupportedVersionError
+} from './src/errors'
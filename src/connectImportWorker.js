@@ -0,0 +1,167 @@
+import {
+  deserializeImportError,
+  ImportAbortedError,
+  toImportError
+} from './errors'
+import { createWorkerTransport } from './utils/createWorkerTransport'
+import { normalizeImportKey } from './utils/normalizeImportKey'
+import { readAllBytes } from './utils/readAllBytes'
+import { toBytes } from './utils/toBytes'
+
+let lastImportId = 0
+
+/**
+ * Brings the input into a form that can be posted to the worker. Binary
+ * data is transferred instead of copied, (async) iterables are collected.
+ * @param {import('./utils/readChunks').ImportInput} data
+ * @returns {Promise<{data: *, transfer: Array<*>}>}
+ */
+const toWorkerInput = async (data) => {
+  if (typeof data === 'string') return { data, transfer: [] }
+
+  if (typeof data?.getReader === 'function') {
+    return { data, transfer: [data] }
+  }
+
+  const bytes = toBytes(data)
+  const buffer =
+    bytes &&
+    bytes.byteOffset === 0 &&
+    bytes.byteLength === bytes.buffer.byteLength
+      ? bytes.buffer
+      : await readAllBytes(data)
+
+  return { data: buffer, transfer: [buffer] }
+}
+
+/**
+ * @param {import('./utils/createWorkerTransport').WorkerTransport} transport
+ * @param {Object} request
+ * @param {Object} state - Receives the report once the import is done.
+ * @param {(progress: import('./utils/createImportContext').ImportProgress) => void} [onProgress]
+ * @param {AbortSignal} [signal]
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* runImport(transport, request, state, onProgress, signal) {
+  const id = ++lastImportId
+  const messages = []
+  let wake = null
+  let isFinished = false
+
+  const wakeUp = () => {
+    wake?.()
+    wake = null
+  }
+
+  const push = (message) => {
+    messages.push(message)
+    wakeUp()
+  }
+
+  const throwIfAborted = () => {
+    if (signal?.aborted) throw new ImportAbortedError(signal.reason)
+  }
+
+  const stopListening = transport.listen(
+    (message) => message?.id === id && push(message),
+    (error) =>
+      push({
+        type: 'error',
+        error: {
+          name: 'ImportError',
+          message: `Import worker failed: ${error?.message || error}`
+        }
+      })
+  )
+  signal?.addEventListener('abort', wakeUp)
+
+  try {
+    throwIfAborted()
+
+    const { data, transfer } = await toWorkerInput(request.data)
+    transport.postMessage(
+      { type: 'import', id, request: { ...request, data } },
+      transfer
+    )
+
+    while (!isFinished) {
+      if (!messages.length) {
+        await new Promise((resolve) => {
+          wake = resolve
+        })
+      }
+      throwIfAborted()
+
+      const message = messages.shift()
+
+      if (message.type === 'progress') {
+        onProgress?.(message.progress)
+      } else if (message.type === 'records') {
+        for (const record of message.records) {
+          yield record
+          throwIfAborted()
+        }
+        // The worker waits for this before it sends more batches
+        transport.postMessage({ type: 'next', id })
+      } else if (message.type === 'done') {
+        state.report = message.report
+        isFinished = true
+      } else if (message.type === 'error') {
+        isFinished = true
+        throw deserializeImportError(message.error)
+      }
+    }
+  } catch (error) {
+    throw toImportError(error)
+  } finally {
+    // Aborted, failed on this side or the consumer stopped iterating early
+    if (!isFinished) transport.postMessage({ type: 'abort', id })
+    signal?.removeEventListener('abort', wakeUp)
+    stopListening()
+  }
+}
+
+/**
+ * Runs imports in a worker so key derivation and large parses do not block
+ * the calling thread. The worker script calls `exposeImportWorker`.
+ *
+ * Binary input is transferred to the worker and can no longer be used by
+ * the caller. `ReadableStream`s are transferred as well where the runtime
+ * supports it; other iterables are read completely first.
+ * @param {*} worker - A browser `Worker` or `MessagePort`, a Node
+ *   `worker_threads` `Worker`, or a custom `WorkerTransport`.
+ * @returns {{
+ *   importStream: typeof import('./importStream').importStream,
+ *   parseImportData: typeof import('./parseImportData').parseImportData
+ * }} The same API as the functions running on the calling thread.
+ */
+export const connectImportWorker = (worker) => {
+  const transport = createWorkerTransport(worker)
+
+  const importStream = ({ onProgress, signal, ...request }) => {
+    const state = { report: null }
+    const records = runImport(transport, request, state, onProgress, signal)
+
+    return Object.defineProperty(records, 'report', {
+      get: () => state.report
+    })
+  }
+
+  const parseImportData = async (params) => {
+    const stream = importStream(params)
+    const records = []
+
+    for await (const record of stream) {
+      records.push(record)
+    }
+
+    return {
+      source: normalizeImportKey(params.source),
+      fileType: normalizeImportKey(params.fileType),
+      records,
+      report: stream.report
+    }
+  }
+
+  return { importStream, parseImportData }
+}
@@ -0,0 +1,226 @@
+import { MessageChannel } from 'node:worker_threads'
+
+import { connectImportWorker } from './connectImportWorker'
+import {
+  ImportAbortedError,
+  MalformedFileError,
+  UnsupportedSourceError
+} from './errors'
+import { exposeImportWorker } from './exposeImportWorker'
+import { parseImportData } from './parseImportData'
+import { createTestZip } from '../test/helpers/createTestZip'
+
+const NORDPASS_CSV = [
+  'name,type,url,additional_urls,username,password,note,custom_fields,totp',
+  'Bank,password,bank.com,,me,pw,,,',
+  'Work,folder,,,,,,,',
+  'Diary,note,,,,,Dear diary,,'
+].join('\n')
+
+describe('connectImportWorker', () => {
+  let channel
+  let stopWorker
+  let worker
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2026, 0, 1))
+    channel = new MessageChannel()
+    stopWorker = exposeImportWorker(channel.port2)
+    worker = connectImportWorker(channel.port1)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    stopWorker()
+    channel.port1.close()
+    channel.port2.close()
+  })
+
+  it('returns the same result as parseImportData', async () => {
+    const params = { source: 'nordpass', fileType: 'csv', data: NORDPASS_CSV }
+
+    expect(await worker.parseImportData(params)).toEqual(
+      await parseImportData(params)
+    )
+  })
+
+  it('streams records and progress back', async () => {
+    const onProgress = jest.fn()
+    const stream = worker.importStream({
+      source: 'nordpass',
+      fileType: 'csv',
+      data: [NORDPASS_CSV],
+      onProgress
+    })
+
+    const titles = []
+    for await (const record of stream) {
+      titles.push(record.data.title)
+    }
+
+    expect(titles).toEqual(['Bank', 'Diary'])
+    expect(stream.report).toMatchObject({ total: 2, imported: 2 })
+    expect(onProgress).toHaveBeenCalledWith({
+      phase: 'parsing rows',
+      processed: 0,
+      total: null
+    })
+  })
+
+  it('transfers binary input to the worker', async () => {
+    const buffer = new TextEncoder().encode(NORDPASS_CSV).buffer
+
+    const { records } = await worker.parseImportData({
+      source: 'nordpass',
+      fileType: 'csv',
+      data: buffer
+    })
+
+    expect(records).toHaveLength(2)
+    expect(buffer.byteLength).toBe(0)
+  })
+
+  it('sends attachments of archives with their bytes', async () => {
+    const zip = createTestZip([
+      {
+        name: 'data.json',
+        content: JSON.stringify({
+          items: [
+            {
+              id: 'n1',
+              type: 2,
+              name: 'Scan',
+              attachments: [{ fileName: 'scan.txt' }]
+            }
+          ]
+        })
+      },
+      { name: 'attachments/n1/scan.txt', content: 'scan' }
+    ])
+
+    const { records } = await worker.parseImportData({
+      source: 'bitwarden',
+      fileType: 'zip',
+      data: zip.buffer
+    })
+
+    expect(records[0].attachments).toEqual([
+      {
+        name: 'scan.txt',
+        mimeType: 'text/plain',
+        size: 4,
+        bytes: new TextEncoder().encode('scan')
+      }
+    ])
+  })
+
+  it('rejects with the class of the error thrown in the worker', async () => {
+    const unsupported = await worker
+      .parseImportData({ source: 'dashlane', fileType: 'csv', data: '' })
+      .catch((e) => e)
+    expect(unsupported).toBeInstanceOf(UnsupportedSourceError)
+    expect(unsupported.source).toBe('dashlane')
+
+    const malformed = await worker
+      .parseImportData({ source: 'bitwarden', fileType: 'json', data: '{' })
+      .catch((e) => e)
+    expect(malformed).toBeInstanceOf(MalformedFileError)
+    expect(malformed).toMatchObject({ line: 1, column: 2 })
+  })
+
+  it('aborts the import in the worker', async () => {
+    const controller = new AbortController()
+
+    const error = await worker
+      .parseImportData({
+        source: 'nordpass',
+        fileType: 'csv',
+        data: NORDPASS_CSV,
+        signal: controller.signal,
+        onProgress: () => controller.abort('cancelled')
+      })
+      .catch((e) => e)
+
+    expect(error).toBeInstanceOf(ImportAbortedError)
+    expect(error.cause).toBe('cancelled')
+  })
+
+  it('fails when the worker fails', async () => {
+    const port = {
+      postMessage: jest.fn(),
+      listen: (onMessage, onError) => {
+        setTimeout(() => onError(new Error('out of memory')))
+        return () => {}
+      }
+    }
+
+    await expect(
+      connectImportWorker(port).parseImportData({
+        source: 'nordpass',
+        fileType: 'csv',
+        data: ''
+      })
+    ).rejects.toThrow('Import worker failed: out of memory')
+  })
+
+  it('streams imports of more than one batch', async () => {
+    const rows = Array.from(
+      { length: 250 },
+      (_, i) => `Site ${i},password,,,,,,,`
+    )
+
+    const { records } = await worker.parseImportData({
+      source: 'nordpass',
+      fileType: 'csv',
+      data: [NORDPASS_CSV.split('\n')[0], ...rows].join('\n')
+    })
+
+    expect(records).toHaveLength(250)
+    expect(records[249].data.title).toBe('Site 249')
+  })
+
+  it('waits for the client before sending more batches', async () => {
+    const messages = []
+    let send
+    const stop = exposeImportWorker({
+      postMessage: (message) => messages.push(message),
+      listen: (onMessage) => {
+        send = onMessage
+        return () => {}
+      }
+    })
+    const rows = Array.from(
+      { length: 450 },
+      (_, i) => `Site ${i},password,,,,,,,`
+    )
+    const countBatches = () =>
+      messages.filter(({ type }) => type === 'records').length
+    const settle = async () => {
+      for (let i = 0; i < 20; i++) await new Promise(setImmediate)
+    }
+
+    send({
+      type: 'import',
+      id: 1,
+      request: {
+        source: 'nordpass',
+        fileType: 'csv',
+        data: [NORDPASS_CSV.split('\n')[0], ...rows].join('\n')
+      }
+    })
+    await settle()
+    expect(countBatches()).toBe(2)
+
+    send({ type: 'next', id: 1 })
+    await settle()
+    expect(countBatches()).toBe(3)
+
+    stop()
+    await settle()
+    expect(messages.at(-1)).toMatchObject({
+      type: 'error',
+      id: 1,
+      error: { name: 'ImportAbortedError' }
+    })
+  })
+})
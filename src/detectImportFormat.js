@@ -0,0 +1,106 @@
+import { getImporters } from './registry'
+import { getRowsFromCsv } from './utils/getRowsFromCsv'
+import { isZip, readZip } from './utils/readZip'
+import { toBytes } from './utils/toBytes'
+
+const XML_ROOT_REGEX =
+  /^\s*(?:<\?[\s\S]*?\?>\s*|<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<([A-Za-z_][\w.:-]*)/
+
+/**
+ * @typedef {Object} ImportProbe
+ * @property {Uint8Array | null} bytes - Raw bytes when binary data was given.
+ * @property {string} text - Data decoded as UTF-8 text, without BOM.
+ * @property {string[] | null} csvHeaders - Trimmed cells of the first CSV row.
+ * @property {*} json - Parsed JSON, `undefined` when the data is not JSON.
+ * @property {string | null} xmlRoot - Tag name of the XML document element.
+ * @property {string[] | null} zipEntries - File names of a ZIP archive.
+ */
+
+/**
+ * @param {string} text
+ * @returns {*}
+ */
+const parseJsonOrUndefined = (text) => {
+  try {
+    return JSON.parse(text)
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string[] | null} `null` when the archive cannot be read.
+ */
+const listZipEntries = (bytes) => {
+  try {
+    return readZip(bytes)
+      .entries.filter(({ isDirectory }) => !isDirectory)
+      .map(({ name }) => name)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Pre-computes everything the source detectors look at, so the data is only
+ * decoded and parsed once.
+ * @param {string | ArrayBuffer | ArrayBufferView} data
+ * @returns {ImportProbe}
+ */
+export const createImportProbe = (data) => {
+  const bytes = toBytes(data)
+  if (bytes && isZip(bytes)) {
+    return {
+      bytes,
+      text: '',
+      csvHeaders: null,
+      json: undefined,
+      xmlRoot: null,
+      zipEntries: listZipEntries(bytes)
+    }
+  }
+
+  const text = (
+    bytes ? new TextDecoder('utf-8').decode(bytes) : String(data ?? '')
+  ).replace(/^\uFEFF/, '')
+  const trimmed = text.trimStart()
+
+  const isJson = trimmed.startsWith('{') || trimmed.startsWith('[')
+  const isXml = trimmed.startsWith('<')
+  const firstLine = trimmed.slice(0, trimmed.search(/\r?\n|$/))
+
+  return {
+    bytes,
+    text,
+    csvHeaders:
+      !isJson && !isXml && firstLine
+        ? getRowsFromCsv(firstLine)[0].map((header) => header.trim())
+        : null,
+    json: isJson ? parseJsonOrUndefined(trimmed) : undefined,
+    xmlRoot: isXml ? trimmed.match(XML_ROOT_REGEX)?.[1] || null : null,
+    zipEntries: null
+  }
+}
+
+/**
+ * Sniffs which password manager and file format produced the given data.
+ * @param {string | ArrayBuffer | ArrayBufferView} data - File contents.
+ * @returns {Array<{source: string, fileType: string, confidence: number}>}
+ *   Candidates ordered from most to least likely, confidence between 0 and 1.
+ */
+export const detectImportFormat = (data) => {
+  const probe = createImportProbe(data)
+
+  return getImporters()
+    .flatMap(({ id, detect }) =>
+      detect(probe)
+        .filter(({ confidence }) => confidence > 0)
+        .map(({ fileType, confidence }) => ({
+          source: id,
+          fileType,
+          confidence
+        }))
+    )
+    .sort((a, b) => b.confidence - a.confidence)
+}
@@ -0,0 +1,210 @@
+import { createImportProbe, detectImportFormat } from './detectImportFormat'
+import { createTestZip } from '../test/helpers/createTestZip'
+
+const top = (data) => detectImportFormat(data)[0]
+
+describe('createImportProbe', () => {
+  it('decodes binary data and strips the byte order mark', () => {
+    const bytes = new TextEncoder().encode('\uFEFFa,b\n1,2')
+    const probe = createImportProbe(bytes.buffer)
+    expect(probe.bytes).toBeInstanceOf(Uint8Array)
+    expect(probe.text).toBe('a,b\n1,2')
+    expect(probe.csvHeaders).toEqual(['a', 'b'])
+  })
+
+  it('parses JSON and skips CSV headers', () => {
+    const probe = createImportProbe('  {"items": []}')
+    expect(probe.json).toEqual({ items: [] })
+    expect(probe.csvHeaders).toBeNull()
+    expect(probe.xmlRoot).toBeNull()
+  })
+
+  it('leaves json undefined for invalid JSON', () => {
+    expect(createImportProbe('{"items": [').json).toBeUndefined()
+  })
+
+  it('finds the XML root element after the prolog and comments', () => {
+    const probe = createImportProbe(
+      '<?xml version="1.0"?>\n<!-- export -->\n<KeePassFile><Root/></KeePassFile>'
+    )
+    expect(probe.xmlRoot).toBe('KeePassFile')
+  })
+
+  it('lists the files of ZIP archives', () => {
+    const probe = createImportProbe(
+      createTestZip([{ name: 'dir/' }, { name: 'dir/a.json', content: '{}' }])
+    )
+    expect(probe.zipEntries).toEqual(['dir/a.json'])
+    expect(probe.text).toBe('')
+    expect(createImportProbe('a,b').zipEntries).toBeNull()
+  })
+})
+
+describe('detectImportFormat', () => {
+  it('detects 1Password CSV', () => {
+    expect(
+      top('Title,Url,Username,Password,OTPAuth,Favorite,Archived,Tags,Notes\n')
+    ).toEqual({ source: '1password', fileType: 'csv', confidence: 0.95 })
+  })
+
+  it('detects LastPass CSV', () => {
+    expect(
+      top('url,username,password,totp,extra,name,grouping,fav\nexample.com')
+    ).toEqual({ source: 'lastpass', fileType: 'csv', confidence: 0.95 })
+  })
+
+  it('detects NordPass CSV', () => {
+    expect(
+      top(
+        'name,url,additional_urls,username,password,note,folder,type,custom_fields\n'
+      )
+    ).toMatchObject({ source: 'nordpass', fileType: 'csv' })
+  })
+
+  it('detects Bitwarden CSV', () => {
+    expect(
+      top(
+        'folder,favorite,type,name,notes,fields,reprompt,login_uri,login_username,login_password,login_totp\n'
+      )
+    ).toEqual({ source: 'bitwarden', fileType: 'csv', confidence: 0.95 })
+  })
+
+  it('detects Proton Pass CSV', () => {
+    expect(
+      top(
+        'type,name,url,email,username,password,note,totp,createTime,modifyTime,vault\n'
+      )
+    ).toEqual({ source: 'protonpass', fileType: 'csv', confidence: 0.95 })
+  })
+
+  it('detects PearPass CSV', () => {
+    expect(
+      top(
+        '"type","title","username","password","websites","note","customFields","folder","isFavorite"\n'
+      )
+    ).toEqual({ source: 'pearpass', fileType: 'csv', confidence: 0.95 })
+  })
+
+  it('detects KeePassXC and KeePass 1.x CSV', () => {
+    expect(
+      top('"Group","Title","Username","Password","URL","Notes","TOTP"\n')
+    ).toMatchObject({ source: 'keepass', fileType: 'csv' })
+    expect(
+      top('"Account","Login Name","Password","Web Site","Comments"\n')
+    ).toEqual({ source: 'keepass', fileType: 'csv', confidence: 0.95 })
+  })
+
+  it('does not mistake KeePassXC CSV for 1Password', () => {
+    const candidates = detectImportFormat(
+      '"Group","Title","Username","Password","URL","Notes"\n'
+    )
+    expect(candidates.map(({ source }) => source)).toEqual(['keepass'])
+  })
+
+  it('detects Bitwarden JSON', () => {
+    expect(
+      top(JSON.stringify({ encrypted: false, folders: [], items: [] }))
+    ).toEqual({ source: 'bitwarden', fileType: 'json', confidence: 0.95 })
+  })
+
+  it('detects password protected Bitwarden JSON', () => {
+    expect(
+      top(
+        JSON.stringify({
+          encrypted: true,
+          passwordProtected: true,
+          encKeyValidation_DO_NOT_EDIT: '2.abc',
+          data: '2.def'
+        })
+      )
+    ).toMatchObject({ source: 'bitwarden', fileType: 'json' })
+  })
+
+  it('detects Proton Pass JSON', () => {
+    expect(
+      top(JSON.stringify({ version: '1.0', encrypted: false, vaults: {} }))
+    ).toEqual({ source: 'protonpass', fileType: 'json', confidence: 0.95 })
+  })
+
+  it('detects PearPass JSON arrays', () => {
+    expect(
+      top(JSON.stringify([{ type: 'login', data: {}, isFavorite: false }]))
+    ).toEqual({ source: 'pearpass', fileType: 'json', confidence: 0.9 })
+  })
+
+  it('gives low confidence to an empty JSON array', () => {
+    expect(top('[]')).toEqual({
+      source: 'pearpass',
+      fileType: 'json',
+      confidence: 0.3
+    })
+  })
+
+  it('detects KeePass XML', () => {
+    expect(
+      top('<?xml version="1.0" encoding="utf-8"?>\n<KeePassFile></KeePassFile>')
+    ).toEqual({ source: 'keepass', fileType: 'xml', confidence: 1 })
+  })
+
+  it('detects KDBX magic bytes', () => {
+    const bytes = new Uint8Array([
+      0x03, 0xd9, 0xa2, 0x9a, 0x67, 0xfb, 0x4b, 0xb5, 0x01, 0x00, 0x04, 0x00
+    ])
+    expect(detectImportFormat(bytes)).toEqual([
+      { source: 'keepass', fileType: 'kdbx', confidence: 1 }
+    ])
+  })
+
+  it('does not report KeePass 1.x KDB files as KDBX', () => {
+    const bytes = new Uint8Array([
+      0x03, 0xd9, 0xa2, 0x9a, 0x65, 0xfb, 0x4b, 0xb5
+    ])
+    expect(detectImportFormat(bytes)).toEqual([])
+  })
+
+  it('returns no candidates for unknown data', () => {
+    expect(detectImportFormat('hello,world\n1,2')).toEqual([])
+    expect(detectImportFormat('')).toEqual([])
+    expect(detectImportFormat('{"foo": 1}')).toEqual([])
+  })
+
+  it('orders candidates by confidence', () => {
+    const candidates = detectImportFormat(
+      'type,name,url,username,password,note,vault,login_uri\n'
+    )
+    expect(candidates.map(({ source }) => source)).toEqual([
+      'protonpass',
+      'bitwarden'
+    ])
+  })
+
+  it('detects Proton Pass ZIP exports', () => {
+    const zip = createTestZip([
+      { name: 'Proton Pass/data.json', content: '{}' }
+    ])
+    expect(top(zip)).toEqual({
+      source: 'protonpass',
+      fileType: 'zip',
+      confidence: 0.95
+    })
+  })
+
+  it('detects 1Password 1PUX and Bitwarden ZIP exports', () => {
+    expect(
+      top(
+        createTestZip([
+          { name: 'export.attributes', content: '{}' },
+          { name: 'export.data', content: '{}' }
+        ])
+      )
+    ).toEqual({ source: '1password', fileType: '1pux', confidence: 0.95 })
+    expect(
+      top(
+        createTestZip([
+          { name: 'data.json', content: '{}' },
+          { name: 'attachments/1/a.txt', content: 'a' }
+        ])
+      )
+    ).toEqual({ source: 'bitwarden', fileType: 'zip', confidence: 0.9 })
+  })
+})
@@ -0,0 +1,223 @@
+/**
+ * Machine-readable error codes. They never change between releases, so apps
+ * can map them to their own (localized) messages instead of matching on
+ * `error.message`.
+ */
+export const IMPORT_ERROR_CODES = Object.freeze({
+  IMPORT_FAILED: 'IMPORT_FAILED',
+  UNSUPPORTED_SOURCE: 'UNSUPPORTED_SOURCE',
+  UNSUPPORTED_FILE_TYPE: 'UNSUPPORTED_FILE_TYPE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  MALFORMED_FILE: 'MALFORMED_FILE',
+  PASSWORD_REQUIRED: 'PASSWORD_REQUIRED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  IMPORT_ABORTED: 'IMPORT_ABORTED',
+  ARCHIVE_LIMIT_EXCEEDED: 'ARCHIVE_LIMIT_EXCEEDED'
+})
+
+/**
+ * Base class of every error thrown while importing. Extra details passed to
+ * the constructor (line, fileType, ...) are copied onto the error.
+ */
+export class ImportError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.code]
+   * @param {*} [details.cause] - Underlying error, if any.
+   */
+  constructor(
+    message,
+    { code = IMPORT_ERROR_CODES.IMPORT_FAILED, cause, ...details } = {}
+  ) {
+    super(message, cause === undefined ? undefined : { cause })
+    this.name = new.target.name
+    this.code = code
+    Object.assign(this, details)
+  }
+}
+
+/** The `source` passed to `parseImportData` is not registered. */
+export class UnsupportedSourceError extends ImportError {
+  /**
+   * @param {string} source
+   */
+  constructor(source) {
+    super(`Unsupported import source: ${source}`, {
+      code: IMPORT_ERROR_CODES.UNSUPPORTED_SOURCE,
+      source
+    })
+  }
+}
+
+/** The source cannot be imported from the given file type. */
+export class UnsupportedFileTypeError extends ImportError {
+  /**
+   * @param {string} fileType
+   * @param {string[]} supportedFileTypes
+   */
+  constructor(fileType, supportedFileTypes) {
+    super(
+      `Unsupported file type, please use ${formatFileTypes(supportedFileTypes)}`,
+      {
+        code: IMPORT_ERROR_CODES.UNSUPPORTED_FILE_TYPE,
+        fileType,
+        supportedFileTypes
+      }
+    )
+  }
+}
+
+/** The file was written by a format version this library cannot read. */
+export class UnsupportedVersionError extends ImportError {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.version]
+   * @param {*} [details.cause]
+   */
+  constructor(message, details = {}) {
+    super(message, {
+      ...details,
+      code: IMPORT_ERROR_CODES.UNSUPPORTED_VERSION
+    })
+  }
+}
+
+/**
+ * The file content is not valid for its file type. `line` and `column` are
+ * 1-based and only set when the position of the problem is known.
+ */
+export class MalformedFileError extends ImportError {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.fileType]
+   * @param {number} [details.line]
+   * @param {number} [details.column]
+   * @param {*} [details.cause]
+   */
+  constructor(message, { line = null, column = null, ...details } = {}) {
+    super(message, {
+      ...details,
+      code: IMPORT_ERROR_CODES.MALFORMED_FILE,
+      line,
+      column
+    })
+  }
+}
+
+/**
+ * The file is encrypted and the password is missing (`PASSWORD_REQUIRED`)
+ * or wrong (`INVALID_CREDENTIALS`).
+ */
+export class InvalidCredentialsError extends ImportError {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {'PASSWORD_REQUIRED' | 'INVALID_CREDENTIALS'} [details.code]
+   * @param {*} [details.cause]
+   */
+  constructor(
+    message,
+    { code = IMPORT_ERROR_CODES.INVALID_CREDENTIALS, ...details } = {}
+  ) {
+    super(message, { ...details, code })
+  }
+}
+
+/**
+ * An archive expands beyond the limits it is read with, as zip bombs do.
+ * `limit` names the limit that was hit.
+ */
+export class ArchiveLimitError extends ImportError {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.limit] - E.g. `maxTotalSize`.
+   * @param {string} [details.fileType]
+   */
+  constructor(message, details = {}) {
+    super(message, {
+      ...details,
+      code: IMPORT_ERROR_CODES.ARCHIVE_LIMIT_EXCEEDED
+    })
+  }
+}
+
+/**
+ * The import was cancelled through its `AbortSignal`. The abort reason is
+ * kept as `cause`.
+ */
+export class ImportAbortedError extends ImportError {
+  /**
+   * @param {*} [reason] - `signal.reason`
+   */
+  constructor(reason) {
+    super('Import was aborted', {
+      code: IMPORT_ERROR_CODES.IMPORT_ABORTED,
+      cause: reason
+    })
+  }
+}
+
+/**
+ * Passes import errors through and wraps anything else, e.g. errors thrown
+ * by third-party importers, in an `ImportError` with code `IMPORT_FAILED`.
+ * @param {*} error
+ * @returns {ImportError}
+ */
+export const toImportError = (error) =>
+  error instanceof ImportError
+    ? error
+    : new ImportError(error?.message || String(error), { cause: error })
+
+const IMPORT_ERROR_CLASSES = {
+  ImportError,
+  UnsupportedSourceError,
+  UnsupportedFileTypeError,
+  UnsupportedVersionError,
+  MalformedFileError,
+  InvalidCredentialsError,
+  ImportAbortedError,
+  ArchiveLimitError
+}
+
+/**
+ * Turns an error into a structured-clonable object, e.g. to send it from an
+ * import worker. The `cause` is not copied, it may not be clonable.
+ * @param {*} error
+ * @returns {{name: string, message: string, code: string}}
+ */
+export const serializeImportError = (error) => {
+  const importError = toImportError(error)
+  return { ...importError, message: importError.message }
+}
+
+/**
+ * Restores an error created by `serializeImportError`, including its class.
+ * @param {{name: string, message: string, code: string}} serialized
+ * @returns {ImportError}
+ */
+export const deserializeImportError = ({ name, message, ...details }) => {
+  const error = new ImportError(message, details)
+  const ErrorClass = IMPORT_ERROR_CLASSES[name] || ImportError
+
+  Object.setPrototypeOf(error, ErrorClass.prototype)
+  error.name = ErrorClass.name
+  return error
+}
+
+/**
+ * @param {string[]} fileTypes
+ * @returns {string} e.g. `KDBX, CSV, or XML`
+ */
+const formatFileTypes = (fileTypes) => {
+  const names = fileTypes.map((fileType) => fileType.toUpperCase())
+
+  if (names.length < 3) {
+    return names.join(' or ')
+  }
+
+  return `${names.slice(0, -1).join(', ')}, or ${names[names.length - 1]}`
+}
@@ -0,0 +1,108 @@
+import {
+  ArchiveLimitError,
+  deserializeImportError,
+  IMPORT_ERROR_CODES,
+  ImportError,
+  InvalidCredentialsError,
+  MalformedFileError,
+  serializeImportError,
+  UnsupportedFileTypeError,
+  UnsupportedSourceError,
+  UnsupportedVersionError
+} from './errors'
+
+describe('import errors', () => {
+  it('extend ImportError and Error', () => {
+    const errors = [
+      new UnsupportedSourceError('dashlane'),
+      new UnsupportedFileTypeError('xml', ['csv']),
+      new UnsupportedVersionError('Too old'),
+      new MalformedFileError('Broken'),
+      new InvalidCredentialsError('Incorrect password'),
+      new ArchiveLimitError('Too large', { limit: 'maxTotalSize' })
+    ]
+
+    for (const error of errors) {
+      expect(error).toBeInstanceOf(ImportError)
+      expect(error).toBeInstanceOf(Error)
+      expect(error.name).toBe(error.constructor.name)
+      expect(Object.values(IMPORT_ERROR_CODES)).toContain(error.code)
+    }
+  })
+
+  it('defaults to the IMPORT_FAILED code and keeps the cause', () => {
+    const cause = new Error('inner')
+    const error = new ImportError('Failed', { cause, fileType: 'csv' })
+
+    expect(error).toMatchObject({ code: 'IMPORT_FAILED', fileType: 'csv' })
+    expect(error.cause).toBe(cause)
+  })
+
+  it('lists the supported file types in the message', () => {
+    expect(new UnsupportedFileTypeError('xml', ['csv']).message).toBe(
+      'Unsupported file type, please use CSV'
+    )
+    expect(new UnsupportedFileTypeError('xml', ['json', 'csv']).message).toBe(
+      'Unsupported file type, please use JSON or CSV'
+    )
+    expect(
+      new UnsupportedFileTypeError('json', ['kdbx', 'csv', 'xml']).message
+    ).toBe('Unsupported file type, please use KDBX, CSV, or XML')
+  })
+
+  it('sets line and column of malformed files', () => {
+    expect(new MalformedFileError('Broken')).toMatchObject({
+      line: null,
+      column: null
+    })
+    expect(
+      new MalformedFileError('Broken', { line: 2, column: 3 })
+    ).toMatchObject({ code: 'MALFORMED_FILE', line: 2, column: 3 })
+  })
+
+  it('does not let details override the error code', () => {
+    expect(
+      new UnsupportedVersionError('Too old', { code: 'OTHER', version: '1.x' })
+    ).toMatchObject({ code: 'UNSUPPORTED_VERSION', version: '1.x' })
+  })
+
+  it('distinguishes missing and wrong passwords', () => {
+    expect(new InvalidCredentialsError('Wrong').code).toBe(
+      'INVALID_CREDENTIALS'
+    )
+    expect(
+      new InvalidCredentialsError('Missing', {
+        code: IMPORT_ERROR_CODES.PASSWORD_REQUIRED
+      }).code
+    ).toBe('PASSWORD_REQUIRED')
+  })
+
+  it('survives a structured clone', () => {
+    const serialized = structuredClone(
+      serializeImportError(
+        new MalformedFileError('Invalid JSON file at line 2, column 3', {
+          fileType: 'json',
+          line: 2,
+          column: 3,
+          cause: new SyntaxError('Unexpected token')
+        })
+      )
+    )
+    const error = deserializeImportError(serialized)
+
+    expect(error).toBeInstanceOf(MalformedFileError)
+    expect(error).toMatchObject({
+      name: 'MalformedFileError',
+      message: 'Invalid JSON file at line 2, column 3',
+      code: 'MALFORMED_FILE',
+      fileType: 'json',
+      line: 2,
+      column: 3
+    })
+    expect(serializeImportError(new TypeError('boom'))).toEqual({
+      name: 'ImportError',
+      message: 'boom',
+      code: 'IMPORT_FAILED'
+    })
+  })
+})
@@ -0,0 +1,127 @@
+import { ImportAbortedError, serializeImportError } from './errors'
+import { importStream } from './importStream'
+import { createWorkerTransport } from './utils/createWorkerTransport'
+
+/** Records sent to the client per message. */
+const RECORD_BATCH_SIZE = 100
+
+/**
+ * Batches sent before the client acknowledges one with a `next` message, so
+ * a slow consumer does not pile up records in its message queue.
+ */
+const MAX_PENDING_BATCHES = 2
+
+/**
+ * Functions cannot be posted, so attachments still inside an archive are
+ * read before their record is sent.
+ * @param {Object} record
+ * @returns {Promise<Object>}
+ */
+const loadAttachments = async (record) => {
+  if (!record.attachments?.some(({ load }) => load)) return record
+
+  return {
+    ...record,
+    attachments: await Promise.all(
+      record.attachments.map(async ({ load, ...attachment }) =>
+        load ? { ...attachment, bytes: await load() } : attachment
+      )
+    )
+  }
+}
+
+/**
+ * Serves imports requested by `connectImportWorker`. Call it in the worker
+ * script; importers registered there are available to the client.
+ * @example
+ * // import-worker.js (browser)
+ * exposeImportWorker(self)
+ * // import-worker.js (Node)
+ * exposeImportWorker(require('node:worker_threads').parentPort)
+ * @param {*} port - `self`, `parentPort`, a `MessagePort` or a
+ *   `WorkerTransport`.
+ * @returns {() => void} Stops serving imports and aborts the running ones.
+ */
+export const exposeImportWorker = (port) => {
+  const transport = createWorkerTransport(port)
+  const imports = new Map()
+
+  const runImport = async (id, request) => {
+    const post = (message) => transport.postMessage({ ...message, id })
+    const controller = new AbortController()
+    let pendingBatches = 0
+    let resume = null
+
+    const wakeUp = () => {
+      resume?.()
+      resume = null
+    }
+
+    const postBatch = async (batch) => {
+      post({ type: 'records', records: batch })
+      pendingBatches++
+
+      while (
+        pendingBatches >= MAX_PENDING_BATCHES &&
+        !controller.signal.aborted
+      ) {
+        await new Promise((resolve) => {
+          resume = resolve
+        })
+      }
+      if (controller.signal.aborted) {
+        throw new ImportAbortedError(controller.signal.reason)
+      }
+    }
+
+    imports.set(id, {
+      abort: (reason) => {
+        controller.abort(reason)
+        wakeUp()
+      },
+      acknowledge: () => {
+        pendingBatches--
+        wakeUp()
+      }
+    })
+
+    try {
+      const records = importStream({
+        ...request,
+        signal: controller.signal,
+        onProgress: (progress) => post({ type: 'progress', progress })
+      })
+
+      let batch = []
+      for await (const record of records) {
+        batch.push(await loadAttachments(record))
+        if (batch.length === RECORD_BATCH_SIZE) {
+          await postBatch(batch)
+          batch = []
+        }
+      }
+      if (batch.length) post({ type: 'records', records: batch })
+
+      post({ type: 'done', report: records.report })
+    } catch (error) {
+      post({ type: 'error', error: serializeImportError(error) })
+    } finally {
+      imports.delete(id)
+    }
+  }
+
+  const stopListening = transport.listen((message) => {
+    if (message?.type === 'import') {
+      runImport(message.id, message.request)
+    } else if (message?.type === 'next') {
+      imports.get(message.id)?.acknowledge()
+    } else if (message?.type === 'abort') {
+      imports.get(message.id)?.abort()
+    }
+  })
+
+  return () => {
+    stopListening()
+    imports.forEach(({ abort }) => abort())
+  }
+}
@@ -0,0 +1,302 @@
+import { hashPassword } from './utils/hashPassword'
+
+/** Action suggested for a cluster of duplicates. */
+export const DUPLICATE_ACTIONS = Object.freeze({
+  /** Identical records, keep one of them (the vault record, if any). */
+  SKIP: 'skip',
+  /** Same credentials with different details, merge them into one record. */
+  MERGE: 'merge',
+  /** Same account with different credentials, let the user decide. */
+  REVIEW: 'review'
+})
+
+/**
+ * A record of the vault the import goes into.
+ * @typedef {Object} VaultRecord
+ * @property {string} id
+ * @property {string} type
+ * @property {Object} data - `data.password` may be left out when
+ *   `passwordHash` is given.
+ * @property {string} [passwordHash] - `hashPassword(data.password)`.
+ * @property {string} [sourceId] - `sourceId` of the imported record the vault
+ *   record was created from. A re-import matches it first.
+ * @property {Array<{name: string, size: number}>} [attachments] - Files the
+ *   vault record has; imported ones with the same name and size are not
+ *   added again.
+ */
+
+/**
+ * @typedef {{source: 'import', index: number} |
+ *   {source: 'vault', id: string}} DuplicateMember
+ */
+
+/**
+ * @typedef {Object} DuplicateCluster
+ * @property {'exact' | 'near'} match - `exact` when all members share the
+ *   same credentials, `near` when only the account (website and username,
+ *   card number, ...) matches.
+ * @property {'skip' | 'merge' | 'review'} suggestedAction - One of
+ *   `DUPLICATE_ACTIONS`.
+ * @property {DuplicateMember[]} members - Imported records first, in import
+ *   order, then vault records.
+ */
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+const normalizeText = (value) =>
+  String(value ?? '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+
+/**
+ * @param {string} website
+ * @returns {string} Lower-case hostname without `www.`, ports and paths.
+ */
+const getHostname = (website) => {
+  const text = normalizeText(website)
+  try {
+    const url = new URL(text.includes('://') ? text : `https://${text}`)
+    return url.hostname.replace(/^www\./, '')
+  } catch {
+    return text
+  }
+}
+
+/**
+ * @param {Object} data
+ * @returns {string[]}
+ */
+const getHostnames = (data) => [
+  ...new Set((data.websites || []).map(getHostname).filter(Boolean))
+]
+
+/**
+ * @param {{data: Object, passwordHash?: string}} record
+ * @param {string} field
+ * @returns {string}
+ */
+const getSecretHash = (record, field) => {
+  if (field === 'password' && record.passwordHash) return record.passwordHash
+  const value = record.data[field]
+  return value ? hashPassword(String(value)) : ''
+}
+
+/**
+ * Per record type: `getKeys` returns the account keys, records sharing one
+ * of them are duplicates; `getCredentials` decides between an exact and a
+ * near match.
+ * @type {Object<string, {
+ *   getKeys: (record: Object) => string[],
+ *   getCredentials: (record: Object) => string
+ * }>}
+ */
+const MATCHERS = {
+  login: {
+    getKeys: ({ data }) => {
+      const username = normalizeText(data.username)
+      const hostnames = getHostnames(data)
+
+      if (hostnames.length) {
+        return hostnames.map((hostname) => `${hostname}|${username}`)
+      }
+
+      const title = normalizeText(data.title)
+      return title || username ? [`title:${title}|${username}`] : []
+    },
+    getCredentials: (record) => getSecretHash(record, 'password')
+  },
+
+  creditCard: {
+    getKeys: ({ data }) => {
+      const number = String(data.number || '').replace(/\D/g, '')
+      return number ? [number] : []
+    },
+    getCredentials: (record) =>
+      [
+        normalizeText(record.data.expireDate),
+        getSecretHash(record, 'securityCode'),
+        getSecretHash(record, 'pinCode')
+      ].join('|')
+  },
+
+  identity: {
+    getKeys: ({ data }) => {
+      const fullName = normalizeText(data.fullName)
+      const email = normalizeText(data.email)
+      return fullName || email ? [`${fullName}|${email}`] : []
+    },
+    getCredentials: () => ''
+  },
+
+  wifiPassword: {
+    getKeys: ({ data }) => {
+      const title = normalizeText(data.title)
+      return title ? [title] : []
+    },
+    getCredentials: (record) => getSecretHash(record, 'password')
+  },
+
+  passPhrase: {
+    getKeys: (record) => {
+      const hash = getSecretHash(record, 'passPhrase')
+      return hash ? [hash] : []
+    },
+    getCredentials: () => ''
+  },
+
+  sshKey: {
+    getKeys: ({ data }) => (data.fingerprint ? [data.fingerprint] : []),
+    getCredentials: (record) => getSecretHash(record, 'privateKey')
+  }
+}
+
+/**
+ * Notes and custom records have no account, only identical ones match.
+ * @param {Object} record
+ * @returns {string[]}
+ */
+const getContentKeys = (record) => {
+  const content = getContent(record)
+  return content === getContent({ type: record.type, data: {} })
+    ? []
+    : [content]
+}
+
+/** Bookkeeping fields that do not make two records different. */
+const IGNORED_CONTENT_KEYS = new Set(['passwordUpdatedAt'])
+
+/**
+ * Fingerprint of everything a record holds. The title is left out and
+ * websites are compared by hostname: the same account imported from two
+ * managers usually differs in both.
+ * @param {{type: string, data: Object, passwordHash?: string}} record
+ * @returns {string}
+ */
+const getContent = (record) => {
+  const data = record.passwordHash
+    ? { password: '', ...record.data }
+    : record.data
+
+  const entries = Object.entries(data)
+    .filter(
+      ([key]) =>
+        !IGNORED_CONTENT_KEYS.has(key) &&
+        (key !== 'title' || !MATCHERS[record.type])
+    )
+    .map(([key, value]) => {
+      if (key === 'websites') return [key, getHostnames(data).sort()]
+      if (key === 'password' || key === 'passPhrase') {
+        return [key, getSecretHash(record, key)]
+      }
+      if (key === 'customFields') {
+        return [
+          key,
+          (value || [])
+            .map((field) =>
+              normalizeText(field.note ?? `${field.label}: ${field.value}`)
+            )
+            .sort()
+        ]
+      }
+      return [
+        key,
+        value && typeof value === 'object' ? value : normalizeText(value)
+      ]
+    })
+    .filter(([, value]) => (Array.isArray(value) ? value.length : value))
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+
+  return JSON.stringify([record.type, entries])
+}
+
+/**
+ * Groups duplicate records, within the import and against the vault. Records
+ * with the same `sourceId` always match. Otherwise logins match on website
+ * hostname and username, cards on their number, identities on name and email,
+ * Wi-Fi passwords on the network name, pass phrases and notes on their
+ * content. Passwords are only compared as hashes.
+ * @param {Array<Object>} records - Parsed records, e.g. from `parseImportData`.
+ * @param {Object} [options]
+ * @param {VaultRecord[]} [options.vaultRecords] - Snapshot of the vault.
+ * @returns {DuplicateCluster[]} Only clusters with at least one imported
+ *   record, in import order.
+ */
+export const findDuplicates = (records, { vaultRecords = [] } = {}) => {
+  const candidates = [
+    ...records.map((record, index) => ({
+      record,
+      member: { source: 'import', index }
+    })),
+    ...vaultRecords.map((record) => ({
+      record,
+      member: { source: 'vault', id: record.id }
+    }))
+  ]
+
+  // Union-find over the candidates, linked by shared account keys
+  const parents = candidates.map((_, i) => i)
+  const find = (i) => {
+    while (parents[i] !== i) {
+      parents[i] = parents[parents[i]]
+      i = parents[i]
+    }
+    return i
+  }
+
+  const firstByKey = new Map()
+
+  candidates.forEach(({ record }, i) => {
+    if (!record?.data) return
+
+    const keys = [
+      ...(MATCHERS[record.type]?.getKeys(record) ?? getContentKeys(record)),
+      ...(record.sourceId ? [`id:${record.sourceId}`] : [])
+    ]
+
+    for (const key of keys) {
+      const typedKey = `${record.type}:${key}`
+      if (firstByKey.has(typedKey)) {
+        parents[find(i)] = find(firstByKey.get(typedKey))
+      } else {
+        firstByKey.set(typedKey, i)
+      }
+    }
+  })
+
+  const groups = new Map()
+  candidates.forEach((candidate, i) => {
+    const root = find(i)
+    if (!groups.has(root)) groups.set(root, [])
+    groups.get(root).push(candidate)
+  })
+
+  return [...groups.values()]
+    .filter(
+      (group) =>
+        group.length > 1 &&
+        group.some(({ member }) => member.source === 'import')
+    )
+    .map((group) => {
+      const { getCredentials = getContent } =
+        MATCHERS[group[0].record.type] || {}
+      const isSame = (getValue) =>
+        new Set(group.map(({ record }) => getValue(record))).size === 1
+
+      const isExact = isSame(getCredentials)
+      let suggestedAction = DUPLICATE_ACTIONS.REVIEW
+      if (isExact) {
+        suggestedAction = isSame(getContent)
+          ? DUPLICATE_ACTIONS.SKIP
+          : DUPLICATE_ACTIONS.MERGE
+      }
+
+      return {
+        match: isExact ? 'exact' : 'near',
+        suggestedAction,
+        members: group.map(({ member }) => member)
+      }
+    })
+}
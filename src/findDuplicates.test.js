@@ -0,0 +1,210 @@
+import { DUPLICATE_ACTIONS, findDuplicates } from './findDuplicates'
+import { hashPassword } from './utils/hashPassword'
+
+const login = (data) => ({
+  type: 'login',
+  folder: null,
+  isFavorite: false,
+  data: {
+    title: '',
+    username: '',
+    password: '',
+    note: '',
+    websites: [],
+    customFields: [],
+    ...data
+  }
+})
+
+describe('findDuplicates', () => {
+  it('groups identical logins from different managers', () => {
+    const records = [
+      login({
+        title: 'Example',
+        username: 'Me@Example.com',
+        password: 'pw',
+        websites: ['https://www.example.com/login']
+      }),
+      login({ title: 'Other', username: 'me', websites: ['other.com'] }),
+      login({
+        title: 'example.com',
+        username: 'me@example.com',
+        password: 'pw',
+        websites: ['https://example.com:443']
+      })
+    ]
+
+    expect(findDuplicates(records)).toEqual([
+      {
+        match: 'exact',
+        suggestedAction: DUPLICATE_ACTIONS.SKIP,
+        members: [
+          { source: 'import', index: 0 },
+          { source: 'import', index: 2 }
+        ]
+      }
+    ])
+  })
+
+  it('suggests merging when the same credentials hold different details', () => {
+    const [cluster] = findDuplicates([
+      login({ username: 'me', password: 'pw', websites: ['a.com'] }),
+      login({
+        username: 'me',
+        password: 'pw',
+        websites: ['a.com', 'b.com'],
+        note: 'Recovery codes in the safe'
+      })
+    ])
+
+    expect(cluster).toMatchObject({ match: 'exact', suggestedAction: 'merge' })
+  })
+
+  it('skips identical records whose password change times differ', () => {
+    const [cluster] = findDuplicates([
+      login({ username: 'me', password: 'pw', passwordUpdatedAt: 1000 }),
+      login({ username: 'me', password: 'pw', passwordUpdatedAt: 2000 })
+    ])
+
+    expect(cluster).toMatchObject({ match: 'exact', suggestedAction: 'skip' })
+  })
+
+  it('asks for a review when the passwords differ', () => {
+    const [cluster] = findDuplicates([
+      login({ username: 'me', password: 'old', websites: ['a.com'] }),
+      login({ username: 'me', password: 'new', websites: ['a.com'] })
+    ])
+
+    expect(cluster).toMatchObject({ match: 'near', suggestedAction: 'review' })
+  })
+
+  it('links records that share any of their websites', () => {
+    const clusters = findDuplicates([
+      login({ username: 'me', password: 'pw', websites: ['a.com'] }),
+      login({ username: 'me', password: 'pw', websites: ['b.com'] }),
+      login({ username: 'me', password: 'pw', websites: ['a.com', 'b.com'] })
+    ])
+
+    expect(clusters).toHaveLength(1)
+    expect(clusters[0].members).toHaveLength(3)
+  })
+
+  it('matches against a vault snapshot holding password hashes', () => {
+    const vaultRecords = [
+      {
+        id: 'vault-1',
+        type: 'login',
+        data: { title: 'A', username: 'me', websites: ['a.com'] },
+        passwordHash: hashPassword('pw')
+      },
+      {
+        id: 'vault-2',
+        type: 'login',
+        data: { title: 'C', username: 'me', websites: ['c.com'] },
+        passwordHash: hashPassword('pw')
+      },
+      {
+        id: 'vault-3',
+        type: 'login',
+        data: { title: 'C', username: 'me', websites: ['c.com'] },
+        passwordHash: hashPassword('pw')
+      }
+    ]
+
+    expect(
+      findDuplicates(
+        [login({ username: 'me', password: 'pw', websites: ['a.com'] })],
+        { vaultRecords }
+      )
+    ).toEqual([
+      {
+        match: 'exact',
+        suggestedAction: 'skip',
+        members: [
+          { source: 'import', index: 0 },
+          { source: 'vault', id: 'vault-1' }
+        ]
+      }
+    ])
+  })
+
+  it('matches other record types on their account', () => {
+    const card = (data) => ({
+      type: 'creditCard',
+      data: { title: 'Card', name: 'Me', number: '', expireDate: '', ...data }
+    })
+    const note = (text) => ({ type: 'note', data: { title: 'N', note: text } })
+
+    const clusters = findDuplicates([
+      card({ number: '4111 1111 1111 1111', expireDate: '12/25' }),
+      card({ number: '4111111111111111', expireDate: '12/27' }),
+      note('Dear diary'),
+      note('dear  diary'),
+      note('Shopping list'),
+      { type: 'wifiPassword', data: { title: 'Home', password: 'a' } },
+      { type: 'wifiPassword', data: { title: 'home', password: 'a' } },
+      { type: 'note', data: { title: '', note: '' } },
+      { type: 'note', data: { title: '', note: '' } },
+      {
+        type: 'sshKey',
+        data: { title: 'A', privateKey: 'k', fingerprint: 'f' }
+      },
+      {
+        type: 'sshKey',
+        data: { title: 'B', privateKey: 'k', fingerprint: 'f' }
+      }
+    ])
+
+    expect(
+      clusters.map(({ match, members }) => [
+        match,
+        members.map(({ index }) => index)
+      ])
+    ).toEqual([
+      ['near', [0, 1]],
+      ['exact', [2, 3]],
+      ['exact', [5, 6]],
+      ['exact', [9, 10]]
+    ])
+  })
+
+  it('matches records imported before by their source id', () => {
+    const vaultRecords = [
+      {
+        id: 'vault-1',
+        sourceId: 'bw-1',
+        ...login({ username: 'me', password: 'old', websites: ['a.com'] })
+      }
+    ]
+    const records = [
+      {
+        sourceId: 'bw-1',
+        ...login({
+          username: 'me@new.com',
+          password: 'new',
+          websites: ['a.com']
+        })
+      }
+    ]
+
+    expect(findDuplicates(records, { vaultRecords })).toEqual([
+      {
+        match: 'near',
+        suggestedAction: 'review',
+        members: [
+          { source: 'import', index: 0 },
+          { source: 'vault', id: 'vault-1' }
+        ]
+      }
+    ])
+  })
+
+  it('ignores duplicates that only exist in the vault', () => {
+    const vaultRecords = ['a', 'b'].map((id) => ({
+      id,
+      ...login({ username: 'me', password: 'pw', websites: ['a.com'] })
+    }))
+
+    expect(findDuplicates([], { vaultRecords })).toEqual([])
+  })
+})
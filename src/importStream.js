@@ -0,0 +1,141 @@
+import { ImportError, toImportError } from './errors'
+import { resolveImporter } from './registry'
+import { createImportContext } from './utils/createImportContext'
+import { normalizeImportKey } from './utils/normalizeImportKey'
+import { normalizeRecord } from './utils/normalizeRecord'
+import { readAllBytes } from './utils/readAllBytes'
+import { readTextChunks } from './utils/readTextChunks'
+
+/**
+ * File types whose chunked input is decoded for `parse`, others are handed
+ * over as an `ArrayBuffer`.
+ */
+const TEXT_FILE_TYPES = new Set(['csv', 'tsv', 'txt', 'json', 'xml'])
+
+/**
+ * @param {import('./utils/readChunks').ImportInput} data
+ * @returns {Promise<string>}
+ */
+const readAllText = async (data) => {
+  let text = ''
+  for await (const chunk of readTextChunks(data)) {
+    text += chunk
+  }
+  return text
+}
+
+/**
+ * Yields the raw records of the importer. File types the importer cannot
+ * stream are read completely and handed to its `parse` function, binary
+ * ones without decoding. Strings are passed on as they are.
+ * @param {import('./registry').ImporterDefinition} importer
+ * @param {Parameters<import('./registry').ImporterDefinition['parse']>[0]} request
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readRecords(importer, request) {
+  if (importer.streamFileTypes.includes(request.fileType)) {
+    yield* importer.parseStream(request)
+    return
+  }
+
+  let data = request.data
+  if (typeof data !== 'string') {
+    data = TEXT_FILE_TYPES.has(request.fileType)
+      ? await readAllText(data)
+      : await readAllBytes(data)
+  }
+
+  const records = await importer.parse({ ...request, data })
+
+  if (!Array.isArray(records)) {
+    throw new ImportError(
+      `Importer "${importer.id}" did not return a list of records`
+    )
+  }
+
+  yield* records
+}
+
+/**
+ * @param {import('./registry').ImporterDefinition} importer
+ * @param {Parameters<import('./registry').ImporterDefinition['parse']>[0]} request
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* streamRecords(importer, request) {
+  const { context } = request
+  let index = 0
+
+  try {
+    context.throwIfAborted()
+
+    for await (const parsed of readRecords(importer, request)) {
+      context.throwIfAborted()
+      const record = normalizeRecord(parsed, { record: index++ }, context)
+
+      if (record) {
+        context.report.count(record)
+        yield record
+      }
+    }
+  } catch (error) {
+    throw toImportError(error)
+  }
+}
+
+/**
+ * Streaming counterpart of `parseImportData` for very large exports. CSV
+ * files are parsed while they are read and records are yielded one at a
+ * time, so memory use does not grow with the file size. Other file types
+ * (JSON, XML, KDBX) have to be read completely before the first record.
+ *
+ * The report is complete once the iteration has finished.
+ * @param {Object} params
+ * @param {string} params.source - Source id, see `getSupportedImportSources`.
+ * @param {string} params.fileType
+ * @param {import('./utils/readChunks').ImportInput} params.data - A
+ *   `ReadableStream`, an (async) iterable of string or byte chunks, or the
+ *   whole file.
+ * @param {string} [params.password]
+ * @param {Object} [params.options]
+ * @param {(progress: import('./utils/createImportContext').ImportProgress) => void} [params.onProgress]
+ * @param {AbortSignal} [params.signal] - Aborting it makes the iteration
+ *   throw an `ImportAbortedError`.
+ * @param {Partial<typeof import('./utils/createAttachment').ATTACHMENT_LIMITS>} [params.attachmentLimits]
+ * @returns {AsyncGenerator<Object> & {
+ *   readonly report: import('./utils/createImportReport').ImportReport
+ * }}
+ * @throws {import('./errors').ImportError} Unknown sources and file types
+ *   throw right away, everything else while iterating.
+ */
+export const importStream = ({
+  source,
+  fileType: requestedFileType,
+  data,
+  password,
+  options = {},
+  onProgress,
+  signal,
+  attachmentLimits
+}) => {
+  const fileType = normalizeImportKey(requestedFileType)
+  const importer = resolveImporter(source, fileType)
+  const context = createImportContext({
+    onProgress,
+    signal,
+    source: importer.id,
+    fileType,
+    attachmentLimits
+  })
+
+  const records = streamRecords(importer, {
+    data,
+    fileType,
+    password,
+    options,
+    context
+  })
+
+  return Object.defineProperty(records, 'report', {
+    get: () => context.report.summarize()
+  })
+}
@@ -0,0 +1,255 @@
+import { ImportAbortedError, ImportError, MalformedFileError } from './errors'
+import { importStream } from './importStream'
+import { parseImportData } from './parseImportData'
+import { registerImporter } from './registry'
+
+const collect = async (iterable) => {
+  const records = []
+  for await (const record of iterable) {
+    records.push(record)
+  }
+  return records
+}
+
+/**
+ * @param {string} text
+ * @param {number} size
+ * @returns {Uint8Array[]}
+ */
+const toByteChunks = (text, size) => {
+  const bytes = new TextEncoder().encode(text)
+  const chunks = []
+  for (let i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.slice(i, i + size))
+  }
+  return chunks
+}
+
+const NORDPASS_CSV = [
+  'name,type,url,additional_urls,username,password,note,custom_fields,totp',
+  'Bank,password,bank.com,"[""bank.de""]",me,pw,"multi',
+  'line note",,JBSWY3DP',
+  'Work,folder,,,,,,,',
+  'Thing,unknown_type,,,,,,,',
+  'Diary,note,,,,,Dear diary,,'
+].join('\n')
+
+describe('importStream', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2026, 0, 1))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('yields the same records and report as parseImportData', async () => {
+    const expected = await parseImportData({
+      source: 'nordpass',
+      fileType: 'csv',
+      data: NORDPASS_CSV
+    })
+
+    const stream = importStream({
+      source: 'nordpass',
+      fileType: 'csv',
+      data: toByteChunks(NORDPASS_CSV, 7)
+    })
+
+    expect(await collect(stream)).toEqual(expected.records)
+    expect(stream.report).toEqual(expected.report)
+  })
+
+  it('streams every CSV source', async () => {
+    const inputs = {
+      '1password':
+        'Title,Url,Username,Password,Notes,Favorite\nA,a.com,u,p,,true',
+      bitwarden: 'folder,favorite,type,name,notes,login_uri\n,,login,A,,a.com',
+      keepass:
+        '"Group","Title","Username","Password","URL","Notes"\n"Root","A","u","p","",""',
+      lastpass:
+        'url,username,password,extra,name,grouping,fav\na.com,u,p,,A,,0',
+      pearpass: 'type,title,username,password,isFavorite\nlogin,A,u,p,false',
+      protonpass:
+        'type,name,url,username,password,note,vault\nlogin,A,a.com,u,p,,'
+    }
+
+    for (const [source, data] of Object.entries(inputs)) {
+      const records = await collect(
+        importStream({ source, fileType: 'csv', data: [...data] })
+      )
+      const expected = await parseImportData({ source, fileType: 'csv', data })
+
+      expect(records).toEqual(expected.records)
+      expect(records[0].data.title).toBe('A')
+    }
+  })
+
+  it('reads ReadableStreams', async () => {
+    const chunks = toByteChunks(NORDPASS_CSV, 16)
+    const stream = new ReadableStream({
+      pull(controller) {
+        if (chunks.length) {
+          controller.enqueue(chunks.shift())
+        } else {
+          controller.close()
+        }
+      }
+    })
+
+    const records = await collect(
+      importStream({ source: 'nordpass', fileType: 'csv', data: stream })
+    )
+
+    expect(records.map(({ data }) => data.title)).toEqual([
+      'Bank',
+      'Thing',
+      'Diary'
+    ])
+  })
+
+  it('reads file types that cannot be streamed completely', async () => {
+    const json = JSON.stringify([
+      { type: 'note', data: { title: 'One' } },
+      { type: 'note', data: { title: 'Two' } }
+    ])
+
+    const stream = importStream({
+      source: 'pearpass',
+      fileType: 'json',
+      data: toByteChunks(json, 10)
+    })
+
+    expect((await collect(stream)).map(({ data }) => data.title)).toEqual([
+      'One',
+      'Two'
+    ])
+    expect(stream.report).toMatchObject({ imported: 2 })
+  })
+
+  it('stops parsing when the consumer stops', async () => {
+    const parseRow = jest.fn((row) => ({
+      type: 'note',
+      data: { title: row[0] }
+    }))
+    const unregister = registerImporter({
+      id: 'lines',
+      fileTypes: ['csv'],
+      parse: () => [],
+      streamFileTypes: ['csv'],
+      parseStream: async function* ({ data }) {
+        for (const line of data.split('\n')) {
+          yield parseRow([line])
+        }
+      }
+    })
+
+    try {
+      for await (const record of importStream({
+        source: 'lines',
+        fileType: 'csv',
+        data: 'a\nb\nc'
+      })) {
+        expect(record.data.title).toBe('a')
+        break
+      }
+      expect(parseRow).toHaveBeenCalledTimes(1)
+    } finally {
+      unregister()
+    }
+  })
+
+  it('throws for unknown sources and file types right away', () => {
+    expect(() =>
+      importStream({ source: 'dashlane', fileType: 'csv', data: '' })
+    ).toThrow('Unsupported import source: dashlane')
+    expect(() =>
+      importStream({ source: 'lastpass', fileType: 'json', data: '' })
+    ).toThrow('Unsupported file type, please use CSV')
+  })
+
+  it('rejects with import errors while iterating', async () => {
+    await expect(
+      collect(
+        importStream({ source: 'bitwarden', fileType: 'json', data: '{' })
+      )
+    ).rejects.toThrow(MalformedFileError)
+
+    await expect(
+      collect(importStream({ source: 'nordpass', fileType: 'csv', data: 42 }))
+    ).rejects.toThrow(ImportError)
+  })
+
+  it('reports streamed rows without a total', async () => {
+    const onProgress = jest.fn()
+
+    await collect(
+      importStream({
+        source: 'nordpass',
+        fileType: 'csv',
+        data: toByteChunks(NORDPASS_CSV, 7),
+        onProgress
+      })
+    )
+
+    expect(onProgress).toHaveBeenCalledWith({
+      phase: 'parsing rows',
+      processed: 0,
+      total: null
+    })
+  })
+
+  it('stops iterating once the signal is aborted', async () => {
+    const controller = new AbortController()
+    const stream = importStream({
+      source: 'nordpass',
+      fileType: 'csv',
+      data: NORDPASS_CSV,
+      signal: controller.signal
+    })
+
+    const records = []
+    const error = await (async () => {
+      for await (const record of stream) {
+        records.push(record)
+        controller.abort()
+      }
+    })().catch((e) => e)
+
+    expect(records).toHaveLength(1)
+    expect(error).toBeInstanceOf(ImportAbortedError)
+  })
+
+  it('hands binary file types to parse without decoding them', async () => {
+    const parse = jest.fn(({ data }) => [
+      { type: 'note', data: { title: 'Bytes', note: String(data.byteLength) } }
+    ])
+    const unregister = registerImporter({
+      id: 'binary',
+      fileTypes: ['vault'],
+      parse
+    })
+
+    try {
+      const records = await collect(
+        importStream({
+          source: 'binary',
+          fileType: 'vault',
+          data: [new Uint8Array([0xff, 0x00]), new Uint8Array([0x80])]
+        })
+      )
+
+      expect(records).toHaveLength(1)
+      expect(new Uint8Array(parse.mock.calls[0][0].data)).toEqual(
+        new Uint8Array([0xff, 0x00, 0x80])
+      )
+
+      await collect(
+        importStream({ source: 'binary', fileType: 'vault', data: 'text' })
+      )
+      expect(parse.mock.calls[1][0].data).toBe('text')
+    } finally {
+      unregister()
+    }
+  })
+})
@@ -0,0 +1,374 @@
+import { findDuplicates } from './findDuplicates'
+import { createCustomField } from './utils/createCustomField'
+import { hashPassword } from './utils/hashPassword'
+import { RECORD_SCHEMAS } from './utils/normalizeRecord'
+import { toTimestamp } from './utils/toTimestamp'
+
+/** How an imported record is combined with the record it duplicates. */
+export const MERGE_STRATEGIES = Object.freeze({
+  KEEP_EXISTING: 'keepExisting',
+  OVERWRITE: 'overwrite',
+  KEEP_NEWEST: 'keepNewest',
+  MERGE: 'merge',
+  KEEP_BOTH: 'keepBoth'
+})
+
+/**
+ * @typedef {Object} RecordChange
+ * @property {string} field - `data.<key>`, `folder`, `isFavorite` or
+ *   `attachments`.
+ * @property {*} from
+ * @property {*} to
+ */
+
+/**
+ * @typedef {{action: 'create', sources: number[], record: Object} |
+ *   {action: 'update', sources: number[], id: string, changes: RecordChange[]} |
+ *   {action: 'skip', sources: number[], id: string, reason: string}
+ * } ImportOperation - `sources` are the indexes of the imported records the
+ *   operation covers.
+ */
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (Array.isArray(value) ? !value.length : !String(value).trim())
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+const normalizeText = (value) =>
+  String(value).trim().replace(/\s+/g, ' ').toLowerCase()
+
+/**
+ * @param {Array} items
+ * @param {(item: *) => string} getKey
+ * @returns {Array}
+ */
+const uniqueBy = (items, getKey) => {
+  const seen = new Set()
+  return items.filter((item) => {
+    const key = getKey(item)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+/**
+ * @param {Object} record
+ * @returns {number} Last modification, 0 when unknown.
+ */
+const getTimestamp = (record) =>
+  toTimestamp(record.updatedAt ?? record.data?.passwordUpdatedAt) ?? 0
+
+/**
+ * @param {import('./utils/createAttachment').Attachment} attachment
+ * @returns {string}
+ */
+const getAttachmentKey = ({ name, size }) => `${name}|${size}`
+
+/**
+ * @param {Object} record - Vault record, may only hold `passwordHash`.
+ * @param {string} password
+ * @returns {boolean}
+ */
+const hasPassword = (record, password) =>
+  isBlank(record.data.password) && record.passwordHash
+    ? hashPassword(password) === record.passwordHash
+    : record.data.password === password
+
+/**
+ * Fills the empty fields of `existing` from `incoming` and combines their
+ * websites with their match rules, custom fields, password histories and
+ * attachments. Filled fields of `existing` are kept; a different password
+ * of `incoming` is added to the password history, or kept as a hidden
+ * custom field by types without one.
+ * @param {Object} existing
+ * @param {Object} incoming
+ * @returns {Object}
+ */
+const mergeRecordData = (existing, incoming) => {
+  const data = { ...existing.data }
+  let otherPassword = null
+
+  for (const [key, value] of Object.entries(incoming.data)) {
+    if (key === 'websites') {
+      data.websites = uniqueBy(
+        [...(data.websites || []), ...value],
+        (website) => website.trim().toLowerCase()
+      )
+    } else if (key === 'websiteMatchRules') {
+      data.websiteMatchRules = uniqueBy(
+        [...(data.websiteMatchRules || []), ...value],
+        (rule) => rule.website.trim().toLowerCase()
+      )
+    } else if (key === 'customFields') {
+      data.customFields = uniqueBy(
+        [...(data.customFields || []), ...value],
+        (field) => JSON.stringify(field)
+      )
+    } else if (key === 'passwordHistory') {
+      data.passwordHistory = uniqueBy(
+        [...(data.passwordHistory || []), ...value],
+        (entry) => JSON.stringify(entry)
+      )
+    } else if (
+      isBlank(data[key]) &&
+      !(key === 'password' && existing.passwordHash)
+    ) {
+      data[key] = value
+    } else if (
+      key === 'password' &&
+      !isBlank(value) &&
+      !hasPassword(existing, value)
+    ) {
+      otherPassword = value
+    }
+  }
+
+  const passwordHistory = data.passwordHistory || []
+  const isNewPassword =
+    otherPassword !== null &&
+    !passwordHistory.some(({ password }) => password === otherPassword)
+
+  if (isNewPassword && RECORD_SCHEMAS[existing.type]?.passwordHistory) {
+    data.passwordHistory = [{ password: otherPassword }, ...passwordHistory]
+  } else if (isNewPassword) {
+    data.customFields = [
+      ...(data.customFields || []),
+      createCustomField('password', otherPassword, { hidden: true })
+    ]
+  }
+
+  const attachments = uniqueBy(
+    [...(existing.attachments || []), ...(incoming.attachments || [])],
+    getAttachmentKey
+  )
+
+  return {
+    ...existing,
+    data,
+    ...(attachments.length && { attachments }),
+    folder: existing.folder ?? incoming.folder ?? null,
+    isFavorite: Boolean(existing.isFavorite || incoming.isFavorite)
+  }
+}
+
+/**
+ * Resolves a duplicate pair, `null` keeps both records.
+ * @type {Object<string, (existing: Object, incoming: Object) => Object | null>}
+ */
+const RESOLVERS = {
+  keepExisting: (existing) => existing,
+  overwrite: (existing, incoming) => incoming,
+  keepNewest: (existing, incoming) =>
+    getTimestamp(incoming) > getTimestamp(existing) ? incoming : existing,
+  merge: mergeRecordData,
+  keepBoth: () => null
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/** Fields `mergeRecordData` combines instead of keeping one of the values. */
+const LIST_FIELDS = new Set([
+  'websites',
+  'websiteMatchRules',
+  'customFields',
+  'passwordHistory'
+])
+
+/**
+ * Fields that may differ between merged records: a different password is
+ * kept in the history, titles of the same account often differ by source.
+ */
+const MERGEABLE_FIELDS = new Set(['title', 'password', 'passwordUpdatedAt'])
+
+/**
+ * Fields both records fill with different values. Merging such records
+ * would drop the values of `incoming`.
+ * @param {Object} existing
+ * @param {Object} incoming
+ * @returns {string[]} `data.<key>` of each conflicting field.
+ */
+const getConflicts = (existing, incoming) =>
+  Object.entries(incoming.data)
+    .filter(([key, value]) => {
+      const current = existing.data[key]
+      if (LIST_FIELDS.has(key) || MERGEABLE_FIELDS.has(key)) return false
+      if (isBlank(value) || isBlank(current)) return false
+
+      return typeof value === 'object' || typeof current === 'object'
+        ? !isEqual(current, value)
+        : normalizeText(current) !== normalizeText(value)
+    })
+    .map(([key]) => `data.${key}`)
+
+/**
+ * Field-level differences between a vault record and its resolved version.
+ * Passwords of snapshots that only hold `passwordHash` are compared by hash,
+ * attachments by name and size.
+ * @param {import('./findDuplicates').VaultRecord} existing
+ * @param {Object} updated
+ * @returns {RecordChange[]}
+ */
+export const diffRecords = (existing, updated) => {
+  const changes = []
+
+  for (const [key, value] of Object.entries(updated.data)) {
+    const from = existing.data[key]
+    const isUnchanged =
+      key === 'password' && existing.passwordHash && from === undefined
+        ? hashPassword(String(value ?? '')) === existing.passwordHash
+        : isEqual(from ?? null, value ?? null) ||
+          (isBlank(from) && isBlank(value))
+
+    if (!isUnchanged) {
+      changes.push({ field: `data.${key}`, from, to: value })
+    }
+  }
+
+  for (const field of ['folder', 'isFavorite']) {
+    if (
+      field in existing &&
+      field in updated &&
+      !isEqual(existing[field], updated[field])
+    ) {
+      changes.push({ field, from: existing[field], to: updated[field] })
+    }
+  }
+
+  // Imports add attachments but never remove the ones of the vault
+  const existingAttachments = existing.attachments || []
+  const existingKeys = new Set(existingAttachments.map(getAttachmentKey))
+  const addedAttachments = (updated.attachments || []).filter(
+    (attachment) => !existingKeys.has(getAttachmentKey(attachment))
+  )
+  if (addedAttachments.length) {
+    changes.push({
+      field: 'attachments',
+      from: existingAttachments,
+      to: [...existingAttachments, ...addedAttachments]
+    })
+  }
+
+  return changes
+}
+
+/**
+ * Turns parsed records into the operations that bring them into the vault.
+ * Records are grouped with `findDuplicates`; the records of a group are
+ * resolved in import order against each vault record of the group, or
+ * against the first imported one when the group has no vault record. The
+ * `merge` strategy only combines records whose fields do not conflict (see
+ * `getConflicts`), the others are created as records of their own.
+ * @param {Array<Object>} records - Parsed records, e.g. from `parseImportData`.
+ * @param {Object} [options]
+ * @param {import('./findDuplicates').VaultRecord[]} [options.vaultRecords]
+ *   Snapshot of the vault.
+ * @param {string} [options.strategy] - One of `MERGE_STRATEGIES`, defaults to
+ *   `merge`.
+ * @returns {ImportOperation[]} Ordered by the first imported record of each
+ *   operation, so the same input always gives the same operations.
+ */
+export const mergeRecords = (
+  records,
+  { vaultRecords = [], strategy = MERGE_STRATEGIES.MERGE } = {}
+) => {
+  const resolve = RESOLVERS[strategy]
+  if (!resolve) {
+    throw new TypeError(`Unknown merge strategy "${strategy}"`)
+  }
+
+  const vaultById = new Map(vaultRecords.map((record) => [record.id, record]))
+  const clustered = new Set()
+  const operations = []
+
+  const canMerge = (record, incoming) =>
+    resolve !== RESOLVERS.merge || !getConflicts(record, incoming).length
+
+  // Imported records become one record per set of records that can merge
+  const pushCreates = (indexes) => {
+    const groups = []
+
+    for (const index of indexes) {
+      const group = groups.find(({ record }) =>
+        canMerge(record, records[index])
+      )
+      if (group) {
+        group.sources.push(index)
+        group.record = resolve(group.record, records[index])
+      } else {
+        groups.push({ sources: [index], record: records[index] })
+      }
+    }
+
+    for (const { sources, record } of groups) {
+      operations.push({ action: 'create', sources, record })
+    }
+  }
+
+  for (const { members } of findDuplicates(records, { vaultRecords })) {
+    const indexes = members
+      .filter(({ source }) => source === 'import')
+      .map(({ index }) => index)
+    const vaultMembers = members.filter(({ source }) => source === 'vault')
+
+    indexes.forEach((index) => clustered.add(index))
+
+    if (resolve === RESOLVERS.keepBoth) {
+      for (const index of indexes) {
+        operations.push({
+          action: 'create',
+          sources: [index],
+          record: records[index]
+        })
+      }
+      continue
+    }
+
+    const merged = new Set()
+
+    for (const { id } of vaultMembers) {
+      const existing = vaultById.get(id)
+      const sources = []
+      let resolved = existing
+
+      for (const index of indexes) {
+        if (canMerge(resolved, records[index])) {
+          resolved = resolve(resolved, records[index])
+          sources.push(index)
+          merged.add(index)
+        }
+      }
+      if (!sources.length) continue
+
+      const changes = diffRecords(existing, resolved)
+      operations.push(
+        changes.length
+          ? { action: 'update', sources, id, changes }
+          : { action: 'skip', sources, id, reason: 'Already in the vault' }
+      )
+    }
+
+    pushCreates(indexes.filter((index) => !merged.has(index)))
+  }
+
+  records.forEach((record, index) => {
+    if (!clustered.has(index)) {
+      operations.push({ action: 'create', sources: [index], record })
+    }
+  })
+
+  return operations.sort((a, b) => a.sources[0] - b.sources[0])
+}
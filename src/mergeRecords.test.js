@@ -0,0 +1,347 @@
+import { MERGE_STRATEGIES, mergeRecords } from './mergeRecords'
+import { hashPassword } from './utils/hashPassword'
+
+const login = (data, extra = {}) => ({
+  type: 'login',
+  folder: null,
+  isFavorite: false,
+  data: {
+    title: 'Example',
+    username: 'me',
+    password: 'pw',
+    note: '',
+    websites: ['https://example.com'],
+    customFields: [],
+    ...data
+  },
+  ...extra
+})
+
+const vaultLogin = (data, extra) => ({ id: 'v1', ...login(data, extra) })
+
+describe('mergeRecords', () => {
+  it('creates records without duplicates', () => {
+    const records = [
+      login({ websites: ['a.com'] }),
+      login({ websites: ['b.com'] })
+    ]
+
+    expect(mergeRecords(records)).toEqual([
+      { action: 'create', sources: [0], record: records[0] },
+      { action: 'create', sources: [1], record: records[1] }
+    ])
+  })
+
+  it('skips records that are already in the vault', () => {
+    const vault = [vaultLogin({ title: 'Old title' })]
+
+    expect(mergeRecords([login()], { vaultRecords: vault })).toEqual([
+      {
+        action: 'skip',
+        sources: [0],
+        id: 'v1',
+        reason: 'Already in the vault'
+      }
+    ])
+  })
+
+  it('merges websites, custom fields and empty fields by default', () => {
+    const vault = [vaultLogin({ note: '' })]
+    const incoming = login({
+      note: 'From Bitwarden',
+      websites: ['https://example.com', 'https://example.org'],
+      customFields: [{ type: 'note', note: 'PIN: 1234' }]
+    })
+
+    expect(mergeRecords([incoming], { vaultRecords: vault })).toEqual([
+      {
+        action: 'update',
+        sources: [0],
+        id: 'v1',
+        changes: [
+          { field: 'data.note', from: '', to: 'From Bitwarden' },
+          {
+            field: 'data.websites',
+            from: ['https://example.com'],
+            to: ['https://example.com', 'https://example.org']
+          },
+          {
+            field: 'data.customFields',
+            from: [],
+            to: [{ type: 'note', note: 'PIN: 1234' }]
+          }
+        ]
+      }
+    ])
+  })
+
+  it('keeps or overwrites the vault record', () => {
+    const vault = [vaultLogin({ password: 'old' })]
+    const records = [login({ password: 'new' })]
+
+    expect(
+      mergeRecords(records, {
+        vaultRecords: vault,
+        strategy: MERGE_STRATEGIES.KEEP_EXISTING
+      })[0].action
+    ).toBe('skip')
+    expect(
+      mergeRecords(records, {
+        vaultRecords: vault,
+        strategy: MERGE_STRATEGIES.OVERWRITE
+      })
+    ).toEqual([
+      {
+        action: 'update',
+        sources: [0],
+        id: 'v1',
+        changes: [{ field: 'data.password', from: 'old', to: 'new' }]
+      }
+    ])
+  })
+
+  it('keeps the newest record', () => {
+    const vault = [vaultLogin({ password: 'old' }, { updatedAt: 2000 })]
+    const strategy = MERGE_STRATEGIES.KEEP_NEWEST
+
+    expect(
+      mergeRecords([login({ password: 'older' }, { updatedAt: 1000 })], {
+        vaultRecords: vault,
+        strategy
+      })[0].action
+    ).toBe('skip')
+    expect(
+      mergeRecords(
+        [login({ password: 'newer' }, { updatedAt: '2030-01-01T00:00:00Z' })],
+        { vaultRecords: vault, strategy }
+      )[0]
+    ).toMatchObject({
+      action: 'update',
+      changes: [{ field: 'data.password', to: 'newer' }]
+    })
+  })
+
+  it('keeps both records', () => {
+    const records = [login(), login()]
+
+    expect(
+      mergeRecords(records, {
+        vaultRecords: [vaultLogin()],
+        strategy: MERGE_STRATEGIES.KEEP_BOTH
+      }).map(({ action, sources }) => [action, sources])
+    ).toEqual([
+      ['create', [0]],
+      ['create', [1]]
+    ])
+  })
+
+  it('combines duplicates within the import into one record', () => {
+    const records = [
+      login({ websites: ['a.com'] }),
+      login({ websites: ['b.com'], username: 'other' }),
+      login({ websites: ['a.com'], note: 'second copy' })
+    ]
+
+    expect(mergeRecords(records)).toEqual([
+      {
+        action: 'create',
+        sources: [0, 2],
+        record: login({ websites: ['a.com'], note: 'second copy' })
+      },
+      { action: 'create', sources: [1], record: records[1] }
+    ])
+  })
+
+  it('compares passwords of snapshots by hash', () => {
+    const vault = [
+      {
+        id: 'v1',
+        type: 'login',
+        data: { title: 'Example', username: 'me', websites: ['example.com'] },
+        passwordHash: hashPassword('pw')
+      }
+    ]
+    const strategy = MERGE_STRATEGIES.OVERWRITE
+
+    expect(
+      mergeRecords([login({ websites: ['example.com'] })], {
+        vaultRecords: vault,
+        strategy
+      })[0].action
+    ).toBe('skip')
+    expect(
+      mergeRecords([login({ websites: ['example.com'], password: 'new' })], {
+        vaultRecords: vault,
+        strategy
+      })[0].changes
+    ).toEqual([{ field: 'data.password', from: undefined, to: 'new' }])
+  })
+
+  it('rejects unknown strategies', () => {
+    expect(() => mergeRecords([], { strategy: 'newest' })).toThrow(
+      'Unknown merge strategy "newest"'
+    )
+  })
+
+  it('combines the password histories', () => {
+    const vault = [vaultLogin({ passwordHistory: [{ password: 'a' }] })]
+    const incoming = login({
+      passwordHistory: [{ password: 'b', changedAt: 1000 }, { password: 'a' }]
+    })
+
+    const [operation] = mergeRecords([incoming], { vaultRecords: vault })
+
+    expect(operation.changes).toEqual([
+      {
+        field: 'data.passwordHistory',
+        from: [{ password: 'a' }],
+        to: [{ password: 'a' }, { password: 'b', changedAt: 1000 }]
+      }
+    ])
+  })
+
+  it('adds attachments the vault record does not have', () => {
+    const file = (name, size) => ({
+      name,
+      mimeType: 'text/plain',
+      size,
+      bytes: new Uint8Array(size)
+    })
+    const vault = [
+      vaultLogin({}, { attachments: [{ name: 'a.txt', size: 1 }] })
+    ]
+    const records = [
+      login({}, { attachments: [file('a.txt', 1)] }),
+      login({}, { attachments: [file('a.txt', 1), file('b.txt', 2)] })
+    ]
+
+    expect(
+      mergeRecords(records.slice(0, 1), { vaultRecords: vault })[0].action
+    ).toBe('skip')
+    expect(mergeRecords(records, { vaultRecords: vault })[0].changes).toEqual([
+      {
+        field: 'attachments',
+        from: [{ name: 'a.txt', size: 1 }],
+        to: [{ name: 'a.txt', size: 1 }, file('b.txt', 2)]
+      }
+    ])
+  })
+
+  it('adds match rules for websites that have none in the vault', () => {
+    const vault = [
+      vaultLogin({
+        websiteMatchRules: [{ website: 'https://example.com', match: 'exact' }]
+      })
+    ]
+    const incoming = login({
+      websites: ['https://example.com', 'https://example.org'],
+      websiteMatchRules: [
+        { website: 'https://example.com', match: 'never' },
+        { website: 'https://example.org', match: 'host' }
+      ]
+    })
+
+    const [{ changes }] = mergeRecords([incoming], { vaultRecords: vault })
+
+    expect(changes).toContainEqual({
+      field: 'data.websiteMatchRules',
+      from: [{ website: 'https://example.com', match: 'exact' }],
+      to: [
+        { website: 'https://example.com', match: 'exact' },
+        { website: 'https://example.org', match: 'host' }
+      ]
+    })
+  })
+
+  it('keeps a different password in the password history', () => {
+    const vault = [vaultLogin({ password: 'old', passwordHistory: [] })]
+
+    expect(
+      mergeRecords([login({ password: 'new' })], { vaultRecords: vault })[0]
+        .changes
+    ).toEqual([
+      { field: 'data.passwordHistory', from: [], to: [{ password: 'new' }] }
+    ])
+  })
+
+  it('keeps a different Wi-Fi password as a hidden custom field', () => {
+    const wifi = (password) => ({
+      type: 'wifiPassword',
+      data: { title: 'Home', password, note: '', customFields: [] }
+    })
+
+    expect(
+      mergeRecords([wifi('new')], {
+        vaultRecords: [{ id: 'w1', ...wifi('old') }]
+      })[0].changes
+    ).toEqual([
+      {
+        field: 'data.customFields',
+        from: [],
+        to: [{ type: 'hidden', label: 'password', value: 'new', hidden: true }]
+      }
+    ])
+  })
+
+  it('resolves the records against every vault record of a group', () => {
+    const vault = [
+      vaultLogin({ note: '' }),
+      { ...vaultLogin({ note: 'Imported' }), id: 'v2' }
+    ]
+
+    expect(
+      mergeRecords([login({ note: 'Imported' })], { vaultRecords: vault })
+    ).toEqual([
+      {
+        action: 'update',
+        sources: [0],
+        id: 'v1',
+        changes: [{ field: 'data.note', from: '', to: 'Imported' }]
+      },
+      {
+        action: 'skip',
+        sources: [0],
+        id: 'v2',
+        reason: 'Already in the vault'
+      }
+    ])
+  })
+
+  it('creates records whose fields conflict separately', () => {
+    const records = [
+      login({ note: 'Door code 1234' }),
+      login({ note: 'Door code 5678' }),
+      login({ note: '', customFields: [{ type: 'note', note: 'Extra' }] })
+    ]
+
+    expect(mergeRecords(records)).toEqual([
+      {
+        action: 'create',
+        sources: [0, 2],
+        record: login({
+          note: 'Door code 1234',
+          customFields: [{ type: 'note', note: 'Extra' }]
+        })
+      },
+      { action: 'create', sources: [1], record: records[1] }
+    ])
+    expect(
+      mergeRecords(records, { strategy: MERGE_STRATEGIES.KEEP_EXISTING })
+    ).toEqual([{ action: 'create', sources: [0, 1, 2], record: records[0] }])
+  })
+
+  it('does not merge records that conflict with the vault record', () => {
+    const vault = [vaultLogin({ note: 'Kept' })]
+    const records = [login({ note: 'Imported' }), login({ title: 'Other' })]
+
+    expect(mergeRecords(records, { vaultRecords: vault })).toEqual([
+      { action: 'create', sources: [0], record: records[0] },
+      {
+        action: 'skip',
+        sources: [1],
+        id: 'v1',
+        reason: 'Already in the vault'
+      }
+    ])
+  })
+})
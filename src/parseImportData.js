@@ -0,0 +1,85 @@
+import { ImportError, toImportError } from './errors'
+import { resolveImporter } from './registry'
+import { createImportContext } from './utils/createImportContext'
+import { normalizeImportKey } from './utils/normalizeImportKey'
+import { normalizeRecord } from './utils/normalizeRecord'
+
+/**
+ * Parses an export of any supported password manager. Records are brought
+ * into the canonical shape of their type by `normalizeRecord`; invalid or
+ * empty ones are left out and listed in `report.skipped`.
+ * @param {Object} params
+ * @param {string} params.source - Source id, see `getSupportedImportSources`.
+ * @param {string} params.fileType - File type, e.g. 'csv', 'json' or 'kdbx'.
+ *   Sources and file types are matched case-insensitively.
+ * @param {string | ArrayBuffer} params.data - File contents (ArrayBuffer for KDBX).
+ * @param {string} [params.password] - Master password for encrypted files.
+ * @param {Object} [params.options] - Options forwarded to the source parser.
+ * @param {(progress: import('./utils/createImportContext').ImportProgress) => void} [params.onProgress]
+ *   Called when a phase starts and periodically while items are processed.
+ * @param {AbortSignal} [params.signal] - Aborting it rejects the import with
+ *   an `ImportAbortedError`.
+ * @param {Partial<typeof import('./utils/createAttachment').ATTACHMENT_LIMITS>} [params.attachmentLimits]
+ *   Limits for the files carried over as record `attachments`.
+ * @returns {Promise<{
+ *   source: string,
+ *   fileType: string,
+ *   records: Array<Object>,
+ *   report: import('./utils/createImportReport').ImportReport
+ * }>}
+ * @throws {ImportError} Errors of third-party importers are wrapped in an
+ *   `ImportError` with code `IMPORT_FAILED`.
+ */
+export const parseImportData = async ({
+  source,
+  fileType: requestedFileType,
+  data,
+  password,
+  options = {},
+  onProgress,
+  signal,
+  attachmentLimits
+}) => {
+  const fileType = normalizeImportKey(requestedFileType)
+  const importer = resolveImporter(source, fileType)
+  const context = createImportContext({
+    onProgress,
+    signal,
+    source: importer.id,
+    fileType,
+    attachmentLimits
+  })
+
+  let parsedRecords
+  try {
+    context.throwIfAborted()
+    parsedRecords = await importer.parse({
+      data,
+      fileType,
+      password,
+      options,
+      context
+    })
+  } catch (error) {
+    throw toImportError(error)
+  }
+
+  if (!Array.isArray(parsedRecords)) {
+    throw new ImportError(
+      `Importer "${importer.id}" did not return a list of records`
+    )
+  }
+
+  context.throwIfAborted()
+
+  const records = parsedRecords
+    .map((record, index) => normalizeRecord(record, { record: index }, context))
+    .filter(Boolean)
+
+  return {
+    source: importer.id,
+    fileType,
+    records,
+    report: context.report.summarize(records)
+  }
+}
@@ -0,0 +1,299 @@
+import { ImportAbortedError, ImportError, MalformedFileError } from './errors'
+import { findDuplicates } from './findDuplicates'
+import { parseImportData } from './parseImportData'
+import { keePassImporter } from './parsers/keepass'
+
+jest.mock('./parsers/keepass', () => ({
+  keePassImporter: {
+    id: 'keepass',
+    label: 'KeePass',
+    fileTypes: ['kdbx', 'xml', 'csv'],
+    parse: jest.fn()
+  }
+}))
+
+describe('parseImportData', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('resolves synchronous parsers to the common result shape', async () => {
+    const result = await parseImportData({
+      source: '1password',
+      fileType: 'csv',
+      data: 'Title,Url,Username,Password,Notes,Favorite\nSite,,user,pass,,false'
+    })
+    expect(result).toEqual({
+      source: '1password',
+      fileType: 'csv',
+      records: [
+        {
+          type: 'login',
+          sourceId: expect.stringMatching(/^[0-9a-f]{32}$/),
+          folder: null,
+          isFavorite: false,
+          importMeta: {
+            source: '1password',
+            fileType: 'csv',
+            originalType: null,
+            folderPath: null,
+            importedAt: expect.any(Number)
+          },
+          data: {
+            title: 'Site',
+            username: 'user',
+            password: 'pass',
+            passwordHistory: [],
+            note: '',
+            websites: [],
+            customFields: []
+          }
+        }
+      ],
+      report: {
+        total: 1,
+        imported: 1,
+        skipped: [],
+        warnings: [],
+        unmappedFields: [],
+        countsByType: { login: 1 },
+        droppedAttachments: []
+      }
+    })
+  })
+
+  it('reports skipped rows, warnings and unmapped fields', async () => {
+    const { report } = await parseImportData({
+      source: 'nordpass',
+      fileType: 'csv',
+      data: [
+        'name,type,url,additional_urls,username,password,custom_fields,totp',
+        'Site,password,site.com,[],user,pass,,JBSWY3DP',
+        'Thing,unknown_type,,,,,,',
+        'Note,note,,,,,notjson,'
+      ].join('\n')
+    })
+
+    expect(report).toEqual({
+      total: 3,
+      imported: 3,
+      skipped: [],
+      warnings: [
+        {
+          row: 3,
+          code: 'UNSUPPORTED_ITEM_TYPE',
+          message: 'Unsupported item type "unknown_type", imported as custom'
+        },
+        {
+          row: 4,
+          code: 'INVALID_FIELD_VALUE',
+          message: 'Could not read custom_fields'
+        }
+      ],
+      unmappedFields: [{ row: 2, field: 'totp' }],
+      countsByType: { login: 1, custom: 1, note: 1 },
+      droppedAttachments: []
+    })
+  })
+
+  it('resolves asynchronous parsers to the common result shape', async () => {
+    const result = await parseImportData({
+      source: 'pearpass',
+      fileType: 'csv',
+      data: '"type","title","note"\n"note","Title","Body"'
+    })
+    expect(result.source).toBe('pearpass')
+    expect(result.fileType).toBe('csv')
+    expect(result.records[0].type).toBe('note')
+    expect(result.records[0].data.note).toBe('Body')
+  })
+
+  it('normalizes records and skips invalid ones', async () => {
+    const { records, report } = await parseImportData({
+      source: 'pearpass',
+      fileType: 'json',
+      data: JSON.stringify([
+        { type: 'note', data: { title: 'Note', secret: 'x' }, folder: '' },
+        { type: 'document', data: { title: 'Scan' } },
+        { type: 'login', data: {} }
+      ])
+    })
+
+    expect(records).toEqual([
+      {
+        type: 'note',
+        sourceId: expect.any(String),
+        folder: null,
+        isFavorite: false,
+        importMeta: expect.objectContaining({
+          source: 'pearpass',
+          fileType: 'json',
+          originalType: 'note'
+        }),
+        data: { title: 'Note', note: '', customFields: [] }
+      }
+    ])
+    expect(report).toMatchObject({
+      total: 3,
+      imported: 1,
+      skipped: [
+        {
+          record: 1,
+          code: 'UNSUPPORTED_ITEM_TYPE',
+          reason: 'Unsupported record type "document"'
+        },
+        { record: 2, code: 'EMPTY_RECORD', reason: 'Record has no content' }
+      ],
+      unmappedFields: [{ record: 0, field: 'data.secret' }]
+    })
+  })
+
+  it('gives records the same source id on every import', async () => {
+    const data = JSON.stringify({
+      items: [
+        { id: 'bw-1', type: 2, name: 'Note', notes: 'a' },
+        { type: 2, name: 'Other note', notes: 'b' }
+      ]
+    })
+    const importBitwarden = () =>
+      parseImportData({ source: 'bitwarden', fileType: 'json', data })
+
+    const first = await importBitwarden()
+    const second = await importBitwarden()
+
+    expect(first.records[0].sourceId).toBe('bw-1')
+    expect(first.records[1].sourceId).toMatch(/^[0-9a-f]{32}$/)
+    expect(second.records.map(({ sourceId }) => sourceId)).toEqual(
+      first.records.map(({ sourceId }) => sourceId)
+    )
+  })
+
+  it('gives items with the same title and folder different ids', async () => {
+    const data = [
+      'name,type,folder,note',
+      'Wifi codes,note,Home,Guest network',
+      'Wifi codes,note,Home,Office network'
+    ].join('\n')
+    const importNordPass = () =>
+      parseImportData({ source: 'nordpass', fileType: 'csv', data })
+
+    const { records } = await importNordPass()
+    const ids = records.map(({ sourceId }) => sourceId)
+
+    expect(new Set(ids).size).toBe(2)
+    expect(
+      (await importNordPass()).records.map(({ sourceId }) => sourceId)
+    ).toEqual(ids)
+    expect(findDuplicates(records)).toEqual([])
+  })
+
+  it('passes the password to the KeePass parser', async () => {
+    const data = new ArrayBuffer(8)
+    keePassImporter.parse.mockResolvedValue([])
+
+    await parseImportData({
+      source: 'keepass',
+      fileType: 'kdbx',
+      data,
+      password: 'secret'
+    })
+
+    expect(keePassImporter.parse).toHaveBeenCalledWith({
+      data,
+      fileType: 'kdbx',
+      password: 'secret',
+      options: {},
+      context: expect.any(Object)
+    })
+  })
+
+  it('rejects unknown sources', async () => {
+    await expect(
+      parseImportData({ source: 'dashlane', fileType: 'csv', data: '' })
+    ).rejects.toMatchObject({
+      message: 'Unsupported import source: dashlane',
+      code: 'UNSUPPORTED_SOURCE',
+      source: 'dashlane'
+    })
+  })
+
+  it('rejects file types the source does not support', async () => {
+    await expect(
+      parseImportData({ source: 'lastpass', fileType: 'json', data: '{}' })
+    ).rejects.toMatchObject({
+      message: 'Unsupported file type, please use CSV',
+      code: 'UNSUPPORTED_FILE_TYPE',
+      fileType: 'json',
+      supportedFileTypes: ['csv']
+    })
+  })
+
+  it('rejects parser errors', async () => {
+    await expect(
+      parseImportData({ source: 'bitwarden', fileType: 'json', data: '{' })
+    ).rejects.toThrow(MalformedFileError)
+  })
+
+  it('wraps unexpected parser errors in an ImportError', async () => {
+    const cause = new TypeError('boom')
+    keePassImporter.parse.mockRejectedValue(cause)
+
+    const error = await parseImportData({
+      source: 'keepass',
+      fileType: 'xml',
+      data: ''
+    }).catch((e) => e)
+
+    expect(error).toBeInstanceOf(ImportError)
+    expect(error).toMatchObject({ code: 'IMPORT_FAILED', message: 'boom' })
+    expect(error.cause).toBe(cause)
+  })
+
+  it('reports progress while parsing', async () => {
+    const onProgress = jest.fn()
+
+    await parseImportData({
+      source: 'bitwarden',
+      fileType: 'json',
+      data: JSON.stringify({
+        items: [{ type: 2, name: 'A', notes: 'a' }]
+      }),
+      onProgress
+    })
+
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      { phase: 'parsing file', processed: 0, total: null },
+      { phase: 'mapping records', processed: 0, total: 1 },
+      { phase: 'mapping records', processed: 1, total: 1 }
+    ])
+  })
+
+  it('rejects with an ImportAbortedError when aborted', async () => {
+    const controller = new AbortController()
+
+    const error = await parseImportData({
+      source: 'lastpass',
+      fileType: 'csv',
+      data: 'url,username,password,extra,name,grouping,fav\na.com,u,p,,A,,0',
+      signal: controller.signal,
+      onProgress: ({ phase }) => {
+        if (phase === 'mapping records') controller.abort()
+      }
+    }).catch((e) => e)
+
+    expect(error).toBeInstanceOf(ImportAbortedError)
+    expect(error.code).toBe('IMPORT_ABORTED')
+  })
+
+  it('does not start an import with an aborted signal', async () => {
+    await expect(
+      parseImportData({
+        source: 'keepass',
+        fileType: 'xml',
+        data: '',
+        signal: AbortSignal.abort()
+      })
+    ).rejects.toThrow(ImportAbortedError)
+    expect(keePassImporter.parse).not.toHaveBeenCalled()
+  })
+})
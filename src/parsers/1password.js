@@ -1,5 +1,38 @@
-import { addHttps } from '../utils/addHttps'
-import { getRowsFromCsv } from '../utils/getRowsFromCsv'
+import { MalformedFileError, UnsupportedFileTypeError } from '../errors'
+import { collectAttachments } from '../utils/createAttachment'
+import { createCustomField } from '../utils/createCustomField'
+import {
+  createImportContext,
+  IMPORT_PHASES
+} from '../utils/createImportContext'
+import { createImportMeta } from '../utils/createImportMeta'
+import { getUnmappedFields } from '../utils/getUnmappedFields'
+import { normalizeWebsites } from '../utils/normalizeUrl'
+import { mapCard } from '../utils/parseCard'
+import { mapOtp } from '../utils/parseOtp'
+import { mapSshKey } from '../utils/parseSshKey'
+import { parseCsvRecords } from '../utils/parseCsvRecords'
+import { parseJson } from '../utils/parseJson'
+import { readAllBytes } from '../utils/readAllBytes'
+import { readZip } from '../utils/readZip'
+import { scoreCsvHeaders } from '../utils/scoreCsvHeaders'
+import { streamCsvRecords } from '../utils/streamCsvRecords'
+import { toTimestamp } from '../utils/toTimestamp'
+
+const CSV_SIGNATURE = {
+  required: ['Title', 'Url', 'Favorite'],
+  optional: ['Username', 'Password', 'OTPAuth', 'Archived', 'Tags', 'Notes']
+}
+
+const MAPPED_COLUMNS = [
+  'Title',
+  'Url',
+  'Username',
+  'Password',
+  'OTPAuth',
+  'Notes',
+  'Favorite'
+]
 
 /**
  * @param {string[]} row
@@ -10,8 +43,53 @@ import { getRowsFromCsv } from '../utils/getRowsFromCsv'
 const get = (row, name, headers) =>
   row[headers.indexOf(name)]?.replace(/^"|"$/g, '').trim() || ''
 
+/**
+ * @param {string[]} headerRow
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {(
+ *   row: string[],
+ *   location: import('../utils/createImportReport').ImportLocation
+ * ) => Object}
+ */
+const create1PasswordRowParser = (headerRow, context) => (row, location) => {
+  const url = get(row, 'Url', headerRow)
+  const { otp, customFields } = mapOtp(
+    get(row, 'OTPAuth', headerRow),
+    location,
+    context
+  )
+
+  context.report.unmapped(
+    location,
+    getUnmappedFields(
+      Object.fromEntries(headerRow.map((header, i) => [header, row[i]])),
+      MAPPED_COLUMNS
+    )
+  )
+
+  return {
+    type: 'login',
+    folder: null,
+    isFavorite: get(row, 'Favorite', headerRow) === 'true',
+    importMeta: createImportMeta(
+      { source: '1password', fileType: 'csv' },
+      context
+    ),
+    data: {
+      title: get(row, 'Title', headerRow),
+      username: get(row, 'Username', headerRow),
+      password: get(row, 'Password', headerRow),
+      otp,
+      note: get(row, 'Notes', headerRow),
+      websites: normalizeWebsites([url], location, context),
+      customFields
+    }
+  }
+}
+
 /**
  * @param {string} csvText
+ * @param {import('../utils/createImportContext').ImportContext} [context]
  * @returns {Array<{
  *   type: 'login',
  *   folder: null,
@@ -20,45 +98,442 @@ const get = (row, name, headers) =>
  *     title: string,
  *     username: string,
  *     password: string,
+ *     otp?: import('../utils/parseOtp').OtpField,
  *     note: string,
  *     websites: Array<string>,
- *     customFields: Array<never>
+ *     customFields: Array<{type: 'note', note: string}>
  *   }
  * }>}
  */
-export const parse1PasswordCSV = (csvText) => {
-  const rows = getRowsFromCsv(csvText)
-  const [headerRow, ...dataRows] = rows
-
-  return dataRows.map((row) => {
-    const url = get(row, 'Url', headerRow)
-
-    return {
-      type: 'login',
-      folder: null,
-      isFavorite: get(row, 'Favorite', headerRow) === 'true',
-      data: {
-        title: get(row, 'Title', headerRow),
-        username: get(row, 'Username', headerRow),
-        password: get(row, 'Password', headerRow),
-        note: get(row, 'Notes', headerRow),
-        websites: url ? [addHttps(url)] : [],
-        customFields: []
+export const parse1PasswordCSV = (csvText, context = createImportContext()) =>
+  parseCsvRecords(
+    csvText,
+    (headerRow) => create1PasswordRowParser(headerRow, context),
+    context
+  )
+
+/**
+ * Streaming variant of `parse1PasswordCSV`.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<Object>}
+ */
+export const stream1PasswordCSV = (input, context = createImportContext()) =>
+  streamCsvRecords(
+    input,
+    (headerRow) => create1PasswordRowParser(headerRow, context),
+    context
+  )
+
+/** Record types of `.1pux` item categories, others are imported as custom. */
+const CATEGORY_TYPES = {
+  '001': 'login',
+  '002': 'creditCard',
+  '003': 'note',
+  '004': 'identity',
+  '005': 'login',
+  109: 'wifiPassword',
+  114: 'sshKey'
+}
+
+/**
+ * Categories without a PearPass counterpart that are intentionally imported
+ * as custom: documents, software licenses, bank accounts, ..., crypto wallets.
+ */
+const CUSTOM_CATEGORIES = new Set([
+  '006',
+  ...Array.from({ length: 16 }, (_, i) => String(100 + i))
+])
+
+/** `details` keys read from `.1pux` items. */
+const MAPPED_DETAIL_KEYS = [
+  'loginFields',
+  'notesPlain',
+  'password',
+  'passwordHistory',
+  'sections',
+  'documentAttributes'
+]
+
+/** Section fields stored in the record data, by record type and field id. */
+const SECTION_FIELD_KEYS = {
+  creditCard: {
+    cardholder: 'name',
+    ccnum: 'number',
+    cvv: 'securityCode',
+    expiry: 'expireDate',
+    pin: 'pinCode'
+  },
+  identity: {
+    email: 'email',
+    defphone: 'phoneNumber',
+    cellphone: 'phoneNumber'
+  },
+  wifiPassword: { wireless_password: 'password' }
+}
+
+/** Identity name fields joined into `fullName`. */
+const NAME_FIELD_IDS = ['firstname', 'initial', 'lastname']
+
+/** Custom field types of section field kinds. */
+const FIELD_KIND_TYPES = {
+  string: 'text',
+  phone: 'text',
+  menu: 'text',
+  gender: 'text',
+  creditCardType: 'text',
+  concealed: 'hidden',
+  creditCardNumber: 'hidden',
+  email: 'email',
+  url: 'url',
+  date: 'date'
+}
+
+/** Custom field types of login field `fieldType`s. */
+const LOGIN_FIELD_TYPES = { P: 'hidden', E: 'email', U: 'url' }
+
+/**
+ * @param {number} monthYear - e.g. `202512`.
+ * @returns {{month: string, year: string}}
+ */
+const splitMonthYear = (monthYear) => {
+  const digits = String(monthYear)
+  return { month: digits.slice(4, 6), year: digits.slice(0, 4) }
+}
+
+/**
+ * Converts a section field value, which holds a single key naming its kind,
+ * e.g. `{ concealed: 'secret' }`, to a custom field.
+ * @param {string} label
+ * @param {string} kind
+ * @param {*} content
+ * @returns {import('../utils/createCustomField').CustomField | null} `null`
+ *   for kinds that cannot be carried over.
+ */
+const createSectionField = (label, kind, content) => {
+  if (kind === 'email') {
+    return createCustomField(label, content?.email_address ?? content, {
+      type: 'email'
+    })
+  }
+
+  if (kind === 'date') {
+    return createCustomField(label, toTimestamp(content, { seconds: true }), {
+      type: 'date'
+    })
+  }
+
+  if (kind === 'monthYear') {
+    const { month, year } = splitMonthYear(content)
+    return createCustomField(label, `${month}/${year}`)
+  }
+
+  if (kind === 'address') {
+    const { street, city, state, zip, country } = content || {}
+    return createCustomField(
+      label,
+      [street, city, state, zip, country].filter(Boolean).join(', ')
+    )
+  }
+
+  if (kind === 'sshKey') {
+    return createCustomField(label, content?.privateKey, { type: 'hidden' })
+  }
+
+  if (FIELD_KIND_TYPES[kind] && typeof content !== 'object') {
+    return createCustomField(label, content, { type: FIELD_KIND_TYPES[kind] })
+  }
+
+  return null
+}
+
+/**
+ * @param {string} kind
+ * @param {*} content
+ * @returns {string}
+ */
+const getSectionFieldText = (kind, content) => {
+  if (kind === 'monthYear') {
+    const { month, year } = splitMonthYear(content)
+    return `${month} ${year.slice(-2)}`
+  }
+
+  const value = kind === 'email' ? (content?.email_address ?? content) : content
+  return typeof value === 'string' || typeof value === 'number'
+    ? String(value)
+    : ''
+}
+
+/**
+ * @param {{fileName: string, documentId: string}} attributes
+ * @param {ReturnType<typeof readZip>} zip
+ * @returns {Parameters<typeof collectAttachments>[0][number]}
+ */
+const getAttachmentFile = ({ fileName, documentId }, zip) => {
+  const path = `files/${documentId}__${fileName}`
+  const entry = zip.getEntry(path)
+
+  return entry
+    ? { name: fileName, size: entry.size, load: async () => zip.read(path) }
+    : { name: fileName, error: 'File is missing from the archive' }
+}
+
+/**
+ * @param {object} item - Item of a `.1pux` vault.
+ * @param {string} folder - Name of the vault.
+ * @param {ReturnType<typeof readZip>} zip
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {Object}
+ */
+const map1PuxItem = (item, folder, zip, context) => {
+  const { details = {}, overview = {}, categoryUuid } = item
+  const location = { itemId: item.uuid }
+  const type = CATEGORY_TYPES[categoryUuid] || 'custom'
+  const fieldKeys = SECTION_FIELD_KEYS[type] || {}
+
+  const data = { title: overview.title || '', note: details.notesPlain || '' }
+  const customFields = []
+  const names = {}
+  const files = details.documentAttributes
+    ? [getAttachmentFile(details.documentAttributes, zip)]
+    : []
+  const unmapped = getUnmappedFields(details, MAPPED_DETAIL_KEYS, 'details.')
+
+  for (const field of details.loginFields || []) {
+    const { designation, value } = field
+
+    if (type === 'login' && ['username', 'password'].includes(designation)) {
+      data[designation] ??= value || ''
+    } else if (value) {
+      customFields.push(
+        createCustomField(field.name || designation, value, {
+          type: LOGIN_FIELD_TYPES[field.fieldType]
+        })
+      )
+    }
+  }
+
+  for (const section of details.sections || []) {
+    for (const field of section.fields || []) {
+      const [kind, content] = Object.entries(field.value || {})[0] || []
+      const label = field.title || field.id || ''
+
+      if (content === undefined || content === null || content === '') {
+        continue
+      }
+
+      if (kind === 'file') {
+        files.push(getAttachmentFile(content, zip))
+      } else if (kind === 'sshKey' && type === 'sshKey' && !data.privateKey) {
+        Object.assign(
+          data,
+          mapSshKey(
+            {
+              privateKey: content.privateKey,
+              publicKey: content.metadata?.publicKey,
+              fingerprint: content.metadata?.fingerprint
+            },
+            location,
+            context
+          )
+        )
+      } else if (kind === 'totp' && type === 'login' && !data.otp) {
+        const otpData = mapOtp(content, location, context)
+        data.otp = otpData.otp
+        customFields.push(...otpData.customFields)
+      } else if (type === 'identity' && NAME_FIELD_IDS.includes(field.id)) {
+        names[field.id] = content
+      } else if (type === 'identity' && kind === 'address' && !data.address) {
+        data.address = content.street || ''
+        data.city = content.city || ''
+        data.region = content.state || ''
+        data.zip = content.zip || ''
+        data.country = content.country || ''
+      } else if (fieldKeys[field.id] && !data[fieldKeys[field.id]]) {
+        data[fieldKeys[field.id]] = getSectionFieldText(kind, content)
+      } else {
+        const customField = createSectionField(label, kind, content)
+        if (customField) {
+          customFields.push(customField)
+        } else {
+          unmapped.push(`details.sections.${section.name}.${field.id}`)
+        }
       }
     }
-  })
+  }
+
+  if (type === 'login') {
+    data.username ??= ''
+    data.password = data.password || details.password || ''
+    data.passwordHistory = (details.passwordHistory || []).map(
+      ({ value, time }) => ({
+        password: value,
+        changedAt: toTimestamp(time, { seconds: true })
+      })
+    )
+    data.websites = normalizeWebsites(
+      overview.urls?.length
+        ? overview.urls.map(({ url }) => url)
+        : [overview.url],
+      location,
+      context
+    )
+  } else if (type === 'creditCard') {
+    Object.assign(
+      data,
+      mapCard(
+        {
+          name: data.name,
+          number: data.number,
+          expiry: data.expireDate,
+          securityCode: data.securityCode,
+          pinCode: data.pinCode
+        },
+        location,
+        context
+      )
+    )
+  } else if (type === 'identity') {
+    data.fullName = NAME_FIELD_IDS.map((id) => names[id])
+      .filter(Boolean)
+      .join(' ')
+  }
+
+  if (type !== 'login' && details.password) {
+    customFields.push(
+      createCustomField('Password', details.password, { type: 'hidden' })
+    )
+  }
+
+  if (type === 'custom' && !CUSTOM_CATEGORIES.has(categoryUuid)) {
+    context.report.warn(
+      location,
+      'UNSUPPORTED_ITEM_TYPE',
+      `Unsupported item category "${categoryUuid}", imported as custom`
+    )
+  }
+
+  context.report.unmapped(location, unmapped)
+  const attachments = collectAttachments(files, location, context)
+
+  return {
+    type,
+    sourceId: item.uuid,
+    data: { ...data, customFields },
+    folder: folder || null,
+    isFavorite: Boolean(item.favIndex),
+    createdAt: toTimestamp(item.createdAt, { seconds: true }),
+    updatedAt: toTimestamp(item.updatedAt, { seconds: true }),
+    ...(attachments.length && { attachments }),
+    importMeta: createImportMeta(
+      {
+        source: '1password',
+        fileType: '1pux',
+        originalType: categoryUuid,
+        folderPath: folder
+      },
+      context
+    )
+  }
+}
+
+/**
+ * Parses a 1Password `.1pux` export: a ZIP archive with the items of all
+ * accounts and vaults in `export.data` and their files below `files/`.
+ * Files are read from the archive when an attachment is loaded.
+ * @param {ArrayBuffer | Uint8Array} data
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<Object>}
+ * @throws {import('../errors').ImportError}
+ */
+export const parse1Pux = (data, context = createImportContext()) => {
+  context.startPhase(IMPORT_PHASES.PARSING_FILE)
+  const zip = readZip(data)
+
+  if (!zip.has('export.data')) {
+    throw new MalformedFileError('1Password export has no export.data', {
+      fileType: '1pux'
+    })
+  }
+
+  const json = parseJson(zip.readText('export.data'))
+  if (!Array.isArray(json?.accounts)) {
+    throw new MalformedFileError('1Password export has no list of accounts', {
+      fileType: '1pux'
+    })
+  }
+
+  const vaults = json.accounts.flatMap((account) => account.vaults || [])
+  context.startPhase(
+    IMPORT_PHASES.MAPPING_RECORDS,
+    vaults.reduce((sum, vault) => sum + (vault.items?.length || 0), 0)
+  )
+
+  return vaults.flatMap((vault) =>
+    (vault.items || []).map((item) => {
+      context.tick()
+      return map1PuxItem(item, vault.attrs?.name, zip, context)
+    })
+  )
 }
 
 /**
- * @param {string} data
+ * Streaming variant of `parse1Pux`. The archive is read completely before
+ * the first record.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* stream1Pux(input, context = createImportContext()) {
+  yield* parse1Pux(await readAllBytes(input), context)
+}
+
+/**
+ * @param {import('../detectImportFormat').ImportProbe} probe
+ * @returns {Array<{fileType: string, confidence: number}>}
+ */
+export const detect1PasswordData = ({ csvHeaders, zipEntries }) => [
+  { fileType: 'csv', confidence: scoreCsvHeaders(csvHeaders, CSV_SIGNATURE) },
+  {
+    fileType: '1pux',
+    confidence: zipEntries?.includes('export.data')
+      ? zipEntries.includes('export.attributes')
+        ? 0.95
+        : 0.8
+      : 0
+  }
+]
+
+/**
+ * @param {string | ArrayBuffer} data - ArrayBuffer for `.1pux` exports.
  * @param {string} fileType
- * @throws {Error}
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @throws {import('../errors').ImportError}
  * @returns {Object}
  */
-export const parse1PasswordData = (data, fileType) => {
+export const parse1PasswordData = (data, fileType, context) => {
   if (fileType === 'csv') {
-    return parse1PasswordCSV(data)
+    return parse1PasswordCSV(data, context)
+  }
+
+  if (fileType === '1pux') {
+    return parse1Pux(data, context)
   }
 
-  throw new Error('Unsupported file type, please use CSV')
+  throw new UnsupportedFileTypeError(fileType, ['csv', '1pux'])
+}
+
+/** @type {import('../registry').ImporterDefinition} */
+export const onePasswordImporter = {
+  id: '1password',
+  label: '1Password',
+  fileTypes: ['csv', '1pux'],
+  detect: detect1PasswordData,
+  parse: ({ data, fileType, context }) =>
+    parse1PasswordData(data, fileType, context),
+  streamFileTypes: ['csv', '1pux'],
+  parseStream: ({ data, fileType, context }) =>
+    fileType === 'csv'
+      ? stream1PasswordCSV(data, context)
+      : stream1Pux(data, context)
 }
@@ -1,5 +1,304 @@
-import { addHttps } from '../utils/addHttps'
-import { getRowsFromCsv } from '../utils/getRowsFromCsv'
+import {
+  MalformedFileError,
+  UnsupportedFileTypeError,
+  UnsupportedVersionError
+} from '../errors'
+import { collectAttachments } from '../utils/createAttachment'
+import {
+  createImportContext,
+  IMPORT_PHASES
+} from '../utils/createImportContext'
+import { createCustomField } from '../utils/createCustomField'
+import { createImportMeta } from '../utils/createImportMeta'
+import { getUnmappedFields } from '../utils/getUnmappedFields'
+import { normalizeWebsiteMatchRules } from '../utils/normalizeMatchRules'
+import { normalizeWebsites } from '../utils/normalizeUrl'
+import { mapCard } from '../utils/parseCard'
+import { mapOtp } from '../utils/parseOtp'
+import { mapPasskeys } from '../utils/parsePasskey'
+import { mapSshKey } from '../utils/parseSshKey'
+import { parseCsvRecords } from '../utils/parseCsvRecords'
+import { parseJson } from '../utils/parseJson'
+import { readAllBytes } from '../utils/readAllBytes'
+import { readZip } from '../utils/readZip'
+import { scoreCsvHeaders } from '../utils/scoreCsvHeaders'
+import { streamCsvRecords } from '../utils/streamCsvRecords'
+import { toTimestamp } from '../utils/toTimestamp'
+
+const CSV_SIGNATURE = {
+  required: ['type', 'name', 'login_uri'],
+  optional: [
+    'folder',
+    'favorite',
+    'notes',
+    'fields',
+    'reprompt',
+    'login_username',
+    'login_password',
+    'login_totp'
+  ]
+}
+
+/** Bookkeeping keys and settings that carry no user data worth reporting. */
+const IGNORED_ITEM_KEYS = [
+  'organizationId',
+  'collectionIds',
+  'folderId',
+  'secureNote',
+  'reprompt'
+]
+
+const BASE_ITEM_KEYS = [
+  'id',
+  'attachments',
+  'creationDate',
+  'revisionDate',
+  'type',
+  'name',
+  'favorite',
+  'fields',
+  ...IGNORED_ITEM_KEYS
+]
+
+const SUPPORTED_ITEM_TYPES = new Set([1, 2, 3, 4, 5])
+
+/**
+ * Nested object read per Bitwarden item type and its mapped keys. SSH keys
+ * are carried over completely.
+ */
+const NESTED_ITEM_KEYS = {
+  1: {
+    key: 'login',
+    mappedKeys: [
+      'username',
+      'password',
+      'passwordRevisionDate',
+      'uris',
+      'totp',
+      'fido2Credentials'
+    ]
+  },
+  3: {
+    key: 'card',
+    mappedKeys: [
+      'cardholderName',
+      'number',
+      'expMonth',
+      'expYear',
+      'code',
+      'brand'
+    ]
+  },
+  4: {
+    key: 'identity',
+    mappedKeys: [
+      'title',
+      'firstName',
+      'middleName',
+      'lastName',
+      'username',
+      'email',
+      'phone',
+      'address1',
+      'address2',
+      'address3',
+      'postalCode',
+      'city',
+      'state',
+      'country',
+      'passportNumber',
+      'licenseNumber',
+      'ssn'
+    ]
+  },
+  5: {
+    key: 'sshKey',
+    mappedKeys: ['privateKey', 'publicKey', 'keyFingerprint']
+  }
+}
+
+/** Custom field types by Bitwarden `fields[].type`; 3 is a linked field. */
+const FIELD_TYPES = ['text', 'hidden', 'boolean']
+
+/** Identity values linked fields point to, by `linkedId - 400`. */
+const IDENTITY_LINKED_KEYS = [
+  'title',
+  'middleName',
+  'address1',
+  'address2',
+  'address3',
+  'city',
+  'state',
+  'postalCode',
+  'country',
+  'company',
+  'email',
+  'phone',
+  'ssn',
+  'username',
+  'passportNumber',
+  'licenseNumber',
+  'firstName',
+  'lastName'
+]
+
+/**
+ * Item values linked fields point to, by `linkedId`: the nested object, its
+ * key and whether the value is secret.
+ * @type {Object<number, [string, string, boolean?]>}
+ */
+const LINKED_FIELDS = {
+  100: ['login', 'username'],
+  101: ['login', 'password', true],
+  300: ['card', 'cardholderName'],
+  301: ['card', 'expMonth'],
+  302: ['card', 'expYear'],
+  303: ['card', 'code', true],
+  304: ['card', 'brand'],
+  305: ['card', 'number', true],
+  ...Object.fromEntries(
+    IDENTITY_LINKED_KEYS.map((key, i) => [
+      400 + i,
+      ['identity', key, key === 'ssn']
+    ])
+  )
+}
+
+/** Card brands of `card.brand`, RuPay and `Other` have no counterpart. */
+const CARD_BRANDS = {
+  Visa: 'visa',
+  Mastercard: 'mastercard',
+  Amex: 'amex',
+  Discover: 'discover',
+  'Diners Club': 'dinersClub',
+  JCB: 'jcb',
+  UnionPay: 'unionPay',
+  Maestro: 'maestro'
+}
+
+const MAPPED_CSV_COLUMNS = {
+  login: [
+    'notes',
+    'login_uri',
+    'login_username',
+    'login_password',
+    'login_totp'
+  ],
+  note: ['notes']
+}
+
+const BASE_CSV_COLUMNS = [
+  'folder',
+  'favorite',
+  'type',
+  'name',
+  'fields',
+  'reprompt'
+]
+
+/**
+ * @param {object} item
+ * @returns {string[]}
+ */
+const getUnmappedItemFields = (item) => {
+  if (!SUPPORTED_ITEM_TYPES.has(item.type)) {
+    return getUnmappedFields(item, BASE_ITEM_KEYS)
+  }
+
+  const nested = NESTED_ITEM_KEYS[item.type]
+  const unmapped = getUnmappedFields(item, [
+    ...BASE_ITEM_KEYS,
+    'notes',
+    nested?.key,
+    // Only logins keep a history, hidden fields lose theirs
+    ...(item.type === 1 ? ['passwordHistory'] : [])
+  ])
+
+  if (!nested?.mappedKeys) {
+    return unmapped
+  }
+
+  return [
+    ...unmapped,
+    ...getUnmappedFields(item[nested.key], nested.mappedKeys, `${nested.key}.`)
+  ]
+}
+
+/**
+ * @param {Array<{password: string, lastUsedDate?: string}> | null} [passwordHistory]
+ * @returns {Array<{password: string, changedAt?: number}>} Newest first, as
+ *   Bitwarden lists them.
+ */
+const getPasswordHistory = (passwordHistory) =>
+  (passwordHistory || []).map(({ password, lastUsedDate }) => ({
+    password,
+    changedAt: toTimestamp(lastUsedDate)
+  }))
+
+/**
+ * Typed custom fields of an item. Linked fields get the value they point to,
+ * masked when it is secret.
+ * @param {object} item
+ * @returns {import('../utils/createCustomField').CustomField[]}
+ */
+const getCustomFields = (item) =>
+  (item.fields || []).map(({ name, value, type, linkedId }) => {
+    if (type !== 3) {
+      return createCustomField(name, value, { type: FIELD_TYPES[type] })
+    }
+
+    const [key, field, isSecret = false] = LINKED_FIELDS[linkedId] || []
+    return createCustomField(name, key && item[key]?.[field], {
+      hidden: isSecret
+    })
+  })
+
+/**
+ * Files of an item. Only ZIP exports contain them, below
+ * `attachments/<item id>/`.
+ * @param {object} item
+ * @param {ReturnType<typeof readZip>} [zip]
+ * @returns {Parameters<typeof collectAttachments>[0]}
+ */
+const getAttachmentFiles = (item, zip) =>
+  (item.attachments || []).map(({ fileName }) => {
+    if (!zip) {
+      return {
+        name: fileName,
+        error: 'Attachments are only included in ZIP exports'
+      }
+    }
+
+    const path = `attachments/${item.id}/${fileName}`
+    const entry = zip.getEntry(path)
+    return entry
+      ? { name: fileName, size: entry.size, load: async () => zip.read(path) }
+      : { name: fileName, error: 'File is missing from the archive' }
+  })
+
+/**
+ * Password protected exports only carry the encrypted vault and its KDF.
+ * @param {object} json
+ * @returns {boolean}
+ */
+const isEncryptedExport = (json) =>
+  json.encrypted === true && 'encKeyValidation_DO_NOT_EDIT' in json
+
+/**
+ * @param {*} json
+ * @returns {number}
+ */
+const scoreJson = (json) => {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) return 0
+
+  if (isEncryptedExport(json)) return 0.95
+
+  if (!Array.isArray(json.items)) return 0
+
+  return Array.isArray(json.folders) || typeof json.items[0]?.type === 'number'
+    ? 0.95
+    : 0.7
+}
 
 /**
  * @param {{firstName?: string, middleName?: string, lastName?: string}} identity
@@ -10,6 +309,70 @@ const getFullName = (identity) =>
     .filter(Boolean)
     .join(' ')
 
+/**
+ * Bitwarden stores credential ids as GUIDs, or base64url with a `b64.`
+ * prefix when the authenticator did not create them.
+ * @param {string} credentialId
+ * @returns {string | Uint8Array}
+ */
+const getCredentialIdBytes = (credentialId) => {
+  if (typeof credentialId !== 'string') return credentialId
+  if (credentialId.startsWith('b64.')) return credentialId.slice(4)
+
+  const hex = credentialId.replace(/-/g, '')
+  return /^[0-9a-f]{32}$/i.test(hex)
+    ? Uint8Array.from(hex.match(/../g), (byte) => parseInt(byte, 16))
+    : credentialId
+}
+
+/** `login.uris[].match` values, `null` is the default of the account. */
+const MATCH_RULES = {
+  0: 'domain',
+  1: 'host',
+  2: 'startsWith',
+  3: 'exact',
+  4: 'regex',
+  5: 'never'
+}
+
+/**
+ * @param {Array<{uri: string, match?: number | null}>} [uris] - `login.uris`
+ *   of an item.
+ * @param {import('../utils/createImportReport').ImportLocation} location
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {ReturnType<typeof normalizeWebsiteMatchRules>}
+ */
+const getWebsites = (uris, location, context) =>
+  normalizeWebsiteMatchRules(
+    (uris || []).map(({ uri, match }) => ({
+      url: uri,
+      match: match == null ? null : (MATCH_RULES[match] ?? String(match))
+    })),
+    location,
+    context
+  )
+
+/**
+ * @param {Array<object>} [credentials] - `login.fido2Credentials` of an item.
+ * @param {import('../utils/createImportReport').ImportLocation} location
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {import('../utils/parsePasskey').Passkey[]}
+ */
+const getPasskeys = (credentials, location, context) =>
+  mapPasskeys(
+    (credentials || []).map((credential) => ({
+      credentialId: getCredentialIdBytes(credential.credentialId),
+      rpId: credential.rpId,
+      userHandle: credential.userHandle,
+      userName: credential.userName,
+      privateKey: credential.keyValue,
+      counter: credential.counter,
+      createdAt: credential.creationDate
+    })),
+    location,
+    context
+  )
+
 /**
  * @param {object} json
  * @param {Array<object>} [json.folders]
@@ -21,17 +384,25 @@ const getFullName = (identity) =>
  * @param {string} [json.items[].notes]
  * @param {boolean} [json.items[].favorite]
  * @param {string} [json.items[].folderId]
+ * @param {Array<{name: string, value: string|null, type: number, linkedId?: number}>} [json.items[].fields]
+ * @param {string} [json.items[].creationDate]
+ * @param {string} [json.items[].revisionDate]
+ * @param {Array<object>} [json.items[].passwordHistory]
  * @param {object} [json.items[].login]
  * @param {string} [json.items[].login.username]
  * @param {string} [json.items[].login.password]
+ * @param {string} [json.items[].login.passwordRevisionDate]
  * @param {Array<object>} [json.items[].login.uris]
  * @param {string} json.items[].login.uris[].uri
+ * @param {number | null} [json.items[].login.uris[].match]
+ * @param {Array<object>} [json.items[].login.fido2Credentials]
  * @param {object} [json.items[].card]
  * @param {string} [json.items[].card.cardholderName]
  * @param {string} [json.items[].card.number]
  * @param {string} [json.items[].card.expMonth]
  * @param {string} [json.items[].card.expYear]
  * @param {string} [json.items[].card.code]
+ * @param {string} [json.items[].card.brand]
  * @param {object} [json.items[].identity]
  * @param {string} [json.items[].identity.email]
  * @param {string} [json.items[].identity.phone]
@@ -45,21 +416,56 @@ const getFullName = (identity) =>
  * @param {string} [json.items[].identity.passportNumber]
  * @param {string} [json.items[].identity.licenseNumber]
  * @param {string} [json.items[].identity.ssn]
+ * @param {{privateKey: string, publicKey: string, keyFingerprint: string}} [json.items[].sshKey]
+ * @param {Array<{fileName: string}>} [json.items[].attachments]
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @param {Object} [options]
+ * @param {'json' | 'zip'} [options.fileType] - File the JSON was read from.
+ * @param {ReturnType<typeof readZip>} [options.zip] - Archive holding the
+ *   attachments.
  * @returns {Array<{type: string, data: object, folder: string|null, isFavorite: boolean}>}
+ * @throws {MalformedFileError | UnsupportedVersionError} For JSON that is not
+ *   a Bitwarden export and for password protected exports.
  */
-export const parseBitwardenJson = (json) => {
+export const parseBitwardenJson = (
+  json,
+  context = createImportContext(),
+  { fileType = 'json', zip } = {}
+) => {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new MalformedFileError('Bitwarden export is not a JSON object', {
+      fileType
+    })
+  }
+
+  if (isEncryptedExport(json)) {
+    throw new UnsupportedVersionError(
+      'Encrypted Bitwarden exports are not supported, export without a password',
+      { fileType }
+    )
+  }
+
+  if (!Array.isArray(json.items) || !Array.isArray(json.folders ?? [])) {
+    throw new MalformedFileError('Bitwarden export has no list of items', {
+      fileType
+    })
+  }
+
   const folders = Object.fromEntries(
-    (json.folders || []).map((f) => [f.id, f.name])
+    json.folders?.map((f) => [f.id, f.name]) || []
   )
 
-  return (json.items || []).map((item) => {
+  const { items } = json
+  context.startPhase(IMPORT_PHASES.MAPPING_RECORDS, items.length)
+
+  return items.map((item, index) => {
+    context.tick()
     const {
       type,
       name,
       notes,
       favorite,
       folderId,
-      fields,
       login,
       card,
       identity,
@@ -70,28 +476,41 @@ export const parseBitwardenJson = (json) => {
     let entryType = 'custom'
     let data = {}
 
-    const customFields = (fields || []).map((field) => ({
-      type: 'note',
-      note: `${field.name}: ${field.value}`
-    }))
+    const customFields = getCustomFields(item)
 
     switch (type) {
-      case 1:
+      case 1: {
+        const { otp, customFields: otpFields } = mapOtp(
+          login?.totp,
+          { index, itemId: item.id },
+          context
+        )
+        const passkeys = getPasskeys(
+          login?.fido2Credentials,
+          { index, itemId: item.id },
+          context
+        )
+        const { websites, websiteMatchRules } = getWebsites(
+          login?.uris,
+          { index, itemId: item.id },
+          context
+        )
         entryType = 'login'
         data = {
           title: name,
           username: login?.username || '',
           password: login?.password || '',
+          passwordUpdatedAt: toTimestamp(login?.passwordRevisionDate),
+          passwordHistory: getPasswordHistory(item.passwordHistory),
+          otp,
+          ...(passkeys.length && { passkeys }),
           note: notes || '',
-          websites: (login?.uris || []).map((u) => addHttps(u.uri)),
-          customFields: [
-            ...customFields,
-            ...(login?.totp
-              ? [{ type: 'note', note: `TOTP: ${login.totp}` }]
-              : [])
-          ]
+          websites,
+          ...(websiteMatchRules.length && { websiteMatchRules }),
+          customFields: [...customFields, ...otpFields]
         }
         break
+      }
 
       case 2:
         entryType = 'note'
@@ -106,13 +525,17 @@ export const parseBitwardenJson = (json) => {
         entryType = 'creditCard'
         data = {
           title: name,
-          name: card?.cardholderName || '',
-          number: (card?.number || '').replace(/\s/g, ''),
-          expireDate: card
-            ? `${card.expMonth ? String(card.expMonth).padStart(2, '0') : '__'} ${(card.expYear || '__').slice(-2)}`
-            : '',
-          securityCode: card?.code || '',
-          pinCode: '',
+          ...mapCard(
+            {
+              name: card?.cardholderName,
+              number: card?.number,
+              expiry: { month: card?.expMonth, year: card?.expYear },
+              securityCode: card?.code,
+              brand: CARD_BRANDS[card?.brand]
+            },
+            { index, itemId: item.id },
+            context
+          ),
           note: notes || '',
           customFields
         }
@@ -137,13 +560,13 @@ export const parseBitwardenJson = (json) => {
           note: notes || '',
           customFields: [
             ...(identity?.title
-              ? [{ type: 'note', note: `Title: ${identity.title}` }]
+              ? [createCustomField('Title', identity.title)]
               : []),
             ...(identity?.username
-              ? [{ type: 'note', note: `Username: ${identity.username}` }]
+              ? [createCustomField('Username', identity.username)]
               : []),
             ...(identity?.ssn
-              ? [{ type: 'note', note: `SSN: ${identity.ssn}` }]
+              ? [createCustomField('SSN', identity.ssn, { hidden: true })]
               : []),
             ...customFields
           ]
@@ -151,19 +574,20 @@ export const parseBitwardenJson = (json) => {
         break
 
       case 5:
-        entryType = 'custom'
+        entryType = 'sshKey'
         data = {
           title: name,
-          customFields: [
-            { type: 'note', note: notes },
-            ...customFields,
-            ...(sshKey
-              ? Object.entries(sshKey).map(([key, value]) => ({
-                  type: 'note',
-                  note: `${key}: ${value}`
-                }))
-              : [])
-          ]
+          ...mapSshKey(
+            {
+              privateKey: sshKey?.privateKey,
+              publicKey: sshKey?.publicKey,
+              fingerprint: sshKey?.keyFingerprint
+            },
+            { index, itemId: item.id },
+            context
+          ),
+          note: notes || '',
+          customFields
         }
         break
 
@@ -173,110 +597,274 @@ export const parseBitwardenJson = (json) => {
           title: name,
           customFields
         }
+        context.report.warn(
+          { index, itemId: item.id },
+          'UNSUPPORTED_ITEM_TYPE',
+          `Unsupported item type ${type}, imported as custom`
+        )
     }
+
+    context.report.unmapped(
+      { index, itemId: item.id },
+      getUnmappedItemFields(item)
+    )
+    const attachments = collectAttachments(
+      getAttachmentFiles(item, zip),
+      { index, itemId: item.id },
+      context
+    )
+
     return {
       type: entryType,
+      sourceId: item.id,
       data,
       folder,
-      isFavorite: Boolean(favorite)
+      isFavorite: Boolean(favorite),
+      createdAt: toTimestamp(item.creationDate),
+      updatedAt: toTimestamp(item.revisionDate),
+      ...(attachments.length && { attachments }),
+      importMeta: createImportMeta(
+        {
+          source: 'bitwarden',
+          fileType,
+          originalType: type,
+          folderPath: folder
+        },
+        context
+      )
     }
   })
 }
 
 /**
- * @param {string} csvText
- * @returns {Array<{type: 'login'|'note'|'custom', data: object, folder: string, isFavorite: boolean}>}
+ * @param {string[]} headerRow
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {(
+ *   row: string[],
+ *   location: import('../utils/createImportReport').ImportLocation
+ * ) => Object}
  */
-export const parseBitwardenCSV = (csvText) => {
-  const rows = getRowsFromCsv(csvText)
-  const [headerRow, ...dataRows] = rows
+const createBitwardenCsvRowParser = (headerRow, context) => (row, location) => {
+  const item = Object.fromEntries(
+    headerRow.map((key, i) => [key, row[i]?.trim() ?? ''])
+  )
 
-  const headers = headerRow.map((h) => h.trim())
-  const entries = []
+  const { folder, favorite, type, name, notes, login_totp, fields } = item
 
-  for (const row of dataRows) {
-    const item = Object.fromEntries(
-      headers.map((key, i) => [key, row[i]?.trim() ?? ''])
-    )
+  const customFields = fields
+    ? fields
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map((line) => {
+          const separator = line.indexOf(': ')
+          return separator > 0
+            ? createCustomField(
+                line.slice(0, separator),
+                line.slice(separator + 2)
+              )
+            : { type: 'note', note: line }
+        })
+    : []
 
-    const { folder, favorite, type, name, notes, login_totp, fields } = item
+  let entryType = 'custom'
+  let data = {}
 
-    const customFields = fields
-      ? fields
-          .split(/\r?\n/)
-          .map((line) => line.trim())
-          .filter(Boolean)
-          .map((line) => ({ type: 'note', note: line }))
-      : []
+  switch (type) {
+    case 'login': {
+      const { otp, customFields: otpFields } = mapOtp(
+        login_totp,
+        location,
+        context
+      )
+      entryType = 'login'
+      data = {
+        title: name,
+        username: item.login_username || '',
+        password: item.login_password || '',
+        otp,
+        note: notes || '',
+        websites: normalizeWebsites(
+          (item.login_uri || '').split(','),
+          location,
+          context
+        ),
+        customFields: [...customFields, ...otpFields]
+      }
+      break
+    }
 
-    let entryType = 'custom'
-    let data = {}
+    case 'note':
+      entryType = 'note'
+      data = {
+        title: name,
+        note: notes || '',
+        customFields
+      }
+      break
 
-    switch (type) {
-      case 'login':
-        entryType = 'login'
-        data = {
-          title: name,
-          username: item.login_username || '',
-          password: item.login_password || '',
-          note: notes || '',
-          websites: (item.login_uri || '')
-            .split(',')
-            .map((uri) => uri.trim())
-            .filter(Boolean)
-            .map((website) => addHttps(website)),
-          customFields: [
-            ...customFields,
-            ...(login_totp
-              ? [{ type: 'note', note: `TOTP: ${login_totp}` }]
-              : [])
-          ]
-        }
-        break
+    default:
+      entryType = 'custom'
+      data = {
+        title: name,
+        customFields
+      }
+      context.report.warn(
+        location,
+        'UNSUPPORTED_ITEM_TYPE',
+        `Unsupported item type "${type}", imported as custom`
+      )
+      break
+  }
 
-      case 'note':
-        entryType = 'note'
-        data = {
-          title: name,
-          note: notes || '',
-          customFields
-        }
-        break
+  context.report.unmapped(
+    location,
+    getUnmappedFields(item, [
+      ...BASE_CSV_COLUMNS,
+      ...(MAPPED_CSV_COLUMNS[type] || [])
+    ])
+  )
 
-      default:
-        entryType = 'custom'
-        data = {
-          title: name,
-          customFields
-        }
-        break
-    }
+  return {
+    type: entryType,
+    data,
+    folder: folder || null,
+    isFavorite: favorite.toLowerCase() === 'true',
+    importMeta: createImportMeta(
+      {
+        source: 'bitwarden',
+        fileType: 'csv',
+        originalType: type,
+        folderPath: folder
+      },
+      context
+    )
+  }
+}
 
-    entries.push({
-      type: entryType,
-      data,
-      folder: folder || '',
-      isFavorite: favorite.toLowerCase() === 'true'
+/**
+ * @param {string} csvText
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<{type: 'login'|'note'|'custom', data: object, folder: string|null, isFavorite: boolean}>}
+ */
+export const parseBitwardenCSV = (csvText, context = createImportContext()) =>
+  parseCsvRecords(
+    csvText,
+    (headerRow) => createBitwardenCsvRowParser(headerRow, context),
+    context
+  )
+
+/**
+ * Streaming variant of `parseBitwardenCSV`.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<Object>}
+ */
+export const streamBitwardenCSV = (input, context = createImportContext()) =>
+  streamCsvRecords(
+    input,
+    (headerRow) => createBitwardenCsvRowParser(headerRow, context),
+    context
+  )
+
+/**
+ * Parses the ZIP export with attachments: the JSON export as `data.json` and
+ * the files of each item below `attachments/<item id>/`. Files are read from
+ * the archive when an attachment is loaded.
+ * @param {ArrayBuffer | Uint8Array} data
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<Object>}
+ * @throws {import('../errors').ImportError}
+ */
+export const parseBitwardenZip = (data, context = createImportContext()) => {
+  context.startPhase(IMPORT_PHASES.PARSING_FILE)
+  const zip = readZip(data)
+
+  if (!zip.has('data.json')) {
+    throw new MalformedFileError('Bitwarden archive has no data.json', {
+      fileType: 'zip'
     })
   }
 
-  return entries
+  return parseBitwardenJson(parseJson(zip.readText('data.json')), context, {
+    fileType: 'zip',
+    zip
+  })
+}
+
+/**
+ * Streaming variant of `parseBitwardenZip`. The archive is read completely
+ * before the first record.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* streamBitwardenZip(
+  input,
+  context = createImportContext()
+) {
+  yield* parseBitwardenZip(await readAllBytes(input), context)
+}
+
+/**
+ * @param {string[] | null} zipEntries
+ * @returns {number}
+ */
+const scoreZip = (zipEntries) => {
+  if (!zipEntries?.includes('data.json')) return 0
+
+  return zipEntries.some((name) => name.startsWith('attachments/')) ? 0.9 : 0.6
 }
 
 /**
- * @param {string} data
- * @param {'json' | 'csv'} fileType
+ * @param {import('../detectImportFormat').ImportProbe} probe
+ * @returns {Array<{fileType: string, confidence: number}>}
+ */
+export const detectBitwardenData = ({ json, csvHeaders, zipEntries }) => [
+  { fileType: 'json', confidence: scoreJson(json) },
+  { fileType: 'csv', confidence: scoreCsvHeaders(csvHeaders, CSV_SIGNATURE) },
+  { fileType: 'zip', confidence: scoreZip(zipEntries) }
+]
+
+/**
+ * @param {string | ArrayBuffer} data - ArrayBuffer for ZIP exports.
+ * @param {'json' | 'csv' | 'zip'} fileType
+ * @param {import('../utils/createImportContext').ImportContext} [context]
  * @returns {any}
- * @throws {Error}
+ * @throws {import('../errors').ImportError}
  */
-export const parseBitwardenData = (data, fileType) => {
+export const parseBitwardenData = (
+  data,
+  fileType,
+  context = createImportContext()
+) => {
   if (fileType === 'json') {
-    return parseBitwardenJson(JSON.parse(data))
+    context.startPhase(IMPORT_PHASES.PARSING_FILE)
+    return parseBitwardenJson(parseJson(data), context)
   }
 
   if (fileType === 'csv') {
-    return parseBitwardenCSV(data)
+    return parseBitwardenCSV(data, context)
+  }
+
+  if (fileType === 'zip') {
+    return parseBitwardenZip(data, context)
   }
 
-  throw new Error('Unsupported file type, please use JSON or CSV')
+  throw new UnsupportedFileTypeError(fileType, ['json', 'csv', 'zip'])
+}
+
+/** @type {import('../registry').ImporterDefinition} */
+export const bitwardenImporter = {
+  id: 'bitwarden',
+  label: 'Bitwarden',
+  fileTypes: ['json', 'csv', 'zip'],
+  detect: detectBitwardenData,
+  parse: ({ data, fileType, context }) =>
+    parseBitwardenData(data, fileType, context),
+  streamFileTypes: ['csv', 'zip'],
+  parseStream: ({ data, fileType, context }) =>
+    fileType === 'csv'
+      ? streamBitwardenCSV(data, context)
+      : streamBitwardenZip(data, context)
 }
@@ -5,24 +5,101 @@ import * as _kdbxweb from 'kdbxweb'
 
 const kdbxweb = _kdbxweb.default || _kdbxweb
 
-import { addHttps } from '../utils/addHttps'
-import { getRowsFromCsv } from '../utils/getRowsFromCsv'
-
-kdbxweb.CryptoEngine.setArgon2Impl(
-  (password, salt, memory, iterations, length, parallelism, type) => {
-    const hashFn =
-      type === kdbxweb.CryptoEngine.Argon2TypeArgon2id ? argon2id : argon2d
-    return hashFn({
-      password: new Uint8Array(password),
-      salt: new Uint8Array(salt),
-      memorySize: memory,
-      iterations,
-      hashLength: length,
-      parallelism,
-      outputType: 'binary'
+import {
+  ArchiveLimitError,
+  ImportAbortedError,
+  ImportError,
+  InvalidCredentialsError,
+  IMPORT_ERROR_CODES,
+  MalformedFileError,
+  UnsupportedFileTypeError,
+  UnsupportedVersionError
+} from '../errors'
+import { collectAttachments } from '../utils/createAttachment'
+import { createCustomField } from '../utils/createCustomField'
+import {
+  createImportContext,
+  IMPORT_PHASES
+} from '../utils/createImportContext'
+import { createImportMeta } from '../utils/createImportMeta'
+import { decodeBase64 } from '../utils/decodeBase64'
+import { gunzip } from '../utils/inflate'
+import { normalizeWebsiteMatchRules } from '../utils/normalizeMatchRules'
+import { normalizeWebsites } from '../utils/normalizeUrl'
+import {
+  isKeePassOtpField,
+  mapOtp,
+  parseKeePassOtp,
+  warnInvalidOtp
+} from '../utils/parseOtp'
+import { parseCsvRecords } from '../utils/parseCsvRecords'
+import {
+  isKeePassPasskeyField,
+  parseKeePassPasskey,
+  warnInvalidPasskey
+} from '../utils/parsePasskey'
+import { readAllBytes } from '../utils/readAllBytes'
+import { scoreCsvHeaders } from '../utils/scoreCsvHeaders'
+import { streamCsvRecords } from '../utils/streamCsvRecords'
+import { toBytes } from '../utils/toBytes'
+import { toTimestamp } from '../utils/toTimestamp'
+
+/** @type {import('kdbxweb').CryptoEngine.Argon2Fn} */
+const deriveArgon2Key = (
+  password,
+  salt,
+  memory,
+  iterations,
+  length,
+  parallelism,
+  type
+) => {
+  const hashFn =
+    type === kdbxweb.CryptoEngine.Argon2TypeArgon2id ? argon2id : argon2d
+  return hashFn({
+    password: new Uint8Array(password),
+    salt: new Uint8Array(salt),
+    memorySize: memory,
+    iterations,
+    hashLength: length,
+    parallelism,
+    outputType: 'binary'
+  })
+}
+
+kdbxweb.CryptoEngine.setArgon2Impl(deriveArgon2Key)
+
+/** Settles once the database that is being opened is loaded. */
+let kdbxLoadQueue = Promise.resolve()
+
+/**
+ * Opens a database. The Argon2 implementation of the crypto engine is the
+ * only hook between key derivation and decryption, and it is global: it is
+ * wrapped for the duration of a single load, so databases are opened one at
+ * a time.
+ * @param {ArrayBuffer} data
+ * @param {import('kdbxweb').Credentials} credentials
+ * @param {() => void} onKeyDerived - Called once Argon2 has derived the key.
+ * @returns {Promise<import('kdbxweb').Kdbx>}
+ */
+const loadKdbx = (data, credentials, onKeyDerived) => {
+  const load = kdbxLoadQueue.then(async () => {
+    kdbxweb.CryptoEngine.setArgon2Impl(async (...args) => {
+      const hash = await deriveArgon2Key(...args)
+      onKeyDerived()
+      return hash
     })
-  }
-)
+
+    try {
+      return await kdbxweb.Kdbx.load(data, credentials)
+    } finally {
+      kdbxweb.CryptoEngine.setArgon2Impl(deriveArgon2Key)
+    }
+  })
+
+  kdbxLoadQueue = load.catch(() => {})
+  return load
+}
 
 const STANDARD_FIELDS = new Set([
   'Title',
@@ -32,6 +109,7 @@ const STANDARD_FIELDS = new Set([
   'Notes'
 ])
 
+/** OTP fields kept as `TOTP: ...` notes when their settings cannot be read. */
 const TOTP_FIELDS = new Set([
   'otp',
   'TOTP Settings',
@@ -39,6 +117,238 @@ const TOTP_FIELDS = new Set([
   'TimeOtp-Secret-Base32'
 ])
 
+/** Additional URLs of an entry, which KeePassXC also offers for autofill. */
+const ADDITIONAL_URL_FIELD = /^KP2A_URL(?:_\d+)?$/
+
+/** KeePassXC browser settings in the `CustomData` of an entry. */
+const BROWSER_HIDE_ENTRY = 'BrowserHideEntry'
+const BROWSER_ACCESS = 'KeePassXC-Browser Settings'
+const UNSUPPORTED_BROWSER_SETTINGS = [
+  'BrowserSkipAutoSubmit',
+  'BrowserOnlyHttpAuth',
+  'BrowserNotHttpAuth'
+]
+
+/**
+ * KDBX files start with signature 0x9AA2D903 followed by 0xB54BFB67, or
+ * 0xB54BFB66 for pre-release files. KeePass 1.x KDB files use 0xB54BFB65.
+ */
+const KDBX_SIGNATURE = [0x03, 0xd9, 0xa2, 0x9a]
+const KDBX_VERSION_SIGNATURES = [0x66, 0x67]
+/** Second signature byte of KeePass 1.x `.kdb` databases. */
+const KDB_VERSION_SIGNATURE = 0x65
+
+/** Maps kdbxweb `KdbxError` codes to the error thrown to callers. */
+const KDBX_LOAD_ERRORS = {
+  BadSignature: MalformedFileError,
+  FileCorrupt: MalformedFileError,
+  InvalidVersion: UnsupportedVersionError,
+  Unsupported: UnsupportedVersionError
+}
+
+const KEEPASSXC_CSV_SIGNATURE = {
+  required: ['Group', 'Title'],
+  optional: [
+    'Username',
+    'Password',
+    'URL',
+    'Notes',
+    'TOTP',
+    'Icon',
+    'Last Modified',
+    'Created'
+  ]
+}
+
+const KEEPASS_1X_CSV_SIGNATURE = {
+  required: ['Account', 'Login Name'],
+  optional: ['Password', 'Web Site', 'Comments']
+}
+
+/** Lowercased KeePassXC CSV columns that are mapped, or ignored as cosmetic. */
+const KEEPASSXC_MAPPED_COLUMNS = new Set([
+  'group',
+  'title',
+  'username',
+  'password',
+  'url',
+  'notes',
+  'totp',
+  'icon',
+  'last modified',
+  'created'
+])
+
+const KEEPASS_1X_MAPPED_COLUMNS = new Set([
+  'Account',
+  'Login Name',
+  'Password',
+  'Web Site',
+  'Comments'
+])
+
+/**
+ * @param {string} folderPath
+ * @param {string} title
+ * @returns {{path: string}}
+ */
+const getEntryLocation = (folderPath, title) => ({
+  path: [folderPath, title].filter(Boolean).join('/')
+})
+
+/**
+ * KeePass keeps no password change time. The current password was set in the
+ * oldest of the latest versions of the entry that all hold it; history may
+ * have been trimmed, so the password can be older still.
+ * @param {Array<{password: string, updatedAt?: number}>} versions - Oldest
+ *   first, ending with the entry itself.
+ * @returns {number | undefined}
+ */
+const getPasswordUpdatedAt = (versions) => {
+  const { password } = versions[versions.length - 1]
+  if (!password) return undefined
+
+  let updatedAt
+  for (
+    let i = versions.length - 1;
+    i >= 0 && versions[i].password === password;
+    i--
+  ) {
+    updatedAt = versions[i].updatedAt ?? updatedAt
+  }
+
+  return updatedAt
+}
+
+/**
+ * @param {Array<{password: string, updatedAt?: number}>} versions - Oldest
+ *   first, ending with the entry itself.
+ * @returns {Array<{password: string, changedAt?: number}>} Passwords replaced
+ *   by a later version, newest first.
+ */
+const getPasswordHistory = (versions) => {
+  const history = []
+
+  for (let i = versions.length - 2; i >= 0; i--) {
+    const { password } = versions[i]
+    if (password && password !== versions[i + 1].password) {
+      history.push({ password, changedAt: versions[i + 1].updatedAt })
+    }
+  }
+
+  return history
+}
+
+/**
+ * Maps the non-standard string fields of an entry: TOTP settings become
+ * `otp`, the `KPEX_PASSKEY_*` fields of KeePassXC a passkey and its
+ * `KP2A_URL` fields additional URLs, everything else a custom field.
+ * Protected strings stay hidden.
+ * @param {Object<string, string>} fields
+ * @param {Set<string>} protectedKeys - Fields KeePass keeps protected.
+ * @param {import('../utils/createImportReport').ImportLocation} location
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {{
+ *   otp?: import('../utils/parseOtp').OtpField,
+ *   passkeys?: import('../utils/parsePasskey').Passkey[],
+ *   urls: string[],
+ *   customFields: Array<
+ *     import('../utils/createCustomField').CustomField |
+ *     {type: 'note', note: string}
+ *   >
+ * }}
+ */
+const mapEntryFields = (fields, protectedKeys, location, context) => {
+  const otp = parseKeePassOtp(fields) ?? undefined
+  const passkey = parseKeePassPasskey(fields)
+  const urls = []
+  const customFields = []
+  let hasOtpFields = false
+  let hasPasskeyFields = false
+
+  for (const [key, text] of Object.entries(fields)) {
+    if (STANDARD_FIELDS.has(key) || !text) continue
+
+    if (isKeePassOtpField(key)) {
+      hasOtpFields = true
+      if (otp) continue
+    }
+
+    if (isKeePassPasskeyField(key)) {
+      hasPasskeyFields = true
+      if (passkey) continue
+    }
+
+    if (ADDITIONAL_URL_FIELD.test(key)) {
+      urls.push(text)
+      continue
+    }
+
+    customFields.push(
+      TOTP_FIELDS.has(key)
+        ? { type: 'note', note: `TOTP: ${text}` }
+        : createCustomField(key, text, { hidden: protectedKeys.has(key) })
+    )
+  }
+
+  if (hasOtpFields && !otp) warnInvalidOtp(location, context)
+  if (hasPasskeyFields && !passkey) warnInvalidPasskey(location, context)
+
+  return { otp, ...(passkey && { passkeys: [passkey] }), urls, customFields }
+}
+
+/**
+ * Maps the URLs of an entry with its KeePassXC browser settings. Hidden
+ * entries keep their websites with the `never` match rule; settings without
+ * a counterpart are reported.
+ * @param {string[]} urls - The `URL` field and additional URLs.
+ * @param {Object<string, string>} customData - `CustomData` of the entry.
+ * @param {import('../utils/createImportReport').ImportLocation} location
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {ReturnType<typeof normalizeWebsiteMatchRules>}
+ */
+const mapBrowserSettings = (urls, customData, location, context) => {
+  const isHidden = customData[BROWSER_HIDE_ENTRY] === 'true'
+
+  for (const key of UNSUPPORTED_BROWSER_SETTINGS) {
+    if (customData[key] === 'true') {
+      context.report.warn(
+        location,
+        'UNSUPPORTED_MATCH_RULE',
+        `KeePassXC browser setting ${key} is not supported`
+      )
+    }
+  }
+
+  if (getDeniedHosts(customData[BROWSER_ACCESS]).length) {
+    context.report.warn(
+      location,
+      'UNSUPPORTED_MATCH_RULE',
+      'Sites denied access by KeePassXC-Browser are not imported'
+    )
+  }
+
+  return normalizeWebsiteMatchRules(
+    urls.map((url) => ({ url, match: isHidden ? 'never' : null })),
+    location,
+    context
+  )
+}
+
+/**
+ * @param {string} [settings] - Hosts KeePassXC-Browser was allowed or denied
+ *   to fill on, as JSON `{ Allow: string[], Deny: string[], Realm: string }`.
+ * @returns {string[]}
+ */
+const getDeniedHosts = (settings) => {
+  try {
+    const { Deny } = JSON.parse(settings || '{}')
+    return Array.isArray(Deny) ? Deny : []
+  } catch {
+    return []
+  }
+}
+
 /**
  * Extracts text from a KDBX field value, handling ProtectedValue instances.
  * @param {string | kdbxweb.ProtectedValue} value
@@ -50,18 +360,45 @@ const getFieldText = (value) => {
   return String(value)
 }
 
+/**
+ * @param {*} binary - Value of `entry.binaries`: a `ProtectedValue`, an
+ *   `ArrayBuffer` or a `{ hash, value }` reference to one of them.
+ * @returns {Uint8Array | null}
+ */
+const getBinaryBytes = (binary) => {
+  const value =
+    binary && !(binary instanceof kdbxweb.ProtectedValue) && 'value' in binary
+      ? binary.value
+      : binary
+  if (value instanceof kdbxweb.ProtectedValue) return value.getBinary()
+  return toBytes(value)
+}
+
+/**
+ * @param {object} group - A kdbxweb group object.
+ * @returns {number} Number of entries in the group and its subgroups.
+ */
+const countEntries = (group) =>
+  (group.entries || []).length +
+  (group.groups || []).reduce(
+    (sum, subGroup) => sum + countEntries(subGroup),
+    0
+  )
+
 /**
  * Recursively walks a KDBX group tree and extracts entries.
  * @param {object} group - A kdbxweb group object.
  * @param {string} parentPath - Accumulated folder path from parent groups.
+ * @param {import('../utils/createImportContext').ImportContext} context
  * @returns {Array<object>}
  */
-const walkGroup = (group, parentPath = '') => {
+const walkGroup = (group, parentPath, context) => {
   const results = []
   const groupName = group.name || ''
   const currentPath = parentPath ? `${parentPath}/${groupName}` : groupName
 
   for (const entry of group.entries || []) {
+    context.tick()
     const fields = entry.fields || new Map()
 
     const title = getFieldText(fields.get('Title'))
@@ -70,38 +407,77 @@ const walkGroup = (group, parentPath = '') => {
     const url = getFieldText(fields.get('URL'))
     const notes = getFieldText(fields.get('Notes'))
 
-    const customFields = []
-
-    for (const [key, value] of fields) {
-      if (STANDARD_FIELDS.has(key)) continue
+    const location = getEntryLocation(currentPath, title)
+    const { otp, passkeys, urls, customFields } = mapEntryFields(
+      Object.fromEntries(
+        [...fields].map(([key, value]) => [key, getFieldText(value)])
+      ),
+      new Set(
+        [...fields]
+          .filter(([, value]) => value instanceof kdbxweb.ProtectedValue)
+          .map(([key]) => key)
+      ),
+      location,
+      context
+    )
+    const { websites, websiteMatchRules } = mapBrowserSettings(
+      [url, ...urls],
+      Object.fromEntries(
+        [...(entry.customData || [])].map(([key, item]) => [
+          key,
+          item?.value || ''
+        ])
+      ),
+      location,
+      context
+    )
 
-      const text = getFieldText(value)
-      if (!text) continue
+    const attachments = collectAttachments(
+      [...(entry.binaries || [])].map(([name, binary]) => {
+        const bytes = getBinaryBytes(binary)
+        return bytes
+          ? { name, bytes }
+          : { name, error: 'Attachment data is missing from the database' }
+      }),
+      location,
+      context
+    )
 
-      if (TOTP_FIELDS.has(key)) {
-        customFields.push({ type: 'note', note: `TOTP: ${text}` })
-      } else {
-        customFields.push({ type: 'note', note: `${key}: ${text}` })
-      }
-    }
+    const versions = [...(entry.history || []), entry].map((version) => ({
+      password: getFieldText(version.fields?.get('Password')),
+      updatedAt: toTimestamp(version.times?.lastModTime)
+    }))
 
     results.push({
       type: 'login',
+      sourceId: entry.uuid?.id,
       folder: currentPath || null,
       isFavorite: false,
+      createdAt: toTimestamp(entry.times?.creationTime),
+      updatedAt: toTimestamp(entry.times?.lastModTime),
+      ...(attachments.length && { attachments }),
+      importMeta: createImportMeta(
+        { source: 'keepass', fileType: 'kdbx', folderPath: currentPath },
+        context
+      ),
       data: {
         title,
         username,
         password,
+        passwordUpdatedAt: getPasswordUpdatedAt(versions),
+        passwordHistory: getPasswordHistory(versions),
+        otp,
+        passkeys,
         note: notes,
-        websites: url ? [addHttps(url)] : [],
+        websites,
+        ...(websiteMatchRules.length && { websiteMatchRules }),
         customFields
       }
     })
   }
 
   for (const subGroup of group.groups || []) {
-    results.push(...walkGroup(subGroup, currentPath))
+    results.push(...walkGroup(subGroup, currentPath, context))
   }
 
   return results
@@ -111,19 +487,41 @@ const walkGroup = (group, parentPath = '') => {
  * Parses a KDBX (KeePass 2.x) encrypted database file.
  * @param {ArrayBuffer} arrayBuffer - Raw KDBX file contents.
  * @param {string} password - Master password for decryption.
+ * @param {import('../utils/createImportContext').ImportContext} [context]
  * @returns {Promise<Array<object>>}
  */
-export const parseKeePassKdbx = async (arrayBuffer, password) => {
+export const parseKeePassKdbx = async (
+  arrayBuffer,
+  password,
+  context = createImportContext()
+) => {
+  const bytes = new Uint8Array(arrayBuffer)
+  if (
+    KDBX_SIGNATURE.every((byte, i) => bytes[i] === byte) &&
+    bytes[4] === KDB_VERSION_SIGNATURE
+  ) {
+    throw new UnsupportedVersionError(
+      'KeePass 1.x databases are not supported, please export them to CSV',
+      { fileType: 'kdbx', version: '1.x' }
+    )
+  }
+
+  let isDecrypting = false
+  const onKeyDerived = () => {
+    isDecrypting = true
+    context.startPhase(IMPORT_PHASES.DECRYPTING)
+  }
+  context.startPhase(IMPORT_PHASES.DERIVING_KEY)
+
   let db
   try {
     const credentials = new kdbxweb.Credentials(
       kdbxweb.ProtectedValue.fromString(password)
     )
-    db = await kdbxweb.Kdbx.load(
-      new Uint8Array(arrayBuffer).buffer,
-      credentials
-    )
+    db = await loadKdbx(bytes.buffer, credentials, onKeyDerived)
   } catch (error) {
+    if (error instanceof ImportAbortedError) throw error
+
     if (
       error?.code === kdbxweb.Consts.ErrorCodes.InvalidKey ||
       error?.message?.includes('InvalidKey') ||
@@ -131,113 +529,170 @@ export const parseKeePassKdbx = async (arrayBuffer, password) => {
       error?.message?.includes('invalid key') ||
       error?.code === 'InvalidKey'
     ) {
-      throw new Error('Incorrect password')
+      throw new InvalidCredentialsError('Incorrect password', { cause: error })
     }
-    throw new Error(`Failed to open database: ${error.message || error}`)
+
+    const KdbxError = KDBX_LOAD_ERRORS[error?.code] || ImportError
+    throw new KdbxError(`Failed to open database: ${error.message || error}`, {
+      fileType: 'kdbx',
+      cause: error
+    })
   }
 
+  // AES-KDF gives no hook after key derivation, its decryption is reported
+  // once the database is open
+  if (!isDecrypting) onKeyDerived()
+  context.throwIfAborted()
+
   const rootGroup = db.groups[0]
+  context.startPhase(
+    IMPORT_PHASES.MAPPING_RECORDS,
+    rootGroup ? countEntries(rootGroup) : 0
+  )
   if (!rootGroup) return []
 
-  return walkGroup(rootGroup, '')
+  return walkGroup(rootGroup, '', context)
 }
 
 /**
- * Parses KeePass 1.x CSV export format.
+ * Row parser for the KeePass 1.x CSV export format.
  * Columns: "Account","Login Name","Password","Web Site","Comments"
  * @param {string[]} headerRow
- * @param {string[][]} dataRows
- * @returns {Array<object>}
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {(row: string[], location: {row: number}) => object}
  */
-const parseKeePass1xCsv = (headerRow, dataRows) => {
+const createKeePass1xRowParser = (headerRow, context) => {
   const get = (row, name) =>
     row[headerRow.indexOf(name)]?.replace(/^"|"$/g, '').trim() || ''
 
-  return dataRows.map((row) => {
+  return (row, location) => {
     const url = get(row, 'Web Site')
 
+    context.report.unmapped(
+      location,
+      headerRow.filter(
+        (header, i) => !KEEPASS_1X_MAPPED_COLUMNS.has(header) && row[i]?.trim()
+      )
+    )
+
     return {
       type: 'login',
       folder: null,
       isFavorite: false,
+      importMeta: createImportMeta(
+        { source: 'keepass', fileType: 'csv' },
+        context
+      ),
       data: {
         title: get(row, 'Account'),
         username: get(row, 'Login Name'),
         password: get(row, 'Password'),
         note: get(row, 'Comments'),
-        websites: url ? [addHttps(url)] : [],
+        websites: normalizeWebsites([url], location, context),
         customFields: []
       }
     }
-  })
+  }
 }
 
 /**
- * Parses KeePassXC CSV export format.
+ * Row parser for the KeePassXC CSV export format.
  * Columns: "Group","Title","Username","Password","URL","Notes","TOTP",...
  * @param {string[]} headerRow
- * @param {string[][]} dataRows
- * @returns {Array<object>}
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {(row: string[], location: {row: number}) => object}
  */
-const parseKeePassXCCsv = (headerRow, dataRows) => {
+const createKeePassXCRowParser = (headerRow, context) => {
   const headers = headerRow.map((h) => h.trim().toLowerCase())
 
-  return dataRows.map((row) => {
+  return (row, location) => {
     const item = Object.fromEntries(
       headers.map((key, i) => [key, row[i]?.trim() ?? ''])
     )
 
     const url = item.url || ''
-    const totp = item.totp || ''
+    const { otp, customFields } = mapOtp(item.totp, location, context)
 
-    const customFields = totp ? [{ type: 'note', note: `TOTP: ${totp}` }] : []
+    context.report.unmapped(
+      location,
+      headerRow.filter(
+        (header, i) =>
+          !KEEPASSXC_MAPPED_COLUMNS.has(headers[i]) && row[i]?.trim()
+      )
+    )
 
     return {
       type: 'login',
       folder: item.group || null,
       isFavorite: false,
+      createdAt: toTimestamp(item.created),
+      updatedAt: toTimestamp(item['last modified']),
+      importMeta: createImportMeta(
+        { source: 'keepass', fileType: 'csv', folderPath: item.group },
+        context
+      ),
       data: {
         title: item.title || '',
         username: item.username || '',
         password: item.password || '',
+        otp,
         note: item.notes || '',
-        websites: url ? [addHttps(url)] : [],
+        websites: normalizeWebsites([url], location, context),
         customFields
       }
     }
-  })
+  }
 }
 
 /**
- * Parses a KeePass/KeePassXC CSV export, auto-detecting the format from headers.
- * @param {string} text - Raw CSV file contents.
- * @returns {Array<object>}
+ * Picks the row parser matching the CSV flavour, auto-detected from headers.
+ * @param {string[]} headerRow
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {(row: string[], location: {row: number}) => object}
  */
-export const parseKeePassCsv = (text) => {
-  const rows = getRowsFromCsv(text)
-  const [headerRow, ...dataRows] = rows
-
-  if (!headerRow || dataRows.length === 0) return []
-
+const createKeePassCsvRowParser = (headerRow, context) => {
   const normalizedHeaders = headerRow.map((h) => h.trim().toLowerCase())
-
-  if (
+  const isKeePassXC =
     normalizedHeaders.includes('title') &&
     normalizedHeaders.includes('username')
-  ) {
-    return parseKeePassXCCsv(headerRow, dataRows)
-  }
 
   if (
+    !isKeePassXC &&
     normalizedHeaders.includes('account') &&
     normalizedHeaders.includes('login name')
   ) {
-    return parseKeePass1xCsv(headerRow, dataRows)
+    return createKeePass1xRowParser(headerRow, context)
   }
 
-  return parseKeePassXCCsv(headerRow, dataRows)
+  return createKeePassXCRowParser(headerRow, context)
 }
 
+/**
+ * Parses a KeePass/KeePassXC CSV export, auto-detecting the format from headers.
+ * @param {string} text - Raw CSV file contents.
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<object>}
+ */
+export const parseKeePassCsv = (text, context = createImportContext()) =>
+  parseCsvRecords(
+    text,
+    (headerRow) => createKeePassCsvRowParser(headerRow, context),
+    context
+  )
+
+/**
+ * Streaming variant of `parseKeePassCsv`.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<object>}
+ */
+export const streamKeePassCsv = (input, context = createImportContext()) =>
+  streamCsvRecords(
+    input,
+    (headerRow) => createKeePassCsvRowParser(headerRow, context),
+    context
+  )
+
 /** Finds the first direct child element with the given tag name. */
 const findChild = (parent, tagName) => {
   for (let i = 0; i < parent.childNodes.length; i++) {
@@ -257,6 +712,137 @@ const filterChildren = (parent, tagName) => {
   return result
 }
 
+/**
+ * @param {Element} entry
+ * @returns {Object<string, string>} The `String` fields of the entry.
+ */
+const getXmlFields = (entry) => {
+  const fields = {}
+  for (const str of filterChildren(entry, 'String')) {
+    const keyEl = findChild(str, 'Key')
+    const valueEl = findChild(str, 'Value')
+    if (keyEl) {
+      fields[keyEl.textContent] = valueEl?.textContent || ''
+    }
+  }
+  return fields
+}
+
+/**
+ * @param {Element} entry
+ * @returns {Object<string, string>} The `CustomData` items of the entry.
+ */
+const getXmlCustomData = (entry) => {
+  const customData = {}
+  const container = findChild(entry, 'CustomData')
+  for (const item of container ? filterChildren(container, 'Item') : []) {
+    const keyEl = findChild(item, 'Key')
+    if (keyEl) {
+      customData[keyEl.textContent] =
+        findChild(item, 'Value')?.textContent || ''
+    }
+  }
+  return customData
+}
+
+/**
+ * @param {Element} entry
+ * @returns {Set<string>} Keys of the `String` fields marked as protected,
+ *   `Protected` inside databases and `ProtectInMemory` in XML exports.
+ */
+const getXmlProtectedKeys = (entry) => {
+  const keys = new Set()
+  for (const str of filterChildren(entry, 'String')) {
+    const keyEl = findChild(str, 'Key')
+    const valueEl = findChild(str, 'Value')
+    if (
+      keyEl &&
+      (valueEl?.getAttribute('Protected') === 'True' ||
+        valueEl?.getAttribute('ProtectInMemory') === 'True')
+    ) {
+      keys.add(keyEl.textContent)
+    }
+  }
+  return keys
+}
+
+/**
+ * @param {Element} entry
+ * @param {string} name - Child of `Times`, e.g. `CreationTime`.
+ * @returns {number | undefined}
+ */
+const getXmlTime = (entry, name) => {
+  const times = findChild(entry, 'Times')
+  return toTimestamp(times && findChild(times, name)?.textContent)
+}
+
+/**
+ * @param {Element} keepassFile
+ * @returns {Map<string, {content: string, compressed: boolean}>} Base64
+ *   contents of `Meta/Binaries` by `ID`.
+ */
+const getXmlBinaries = (keepassFile) => {
+  const binaries = new Map()
+  const meta = findChild(keepassFile, 'Meta')
+  const pool = meta && findChild(meta, 'Binaries')
+
+  for (const binary of pool ? filterChildren(pool, 'Binary') : []) {
+    binaries.set(binary.getAttribute('ID'), {
+      content: binary.textContent || '',
+      compressed: binary.getAttribute('Compressed') === 'True'
+    })
+  }
+
+  return binaries
+}
+
+/**
+ * Files of an entry, referencing `Meta/Binaries` or stored inline. Compressed
+ * files are gzipped, they are expanded up to `maxSize` bytes.
+ * @param {Element} entry
+ * @param {ReturnType<typeof getXmlBinaries>} binaries
+ * @param {number} maxSize - Size limit of a single attachment.
+ * @returns {Array<{name: string, bytes?: Uint8Array, error?: string, errorCode?: string}>}
+ */
+const getXmlAttachmentFiles = (entry, binaries, maxSize) =>
+  filterChildren(entry, 'Binary').map((binary) => {
+    const name = findChild(binary, 'Key')?.textContent || ''
+    const valueEl = findChild(binary, 'Value')
+    const ref = valueEl?.getAttribute('Ref')
+    const stored = ref
+      ? binaries.get(ref)
+      : {
+          content: valueEl?.textContent || '',
+          compressed: valueEl?.getAttribute('Compressed') === 'True'
+        }
+
+    if (!stored) {
+      return { name, error: 'Attachment data is missing from the export' }
+    }
+
+    const bytes = stored.content.trim()
+      ? decodeBase64(stored.content)
+      : new Uint8Array(0)
+    if (!bytes) {
+      return { name, error: 'Attachment data is not valid base64' }
+    }
+    if (!stored.compressed) {
+      return { name, bytes }
+    }
+
+    try {
+      return { name, bytes: gunzip(bytes, { maxSize }) }
+    } catch (error) {
+      return error instanceof ArchiveLimitError
+        ? {
+            name,
+            error: `Attachment is larger than ${maxSize} bytes`,
+            errorCode: 'ATTACHMENT_TOO_LARGE'
+          }
+        : { name, error: 'Compressed attachment data is invalid' }
+    }
+  })
+
 /**
  * Creates a DOMParser, using native browser DOMParser if available,
  * falling back to @xmldom/xmldom for React Native.
@@ -283,9 +869,11 @@ const createXmlParser = () => {
  * Uses DOM Level 2 methods (childNodes/tagName) for xmldom compatibility.
  * @param {Element} groupElement
  * @param {string} parentPath - Accumulated folder path from parent groups.
+ * @param {ReturnType<typeof getXmlBinaries>} binaries
+ * @param {import('../utils/createImportContext').ImportContext} context
  * @returns {Array<object>}
  */
-const walkXmlGroup = (groupElement, parentPath = '') => {
+const walkXmlGroup = (groupElement, parentPath, binaries, context) => {
   const results = []
 
   const nameEl = findChild(groupElement, 'Name')
@@ -295,40 +883,65 @@ const walkXmlGroup = (groupElement, parentPath = '') => {
   const entries = filterChildren(groupElement, 'Entry')
 
   for (const entry of entries) {
-    const strings = filterChildren(entry, 'String')
-
-    const fields = {}
-    for (const str of strings) {
-      const keyEl = findChild(str, 'Key')
-      const valueEl = findChild(str, 'Value')
-      if (keyEl) {
-        fields[keyEl.textContent] = valueEl?.textContent || ''
-      }
-    }
+    context.tick()
+    const fields = getXmlFields(entry)
+    const history = findChild(entry, 'History')
+    const versions = [
+      ...(history ? filterChildren(history, 'Entry') : []),
+      entry
+    ].map((version) => ({
+      password: getXmlFields(version).Password || '',
+      updatedAt: getXmlTime(version, 'LastModificationTime')
+    }))
 
     const url = fields.URL || ''
-    const customFields = []
-
-    for (const [key, value] of Object.entries(fields)) {
-      if (STANDARD_FIELDS.has(key)) continue
-      if (!value) continue
-      if (TOTP_FIELDS.has(key)) {
-        customFields.push({ type: 'note', note: `TOTP: ${value}` })
-      } else {
-        customFields.push({ type: 'note', note: `${key}: ${value}` })
-      }
-    }
+    const location = getEntryLocation(currentPath, fields.Title)
+    const { otp, passkeys, urls, customFields } = mapEntryFields(
+      fields,
+      getXmlProtectedKeys(entry),
+      location,
+      context
+    )
+    const { websites, websiteMatchRules } = mapBrowserSettings(
+      [url, ...urls],
+      getXmlCustomData(entry),
+      location,
+      context
+    )
+
+    const attachments = collectAttachments(
+      getXmlAttachmentFiles(
+        entry,
+        binaries,
+        context.attachmentLimits.maxFileSize
+      ),
+      location,
+      context
+    )
 
     results.push({
       type: 'login',
+      sourceId: findChild(entry, 'UUID')?.textContent || undefined,
       folder: currentPath || null,
       isFavorite: false,
+      createdAt: getXmlTime(entry, 'CreationTime'),
+      updatedAt: getXmlTime(entry, 'LastModificationTime'),
+      ...(attachments.length && { attachments }),
+      importMeta: createImportMeta(
+        { source: 'keepass', fileType: 'xml', folderPath: currentPath },
+        context
+      ),
       data: {
         title: fields.Title || '',
         username: fields.UserName || '',
         password: fields.Password || '',
+        passwordUpdatedAt: getPasswordUpdatedAt(versions),
+        passwordHistory: getPasswordHistory(versions),
+        otp,
+        passkeys,
         note: fields.Notes || '',
-        websites: url ? [addHttps(url)] : [],
+        websites,
+        ...(websiteMatchRules.length && { websiteMatchRules }),
         customFields
       }
     })
@@ -337,69 +950,161 @@ const walkXmlGroup = (groupElement, parentPath = '') => {
   const subGroups = filterChildren(groupElement, 'Group')
 
   for (const subGroup of subGroups) {
-    results.push(...walkXmlGroup(subGroup, currentPath))
+    results.push(...walkXmlGroup(subGroup, currentPath, binaries, context))
   }
 
   return results
 }
 
+/**
+ * @param {Error | string} [cause] - Parser error; xmldom and some browsers
+ *   mention the position of the problem in its message.
+ * @returns {MalformedFileError}
+ */
+const createInvalidXmlError = (cause) => {
+  const message = String(cause?.message ?? cause ?? '')
+  const position =
+    message.match(/line:?\s*(\d+),?\s*col(?:umn)?:?\s*(\d+)/i) || []
+
+  return new MalformedFileError('Invalid KeePass XML file', {
+    fileType: 'xml',
+    line: position[1] ? Number(position[1]) : null,
+    column: position[2] ? Number(position[2]) : null,
+    cause
+  })
+}
+
 /**
  * Parses a KeePass/KeePassXC XML export.
  * @param {string} text - Raw XML file contents.
+ * @param {import('../utils/createImportContext').ImportContext} [context]
  * @returns {Array<object>}
  */
-export const parseKeePassXml = (text) => {
+export const parseKeePassXml = (text, context = createImportContext()) => {
+  context.startPhase(IMPORT_PHASES.PARSING_FILE)
+
   let doc
   try {
     const parser = createXmlParser()
     doc = parser.parseFromString(text, 'text/xml')
-  } catch {
-    throw new Error('Invalid KeePass XML file')
+  } catch (error) {
+    throw createInvalidXmlError(error)
   }
 
   // Browser DOMParser wraps errors in <parsererror>
-  if (doc.getElementsByTagName('parsererror').length > 0) {
-    throw new Error('Invalid KeePass XML file')
+  const parserError = doc.getElementsByTagName('parsererror')[0]
+  if (parserError) {
+    throw createInvalidXmlError(parserError.textContent)
   }
 
   const keepassFile = doc.getElementsByTagName('KeePassFile')[0]
   if (!keepassFile) {
-    throw new Error('Invalid KeePass XML file')
+    throw createInvalidXmlError()
   }
 
   const root = findChild(keepassFile, 'Root')
   if (!root) {
-    throw new Error('Invalid KeePass XML file')
+    throw createInvalidXmlError()
   }
 
   const rootGroup = findChild(root, 'Group')
+  const entryCount = [...root.getElementsByTagName('Entry')].filter(
+    (entry) => entry.parentNode?.tagName === 'Group'
+  ).length
+  context.startPhase(IMPORT_PHASES.MAPPING_RECORDS, rootGroup ? entryCount : 0)
   if (!rootGroup) return []
 
-  return walkXmlGroup(rootGroup, '')
+  return walkXmlGroup(rootGroup, '', getXmlBinaries(keepassFile), context)
 }
 
+/**
+ * @param {Uint8Array | null} bytes
+ * @returns {boolean}
+ */
+const hasKdbxSignature = (bytes) =>
+  Boolean(bytes) &&
+  bytes.length >= 8 &&
+  KDBX_SIGNATURE.every((byte, i) => bytes[i] === byte) &&
+  KDBX_VERSION_SIGNATURES.includes(bytes[4]) &&
+  bytes[5] === 0xfb &&
+  bytes[6] === 0x4b &&
+  bytes[7] === 0xb5
+
+/**
+ * @param {import('../detectImportFormat').ImportProbe} probe
+ * @returns {Array<{fileType: string, confidence: number}>}
+ */
+export const detectKeePassData = ({ bytes, xmlRoot, csvHeaders }) => [
+  { fileType: 'kdbx', confidence: hasKdbxSignature(bytes) ? 1 : 0 },
+  { fileType: 'xml', confidence: xmlRoot === 'KeePassFile' ? 1 : 0 },
+  {
+    fileType: 'csv',
+    confidence: Math.max(
+      scoreCsvHeaders(csvHeaders, KEEPASSXC_CSV_SIGNATURE),
+      scoreCsvHeaders(csvHeaders, KEEPASS_1X_CSV_SIGNATURE)
+    )
+  }
+]
+
 /**
  * Routes to the appropriate parser based on file type.
  * @param {string | ArrayBuffer} data - File contents (text for CSV/XML, ArrayBuffer for KDBX).
  * @param {string} fileType - One of 'kdbx', 'csv', or 'xml'.
  * @param {string} [password] - Master password (required for KDBX).
+ * @param {import('../utils/createImportContext').ImportContext} [context]
  * @returns {Promise<Array<object>>}
  */
-export const parseKeePassData = async (data, fileType, password) => {
+export const parseKeePassData = async (data, fileType, password, context) => {
   if (fileType === 'kdbx') {
     if (!password) {
-      throw new Error('Password is required for KDBX files')
+      throw new InvalidCredentialsError('Password is required for KDBX files', {
+        code: IMPORT_ERROR_CODES.PASSWORD_REQUIRED
+      })
     }
-    return parseKeePassKdbx(data, password)
+    return parseKeePassKdbx(data, password, context)
   }
 
   if (fileType === 'csv') {
-    return parseKeePassCsv(data)
+    return parseKeePassCsv(data, context)
   }
 
   if (fileType === 'xml') {
-    return parseKeePassXml(data)
+    return parseKeePassXml(data, context)
   }
 
-  throw new Error('Unsupported file type, please use KDBX, CSV, or XML')
+  throw new UnsupportedFileTypeError(fileType, ['kdbx', 'csv', 'xml'])
+}
+
+/**
+ * Streaming entry point for KDBX files. The database is encrypted as a whole,
+ * so the file is read completely before the first entry is yielded.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {string} [password]
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<object>}
+ */
+export async function* streamKeePassKdbx(
+  input,
+  password,
+  context = createImportContext()
+) {
+  // Fail on a missing password before reading the whole file
+  const bytes = password ? await readAllBytes(input) : null
+
+  yield* await parseKeePassData(bytes, 'kdbx', password, context)
+}
+
+/** @type {import('../registry').ImporterDefinition} */
+export const keePassImporter = {
+  id: 'keepass',
+  label: 'KeePass',
+  fileTypes: ['kdbx', 'xml', 'csv'],
+  detect: detectKeePassData,
+  parse: ({ data, fileType, password, context }) =>
+    parseKeePassData(data, fileType, password, context),
+  streamFileTypes: ['csv', 'kdbx'],
+  parseStream: ({ data, fileType, password, context }) =>
+    fileType === 'csv'
+      ? streamKeePassCsv(data, context)
+      : streamKeePassKdbx(data, password, context)
 }
@@ -1,11 +1,27 @@
-import { addHttps } from '../utils/addHttps'
-import { getRowsFromCsv } from '../utils/getRowsFromCsv'
+import { UnsupportedFileTypeError } from '../errors'
+import { createImportContext } from '../utils/createImportContext'
+import { createImportMeta } from '../utils/createImportMeta'
+import { getUnmappedFields } from '../utils/getUnmappedFields'
+import { normalizeWebsites } from '../utils/normalizeUrl'
+import { mapCard } from '../utils/parseCard'
+import { mapOtp } from '../utils/parseOtp'
+import { parseCsvRecords } from '../utils/parseCsvRecords'
+import { scoreCsvHeaders } from '../utils/scoreCsvHeaders'
+import { streamCsvRecords } from '../utils/streamCsvRecords'
 
 const NOTE_TYPE_CREDIT_CARD = /NoteType:Credit Card/i
 const NOTE_TYPE_ADDRESS_OR_IDENTITY = /NoteType:Address|NoteType:Identity/i
 const NOTE_TYPE_WIFI_PASSWORD = /NoteType:Wi-Fi Password/i
 const PHONE_FIELD_REGEX = /^(Phone|Fax|Evening Phone):/
 
+const CSV_SIGNATURE = {
+  required: ['url', 'username', 'password', 'extra', 'name', 'grouping', 'fav'],
+  optional: ['totp']
+}
+
+/** `totp` is only mapped for logins, see `createLastPassRowParser`. */
+const MAPPED_COLUMNS = [...CSV_SIGNATURE.required, 'totp']
+
 /**
  * @param {string[]} row
  * @param {string} name
@@ -39,37 +55,6 @@ const normalizePhone = (value) => {
   }
 }
 
-/**
- * @param {string} value
- * @returns {string}
- */
-const normalizeExpiry = (value) => {
-  const parts = value.split(',')
-  if (parts.length === 2) {
-    const monthNames = [
-      'january',
-      'february',
-      'march',
-      'april',
-      'may',
-      'june',
-      'july',
-      'august',
-      'september',
-      'october',
-      'november',
-      'december'
-    ]
-    const monthIndex = monthNames.indexOf(parts[0].trim().toLowerCase())
-    if (monthIndex !== -1) {
-      const month = (monthIndex + 1).toString().padStart(2, '0')
-      const year = parts[1].slice(-2)
-      return `${month}/${year}`
-    }
-  }
-  return value
-}
-
 /**
  * @param {string} extraText
  * @param {Set<string>} [usedNotes]
@@ -102,190 +87,283 @@ const toCustomFields = (extraText, usedNotes = new Set()) => {
 }
 
 /**
- * @param {string} urlString
- * @returns {string[]}
+ * @param {string[]} headerRow
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {(
+ *   row: string[],
+ *   location: import('../utils/createImportReport').ImportLocation
+ * ) => Object}
  */
-const toWebsites = (urlString) =>
-  urlString ? urlString.split(',').map((site) => addHttps(site.trim())) : []
+const createRecordParser = (headerRow, context) => (row, location) => {
+  context.report.unmapped(
+    location,
+    getUnmappedFields(
+      Object.fromEntries(headerRow.map((header, i) => [header, row[i]])),
+      MAPPED_COLUMNS
+    )
+  )
 
-/**
- * @function parseLastPassCsv
- * @param {string} text
- * @returns {Array<Object>}
- */
-export const parseLastPassCsv = (text) => {
-  const rows = getRowsFromCsv(text)
-  const [headerRow, ...dataRows] = rows
-
-  const result = []
-
-  for (const row of dataRows) {
-    const url = get(row, 'url', headerRow)
-    const username = get(row, 'username', headerRow)
-    const password = get(row, 'password', headerRow)
-    const extra = get(row, 'extra', headerRow)
-    const name = get(row, 'name', headerRow)
-    const folder = get(row, 'grouping', headerRow) || null
-    const isFavorite = get(row, 'fav', headerRow) === '1'
-
-    const usedNotes = new Set()
-
-    const websites = toWebsites(url)
-
-    if (NOTE_TYPE_CREDIT_CARD.test(extra)) {
-      const note = getField(extra, 'Notes')
-      const name = getField(extra, 'Name on Card')
-      const number = getField(extra, 'Number')
-      const expireDate = getField(extra, 'Expiration Date')
-      const securityCode = getField(extra, 'Security Code')
-
-      for (const value of [name, number, expireDate, securityCode, note]) {
-        if (value) {
-          usedNotes.add(value)
-        }
+  const url = get(row, 'url', headerRow)
+  const username = get(row, 'username', headerRow)
+  const password = get(row, 'password', headerRow)
+  const extra = get(row, 'extra', headerRow)
+  const name = get(row, 'name', headerRow)
+  const folder = get(row, 'grouping', headerRow) || null
+  const isFavorite = get(row, 'fav', headerRow) === '1'
+  const importMeta = createImportMeta(
+    {
+      source: 'lastpass',
+      fileType: 'csv',
+      originalType: extra?.match(/^NoteType:(.*)$/m)?.[1].trim(),
+      folderPath: folder
+    },
+    context
+  )
+
+  const usedNotes = new Set()
+
+  if (NOTE_TYPE_CREDIT_CARD.test(extra)) {
+    const note = getField(extra, 'Notes')
+    const cardholder = getField(extra, 'Name on Card')
+    const number = getField(extra, 'Number')
+    const expireDate = getField(extra, 'Expiration Date')
+    const securityCode = getField(extra, 'Security Code')
+
+    for (const value of [cardholder, number, expireDate, securityCode, note]) {
+      if (value) {
+        usedNotes.add(value)
       }
+    }
 
-      result.push({
-        type: 'creditCard',
-        folder,
-        isFavorite,
-        data: {
-          title: name || '',
-          name,
-          number,
-          expireDate: normalizeExpiry(expireDate),
-          securityCode,
-          pinCode: '',
-          note,
-          customFields: toCustomFields(extra, usedNotes)
-        }
-      })
-    } else if (NOTE_TYPE_ADDRESS_OR_IDENTITY.test(extra)) {
-      const note = getField(extra, 'Notes')
-      const firstName = getField(extra, 'First Name')
-      const middleName = getField(extra, 'Middle Name')
-      const lastName = getField(extra, 'Last Name')
-      const username = getField(extra, 'Username')
-      const email = getField(extra, 'Email Address')
-      const phoneNumber = getField(extra, 'Mobile Phone')
-      const address1 = getField(extra, 'Address 1')
-      const address2 = getField(extra, 'Address 2')
-      const address3 = getField(extra, 'Address 3')
-      const zip = getField(extra, 'Zip / Postal Code')
-      const city = getField(extra, 'City / Town')
-      const region = getField(extra, 'State')
-      const country = getField(extra, 'Country')
-
-      for (const value of [
-        firstName,
-        middleName,
-        lastName,
+    return {
+      type: 'creditCard',
+      folder,
+      isFavorite,
+      importMeta,
+      data: {
+        title: name || '',
+        ...mapCard(
+          { name: cardholder, number, expiry: expireDate, securityCode },
+          location,
+          context
+        ),
+        note,
+        customFields: toCustomFields(extra, usedNotes)
+      }
+    }
+  } else if (NOTE_TYPE_ADDRESS_OR_IDENTITY.test(extra)) {
+    const note = getField(extra, 'Notes')
+    const firstName = getField(extra, 'First Name')
+    const middleName = getField(extra, 'Middle Name')
+    const lastName = getField(extra, 'Last Name')
+    const username = getField(extra, 'Username')
+    const email = getField(extra, 'Email Address')
+    const phoneNumber = getField(extra, 'Mobile Phone')
+    const address1 = getField(extra, 'Address 1')
+    const address2 = getField(extra, 'Address 2')
+    const address3 = getField(extra, 'Address 3')
+    const zip = getField(extra, 'Zip / Postal Code')
+    const city = getField(extra, 'City / Town')
+    const region = getField(extra, 'State')
+    const country = getField(extra, 'Country')
+
+    for (const value of [
+      firstName,
+      middleName,
+      lastName,
+      username,
+      email,
+      phoneNumber,
+      address1,
+      address2,
+      address3,
+      zip,
+      city,
+      region,
+      country,
+      note
+    ]) {
+      if (value) {
+        usedNotes.add(value)
+      }
+    }
+
+    return {
+      type: 'identity',
+      folder,
+      isFavorite,
+      importMeta,
+      data: {
+        title: name || '',
+        fullName: [firstName, middleName, lastName].filter(Boolean).join(' '),
         username,
         email,
-        phoneNumber,
-        address1,
-        address2,
-        address3,
+        phoneNumber: normalizePhone(phoneNumber),
+        address: [address1, address2, address3].filter(Boolean).join(', '),
         zip,
         city,
         region,
         country,
-        note
-      ]) {
-        if (value) {
-          usedNotes.add(value)
-        }
+        note,
+        customFields: toCustomFields(extra, usedNotes)
       }
+    }
+  } else if (NOTE_TYPE_WIFI_PASSWORD.test(extra)) {
+    const title = getField(extra, 'SSID')
+    const wifiPassword = getField(extra, 'Password')
+    const note = getField(extra, 'Notes')
 
-      result.push({
-        type: 'identity',
-        folder,
-        isFavorite,
-        data: {
-          title: name || '',
-          fullName: [firstName, middleName, lastName].filter(Boolean).join(' '),
-          username,
-          email,
-          phoneNumber: normalizePhone(phoneNumber),
-          address: [address1, address2, address3].filter(Boolean).join(', '),
-          zip,
-          city,
-          region,
-          country,
-          note,
-          customFields: toCustomFields(extra, usedNotes)
-        }
-      })
-    } else if (NOTE_TYPE_WIFI_PASSWORD.test(extra)) {
-      const title = getField(extra, 'SSID')
-      const wifiPassword = getField(extra, 'Password')
-      const note = getField(extra, 'Notes')
-
-      for (const value of [title, wifiPassword, note]) {
-        if (value) {
-          usedNotes.add(value)
-        }
+    for (const value of [title, wifiPassword, note]) {
+      if (value) {
+        usedNotes.add(value)
       }
+    }
 
-      result.push({
-        type: 'wifiPassword',
-        folder,
-        isFavorite,
-        data: {
-          title,
-          password: wifiPassword,
-          note,
-          customFields: toCustomFields(extra, usedNotes)
-        }
-      })
-    } else if (!password && extra) {
-      if (extra) {
-        usedNotes.add(extra)
+    return {
+      type: 'wifiPassword',
+      folder,
+      isFavorite,
+      importMeta,
+      data: {
+        title,
+        password: wifiPassword,
+        note,
+        customFields: toCustomFields(extra, usedNotes)
       }
+    }
+  } else if (!password && extra) {
+    if (extra) {
+      usedNotes.add(extra)
+    }
 
-      result.push({
-        type: 'note',
-        folder,
-        isFavorite,
-        data: {
-          title: name || '',
-          note: extra,
-          customFields: toCustomFields(extra, usedNotes)
-        }
-      })
-    } else {
-      if (extra) {
-        usedNotes.add(extra)
+    return {
+      type: 'note',
+      folder,
+      isFavorite,
+      importMeta,
+      data: {
+        title: name || '',
+        note: extra,
+        customFields: toCustomFields(extra, usedNotes)
       }
+    }
+  } else {
+    if (extra) {
+      usedNotes.add(extra)
+    }
 
-      result.push({
-        type: 'login',
-        folder,
-        isFavorite,
-        data: {
-          title: name || '',
-          username,
-          password,
-          note: extra || '',
-          websites,
-          customFields: toCustomFields(extra, usedNotes)
-        }
-      })
+    return {
+      type: 'login',
+      folder,
+      isFavorite,
+      importMeta,
+      data: {
+        title: name || '',
+        username,
+        password,
+        note: extra || '',
+        websites: normalizeWebsites(
+          url ? url.split(',') : [],
+          location,
+          context
+        ),
+        customFields: toCustomFields(extra, usedNotes)
+      }
     }
   }
+}
 
-  return result
+/**
+ * Adds the `totp` column to logins; other record types have no place for it.
+ * @param {string[]} headerRow
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {(
+ *   row: string[],
+ *   location: import('../utils/createImportReport').ImportLocation
+ * ) => Object}
+ */
+const createLastPassRowParser = (headerRow, context) => {
+  const parseRecord = createRecordParser(headerRow, context)
+
+  return (row, location) => {
+    const record = parseRecord(row, location)
+    const totp = get(row, 'totp', headerRow)
+    if (!totp) return record
+
+    if (record.type !== 'login') {
+      context.report.unmapped(location, ['totp'])
+      return record
+    }
+
+    const { otp, customFields } = mapOtp(totp, location, context)
+    return {
+      ...record,
+      data: {
+        ...record.data,
+        otp,
+        customFields: [...record.data.customFields, ...customFields]
+      }
+    }
+  }
 }
 
+/**
+ * @function parseLastPassCsv
+ * @param {string} text
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<Object>}
+ */
+export const parseLastPassCsv = (text, context = createImportContext()) =>
+  parseCsvRecords(
+    text,
+    (headerRow) => createLastPassRowParser(headerRow, context),
+    context
+  )
+
+/**
+ * Streaming variant of `parseLastPassCsv`.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<Object>}
+ */
+export const streamLastPassCsv = (input, context = createImportContext()) =>
+  streamCsvRecords(
+    input,
+    (headerRow) => createLastPassRowParser(headerRow, context),
+    context
+  )
+
+/**
+ * @param {import('../detectImportFormat').ImportProbe} probe
+ * @returns {Array<{fileType: string, confidence: number}>}
+ */
+export const detectLastPassData = ({ csvHeaders }) => [
+  { fileType: 'csv', confidence: scoreCsvHeaders(csvHeaders, CSV_SIGNATURE) }
+]
+
 /**
  * @param {string} data
  * @param {string} type
+ * @param {import('../utils/createImportContext').ImportContext} [context]
  * @returns {*}
+ * @throws {UnsupportedFileTypeError}
  */
-export const parseLastPassData = (data, type) => {
+export const parseLastPassData = (data, type, context) => {
   if (type === 'csv') {
-    return parseLastPassCsv(data)
+    return parseLastPassCsv(data, context)
   }
 
-  throw new Error('Unsupported file type, please use CSV')
+  throw new UnsupportedFileTypeError(type, ['csv'])
+}
+
+/** @type {import('../registry').ImporterDefinition} */
+export const lastPassImporter = {
+  id: 'lastpass',
+  label: 'LastPass',
+  fileTypes: ['csv'],
+  detect: detectLastPassData,
+  parse: ({ data, fileType, context }) =>
+    parseLastPassData(data, fileType, context),
+  streamFileTypes: ['csv'],
+  parseStream: ({ data, context }) => streamLastPassCsv(data, context)
 }
@@ -1,10 +1,7 @@
 import { parseLastPassCsv, parseLastPassData } from './lastPass'
-import { addHttps } from '../utils/addHttps'
+import { createImportContext } from '../utils/createImportContext'
 import { getRowsFromCsv } from '../utils/getRowsFromCsv'
 
-jest.mock('../utils/addHttps', () => ({
-  addHttps: jest.fn((url) => `https://${url.replace(/^https?:\/\//, '')}`)
-}))
 jest.mock('../utils/getRowsFromCsv', () => ({
   getRowsFromCsv: jest.fn()
 }))
@@ -25,6 +22,7 @@ describe('parseLastPassCsv', () => {
         type: 'login',
         folder: null,
         isFavorite: true,
+        importMeta: expect.any(Object),
         data: {
           title: 'My Site',
           username: 'user1',
@@ -35,7 +33,6 @@ describe('parseLastPassCsv', () => {
         }
       }
     ])
-    expect(addHttps).toHaveBeenCalledWith('example.com')
   })
 
   it('parses a credit card row', () => {
@@ -165,6 +162,109 @@ describe('parseLastPassCsv', () => {
     const result = parseLastPassCsv('csv text')
     expect(result[0].data.expireDate).toBe('02/30')
   })
+
+  it('maps the totp column of logins and reports it for other types', () => {
+    getRowsFromCsv.mockReturnValue([
+      [
+        'url',
+        'username',
+        'password',
+        'totp',
+        'extra',
+        'name',
+        'grouping',
+        'fav'
+      ],
+      ['site.com', 'user', 'pass', 'JBSWY3DPEHPK3PXP', '', 'Site', '', '0'],
+      ['http://sn', '', '', 'JBSWY3DPEHPK3PXP', 'Some note', 'Note', '', '0']
+    ])
+    const context = createImportContext()
+    const [login, note] = parseLastPassCsv('csv text', context)
+    expect(login.data.otp).toMatchObject({
+      secret: 'JBSWY3DPEHPK3PXP',
+      digits: 6
+    })
+    expect(note.data).not.toHaveProperty('otp')
+    expect(context.report.summarize([]).unmappedFields).toEqual([
+      { row: 3, field: 'totp' }
+    ])
+  })
+
+  it('records the LastPass note type and group', () => {
+    getRowsFromCsv.mockReturnValueOnce([
+      ['url', 'username', 'password', 'extra', 'name', 'grouping', 'fav'],
+      [
+        'http://sn',
+        '',
+        '',
+        'NoteType:Credit Card\nNumber:4111111111111111',
+        'Visa',
+        'Bank\\Cards',
+        '0'
+      ]
+    ])
+
+    const [record] = parseLastPassCsv(
+      '',
+      createImportContext({ importedAt: 1000 })
+    )
+
+    expect(record.importMeta).toEqual({
+      source: 'lastpass',
+      fileType: 'csv',
+      originalType: 'Credit Card',
+      folderPath: 'Bank\\Cards',
+      importedAt: 1000
+    })
+  })
+
+  it('normalizes websites and leaves out placeholders', () => {
+    getRowsFromCsv.mockReturnValueOnce([
+      ['url', 'username', 'password', 'extra', 'name', 'grouping', 'fav'],
+      ['http://sn', 'user', 'pass', '', 'No site', '', '0'],
+      [
+        'example.com, https://example.com/,javascript:alert(1)',
+        'user',
+        'pass',
+        '',
+        'Site',
+        '',
+        '0'
+      ]
+    ])
+    const context = createImportContext()
+    const [withPlaceholder, withWebsites] = parseLastPassCsv('', context)
+
+    expect(withPlaceholder.data.websites).toEqual([])
+    expect(withWebsites.data.websites).toEqual(['https://example.com'])
+    expect(context.report.summarize([]).warnings).toEqual([
+      expect.objectContaining({ row: 3, code: 'INVALID_URL' })
+    ])
+  })
+
+  it('reports card numbers that fail the Luhn check', () => {
+    getRowsFromCsv.mockReturnValueOnce([
+      ['url', 'username', 'password', 'extra', 'name', 'grouping', 'fav'],
+      [
+        'http://sn',
+        '',
+        '',
+        'NoteType:Credit Card\nNumber:4111 1111 1111 1112\nExpiration Date:,',
+        'Card',
+        '',
+        '0'
+      ]
+    ])
+    const context = createImportContext()
+    const [record] = parseLastPassCsv('', context)
+
+    expect(record.data.number).toBe('4111111111111112')
+    expect(record.data.brand).toBe('visa')
+    expect(context.report.summarize([]).warnings).toEqual([
+      expect.objectContaining({ row: 2, code: 'INVALID_CARD_NUMBER' }),
+      expect.objectContaining({ row: 2, code: 'INVALID_CARD_EXPIRY' })
+    ])
+  })
 })
 
 describe('parseLastPass', () => {
@@ -173,8 +273,9 @@ describe('parseLastPass', () => {
       ['url', 'username', 'password', 'extra', 'name', 'grouping', 'fav'],
       ['example.com', 'user', 'pass', '', 'Title', '', '0']
     ])
-    expect(parseLastPassData('csv text', 'csv')).toEqual(
-      parseLastPassCsv('csv text')
+    const context = createImportContext()
+    expect(parseLastPassData('csv text', 'csv', context)).toEqual(
+      parseLastPassCsv('csv text', context)
     )
   })
 
@@ -1,177 +1,295 @@
-import { addHttps } from '../utils/addHttps'
-import { getRowsFromCsv } from '../utils/getRowsFromCsv'
+import { UnsupportedFileTypeError } from '../errors'
+import { createCustomField } from '../utils/createCustomField'
+import { createImportContext } from '../utils/createImportContext'
+import { createImportMeta } from '../utils/createImportMeta'
+import { getUnmappedFields } from '../utils/getUnmappedFields'
+import { normalizeWebsites } from '../utils/normalizeUrl'
+import { mapCard } from '../utils/parseCard'
+import { parseCsvRecords } from '../utils/parseCsvRecords'
+import { scoreCsvHeaders } from '../utils/scoreCsvHeaders'
+import { streamCsvRecords } from '../utils/streamCsvRecords'
+
+const CSV_SIGNATURE = {
+  required: ['name', 'type', 'additional_urls'],
+  optional: [
+    'url',
+    'username',
+    'password',
+    'note',
+    'cardholdername',
+    'cardnumber',
+    'cvc',
+    'pin',
+    'expirydate',
+    'zipcode',
+    'folder',
+    'full_name',
+    'phone_number',
+    'email',
+    'address1',
+    'address2',
+    'city',
+    'country',
+    'state',
+    'custom_fields'
+  ]
+}
+
+const BASE_COLUMNS = ['type', 'folder', 'name', 'custom_fields']
+
+/** Columns read per NordPass item type, on top of `BASE_COLUMNS`. */
+const MAPPED_COLUMNS = {
+  password: ['username', 'password', 'note', 'url', 'additional_urls'],
+  credit_card: [
+    'cardholdername',
+    'cardnumber',
+    'cvc',
+    'pin',
+    'expirydate',
+    'zipcode',
+    'note'
+  ],
+  note: ['note'],
+  identity: [
+    'full_name',
+    'phone_number',
+    'email',
+    'address1',
+    'address2',
+    'city',
+    'country',
+    'state',
+    'zipcode',
+    'note'
+  ]
+}
 
 /**
- * @function parseNordPassCSV
- * @param {string} csvText
- * @returns {Array<Object>}
+ * @param {string} value
+ * @param {import('../utils/createImportReport').ImportLocation} location
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {string[]}
  */
-export const parseNordPassCSV = (csvText) => {
-  const rows = getRowsFromCsv(csvText)
-  const [headerRow, ...dataRows] = rows
-  const headers = headerRow.map((h) => h.trim())
-  const entries = []
-
-  for (const row of dataRows) {
-    const item = Object.fromEntries(
-      headers.map((key, i) => [key, row[i]?.trim() ?? ''])
+const parseAdditionalUrls = (value, location, context) => {
+  try {
+    const parsed = JSON.parse(value || '[]')
+    return Array.isArray(parsed) ? parsed : []
+  } catch {
+    context.report.warn(
+      location,
+      'INVALID_FIELD_VALUE',
+      'Could not read additional_urls'
     )
+    return []
+  }
+}
 
-    const {
-      type,
-      folder,
-      name,
-      username,
-      password,
-      note,
-      cardholdername,
-      cardnumber,
-      cvc,
-      pin,
-      zipcode,
-      expirydate,
-      full_name,
-      phone_number,
-      email,
-      address1,
-      address2,
-      city,
-      country,
-      state,
-      custom_fields,
-      url,
-      additional_urls
-    } = item
-
-    const base = {
-      folder: folder || null,
-      isFavorite: false
-    }
+/**
+ * @param {string[]} headerRow
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {(
+ *   row: string[],
+ *   location: import('../utils/createImportReport').ImportLocation
+ * ) => Object | null} Folder rows result in `null`.
+ */
+const createNordPassRowParser = (headerRow, context) => (row, location) => {
+  const item = Object.fromEntries(
+    headerRow.map((key, i) => [key, row[i]?.trim() ?? ''])
+  )
 
-    const urls = [url, ...JSON.parse(additional_urls || '[]')]
-      .map((u) => addHttps(u))
-      .filter(Boolean)
+  const {
+    type,
+    folder,
+    name,
+    username,
+    password,
+    note,
+    cardholdername,
+    cardnumber,
+    cvc,
+    pin,
+    zipcode,
+    expirydate,
+    full_name,
+    phone_number,
+    email,
+    address1,
+    address2,
+    city,
+    country,
+    state,
+    custom_fields,
+    url,
+    additional_urls
+  } = item
 
-    let entry = null
+  const base = {
+    folder: folder || null,
+    isFavorite: false,
+    importMeta: createImportMeta(
+      {
+        source: 'nordpass',
+        fileType: 'csv',
+        originalType: type,
+        folderPath: folder
+      },
+      context
+    )
+  }
 
-    if (type === 'folder') {
-      continue
-    }
+  let entry = null
 
-    if (type === 'password') {
-      entry = {
-        type: 'login',
-        ...base,
-        data: {
-          title: name,
-          username: username || '',
-          password: password || '',
-          note: note || '',
-          websites: urls,
-          customFields: parseCustomFields(custom_fields)
-        }
-      }
-    } else if (type === 'credit_card') {
-      const customFields = parseCustomFields(custom_fields)
-
-      if (zipcode) {
-        customFields.push({
-          type: 'note',
-          note: `Zipcode: ${zipcode}`
-        })
-      }
+  if (type === 'folder') {
+    return null
+  }
+
+  const urls = [url, ...parseAdditionalUrls(additional_urls, location, context)]
+
+  context.report.unmapped(
+    location,
+    getUnmappedFields(item, [...BASE_COLUMNS, ...(MAPPED_COLUMNS[type] || [])])
+  )
+
+  if (!MAPPED_COLUMNS[type]) {
+    context.report.warn(
+      location,
+      'UNSUPPORTED_ITEM_TYPE',
+      `Unsupported item type "${type}", imported as custom`
+    )
+  }
 
-      entry = {
-        type: 'creditCard',
-        ...base,
-        data: {
-          title: name,
-          name: cardholdername || '',
-          number: cardnumber || '',
-          expireDate: normalizeExpireDate(expirydate),
-          securityCode: cvc || '',
-          pinCode: pin || '',
-          note: note || '',
-          customFields
-        }
+  if (type === 'password') {
+    entry = {
+      type: 'login',
+      ...base,
+      data: {
+        title: name,
+        username: username || '',
+        password: password || '',
+        note: note || '',
+        websites: normalizeWebsites(urls, location, context),
+        customFields: parseCustomFields(custom_fields, location, context)
       }
-    } else if (type === 'note') {
-      entry = {
+    }
+  } else if (type === 'credit_card') {
+    const customFields = parseCustomFields(custom_fields, location, context)
+
+    if (zipcode) {
+      customFields.push({
         type: 'note',
-        ...base,
-        data: {
-          title: name,
-          note: note || '',
-          customFields: parseCustomFields(custom_fields)
-        }
+        note: `Zipcode: ${zipcode}`
+      })
+    }
+
+    entry = {
+      type: 'creditCard',
+      ...base,
+      data: {
+        title: name,
+        ...mapCard(
+          {
+            name: cardholdername,
+            number: cardnumber,
+            expiry: expirydate,
+            securityCode: cvc,
+            pinCode: pin
+          },
+          location,
+          context
+        ),
+        note: note || '',
+        customFields
+      }
+    }
+  } else if (type === 'note') {
+    entry = {
+      type: 'note',
+      ...base,
+      data: {
+        title: name,
+        note: note || '',
+        customFields: parseCustomFields(custom_fields, location, context)
       }
-    } else if (type === 'identity') {
-      entry = {
-        type: 'identity',
-        ...base,
-        data: {
-          title: name,
-          fullName: full_name || '',
-          email: email || '',
-          phoneNumber: normalizePhone(phone_number),
-          address: [address1, address2].filter(Boolean).join(', ') || '',
-          zip: item.zipcode || '',
-          city: city || '',
-          region: state || '',
-          country: country || '',
-          note: note || '',
-          customFields: parseCustomFields(custom_fields)
-        }
+    }
+  } else if (type === 'identity') {
+    entry = {
+      type: 'identity',
+      ...base,
+      data: {
+        title: name,
+        fullName: full_name || '',
+        email: email || '',
+        phoneNumber: normalizePhone(phone_number),
+        address: [address1, address2].filter(Boolean).join(', ') || '',
+        zip: item.zipcode || '',
+        city: city || '',
+        region: state || '',
+        country: country || '',
+        note: note || '',
+        customFields: parseCustomFields(custom_fields, location, context)
       }
-    } else {
-      entry = {
-        type: 'custom',
-        ...base,
-        data: {
-          title: name,
-          customFields: parseCustomFields(custom_fields)
-        }
+    }
+  } else {
+    entry = {
+      type: 'custom',
+      ...base,
+      data: {
+        title: name,
+        customFields: parseCustomFields(custom_fields, location, context)
       }
     }
-
-    entries.push(entry)
   }
 
-  return entries
+  return entry
 }
 
 /**
- * @param {string} customFields
- * @returns {Array<{type: string, note: string}>}
+ * @function parseNordPassCSV
+ * @param {string} csvText
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<Object>}
  */
-const parseCustomFields = (customFields) => {
-  try {
-    const parsed = JSON.parse(customFields || '[]')
-    return parsed.map(({ label, value }) => ({
-      type: 'note',
-      note: `${label}: ${value}`
-    }))
-  } catch {
-    return []
-  }
-}
+export const parseNordPassCSV = (csvText, context = createImportContext()) =>
+  parseCsvRecords(
+    csvText,
+    (headerRow) => createNordPassRowParser(headerRow, context),
+    context
+  )
 
 /**
- * @param {string} str
- * @returns {string}
+ * Streaming variant of `parseNordPassCSV`.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<Object>}
  */
-const normalizeExpireDate = (str) => {
-  if (!str) {
-    return ''
-  }
+export const streamNordPassCSV = (input, context = createImportContext()) =>
+  streamCsvRecords(
+    input,
+    (headerRow) => createNordPassRowParser(headerRow, context),
+    context
+  )
 
-  const match = str.match(/(\d{2})\/(\d{2,4})/)
-  if (!match) {
-    return str
+/**
+ * @param {string} customFields - JSON list of `{ label, type, value }`,
+ *   NordPass types are `text`, `hidden` and `date`.
+ * @param {import('../utils/createImportReport').ImportLocation} location
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {import('../utils/createCustomField').CustomField[]}
+ */
+const parseCustomFields = (customFields, location, context) => {
+  try {
+    const parsed = JSON.parse(customFields || '[]')
+    return parsed.map(({ label, type, value }) =>
+      createCustomField(label, value, { type })
+    )
+  } catch {
+    context.report.warn(
+      location,
+      'INVALID_FIELD_VALUE',
+      'Could not read custom_fields'
+    )
+    return []
   }
-
-  const [, month, year] = match
-  return `${month.padStart(2, '0')}/${year.length === 2 ? year : year.slice(-2)}`
 }
 
 /**
@@ -187,16 +305,37 @@ const normalizePhone = (str) => {
   return digits ? `+${digits}` : ''
 }
 
+/**
+ * @param {import('../detectImportFormat').ImportProbe} probe
+ * @returns {Array<{fileType: string, confidence: number}>}
+ */
+export const detectNordPassData = ({ csvHeaders }) => [
+  { fileType: 'csv', confidence: scoreCsvHeaders(csvHeaders, CSV_SIGNATURE) }
+]
+
 /**
  * @param {string} data
  * @param {string} fileType
+ * @param {import('../utils/createImportContext').ImportContext} [context]
  * @returns {Array}
- * @throws {Error}
+ * @throws {UnsupportedFileTypeError}
  */
-export const parseNordPassData = (data, fileType) => {
+export const parseNordPassData = (data, fileType, context) => {
   if (fileType === 'csv') {
-    return parseNordPassCSV(data)
+    return parseNordPassCSV(data, context)
   }
 
-  throw new Error('Unsupported file type, please use CSV')
+  throw new UnsupportedFileTypeError(fileType, ['csv'])
+}
+
+/** @type {import('../registry').ImporterDefinition} */
+export const nordPassImporter = {
+  id: 'nordpass',
+  label: 'NordPass',
+  fileTypes: ['csv'],
+  detect: detectNordPassData,
+  parse: ({ data, fileType, context }) =>
+    parseNordPassData(data, fileType, context),
+  streamFileTypes: ['csv'],
+  parseStream: ({ data, context }) => streamNordPassCSV(data, context)
 }
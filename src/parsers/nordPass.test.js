@@ -1,12 +1,6 @@
 describe('parseNordPassCSV', () => {
-  const mockAddHttps = jest.fn(
-    (u) => u && `https://${u.replace(/^https?:\/\//, '')}`
-  )
   const mockGetRowsFromCsv = jest.fn()
 
-  jest.mock('../utils/addHttps', () => ({
-    addHttps: (u) => mockAddHttps(u)
-  }))
   jest.mock('../utils/getRowsFromCsv', () => ({
     getRowsFromCsv: (csv) => mockGetRowsFromCsv(csv)
   }))
@@ -49,6 +43,7 @@ describe('parseNordPassCSV', () => {
         type: 'login',
         folder: null,
         isFavorite: false,
+        importMeta: expect.any(Object),
         data: {
           title: 'My Site',
           username: 'user1',
@@ -94,6 +89,7 @@ describe('parseNordPassCSV', () => {
         type: 'creditCard',
         folder: null,
         isFavorite: false,
+        importMeta: expect.any(Object),
         data: {
           title: 'Visa',
           name: 'John Doe',
@@ -101,6 +97,7 @@ describe('parseNordPassCSV', () => {
           expireDate: '12/25',
           securityCode: '123',
           pinCode: '0000',
+          brand: 'visa',
           note: 'cc note',
           customFields: []
         }
@@ -119,6 +116,7 @@ describe('parseNordPassCSV', () => {
         type: 'note',
         folder: null,
         isFavorite: false,
+        importMeta: expect.any(Object),
         data: {
           title: 'Secret',
           note: 'my secret note',
@@ -169,6 +167,7 @@ describe('parseNordPassCSV', () => {
         type: 'identity',
         folder: null,
         isFavorite: false,
+        importMeta: expect.any(Object),
         data: {
           title: 'ID1',
           fullName: 'Jane Smith',
@@ -189,11 +188,17 @@ describe('parseNordPassCSV', () => {
   it('parses custom fields', () => {
     mockGetRowsFromCsv.mockReturnValue([
       ['type', 'folder', 'name', 'custom_fields'],
-      ['note', '', 'Custom', '[{"label":"foo","value":"bar"}]']
+      [
+        'note',
+        '',
+        'Custom',
+        '[{"label":"foo","value":"bar"},{"label":"PIN","type":"hidden","value":"1234"}]'
+      ]
     ])
     const result = parseNordPassCSV('csv')
     expect(result[0].data.customFields).toEqual([
-      { type: 'note', note: 'foo:bar' }
+      { type: 'text', label: 'foo', value: 'bar', hidden: false },
+      { type: 'hidden', label: 'PIN', value: '1234', hidden: true }
     ])
   })
 
@@ -266,12 +271,29 @@ describe('parseNordPassCSV', () => {
       'https://bar.com'
     ])
   })
+
+  it('records the NordPass item type and folder', () => {
+    mockGetRowsFromCsv.mockReturnValue([
+      ['type', 'folder', 'name', 'cardnumber'],
+      ['credit_card', 'Finance', 'Visa', '4111111111111111']
+    ])
+
+    const [record] = parseNordPassCSV('')
+
+    expect(record.importMeta).toEqual({
+      source: 'nordpass',
+      fileType: 'csv',
+      originalType: 'credit_card',
+      folderPath: 'Finance',
+      importedAt: expect.any(Number)
+    })
+  })
 })
 
 describe('parseNordPassData', () => {
   it('calls parseNordPassCSV for csv', () => {
     jest.resetModules()
-    // Mock getRowsFromCsv and addHttps to control parseNordPassCSV output
+    // Mock getRowsFromCsv to control parseNordPassCSV output
     jest.doMock('../utils/getRowsFromCsv', () => ({
       getRowsFromCsv: () => [
         [
@@ -298,15 +320,13 @@ describe('parseNordPassData', () => {
         ]
       ]
     }))
-    jest.doMock('../utils/addHttps', () => ({
-      addHttps: (u) => u && `https://${u.replace(/^https?:\/\//, '')}`
-    }))
     const { parseNordPassData } = require('./nordPass')
     expect(parseNordPassData('data', 'csv')).toEqual([
       {
         type: 'login',
         folder: null,
         isFavorite: false,
+        importMeta: expect.any(Object),
         data: {
           title: 'My Site',
           username: 'user1',
@@ -323,7 +343,6 @@ describe('parseNordPassData', () => {
     ])
     jest.dontMock('./nordPass')
     jest.dontMock('../utils/getRowsFromCsv')
-    jest.dontMock('../utils/addHttps')
   })
 
   it('throws for unsupported file type', () => {
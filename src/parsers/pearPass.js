@@ -1,112 +1,325 @@
-import { addHttps } from '../utils/addHttps'
-
-export const parsePearPassJson = (records) =>
-  records.map((record) => ({
-    type: record.type,
-    data: record.data,
-    folder: record.folder || null,
-    isFavorite: record.isFavorite
-  }))
-
-export const parsePearPassCsv = async (text) => {
-  const lines = text.split('\n').filter(Boolean)
-  const headers = lines[0].split(',').map((h) => h.replace(/^"|"$/g, ''))
-
-  const entries = lines.slice(1).map((line) => {
-    const values = line
-      .split(/,(?=(?:(?:[^"]*"){2})*[^"]*$)/)
-      .map((val) => val.replace(/^"|"$/g, '').replace(/""/g, '"'))
-    const row = headers.reduce((acc, h, i) => {
-      acc[h] = values[i]
-      return acc
-    }, {})
-    return row
-  })
-
-  const result = entries.map((entry) => {
-    const type = entry.type
-    const data = {
-      title: entry.title || ''
-    }
+import { MalformedFileError, UnsupportedFileTypeError } from '../errors'
+import {
+  createImportContext,
+  IMPORT_PHASES
+} from '../utils/createImportContext'
+import { createImportMeta } from '../utils/createImportMeta'
+import { getUnmappedFields } from '../utils/getUnmappedFields'
+import { normalizeWebsites } from '../utils/normalizeUrl'
+import { mapCard } from '../utils/parseCard'
+import { parseCsvRecords } from '../utils/parseCsvRecords'
+import { parseJson } from '../utils/parseJson'
+import { scoreCsvHeaders } from '../utils/scoreCsvHeaders'
+import { streamCsvRecords } from '../utils/streamCsvRecords'
+import { toTimestamp } from '../utils/toTimestamp'
 
-    if (type === 'login') {
-      data.username = entry.username || ''
-      data.password = entry.password || ''
-      data.passwordUpdatedAt = entry.passwordUpdatedAt
-        ? Number(entry.passwordUpdatedAt)
-        : ''
-      data.websites = entry.websites
-        ? entry.websites.split(';').map((w) => addHttps(w))
-        : []
-    } else if (type === 'creditCard') {
-      data.name = entry.name || ''
-      data.number = entry.number || ''
-      data.expireDate = entry.expireDate || ''
-      data.securityCode = entry.securityCode || ''
-      data.pinCode = entry.pinCode || ''
-    } else if (type === 'identity') {
-      data.fullName = entry.fullName || ''
-      data.email = entry.email || ''
-      data.phoneNumber = entry.phoneNumber || ''
-      data.address = entry.address || ''
-      data.zip = entry.zip || ''
-      data.city = entry.city || ''
-      data.region = entry.region || ''
-      data.country = entry.country || ''
-      data.passportFullName = entry.passportFullName || ''
-      data.passportNumber = entry.passportNumber || ''
-      data.passportIssuingCountry = entry.passportIssuingCountry || ''
-      data.passportDateOfIssue = entry.passportDateOfIssue || ''
-      data.passportExpiryDate = entry.passportExpiryDate || ''
-      data.passportNationality = entry.passportNationality || ''
-      data.passportDob = entry.passportDob || ''
-      data.passportGender = entry.passportGender || ''
-      data.idCardNumber = entry.idCardNumber || ''
-      data.idCardDateOfIssue = entry.idCardDateOfIssue || ''
-      data.idCardExpiryDate = entry.idCardExpiryDate || ''
-      data.idCardIssuingCountry = entry.idCardIssuingCountry || ''
-      data.drivingLicenseNumber = entry.drivingLicenseNumber || ''
-      data.drivingLicenseDateOfIssue = entry.drivingLicenseDateOfIssue || ''
-      data.drivingLicenseExpiryDate = entry.drivingLicenseExpiryDate || ''
-      data.drivingLicenseIssuingCountry =
-        entry.drivingLicenseIssuingCountry || ''
-    } else if (type === 'passPhrase') {
-      data.passPhrase = entry.passPhrase || ''
-    } else if (type === 'wifiPassword') {
-      data.password = entry.password || ''
-    }
+const CSV_SIGNATURE = {
+  required: ['type', 'title', 'isFavorite'],
+  optional: [
+    'folder',
+    'note',
+    'customFields',
+    'username',
+    'password',
+    'websites'
+  ]
+}
+
+const BASE_CSV_COLUMNS = [
+  'type',
+  'title',
+  'note',
+  'customFields',
+  'folder',
+  'isFavorite'
+]
 
-    data.note = entry.note || ''
+/** CSV columns read per record type, on top of `BASE_CSV_COLUMNS`. */
+const MAPPED_CSV_COLUMNS = {
+  login: ['username', 'password', 'passwordUpdatedAt', 'websites'],
+  creditCard: [
+    'name',
+    'number',
+    'expireDate',
+    'securityCode',
+    'pinCode',
+    'brand'
+  ],
+  identity: [
+    'fullName',
+    'email',
+    'phoneNumber',
+    'address',
+    'zip',
+    'city',
+    'region',
+    'country',
+    'passportFullName',
+    'passportNumber',
+    'passportIssuingCountry',
+    'passportDateOfIssue',
+    'passportExpiryDate',
+    'passportNationality',
+    'passportDob',
+    'passportGender',
+    'idCardNumber',
+    'idCardDateOfIssue',
+    'idCardExpiryDate',
+    'idCardIssuingCountry',
+    'drivingLicenseNumber',
+    'drivingLicenseDateOfIssue',
+    'drivingLicenseExpiryDate',
+    'drivingLicenseIssuingCountry'
+  ],
+  passPhrase: ['passPhrase'],
+  wifiPassword: ['password']
+}
 
-    data.customFields = entry.customFields
-      ? entry.customFields
-          .split(';')
-          .map((fieldStr) => {
-            const [type = 'note', note] = fieldStr.split(':')
-            return { type, note }
-          })
-          .filter((f) => f.note)
-      : []
+/**
+ * @param {*} json
+ * @returns {number}
+ */
+const scoreJson = (json) => {
+  if (!Array.isArray(json)) return 0
+  if (!json.length) return 0.3
 
-    return {
-      type: type,
-      data,
-      folder: entry.folder || null,
-      isFavorite: entry.isFavorite === 'true'
+  const records = json.filter(
+    (record) =>
+      typeof record?.type === 'string' &&
+      record.data &&
+      typeof record.data === 'object'
+  )
+
+  return Number(((0.9 * records.length) / json.length).toFixed(2))
+}
+
+/**
+ * @param {Array<Object>} records
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<Object>}
+ * @throws {MalformedFileError} When `records` is not a list.
+ */
+export const parsePearPassJson = (records, context = createImportContext()) => {
+  if (!Array.isArray(records)) {
+    throw new MalformedFileError('PearPass export is not a list of records', {
+      fileType: 'json'
+    })
+  }
+
+  const result = []
+  context.startPhase(IMPORT_PHASES.MAPPING_RECORDS, records.length)
+
+  for (const [index, record] of records.entries()) {
+    context.tick()
+    if (typeof record?.type !== 'string' || !record.data) {
+      context.report.skip(
+        { index },
+        'INVALID_RECORD',
+        'Record has no type or data'
+      )
+      continue
     }
-  })
+
+    result.push({
+      type: record.type,
+      sourceId: record.id,
+      data: record.data,
+      folder: record.folder || null,
+      isFavorite: record.isFavorite,
+      createdAt: toTimestamp(record.createdAt),
+      updatedAt: toTimestamp(record.updatedAt),
+      importMeta: createImportMeta(
+        {
+          source: 'pearpass',
+          fileType: 'json',
+          originalType: record.type,
+          folderPath: record.folder
+        },
+        context
+      )
+    })
+  }
 
   return result
 }
 
-export const parsePearPassData = (data, fileType) => {
+/**
+ * @param {string[]} headerRow
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {(
+ *   row: string[],
+ *   location: import('../utils/createImportReport').ImportLocation
+ * ) => Object}
+ */
+const createPearPassRowParser = (headerRow, context) => (row, location) => {
+  const entry = Object.fromEntries(
+    headerRow.map((header, i) => [header, row[i]])
+  )
+  const type = entry.type
+
+  context.report.unmapped(
+    location,
+    getUnmappedFields(entry, [
+      ...BASE_CSV_COLUMNS,
+      ...(MAPPED_CSV_COLUMNS[type] || [])
+    ])
+  )
+
+  const data = {
+    title: entry.title || ''
+  }
+
+  if (type === 'login') {
+    data.username = entry.username || ''
+    data.password = entry.password || ''
+    data.passwordUpdatedAt = toTimestamp(entry.passwordUpdatedAt)
+    data.websites = normalizeWebsites(
+      entry.websites ? entry.websites.split(';') : [],
+      location,
+      context
+    )
+  } else if (type === 'creditCard') {
+    Object.assign(
+      data,
+      mapCard(
+        {
+          name: entry.name,
+          number: entry.number,
+          expiry: entry.expireDate,
+          securityCode: entry.securityCode,
+          pinCode: entry.pinCode,
+          brand: entry.brand
+        },
+        location,
+        context
+      )
+    )
+  } else if (type === 'identity') {
+    data.fullName = entry.fullName || ''
+    data.email = entry.email || ''
+    data.phoneNumber = entry.phoneNumber || ''
+    data.address = entry.address || ''
+    data.zip = entry.zip || ''
+    data.city = entry.city || ''
+    data.region = entry.region || ''
+    data.country = entry.country || ''
+    data.passportFullName = entry.passportFullName || ''
+    data.passportNumber = entry.passportNumber || ''
+    data.passportIssuingCountry = entry.passportIssuingCountry || ''
+    data.passportDateOfIssue = entry.passportDateOfIssue || ''
+    data.passportExpiryDate = entry.passportExpiryDate || ''
+    data.passportNationality = entry.passportNationality || ''
+    data.passportDob = entry.passportDob || ''
+    data.passportGender = entry.passportGender || ''
+    data.idCardNumber = entry.idCardNumber || ''
+    data.idCardDateOfIssue = entry.idCardDateOfIssue || ''
+    data.idCardExpiryDate = entry.idCardExpiryDate || ''
+    data.idCardIssuingCountry = entry.idCardIssuingCountry || ''
+    data.drivingLicenseNumber = entry.drivingLicenseNumber || ''
+    data.drivingLicenseDateOfIssue = entry.drivingLicenseDateOfIssue || ''
+    data.drivingLicenseExpiryDate = entry.drivingLicenseExpiryDate || ''
+    data.drivingLicenseIssuingCountry = entry.drivingLicenseIssuingCountry || ''
+  } else if (type === 'passPhrase') {
+    data.passPhrase = entry.passPhrase || ''
+  } else if (type === 'wifiPassword') {
+    data.password = entry.password || ''
+  }
+
+  data.note = entry.note || ''
+
+  data.customFields = entry.customFields
+    ? entry.customFields
+        .split(';')
+        .map((fieldStr) => {
+          const [type = 'note', note] = fieldStr.split(':')
+          return { type, note }
+        })
+        .filter((f) => f.note)
+    : []
+
+  return {
+    type: type,
+    data,
+    folder: entry.folder || null,
+    isFavorite: entry.isFavorite === 'true',
+    importMeta: createImportMeta(
+      {
+        source: 'pearpass',
+        fileType: 'csv',
+        originalType: type,
+        folderPath: entry.folder
+      },
+      context
+    )
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Promise<Array<Object>>}
+ */
+export const parsePearPassCsv = async (text, context = createImportContext()) =>
+  parseCsvRecords(
+    text,
+    (headerRow) => createPearPassRowParser(headerRow, context),
+    context
+  )
+
+/**
+ * Streaming variant of `parsePearPassCsv`.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<Object>}
+ */
+export const streamPearPassCsv = (input, context = createImportContext()) =>
+  streamCsvRecords(
+    input,
+    (headerRow) => createPearPassRowParser(headerRow, context),
+    context
+  )
+
+/**
+ * @param {import('../detectImportFormat').ImportProbe} probe
+ * @returns {Array<{fileType: string, confidence: number}>}
+ */
+export const detectPearPassData = ({ json, csvHeaders }) => [
+  { fileType: 'json', confidence: scoreJson(json) },
+  { fileType: 'csv', confidence: scoreCsvHeaders(csvHeaders, CSV_SIGNATURE) }
+]
+
+/**
+ * @param {string} data
+ * @param {'json' | 'csv'} fileType
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<Object> | Promise<Array<Object>>}
+ * @throws {import('../errors').ImportError}
+ */
+export const parsePearPassData = (
+  data,
+  fileType,
+  context = createImportContext()
+) => {
   if (fileType === 'json') {
-    return parsePearPassJson(JSON.parse(data))
+    context.startPhase(IMPORT_PHASES.PARSING_FILE)
+    return parsePearPassJson(parseJson(data), context)
   }
 
   if (fileType === 'csv') {
-    return parsePearPassCsv(data)
+    return parsePearPassCsv(data, context)
   }
 
-  throw new Error('Unsupported file type, please use JSON or CSV')
+  throw new UnsupportedFileTypeError(fileType, ['json', 'csv'])
+}
+
+/** @type {import('../registry').ImporterDefinition} */
+export const pearPassImporter = {
+  id: 'pearpass',
+  label: 'PearPass',
+  fileTypes: ['json', 'csv'],
+  detect: detectPearPassData,
+  parse: ({ data, fileType, context }) =>
+    parsePearPassData(data, fileType, context),
+  streamFileTypes: ['csv'],
+  parseStream: ({ data, context }) => streamPearPassCsv(data, context)
 }
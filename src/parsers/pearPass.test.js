@@ -3,10 +3,8 @@ import {
   parsePearPassCsv,
   parsePearPassJson
 } from './pearPass'
-
-jest.mock('../utils/addHttps', () => ({
-  addHttps: jest.fn((url) => `https://${url.replace(/^https?:\/\//, '')}`)
-}))
+import { MalformedFileError } from '../errors'
+import { createImportContext } from '../utils/createImportContext'
 
 describe('parsePearPassJson', () => {
   it('parses JSON records correctly', () => {
@@ -29,20 +27,75 @@ describe('parsePearPassJson', () => {
         type: 'login',
         data: { username: 'user', password: 'pass' },
         folder: 'Work',
-        isFavorite: true // 'true' is treated as true in implementation
+        isFavorite: true, // 'true' is treated as true in implementation
+        importMeta: expect.any(Object)
       },
       {
         type: 'creditCard',
         data: { number: '1234' },
         folder: null,
-        isFavorite: false
+        isFavorite: false,
+        importMeta: expect.any(Object)
       }
     ])
   })
+
+  it('skips records without type or data', () => {
+    const context = createImportContext()
+    const result = parsePearPassJson(
+      [{ data: {} }, null, { type: 'note', data: { title: 'Kept' } }],
+      context
+    )
+    expect(result.map(({ data }) => data.title)).toEqual(['Kept'])
+    expect(context.report.summarize(result).skipped).toEqual([
+      {
+        index: 0,
+        code: 'INVALID_RECORD',
+        reason: 'Record has no type or data'
+      },
+      { index: 1, code: 'INVALID_RECORD', reason: 'Record has no type or data' }
+    ])
+  })
+
+  it('records the PearPass type and folder', () => {
+    const [record] = parsePearPassJson(
+      [{ type: 'note', data: { title: 'N' }, folder: 'Inbox' }],
+      createImportContext({ importedAt: 1000 })
+    )
+
+    expect(record.importMeta).toEqual({
+      source: 'pearpass',
+      fileType: 'json',
+      originalType: 'note',
+      folderPath: 'Inbox',
+      importedAt: 1000
+    })
+  })
+
+  it('keeps the record timestamps', () => {
+    const [record] = parsePearPassJson([
+      {
+        type: 'note',
+        data: { title: 'N' },
+        createdAt: 1700000000000,
+        updatedAt: '2024-01-01T00:00:00.000Z'
+      }
+    ])
+
+    expect(record.createdAt).toBe(1700000000000)
+    expect(record.updatedAt).toBe(Date.UTC(2024, 0, 1))
+  })
+
+  it('rejects JSON that is not a list of records', () => {
+    expect(() => parsePearPassJson({})).toThrow(MalformedFileError)
+    expect(() => parsePearPassJson(null)).toThrow(
+      'PearPass export is not a list of records'
+    )
+  })
 })
 
 describe('parsePearPassCsv', () => {
-  it('parses login entries and applies addHttps to websites', async () => {
+  it('parses login entries and normalizes their websites', async () => {
     const csv = [
       '"type","title","username","password","websites","note","customFields","folder","isFavorite"',
       '"login","My Site","user1","pass1","example.com;http://test.com","note1","note:custom1;other:custom2","Personal","true"'
@@ -53,7 +106,7 @@ describe('parsePearPassCsv', () => {
     expect(result[0].data.password).toBe('pass1')
     expect(result[0].data.websites).toEqual([
       'https://example.com',
-      'https://test.com'
+      'http://test.com'
     ])
     expect(result[0].data.note).toBe('note1')
     expect(result[0].data.customFields).toEqual([
@@ -144,6 +197,34 @@ describe('parsePearPassCsv', () => {
     expect(result[0].folder).toBe('WiFi')
     expect(result[0].isFavorite).toBe(false)
   })
+
+  it('reports columns that do not belong to the record type', async () => {
+    const csv = [
+      '"type","title","password","number","note","folder","isFavorite"',
+      '"wifiPassword","Home","pw","4111","","","false"'
+    ].join('\n')
+    const context = createImportContext()
+    await parsePearPassCsv(csv, context)
+    expect(context.report.summarize([]).unmappedFields).toEqual([
+      { row: 2, field: 'number' }
+    ])
+  })
+
+  it('reads passwordUpdatedAt as milliseconds or ISO date', async () => {
+    const csv = [
+      '"type","title","password","passwordUpdatedAt","isFavorite"',
+      '"login","A","pw","1700000000000","false"',
+      '"login","B","pw","2024-01-01T00:00:00Z","false"',
+      '"login","C","pw","","false"'
+    ].join('\n')
+    const result = await parsePearPassCsv(csv)
+
+    expect(result.map(({ data }) => data.passwordUpdatedAt)).toEqual([
+      1700000000000,
+      Date.UTC(2024, 0, 1),
+      undefined
+    ])
+  })
 })
 
 describe('parsePearPass', () => {
@@ -1,77 +1,145 @@
-import { addHttps } from '../utils/addHttps'
-import { getRowsFromCsv } from '../utils/getRowsFromCsv'
-
-const getCustomFieldsFromContent = (content) => [
-  ...(content.organization
-    ? [
-        {
-          type: 'note',
-          note: 'Organization: ' + content.organization
-        }
-      ]
-    : []),
-  ...(content.xHandle
-    ? [
-        {
-          type: 'note',
-          note: 'X-Handle: ' + content.xHandle
-        }
-      ]
-    : []),
-  ...(content.company
-    ? [
-        {
-          type: 'note',
-          note: 'Company: ' + content.company
-        }
-      ]
-    : []),
-  ...(content.jobTitle
-    ? [
-        {
-          type: 'note',
-          note: 'Job Title: ' + content.jobTitle
-        }
-      ]
-    : []),
-  ...(content.socialSecurityNumber
-    ? [
-        {
-          type: 'note',
-          note: 'Social Security Number: ' + content.socialSecurityNumber
-        }
-      ]
-    : []),
-  ...(content.county
-    ? [
-        {
-          type: 'note',
-          note: 'County: ' + content.county
-        }
-      ]
-    : []),
-  ...(content.secondPhoneNumber
-    ? [
-        {
-          type: 'note',
-          note: 'Second Phone Number: ' + content.secondPhoneNumber
-        }
-      ]
-    : [])
+import {
+  MalformedFileError,
+  UnsupportedFileTypeError,
+  UnsupportedVersionError
+} from '../errors'
+import { collectAttachments } from '../utils/createAttachment'
+import {
+  createImportContext,
+  IMPORT_PHASES
+} from '../utils/createImportContext'
+import { createCustomField } from '../utils/createCustomField'
+import { createImportMeta } from '../utils/createImportMeta'
+import { getUnmappedFields } from '../utils/getUnmappedFields'
+import { normalizeWebsites } from '../utils/normalizeUrl'
+import { mapCard } from '../utils/parseCard'
+import { mapOtp } from '../utils/parseOtp'
+import { mapPasskeys } from '../utils/parsePasskey'
+import { mapSshKey } from '../utils/parseSshKey'
+import { parseCsvRecords } from '../utils/parseCsvRecords'
+import { parseJson } from '../utils/parseJson'
+import { readAllBytes } from '../utils/readAllBytes'
+import { readZip } from '../utils/readZip'
+import { scoreCsvHeaders } from '../utils/scoreCsvHeaders'
+import { streamCsvRecords } from '../utils/streamCsvRecords'
+import { toTimestamp } from '../utils/toTimestamp'
+
+const CSV_SIGNATURE = {
+  required: ['type', 'name', 'vault'],
+  optional: [
+    'url',
+    'email',
+    'username',
+    'password',
+    'note',
+    'totp',
+    'createTime',
+    'modifyTime'
+  ]
+}
+
+/** Content keys read per Proton Pass item type. */
+const MAPPED_CONTENT_KEYS = {
+  login: [
+    'itemUsername',
+    'itemEmail',
+    'password',
+    'urls',
+    'totpUri',
+    'passkeys'
+  ],
+  identity: [
+    'fullName',
+    'email',
+    'phoneNumber',
+    'streetAddress',
+    'floor',
+    'zipOrPostalCode',
+    'city',
+    'stateOrProvince',
+    'countryOrRegion',
+    'passportNumber',
+    'birthdate',
+    'gender',
+    'licenseNumber',
+    'organization',
+    'xHandle',
+    'company',
+    'jobTitle',
+    'socialSecurityNumber',
+    'county',
+    'secondPhoneNumber'
+  ],
+  note: [],
+  creditCard: [
+    'cardholderName',
+    'cardType',
+    'number',
+    'verificationNumber',
+    'expirationDate',
+    'pin'
+  ],
+  sshKey: ['privateKey', 'publicKey']
+}
+
+/** Card brands of `content.cardType`, 0 is unspecified and 1 other. */
+const CARD_BRANDS = { 2: 'visa', 3: 'mastercard', 4: 'amex' }
+
+/** CSV columns read per Proton Pass item type, on top of `BASE_CSV_COLUMNS`. */
+const MAPPED_CSV_COLUMNS = {
+  login: ['url', 'username', 'password', 'note', 'email', 'totp'],
+  identity: ['note'],
+  note: ['note']
+}
+
+const BASE_CSV_COLUMNS = ['type', 'name', 'vault', 'createTime', 'modifyTime']
+
+/** Item types without a PearPass counterpart that are intentionally imported as custom. */
+const CUSTOM_ITEM_TYPES = new Set(['alias'])
+
+/**
+ * Identity fields without a PearPass counterpart, kept as custom fields:
+ * key, label and options of `createCustomField`.
+ * @type {Array<[string, string, {hidden?: boolean}?]>}
+ */
+const IDENTITY_CUSTOM_FIELDS = [
+  ['organization', 'Organization'],
+  ['xHandle', 'X-Handle'],
+  ['company', 'Company'],
+  ['jobTitle', 'Job Title'],
+  ['socialSecurityNumber', 'Social Security Number', { hidden: true }],
+  ['county', 'County'],
+  ['secondPhoneNumber', 'Second Phone Number']
 ]
 
-const getLoginDataFromContent = ({ content = {}, metadata = {} }) => ({
-  username: content.itemUsername || '',
+/**
+ * @param {object} content - Identity content.
+ * @returns {import('../utils/createCustomField').CustomField[]}
+ */
+const getCustomFieldsFromContent = (content) =>
+  IDENTITY_CUSTOM_FIELDS.filter(([key]) => content[key]).map(
+    ([key, label, options]) => createCustomField(label, content[key], options)
+  )
+
+const getLoginDataFromContent = (
+  { content = {}, metadata = {} },
+  location,
+  context
+) => ({
+  username: content.itemUsername || content.itemEmail || '',
   password: content.password || '',
   note: metadata.note || '',
-  websites: (content.urls || []).map((url) => addHttps(url))
+  websites: normalizeWebsites(content.urls || [], location, context)
 })
 
 const getIdentityDataFromContent = ({ content = {}, metadata = {} }) => ({
   fullName: content.fullName || '',
   email: content.email || '',
   phoneNumber: content.phoneNumber || '',
-  address: (content.streetAddress || '' + ' ' + content.floor || '').trim(),
+  address: [content.streetAddress, content.floor]
+    .map((part) => (part || '').trim())
+    .filter(Boolean)
+    .join(' '),
   zip: content.zipOrPostalCode || '',
   city: content.city || '',
   region: content.stateOrProvince || '',
@@ -89,29 +157,166 @@ const getIdentityDataFromContent = ({ content = {}, metadata = {} }) => ({
   customFields: getCustomFieldsFromContent(content)
 })
 
-export const parseProtonPassJson = (json) => {
+/** Custom field types by Proton `extraFields[].type`. */
+const EXTRA_FIELD_TYPES = {
+  text: 'text',
+  hidden: 'hidden',
+  totp: 'hidden',
+  timestamp: 'date'
+}
+
+/**
+ * Extra fields of an item, including the fields of the `content.sections`
+ * newer item types such as SSH keys have.
+ * @param {object} entry - Item data of a Proton Pass JSON export.
+ * @returns {import('../utils/createCustomField').CustomField[]}
+ */
+const getExtraFields = (entry) =>
+  [
+    ...(entry.extraFields || []),
+    ...(entry.content?.sections || []).flatMap(
+      (section) => section.sectionFields || []
+    )
+  ].map(({ fieldName, type, data = {} }) =>
+    createCustomField(
+      fieldName,
+      data.content ?? data.totpUri ?? data.timestamp,
+      { type: EXTRA_FIELD_TYPES[type] }
+    )
+  )
+
+/**
+ * @param {object} entry - Item data of a Proton Pass JSON export.
+ * @returns {string[]}
+ */
+const getUnmappedItemFields = (entry) => {
+  // Sections of every type are read by `getExtraFields`
+  const mappedKeys = [...(MAPPED_CONTENT_KEYS[entry.type] || []), 'sections']
+  const content = entry.content || {}
+
+  // Both keys are read, but only one of them ends up as the username
+  if (entry.type === 'login' && content.itemUsername) {
+    mappedKeys.splice(mappedKeys.indexOf('itemEmail'), 1)
+  }
+
+  return getUnmappedFields(content, mappedKeys, 'content.')
+}
+
+/**
+ * @param {Array<object>} [passkeys] - `content.passkeys` of a login.
+ * @param {import('../utils/createImportReport').ImportLocation} location
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {import('../utils/parsePasskey').Passkey[]}
+ */
+const getPasskeys = (passkeys, location, context) =>
+  mapPasskeys(
+    (passkeys || []).map((passkey) => ({
+      credentialId: passkey.credentialId,
+      rpId: passkey.rpId || passkey.domain,
+      userHandle: passkey.userHandle || passkey.userId,
+      userName: passkey.userName,
+      privateKey: passkey.content,
+      createdAt: toTimestamp(passkey.createTime, { seconds: true })
+    })),
+    location,
+    context
+  )
+
+/**
+ * Path of an item file in the ZIP export.
+ * @param {string} root - Folder of `data.json`, e.g. `Proton Pass/`.
+ * @param {{fileId: string}} file
+ * @returns {string}
+ */
+const getZipFilePath = (root, { fileId }) => `${root}files/${fileId}`
+
+/**
+ * Files of an item, listed in `item.files` as `{ fileId, name, mimeType }`
+ * and stored at `files/<fileId>` next to `data.json` in ZIP exports.
+ * @param {object} item
+ * @param {{zip: ReturnType<typeof readZip>, root: string}} [archive]
+ * @returns {Parameters<typeof collectAttachments>[0]}
+ */
+const getItemFiles = (item, archive) =>
+  (Array.isArray(item.files) ? item.files : []).map((file) => {
+    const name = file.name || String(file.fileId)
+    if (!archive) {
+      return { name, error: 'Files are only included in ZIP exports' }
+    }
+
+    const path = getZipFilePath(archive.root, file)
+    const entry = archive.zip.getEntry(path)
+    return entry
+      ? {
+          name,
+          mimeType: file.mimeType,
+          size: entry.size,
+          load: async () => archive.zip.read(path)
+        }
+      : { name, error: 'File is missing from the archive' }
+  })
+
+/**
+ * @param {object} json
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @param {Object} [options]
+ * @param {'json' | 'zip'} [options.fileType] - File the JSON was read from.
+ * @param {{zip: ReturnType<typeof readZip>, root: string}} [options.archive]
+ *   ZIP export holding the item files.
+ * @returns {Array<Object>}
+ * @throws {MalformedFileError} For JSON that is not a Proton Pass export.
+ */
+export const parseProtonPassJson = (
+  json,
+  context = createImportContext(),
+  { fileType = 'json', archive } = {}
+) => {
+  const vaults =
+    json?.vaults && typeof json.vaults === 'object'
+      ? Object.values(json.vaults)
+      : null
+
+  if (!vaults || !vaults.every((vault) => Array.isArray(vault?.items))) {
+    throw new MalformedFileError('Proton Pass export has no list of vaults', {
+      fileType
+    })
+  }
+
   const result = []
+  context.startPhase(
+    IMPORT_PHASES.MAPPING_RECORDS,
+    vaults.reduce((sum, vault) => sum + vault.items.length, 0)
+  )
 
-  for (const vault of Object.values(json.vaults)) {
+  for (const vault of vaults) {
     for (const item of vault.items) {
+      context.tick()
       const entry = item.data
       const type = entry.type
       const metadata = entry.metadata || {}
       const content = entry.content || {}
+      const location = { itemId: item.itemId }
 
       let data = {
         title: metadata.name || '',
-        customFields: [],
-        folder: vault.name || null
+        customFields: []
       }
 
       switch (type) {
-        case 'login':
+        case 'login': {
+          const passkeys = getPasskeys(content.passkeys, location, context)
           data = {
             ...data,
-            ...getLoginDataFromContent({ content, metadata })
+            ...getLoginDataFromContent(
+              { content, metadata },
+              location,
+              context
+            ),
+            ...mapOtp(content.totpUri, location, context),
+            ...(passkeys.length && { passkeys })
           }
           break
+        }
 
         case 'identity':
           data = {
@@ -127,17 +332,72 @@ export const parseProtonPassJson = (json) => {
           }
           break
 
+        case 'creditCard':
+          data = {
+            ...data,
+            ...mapCard(
+              {
+                name: content.cardholderName,
+                number: content.number,
+                expiry: content.expirationDate,
+                securityCode: content.verificationNumber,
+                pinCode: content.pin,
+                brand: CARD_BRANDS[content.cardType]
+              },
+              location,
+              context
+            ),
+            note: metadata.note || ''
+          }
+          break
+
+        case 'sshKey':
+          data = {
+            ...data,
+            ...mapSshKey(content, location, context),
+            note: metadata.note || ''
+          }
+          break
+
         default:
           data = {
             ...data
           }
+          if (!CUSTOM_ITEM_TYPES.has(type)) {
+            context.report.warn(
+              location,
+              'UNSUPPORTED_ITEM_TYPE',
+              `Unsupported item type "${type}", imported as custom`
+            )
+          }
       }
 
+      data.customFields = [...data.customFields, ...getExtraFields(entry)]
+      context.report.unmapped(location, getUnmappedItemFields(entry))
+      const attachments = collectAttachments(
+        getItemFiles(item, archive),
+        location,
+        context
+      )
+
       result.push({
-        type,
+        type: MAPPED_CONTENT_KEYS[type] ? type : 'custom',
+        sourceId: item.itemId,
         data,
         folder: vault.name || null,
-        isFavorite: item.pinned === true
+        isFavorite: item.pinned === true,
+        createdAt: toTimestamp(item.createTime, { seconds: true }),
+        updatedAt: toTimestamp(item.modifyTime, { seconds: true }),
+        ...(attachments.length && { attachments }),
+        importMeta: createImportMeta(
+          {
+            source: 'protonpass',
+            fileType,
+            originalType: type,
+            folderPath: vault.name
+          },
+          context
+        )
       })
     }
   }
@@ -145,95 +405,286 @@ export const parseProtonPassJson = (json) => {
   return result
 }
 
-export const parseProtonPassCsv = (csvText) => {
-  const result = []
-
-  const [headers, ...rows] = getRowsFromCsv(csvText)
+/**
+ * @param {string[]} headerRow
+ * @param {import('../utils/createImportContext').ImportContext} context
+ * @returns {(
+ *   row: string[],
+ *   location: import('../utils/createImportReport').ImportLocation
+ * ) => Object}
+ */
+const createProtonPassRowParser = (headerRow, context) => (row, location) => {
+  const rowData = Object.fromEntries(row.map((v, i) => [headerRow[i], v]))
+  const {
+    type,
+    name,
+    url,
+    username,
+    password,
+    note,
+    vault,
+    email,
+    createTime,
+    modifyTime
+  } = rowData
 
-  for (const row of rows) {
-    const rowData = Object.fromEntries(row.map((v, i) => [headers[i], v]))
-    const { type, name, url, username, password, note, vault, email } = rowData
+  context.report.unmapped(
+    location,
+    getUnmappedFields(rowData, [
+      ...BASE_CSV_COLUMNS,
+      ...(MAPPED_CSV_COLUMNS[type] || ['note', 'email'])
+    ])
+  )
 
-    let data = {
-      title: name || '',
-      customFields: [],
-      folder: vault.name || null
-    }
+  let data = {
+    title: name || '',
+    customFields: []
+  }
 
-    switch (type) {
-      case 'login':
-        data = {
-          ...data,
-          ...getLoginDataFromContent({
+  switch (type) {
+    case 'login':
+      data = {
+        ...data,
+        ...getLoginDataFromContent(
+          {
             content: {
               itemUsername: username || email || '',
               password,
               urls: url ? [url] : []
             },
             metadata: { note }
-          })
-        }
-        break
-
-      case 'identity':
-        let identityData = {}
-        try {
-          identityData = JSON.parse(note)
-        } catch {
-          identityData = {}
-        }
+          },
+          location,
+          context
+        ),
+        ...mapOtp(rowData.totp, location, context)
+      }
+      break
 
-        data = {
-          ...data,
-          ...getIdentityDataFromContent({
-            content: identityData,
-            metadata: { note: identityData.note }
-          })
-        }
-        break
+    case 'identity': {
+      let identityData = {}
+      try {
+        identityData = JSON.parse(note)
+      } catch {
+        identityData = {}
+      }
 
-      case 'note':
-        data = {
-          ...data,
-          note: note || ''
-        }
-        break
-
-      default:
-        data = {
-          title: name,
-          customFields: [
-            {
-              type: 'note',
-              note: note || ''
-            },
-            {
-              type: 'note',
-              note: email || ''
-            }
-          ]
-        }
+      data = {
+        ...data,
+        ...getIdentityDataFromContent({
+          content: identityData,
+          metadata: { note: identityData.note }
+        })
+      }
+      break
     }
 
-    result.push({
-      type: type === 'alias' ? 'custom' : type,
-      data,
-      folder: vault || '',
-      isFavorite: false
+    case 'note':
+      data = {
+        ...data,
+        note: note || ''
+      }
+      break
+
+    default:
+      if (!CUSTOM_ITEM_TYPES.has(type)) {
+        context.report.warn(
+          location,
+          'UNSUPPORTED_ITEM_TYPE',
+          `Unsupported item type "${type}", imported as custom`
+        )
+      }
+      data = {
+        title: name || '',
+        customFields: [
+          ...(note ? [{ type: 'note', note }] : []),
+          ...(email
+            ? [createCustomField('Email', email, { type: 'email' })]
+            : [])
+        ]
+      }
+  }
+
+  return {
+    type: MAPPED_CSV_COLUMNS[type] ? type : 'custom',
+    data,
+    folder: vault || null,
+    isFavorite: false,
+    createdAt: toTimestamp(createTime, { seconds: true }),
+    updatedAt: toTimestamp(modifyTime, { seconds: true }),
+    importMeta: createImportMeta(
+      {
+        source: 'protonpass',
+        fileType: 'csv',
+        originalType: type,
+        folderPath: vault
+      },
+      context
+    )
+  }
+}
+
+/**
+ * @param {string} csvText
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<Object>}
+ */
+export const parseProtonPassCsv = (csvText, context = createImportContext()) =>
+  parseCsvRecords(
+    csvText,
+    (headerRow) => createProtonPassRowParser(headerRow, context),
+    context
+  )
+
+/**
+ * Streaming variant of `parseProtonPassCsv`.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<Object>}
+ */
+export const streamProtonPassCsv = (input, context = createImportContext()) =>
+  streamCsvRecords(
+    input,
+    (headerRow) => createProtonPassRowParser(headerRow, context),
+    context
+  )
+
+/** Path of the item data in the ZIP export, below an optional folder. */
+const ZIP_DATA_REGEX = /(?:^|\/)Proton Pass\/data\.(json|pgp)$/
+
+/**
+ * Parses the ZIP export, which wraps the JSON export in a `Proton Pass`
+ * folder. The files of the items are read from the archive when an
+ * attachment is loaded; files no item lists are reported as dropped.
+ * @param {ArrayBuffer | Uint8Array} data
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<Object>}
+ * @throws {MalformedFileError | UnsupportedVersionError}
+ */
+export const parseProtonPassZip = (data, context = createImportContext()) => {
+  context.startPhase(IMPORT_PHASES.PARSING_FILE)
+  const zip = readZip(data)
+  const dataEntries = zip.entries.filter(({ name }) =>
+    ZIP_DATA_REGEX.test(name)
+  )
+  const jsonEntry = dataEntries.find(({ name }) => name.endsWith('.json'))
+
+  if (!jsonEntry) {
+    if (dataEntries.length) {
+      throw new UnsupportedVersionError(
+        'Encrypted Proton Pass exports are not supported, export without encryption',
+        { fileType: 'zip' }
+      )
+    }
+
+    throw new MalformedFileError('Proton Pass archive has no data.json', {
+      fileType: 'zip'
     })
   }
 
-  return result
+  const json = parseJson(zip.readText(jsonEntry.name))
+  const root = jsonEntry.name.slice(0, -'data.json'.length)
+  const records = parseProtonPassJson(json, context, {
+    fileType: 'zip',
+    archive: { zip, root }
+  })
+
+  const listedPaths = new Set(
+    Object.values(json.vaults)
+      .flatMap((vault) => vault.items)
+      .flatMap((item) => (Array.isArray(item.files) ? item.files : []))
+      .map((file) => getZipFilePath(root, file))
+  )
+
+  for (const { name, isDirectory } of zip.entries) {
+    if (isDirectory || ZIP_DATA_REGEX.test(name) || listedPaths.has(name)) {
+      continue
+    }
+    context.report.dropAttachment(
+      {},
+      name,
+      'ATTACHMENT_UNREADABLE',
+      'File is not listed by any item of the export'
+    )
+  }
+
+  return records
+}
+
+/**
+ * Streaming variant of `parseProtonPassZip`. The archive is read completely
+ * before the first record.
+ * @param {import('../utils/readChunks').ImportInput} input
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* streamProtonPassZip(
+  input,
+  context = createImportContext()
+) {
+  yield* parseProtonPassZip(await readAllBytes(input), context)
 }
 
-export const parseProtonPassData = (data, fileType) => {
+/**
+ * @param {import('../detectImportFormat').ImportProbe} probe
+ * @returns {Array<{fileType: string, confidence: number}>}
+ */
+export const detectProtonPassData = ({ json, csvHeaders, zipEntries }) => [
+  {
+    fileType: 'json',
+    confidence:
+      json?.vaults &&
+      typeof json.vaults === 'object' &&
+      !Array.isArray(json.vaults)
+        ? 0.95
+        : 0
+  },
+  { fileType: 'csv', confidence: scoreCsvHeaders(csvHeaders, CSV_SIGNATURE) },
+  {
+    fileType: 'zip',
+    confidence: zipEntries?.some((name) => ZIP_DATA_REGEX.test(name)) ? 0.95 : 0
+  }
+]
+
+/**
+ * @param {string | ArrayBuffer} data - ArrayBuffer for ZIP exports.
+ * @param {'json' | 'csv' | 'zip'} fileType
+ * @param {import('../utils/createImportContext').ImportContext} [context]
+ * @returns {Array<Object>}
+ * @throws {import('../errors').ImportError}
+ */
+export const parseProtonPassData = (
+  data,
+  fileType,
+  context = createImportContext()
+) => {
   if (fileType === 'json') {
-    return parseProtonPassJson(JSON.parse(data))
+    context.startPhase(IMPORT_PHASES.PARSING_FILE)
+    return parseProtonPassJson(parseJson(data), context)
   }
 
   if (fileType === 'csv') {
-    return parseProtonPassCsv(data)
+    return parseProtonPassCsv(data, context)
+  }
+
+  if (fileType === 'zip') {
+    return parseProtonPassZip(data, context)
   }
 
-  throw new Error('Unsupported file type, please use JSON or CSV')
+  throw new UnsupportedFileTypeError(fileType, ['json', 'csv', 'zip'])
+}
+
+/** @type {import('../registry').ImporterDefinition} */
+export const protonPassImporter = {
+  id: 'protonpass',
+  label: 'Proton Pass',
+  fileTypes: ['json', 'csv', 'zip'],
+  detect: detectProtonPassData,
+  parse: ({ data, fileType, context }) =>
+    parseProtonPassData(data, fileType, context),
+  streamFileTypes: ['csv', 'zip'],
+  parseStream: ({ data, fileType, context }) =>
+    fileType === 'csv'
+      ? streamProtonPassCsv(data, context)
+      : streamProtonPassZip(data, context)
 }
@@ -0,0 +1,335 @@
+import { findDuplicates } from './findDuplicates'
+import { MERGE_STRATEGIES, mergeRecords } from './mergeRecords'
+import { createCustomField } from './utils/createCustomField'
+import { normalizeRecord, RECORD_SCHEMAS } from './utils/normalizeRecord'
+
+/** Bumped when the plan shape changes incompatibly. */
+const PLAN_VERSION = 2
+
+/**
+ * @typedef {Object} VaultSnapshot
+ * @property {import('./findDuplicates').VaultRecord[]} [records]
+ * @property {string[]} [folders] - Folders of the vault, including empty ones.
+ */
+
+/**
+ * Attachment of an imported record in a plan, found again by `resolvePlan`
+ * at `records[source].attachments[index]`.
+ * @typedef {Object} AttachmentRef
+ * @property {string} name
+ * @property {string} mimeType
+ * @property {number} size
+ * @property {number} source - Index of the imported record.
+ * @property {number} index - Index in the attachments of that record.
+ */
+
+/**
+ * One entry of the plan. The UI may toggle `include` and change `type` of
+ * records that are created.
+ * @typedef {Object} ImportPlanItem
+ * @property {string} id
+ * @property {'create' | 'update' | 'skip'} action
+ * @property {boolean} include - Skipped items are excluded, including one
+ *   imports it as a new record.
+ * @property {string} type
+ * @property {number[]} sources - Indexes of the imported records.
+ * @property {Object} [record] - The record to create (`create` and `skip`),
+ *   its attachments as `AttachmentRef`s.
+ * @property {string} [targetId] - Vault record (`update` and `skip`).
+ * @property {import('./mergeRecords').RecordChange[]} [changes] - `update`,
+ *   added attachments as `AttachmentRef`s.
+ * @property {string} [reason] - `skip`.
+ */
+
+/**
+ * Preview of an import. It is plain data that survives `JSON.stringify` and
+ * `structuredClone`; attachments are referenced, not included.
+ * @typedef {Object} ImportPlan
+ * @property {number} version
+ * @property {ImportPlanItem[]} items
+ * @property {import('./findDuplicates').DuplicateCluster[]} duplicates
+ * @property {import('./utils/createImportReport').ImportReport['skipped']} skipped
+ *   Source items the parser left out.
+ * @property {string[]} folders - Folders that do not exist in the vault yet.
+ */
+
+/**
+ * @param {Array<Object>} records
+ * @returns {Map<Object, AttachmentRef>} Reference of each attachment object
+ *   of the imported records.
+ */
+const getAttachmentRefs = (records) => {
+  const refs = new Map()
+
+  records.forEach((record, source) =>
+    record.attachments?.forEach((attachment, index) => {
+      const { name, mimeType, size } = attachment
+      refs.set(attachment, { name, mimeType, size, source, index })
+    })
+  )
+
+  return refs
+}
+
+/**
+ * Replaces the imported attachments of a plan item by their references.
+ * Attachments of vault records are plain data already and kept.
+ * @param {Object} item
+ * @param {Map<Object, AttachmentRef>} refs
+ * @returns {Object}
+ */
+const toPlainItem = (item, refs) => {
+  const toRefs = (attachments) =>
+    attachments.map((attachment) => refs.get(attachment) ?? attachment)
+
+  return {
+    ...item,
+    ...(item.record?.attachments && {
+      record: { ...item.record, attachments: toRefs(item.record.attachments) }
+    }),
+    ...(item.changes && {
+      changes: item.changes.map((change) =>
+        change.field === 'attachments'
+          ? { ...change, to: toRefs(change.to) }
+          : change
+      )
+    })
+  }
+}
+
+/**
+ * @param {ImportPlanItem[]} items
+ * @returns {string[]}
+ */
+const getItemFolders = (items) => {
+  const folders = []
+
+  for (const item of items) {
+    if (item.record?.folder) folders.push(item.record.folder)
+
+    const folderChange = item.changes?.find(({ field }) => field === 'folder')
+    if (folderChange?.to) folders.push(folderChange.to)
+  }
+
+  return [...new Set(folders)]
+}
+
+/**
+ * Previews what importing `records` into the vault would do, without
+ * touching it. The plan can be edited with `updatePlanItem` and turned into
+ * operations with `resolvePlan`.
+ * @param {Array<Object>} records - Parsed records, e.g. from `parseImportData`.
+ * @param {VaultSnapshot} [vaultSnapshot]
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - One of `MERGE_STRATEGIES`.
+ * @param {import('./utils/createImportReport').ImportReport} [options.report]
+ *   Report of the parse, its skipped items are listed in the plan.
+ * @returns {ImportPlan}
+ */
+export const planImport = (
+  records,
+  { records: vaultRecords = [], folders: vaultFolders = [] } = {},
+  { strategy = MERGE_STRATEGIES.MERGE, report } = {}
+) => {
+  const refs = getAttachmentRefs(records)
+  const items = mergeRecords(records, { vaultRecords, strategy }).map(
+    ({ action, sources, record, id, changes, reason }, i) =>
+      toPlainItem(
+        {
+          id: `item-${i}`,
+          action,
+          include: action !== 'skip',
+          type: records[sources[0]].type,
+          sources,
+          ...(action === 'create' && { record }),
+          ...(action === 'update' && { targetId: id, changes }),
+          ...(action === 'skip' && {
+            record: records[sources[0]],
+            targetId: id,
+            reason
+          })
+        },
+        refs
+      )
+  )
+
+  const existingFolders = new Set([
+    ...vaultFolders,
+    ...vaultRecords.map(({ folder }) => folder)
+  ])
+
+  return {
+    version: PLAN_VERSION,
+    items,
+    duplicates: findDuplicates(records, { vaultRecords }),
+    skipped: report?.skipped ?? [],
+    folders: getItemFolders(items).filter(
+      (folder) => !existingFolders.has(folder)
+    )
+  }
+}
+
+/**
+ * Returns a copy of the plan with one item changed.
+ * @param {ImportPlan} plan
+ * @param {string} itemId
+ * @param {{include?: boolean, type?: string}} edit
+ * @returns {ImportPlan}
+ * @throws {TypeError} For unknown items or types, or a new type for an
+ *   item that updates a vault record.
+ */
+export const updatePlanItem = (plan, itemId, { include, type } = {}) => {
+  const item = plan.items.find(({ id }) => id === itemId)
+  if (!item) {
+    throw new TypeError(`Unknown plan item "${itemId}"`)
+  }
+
+  if (type !== undefined && type !== item.type) {
+    if (!RECORD_SCHEMAS[type]) {
+      throw new TypeError(`Unsupported record type "${type}"`)
+    }
+    if (item.action === 'update') {
+      throw new TypeError('Updates of vault records cannot change their type')
+    }
+  }
+
+  return {
+    ...plan,
+    items: plan.items.map((planItem) =>
+      planItem === item
+        ? {
+            ...item,
+            ...(include !== undefined && { include: Boolean(include) }),
+            ...(type !== undefined && { type })
+          }
+        : planItem
+    )
+  }
+}
+
+/** Fields that are kept as hidden custom fields when a record is retyped. */
+const SECRET_FIELDS = new Set([
+  'password',
+  'passwordHistory',
+  'otp',
+  'passkeys',
+  'securityCode',
+  'pinCode',
+  'privateKey',
+  'passPhrase'
+])
+
+/**
+ * @param {*} value - Field value or entry of a list field, e.g. a website
+ *   or a previous password.
+ * @returns {string}
+ */
+const toLeftoverText = (value) =>
+  value && typeof value === 'object'
+    ? String(value.password ?? JSON.stringify(value))
+    : String(value)
+
+/**
+ * Converts a record to another type. Fields the new type has no place for
+ * are kept as custom fields labelled with their key, secrets as hidden ones.
+ * @param {Object} record
+ * @param {string} type
+ * @returns {Object}
+ */
+const retypeRecord = (record, type) => {
+  if (record.type === type) return record
+
+  const schema = RECORD_SCHEMAS[type]
+  const data = {}
+  const leftovers = []
+
+  for (const [key, value] of Object.entries(record.data)) {
+    if (key in schema) {
+      data[key] = value
+    } else if (Array.isArray(value) ? value.length : String(value ?? '')) {
+      const text = Array.isArray(value)
+        ? value.map(toLeftoverText).join(', ')
+        : toLeftoverText(value)
+      leftovers.push(
+        createCustomField(key, text, { hidden: SECRET_FIELDS.has(key) })
+      )
+    }
+  }
+
+  data.customFields = [...(data.customFields || []), ...leftovers]
+
+  return normalizeRecord({ ...record, type, data }) ?? { ...record, type, data }
+}
+
+/**
+ * @param {Array<Object>} attachments - Attachments of a plan item.
+ * @param {Array<Object>} records - The records the plan was made from.
+ * @returns {Array<Object>} The attachments of the records, with their
+ *   `bytes` or `load()`, in place of their references.
+ * @throws {TypeError} For references to attachments `records` does not have.
+ */
+const fromAttachmentRefs = (attachments, records) =>
+  attachments.map((attachment) => {
+    if (!Number.isInteger(attachment.source)) return attachment
+
+    const found = records[attachment.source]?.attachments?.[attachment.index]
+    if (!found) {
+      throw new TypeError(
+        `Attachment "${attachment.name}" is not in the imported records`
+      )
+    }
+    return found
+  })
+
+/**
+ * Applies the edits of a plan and returns what is left to do: the folders
+ * to create first and the operations of the included items. Attachments
+ * are taken from `records`, the records passed to `planImport`.
+ * @param {ImportPlan} plan
+ * @param {Array<Object>} [records] - Needed when the plan has attachments.
+ * @returns {{
+ *   folders: string[],
+ *   operations: import('./mergeRecords').ImportOperation[]
+ * }}
+ * @throws {TypeError} When an attachment of the plan is not in `records`.
+ */
+export const resolvePlan = (plan, records = []) => {
+  const included = plan.items.filter(({ include }) => include)
+
+  const operations = included.map(
+    ({ action, sources, type, record, targetId, changes }) => {
+      if (action === 'update') {
+        return {
+          action,
+          sources,
+          id: targetId,
+          changes: changes.map((change) =>
+            change.field === 'attachments'
+              ? { ...change, to: fromAttachmentRefs(change.to, records) }
+              : change
+          )
+        }
+      }
+
+      const withAttachments = record.attachments
+        ? {
+            ...record,
+            attachments: fromAttachmentRefs(record.attachments, records)
+          }
+        : record
+
+      return {
+        action: 'create',
+        sources,
+        record: retypeRecord(withAttachments, type)
+      }
+    }
+  )
+
+  const usedFolders = new Set(getItemFolders(included))
+
+  return {
+    folders: plan.folders.filter((folder) => usedFolders.has(folder)),
+    operations
+  }
+}
@@ -0,0 +1,243 @@
+import { planImport, resolvePlan, updatePlanItem } from './planImport'
+
+const login = (data, folder = null) => ({
+  type: 'login',
+  folder,
+  isFavorite: false,
+  data: {
+    title: 'Example',
+    username: 'me',
+    password: 'pw',
+    note: '',
+    websites: ['https://example.com'],
+    customFields: [],
+    ...data
+  }
+})
+
+const vault = {
+  records: [
+    { id: 'v1', ...login({ note: '' }, 'Work') },
+    { id: 'v2', ...login({ websites: ['https://bank.com'] }, 'Finance') }
+  ],
+  folders: ['Personal']
+}
+
+const records = [
+  login({ note: 'Recovery codes' }, 'Work'),
+  login({ websites: ['https://new.com'] }, 'Shopping'),
+  login({ websites: ['https://bank.com'] }, 'Finance'),
+  login({ websites: ['https://mail.com'] }, 'Personal')
+]
+
+const report = {
+  skipped: [{ row: 7, code: 'UNSUPPORTED_ITEM_TYPE', reason: 'Unknown type' }]
+}
+
+describe('planImport', () => {
+  it('lists creations, updates, duplicates, skipped rows and new folders', () => {
+    const plan = planImport(records, vault, { report })
+
+    expect(plan).toEqual({
+      version: 2,
+      items: [
+        {
+          id: 'item-0',
+          action: 'update',
+          include: true,
+          type: 'login',
+          sources: [0],
+          targetId: 'v1',
+          changes: [{ field: 'data.note', from: '', to: 'Recovery codes' }]
+        },
+        {
+          id: 'item-1',
+          action: 'create',
+          include: true,
+          type: 'login',
+          sources: [1],
+          record: records[1]
+        },
+        {
+          id: 'item-2',
+          action: 'skip',
+          include: false,
+          type: 'login',
+          sources: [2],
+          record: records[2],
+          targetId: 'v2',
+          reason: 'Already in the vault'
+        },
+        {
+          id: 'item-3',
+          action: 'create',
+          include: true,
+          type: 'login',
+          sources: [3],
+          record: records[3]
+        }
+      ],
+      duplicates: [
+        {
+          match: 'exact',
+          suggestedAction: 'merge',
+          members: [
+            { source: 'import', index: 0 },
+            { source: 'vault', id: 'v1' }
+          ]
+        },
+        {
+          match: 'exact',
+          suggestedAction: 'skip',
+          members: [
+            { source: 'import', index: 2 },
+            { source: 'vault', id: 'v2' }
+          ]
+        }
+      ],
+      skipped: report.skipped,
+      folders: ['Shopping']
+    })
+    expect(JSON.parse(JSON.stringify(plan))).toEqual(plan)
+  })
+
+  it('resolves the plan into operations', () => {
+    expect(resolvePlan(planImport(records, vault))).toEqual({
+      folders: ['Shopping'],
+      operations: [
+        {
+          action: 'update',
+          sources: [0],
+          id: 'v1',
+          changes: [{ field: 'data.note', from: '', to: 'Recovery codes' }]
+        },
+        { action: 'create', sources: [1], record: records[1] },
+        { action: 'create', sources: [3], record: records[3] }
+      ]
+    })
+  })
+
+  it('applies included, excluded and retyped items', () => {
+    let plan = planImport(records, vault)
+    plan = updatePlanItem(plan, 'item-1', { include: false })
+    plan = updatePlanItem(plan, 'item-2', { include: true })
+    plan = updatePlanItem(plan, 'item-3', { type: 'note' })
+
+    const { folders, operations } = resolvePlan(plan)
+
+    expect(folders).toEqual([])
+    expect(operations.map(({ sources }) => sources)).toEqual([[0], [2], [3]])
+    expect(operations[1]).toEqual({
+      action: 'create',
+      sources: [2],
+      record: records[2]
+    })
+    expect(operations[2].record).toEqual({
+      type: 'note',
+      sourceId: expect.any(String),
+      folder: 'Personal',
+      isFavorite: false,
+      importMeta: expect.any(Object),
+      data: {
+        title: 'Example',
+        note: '',
+        customFields: [
+          { type: 'text', label: 'username', value: 'me', hidden: false },
+          { type: 'hidden', label: 'password', value: 'pw', hidden: true },
+          {
+            type: 'url',
+            label: 'websites',
+            value: 'https://mail.com',
+            hidden: false
+          }
+        ]
+      }
+    })
+  })
+
+  it('rejects invalid edits', () => {
+    const plan = planImport(records, vault)
+
+    expect(() => updatePlanItem(plan, 'item-9', { include: true })).toThrow(
+      'Unknown plan item "item-9"'
+    )
+    expect(() => updatePlanItem(plan, 'item-1', { type: 'car' })).toThrow(
+      'Unsupported record type "car"'
+    )
+    expect(() => updatePlanItem(plan, 'item-0', { type: 'note' })).toThrow(
+      TypeError
+    )
+  })
+
+  it('keeps the secrets of a retyped login as hidden fields', () => {
+    let plan = planImport([
+      login({
+        passwordHistory: [{ password: 'old', changedAt: 1000 }],
+        otp: { secret: 'JBSWY3DPEHPK3PXP' }
+      })
+    ])
+    plan = updatePlanItem(plan, 'item-0', { type: 'note' })
+
+    const [{ record }] = resolvePlan(plan).operations
+
+    expect(record.data.customFields).toContainEqual({
+      type: 'hidden',
+      label: 'passwordHistory',
+      value: 'old',
+      hidden: true
+    })
+    expect(record.data.customFields).toContainEqual(
+      expect.objectContaining({ type: 'hidden', label: 'otp', hidden: true })
+    )
+  })
+
+  it('references attachments and attaches them when resolved', () => {
+    const scan = {
+      name: 'scan.pdf',
+      mimeType: 'application/pdf',
+      size: 3,
+      bytes: new Uint8Array([1, 2, 3])
+    }
+    const key = {
+      name: 'key.txt',
+      mimeType: 'text/plain',
+      size: 2,
+      load: async () => new Uint8Array([4, 5])
+    }
+    const imported = [
+      { ...login({ note: 'Recovery codes' }, 'Work'), attachments: [scan] },
+      { ...login({ websites: ['https://new.com'] }), attachments: [key] }
+    ]
+
+    const plan = planImport(imported, vault)
+    const copy = JSON.parse(JSON.stringify(plan))
+
+    expect(copy).toEqual(plan)
+    expect(structuredClone(plan)).toEqual(plan)
+    expect(plan.items[0].changes).toContainEqual({
+      field: 'attachments',
+      from: [],
+      to: [
+        {
+          name: 'scan.pdf',
+          mimeType: 'application/pdf',
+          size: 3,
+          source: 0,
+          index: 0
+        }
+      ]
+    })
+    expect(plan.items[1].record.attachments).toEqual([
+      { name: 'key.txt', mimeType: 'text/plain', size: 2, source: 1, index: 0 }
+    ])
+
+    const { operations } = resolvePlan(copy, imported)
+    expect(
+      operations[0].changes.find(({ field }) => field === 'attachments').to[0]
+    ).toBe(scan)
+    expect(operations[1].record.attachments[0]).toBe(key)
+    expect(() => resolvePlan(copy)).toThrow(
+      'Attachment "scan.pdf" is not in the imported records'
+    )
+  })
+})
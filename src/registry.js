@@ -0,0 +1,176 @@
+import { UnsupportedFileTypeError, UnsupportedSourceError } from './errors'
+import { onePasswordImporter } from './parsers/1password'
+import { bitwardenImporter } from './parsers/bitwarden'
+import { keePassImporter } from './parsers/keepass'
+import { lastPassImporter } from './parsers/lastPass'
+import { nordPassImporter } from './parsers/nordPass'
+import { pearPassImporter } from './parsers/pearPass'
+import { protonPassImporter } from './parsers/protonPass'
+import { normalizeImportKey } from './utils/normalizeImportKey'
+
+/**
+ * @typedef {Object} ImporterDefinition
+ * @property {string} id - Identifier passed as `source` to `parseImportData`,
+ *   stored lower-cased like the file types.
+ * @property {string} label - Human readable name of the password manager.
+ * @property {string[]} fileTypes - File types the source can be imported from.
+ * @property {(probe: import('./detectImportFormat').ImportProbe) => Array<{
+ *   fileType: string,
+ *   confidence: number
+ * }>} [detect] - Scores how likely the probed data was exported by this source.
+ * @property {(request: {
+ *   data: string | ArrayBuffer,
+ *   fileType: string,
+ *   password?: string,
+ *   options: Object,
+ *   context: import('./utils/createImportContext').ImportContext
+ * }) => Array<Object> | Promise<Array<Object>>} parse - Report skipped rows,
+ *   warnings and unmapped fields through `context.report`.
+ * @property {string[]} [streamFileTypes] - File types `parseStream` handles.
+ *   `importStream` reads other file types completely and uses `parse`: CSV,
+ *   TSV, TXT, JSON and XML as a string, other file types as an
+ *   `ArrayBuffer` unless the input is a string.
+ * @property {(request: {
+ *   data: import('./utils/readChunks').ImportInput,
+ *   fileType: string,
+ *   password?: string,
+ *   options: Object,
+ *   context: import('./utils/createImportContext').ImportContext
+ * }) => AsyncIterable<Object>} [parseStream] - Yields records while the
+ *   input is read.
+ */
+
+/** @type {Map<string, ImporterDefinition>} */
+const importers = new Map()
+
+/**
+ * Registers an import source. Detection, `parseImportData` and
+ * `getSupportedImportSources` pick it up immediately.
+ * @param {ImporterDefinition} definition
+ * @returns {() => void} Unregisters the importer again.
+ * @throws {Error}
+ */
+export const registerImporter = ({
+  id,
+  label,
+  fileTypes,
+  detect,
+  parse,
+  streamFileTypes = [],
+  parseStream
+}) => {
+  if (typeof id !== 'string' || !id.trim()) {
+    throw new Error('Importer id must be a non-empty string')
+  }
+
+  const key = normalizeImportKey(id)
+
+  if (importers.has(key)) {
+    throw new Error(`Importer "${id}" is already registered`)
+  }
+
+  if (!Array.isArray(fileTypes) || !fileTypes.length) {
+    throw new Error(`Importer "${id}" must declare at least one file type`)
+  }
+
+  if (typeof parse !== 'function') {
+    throw new Error(`Importer "${id}" must provide a parse function`)
+  }
+
+  if (detect !== undefined && typeof detect !== 'function') {
+    throw new Error(`Importer "${id}" detect must be a function`)
+  }
+
+  if (streamFileTypes.length && typeof parseStream !== 'function') {
+    throw new Error(`Importer "${id}" must provide a parseStream function`)
+  }
+
+  const normalizedFileTypes = fileTypes.map(normalizeImportKey)
+  const normalizedStreamFileTypes = streamFileTypes.map(normalizeImportKey)
+
+  if (
+    normalizedStreamFileTypes.some(
+      (fileType) => !normalizedFileTypes.includes(fileType)
+    )
+  ) {
+    throw new Error(
+      `Importer "${id}" can only stream file types it declares in fileTypes`
+    )
+  }
+
+  importers.set(key, {
+    id: key,
+    label: label || id,
+    fileTypes: normalizedFileTypes,
+    detect: detect || (() => []),
+    parse,
+    streamFileTypes: normalizedStreamFileTypes,
+    parseStream
+  })
+
+  return () => unregisterImporter(key)
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} Whether an importer was removed.
+ */
+export const unregisterImporter = (id) =>
+  importers.delete(normalizeImportKey(id))
+
+/**
+ * @param {string} id
+ * @returns {ImporterDefinition | undefined}
+ */
+export const getImporter = (id) => importers.get(normalizeImportKey(id))
+
+/**
+ * Looks up the importer for a `parseImportData`/`importStream` call. Ids and
+ * file types are compared case-insensitively, see `normalizeImportKey`.
+ * @param {string} source
+ * @param {string} fileType
+ * @returns {ImporterDefinition}
+ * @throws {UnsupportedSourceError | UnsupportedFileTypeError}
+ */
+export const resolveImporter = (source, fileType) => {
+  const importer = getImporter(source)
+
+  if (!importer) {
+    throw new UnsupportedSourceError(source)
+  }
+
+  if (!importer.fileTypes.includes(normalizeImportKey(fileType))) {
+    throw new UnsupportedFileTypeError(fileType, importer.fileTypes)
+  }
+
+  return importer
+}
+
+/**
+ * @returns {ImporterDefinition[]} Importers in registration order.
+ */
+export const getImporters = () => [...importers.values()]
+
+/**
+ * Lists the sources and file types `parseImportData` accepts, so import UIs
+ * can be driven from the library instead of hardcoded lists.
+ * @returns {Array<{id: string, label: string, fileTypes: string[]}>}
+ */
+export const getSupportedImportSources = () =>
+  getImporters().map(({ id, label, fileTypes }) => ({
+    id,
+    label,
+    fileTypes: [...fileTypes]
+  }))
+
+for (const importer of [
+  onePasswordImporter,
+  bitwardenImporter,
+  keePassImporter,
+  lastPassImporter,
+  nordPassImporter,
+  pearPassImporter,
+  protonPassImporter
+]) {
+  registerImporter(importer)
+}
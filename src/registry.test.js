@@ -0,0 +1,199 @@
+import { detectImportFormat } from './detectImportFormat'
+import { importStream } from './importStream'
+import { parseImportData } from './parseImportData'
+import {
+  getImporter,
+  getSupportedImportSources,
+  registerImporter,
+  unregisterImporter
+} from './registry'
+
+const createImporter = (overrides = {}) => ({
+  id: 'inhouse',
+  label: 'In-house vault',
+  fileTypes: ['TSV'],
+  detect: ({ text }) => [
+    { fileType: 'tsv', confidence: text.startsWith('title\t') ? 0.9 : 0 }
+  ],
+  parse: jest.fn(({ data }) =>
+    data
+      .split('\n')
+      .slice(1)
+      .map((line) => ({
+        type: 'note',
+        folder: null,
+        isFavorite: false,
+        data: { title: line.split('\t')[0], note: '', customFields: [] }
+      }))
+  ),
+  ...overrides
+})
+
+describe('getSupportedImportSources', () => {
+  it('lists every source with its file types', () => {
+    expect(getSupportedImportSources()).toEqual([
+      { id: '1password', label: '1Password', fileTypes: ['csv', '1pux'] },
+      {
+        id: 'bitwarden',
+        label: 'Bitwarden',
+        fileTypes: ['json', 'csv', 'zip']
+      },
+      { id: 'keepass', label: 'KeePass', fileTypes: ['kdbx', 'xml', 'csv'] },
+      { id: 'lastpass', label: 'LastPass', fileTypes: ['csv'] },
+      { id: 'nordpass', label: 'NordPass', fileTypes: ['csv'] },
+      { id: 'pearpass', label: 'PearPass', fileTypes: ['json', 'csv'] },
+      {
+        id: 'protonpass',
+        label: 'Proton Pass',
+        fileTypes: ['json', 'csv', 'zip']
+      }
+    ])
+  })
+
+  it('returns copies that callers cannot use to mutate the list', () => {
+    getSupportedImportSources()[0].fileTypes.push('json')
+    expect(getSupportedImportSources()[0].fileTypes).toEqual(['csv', '1pux'])
+  })
+})
+
+describe('registerImporter', () => {
+  afterEach(() => {
+    unregisterImporter('inhouse')
+  })
+
+  it('adds the importer to the supported sources', () => {
+    registerImporter(createImporter())
+    expect(getSupportedImportSources().at(-1)).toEqual({
+      id: 'inhouse',
+      label: 'In-house vault',
+      fileTypes: ['tsv']
+    })
+  })
+
+  it('includes the importer in detection', () => {
+    registerImporter(createImporter())
+    expect(detectImportFormat('title\tnote\nMy note\t')).toEqual([
+      { source: 'inhouse', fileType: 'tsv', confidence: 0.9 }
+    ])
+  })
+
+  it('dispatches parseImportData to the importer', async () => {
+    const importer = createImporter()
+    registerImporter(importer)
+
+    const result = await parseImportData({
+      source: 'inhouse',
+      fileType: 'tsv',
+      data: 'title\tnote\nMy note\t',
+      options: { strict: true }
+    })
+
+    expect(importer.parse).toHaveBeenCalledWith({
+      data: 'title\tnote\nMy note\t',
+      fileType: 'tsv',
+      password: undefined,
+      options: { strict: true },
+      context: expect.any(Object)
+    })
+    expect(result.records[0].data.title).toBe('My note')
+  })
+
+  it('works without a detect function', () => {
+    registerImporter(createImporter({ detect: undefined }))
+    expect(detectImportFormat('title\tnote\n')).toEqual([])
+  })
+
+  it('defaults the label to the id', () => {
+    registerImporter(createImporter({ label: undefined }))
+    expect(getImporter('inhouse').label).toBe('inhouse')
+  })
+
+  it('returns a function that unregisters the importer', () => {
+    const unregister = registerImporter(createImporter())
+    unregister()
+    expect(getImporter('inhouse')).toBeUndefined()
+  })
+
+  it('rejects duplicate ids', () => {
+    expect(() => registerImporter(createImporter({ id: 'bitwarden' }))).toThrow(
+      'Importer "bitwarden" is already registered'
+    )
+  })
+
+  it('rejects invalid definitions', () => {
+    expect(() => registerImporter(createImporter({ id: '' }))).toThrow(
+      'Importer id must be a non-empty string'
+    )
+    expect(() => registerImporter(createImporter({ fileTypes: [] }))).toThrow(
+      'Importer "inhouse" must declare at least one file type'
+    )
+    expect(() => registerImporter(createImporter({ parse: null }))).toThrow(
+      'Importer "inhouse" must provide a parse function'
+    )
+    expect(() => registerImporter(createImporter({ detect: 'csv' }))).toThrow(
+      'Importer "inhouse" detect must be a function'
+    )
+    expect(() =>
+      registerImporter(createImporter({ streamFileTypes: ['tsv'] }))
+    ).toThrow('Importer "inhouse" must provide a parseStream function')
+    expect(() =>
+      registerImporter(
+        createImporter({ streamFileTypes: ['csv'], parseStream: jest.fn() })
+      )
+    ).toThrow(
+      'Importer "inhouse" can only stream file types it declares in fileTypes'
+    )
+  })
+
+  it('matches sources and file types case-insensitively', async () => {
+    const importer = createImporter({ id: 'InHouse' })
+    registerImporter(importer)
+
+    expect(getImporter('inhouse').id).toBe('inhouse')
+    expect(() => registerImporter(createImporter())).toThrow(
+      'Importer "inhouse" is already registered'
+    )
+
+    const result = await parseImportData({
+      source: ' InHouse ',
+      fileType: 'TSV',
+      data: 'title\tnote\nMy note\t'
+    })
+    expect(importer.parse).toHaveBeenCalledWith(
+      expect.objectContaining({ fileType: 'tsv' })
+    )
+    expect(result).toMatchObject({ source: 'inhouse', fileType: 'tsv' })
+    expect(result.records[0].importMeta).toMatchObject({ fileType: 'tsv' })
+
+    const records = []
+    for await (const record of importStream({
+      source: 'INHOUSE',
+      fileType: ' Tsv',
+      data: 'title\tnote\nMy note\t'
+    })) {
+      records.push(record)
+    }
+    expect(records).toHaveLength(1)
+  })
+
+  it('finds built-in importers whatever the case of the request', async () => {
+    const { records } = await parseImportData({
+      source: 'Bitwarden',
+      fileType: 'CSV',
+      data: [
+        'folder,favorite,type,name,notes,fields,reprompt,login_uri,login_username,login_password,login_totp',
+        ',,note,Memo,Hello,,0,,,,'
+      ].join('\n')
+    })
+
+    expect(records).toHaveLength(1)
+  })
+})
+
+describe('unregisterImporter', () => {
+  it('reports whether an importer was removed', () => {
+    expect(unregisterImporter('missing')).toBe(false)
+    registerImporter(createImporter())
+    expect(unregisterImporter('inhouse')).toBe(true)
+  })
+})
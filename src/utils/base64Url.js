@@ -0,0 +1,37 @@
+import { decodeBase64 } from './decodeBase64'
+
+const BASE64_ALPHABET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Encodes bytes as unpadded base64url (RFC 4648, section 5), the encoding
+ * WebAuthn uses for credential ids and user handles.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export const encodeBase64Url = (bytes) => {
+  let result = ''
+  let buffer = 0
+  let bits = 0
+
+  for (const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0xffff
+    bits += 8
+    while (bits >= 6) {
+      result += BASE64_ALPHABET[(buffer >>> (bits - 6)) & 63]
+      bits -= 6
+    }
+  }
+  if (bits) result += BASE64_ALPHABET[(buffer << (6 - bits)) & 63]
+
+  return result.replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+/**
+ * Decodes base64url. Exports are not strict about the alphabet, so standard
+ * base64 is accepted as well.
+ * @param {string} text
+ * @returns {Uint8Array | null} `null` when `text` is empty or not base64.
+ */
+export const decodeBase64Url = (text) =>
+  decodeBase64(text.replace(/-/g, '+').replace(/_/g, '/'))
@@ -0,0 +1,17 @@
+import { decodeBase64Url, encodeBase64Url } from './base64Url'
+
+describe('encodeBase64Url', () => {
+  it('encodes without padding in the URL-safe alphabet', () => {
+    expect(encodeBase64Url(new Uint8Array([251, 255]))).toBe('-_8')
+    expect(encodeBase64Url(new TextEncoder().encode('hello'))).toBe('aGVsbG8')
+    expect(encodeBase64Url(new Uint8Array())).toBe('')
+  })
+})
+
+describe('decodeBase64Url', () => {
+  it('decodes base64url and standard base64', () => {
+    expect(decodeBase64Url('-_8')).toEqual(new Uint8Array([251, 255]))
+    expect(decodeBase64Url('+/8=')).toEqual(new Uint8Array([251, 255]))
+    expect(decodeBase64Url('a.b')).toBeNull()
+  })
+})
@@ -0,0 +1,20 @@
+/** CRC-32 lookup table, polynomial 0xEDB88320 as used by ZIP and gzip. */
+const TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
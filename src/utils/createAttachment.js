@@ -0,0 +1,122 @@
+import { toBytes } from './toBytes'
+
+/**
+ * A file stored with a record. Exports that are read completely carry the
+ * bytes, files that stay inside an archive until needed have `load`.
+ * @typedef {Object} Attachment
+ * @property {string} name - File name.
+ * @property {string} mimeType
+ * @property {number} size - In bytes.
+ * @property {Uint8Array} [bytes]
+ * @property {() => Promise<Uint8Array>} [load]
+ */
+
+/**
+ * Defaults of the `attachmentLimits` import option. Attachments over a limit
+ * are left out and listed in `report.droppedAttachments`.
+ */
+export const ATTACHMENT_LIMITS = Object.freeze({
+  /** Bytes of a single attachment. */
+  maxFileSize: 50 * 1024 * 1024,
+  /** Bytes of all attachments of an import. */
+  maxTotalSize: 500 * 1024 * 1024,
+  /** Attachments of an import. */
+  maxCount: 5000
+})
+
+const MIME_TYPES = {
+  txt: 'text/plain',
+  csv: 'text/csv',
+  html: 'text/html',
+  htm: 'text/html',
+  xml: 'application/xml',
+  json: 'application/json',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  svg: 'image/svg+xml',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pem: 'application/x-pem-file'
+}
+
+/**
+ * @param {string} name
+ * @returns {string} `application/octet-stream` for unknown extensions.
+ */
+export const getMimeType = (name) => {
+  const extension = /\.([^./\\]+)$/.exec(name)?.[1].toLowerCase()
+  return MIME_TYPES[extension] || 'application/octet-stream'
+}
+
+/**
+ * @param {Object} file
+ * @param {string} file.name
+ * @param {Uint8Array | ArrayBuffer} [file.bytes]
+ * @param {() => Promise<Uint8Array>} [file.load] - Instead of `bytes`.
+ * @param {number} [file.size] - Required with `load`.
+ * @param {string} [file.mimeType] - Derived from the name when missing.
+ * @returns {Attachment}
+ */
+export const createAttachment = ({ name, bytes, load, size, mimeType }) => {
+  const data = toBytes(bytes)
+
+  return {
+    name,
+    mimeType: mimeType || getMimeType(name),
+    size: data ? data.byteLength : size,
+    ...(data ? { bytes: data } : { load })
+  }
+}
+
+/**
+ * @param {*} attachment
+ * @returns {boolean}
+ */
+export const isAttachment = (attachment) =>
+  Boolean(attachment) &&
+  typeof attachment.name === 'string' &&
+  attachment.name.trim() !== '' &&
+  typeof attachment.mimeType === 'string' &&
+  Number.isInteger(attachment.size) &&
+  attachment.size >= 0 &&
+  (attachment.bytes instanceof Uint8Array ||
+    typeof attachment.load === 'function')
+
+/**
+ * Turns the files of a source item into attachments within the limits of the
+ * import. Files that cannot be read or exceed a limit are reported as
+ * dropped.
+ * @param {Array<Parameters<typeof createAttachment>[0] & {
+ *   error?: string,
+ *   errorCode?: string
+ * }>} files - `error` says why a file cannot be read, `errorCode` defaults to
+ *   `ATTACHMENT_UNREADABLE`.
+ * @param {import('./createImportReport').ImportLocation} location
+ * @param {import('./createImportContext').ImportContext} context
+ * @returns {Attachment[]}
+ */
+export const collectAttachments = (files, location, context) => {
+  const attachments = []
+
+  for (const { error, errorCode = 'ATTACHMENT_UNREADABLE', ...file } of files) {
+    if (error) {
+      context.report.dropAttachment(location, file.name, errorCode, error)
+      continue
+    }
+
+    const attachment = createAttachment(file)
+    if (context.acceptAttachment(location, attachment)) {
+      attachments.push(attachment)
+    }
+  }
+
+  return attachments
+}
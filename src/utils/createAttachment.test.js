@@ -0,0 +1,89 @@
+import {
+  collectAttachments,
+  createAttachment,
+  getMimeType,
+  isAttachment
+} from './createAttachment'
+import { createImportContext } from './createImportContext'
+
+describe('createAttachment', () => {
+  it('takes the size from the bytes and the type from the name', () => {
+    const attachment = createAttachment({
+      name: 'scan.PDF',
+      bytes: new Uint8Array([1, 2, 3]).buffer
+    })
+
+    expect(attachment).toEqual({
+      name: 'scan.PDF',
+      mimeType: 'application/pdf',
+      size: 3,
+      bytes: new Uint8Array([1, 2, 3])
+    })
+    expect(isAttachment(attachment)).toBe(true)
+  })
+
+  it('keeps the loader of files that are read later', () => {
+    const load = async () => new Uint8Array(4)
+    const attachment = createAttachment({ name: 'key', load, size: 4 })
+
+    expect(attachment).toEqual({
+      name: 'key',
+      mimeType: 'application/octet-stream',
+      size: 4,
+      load
+    })
+    expect(isAttachment(attachment)).toBe(true)
+  })
+})
+
+describe('getMimeType', () => {
+  it('maps known extensions', () => {
+    expect(getMimeType('photo.jpeg')).toBe('image/jpeg')
+    expect(getMimeType('notes.txt')).toBe('text/plain')
+    expect(getMimeType('archive.tar.unknown')).toBe('application/octet-stream')
+    expect(getMimeType('.hidden/file')).toBe('application/octet-stream')
+  })
+})
+
+describe('isAttachment', () => {
+  it('rejects attachments without a name, size or content', () => {
+    const bytes = new Uint8Array(1)
+    expect(isAttachment({ name: '', mimeType: 'x', size: 1, bytes })).toBe(
+      false
+    )
+    expect(isAttachment({ name: 'a', mimeType: 'x', size: -1, bytes })).toBe(
+      false
+    )
+    expect(isAttachment({ name: 'a', mimeType: 'x', size: 1 })).toBe(false)
+    expect(isAttachment(null)).toBe(false)
+  })
+})
+
+describe('collectAttachments', () => {
+  it('keeps readable files within the limits', () => {
+    const context = createImportContext({
+      attachmentLimits: { maxFileSize: 2 }
+    })
+
+    const attachments = collectAttachments(
+      [
+        { name: 'a.txt', bytes: new Uint8Array(2) },
+        { name: 'b.txt', bytes: new Uint8Array(3) },
+        { name: 'c.txt', error: 'Missing from the export' }
+      ],
+      { index: 4 },
+      context
+    )
+
+    expect(attachments.map(({ name }) => name)).toEqual(['a.txt'])
+    expect(context.report.summarize().droppedAttachments).toEqual([
+      expect.objectContaining({ name: 'b.txt', code: 'ATTACHMENT_TOO_LARGE' }),
+      {
+        index: 4,
+        name: 'c.txt',
+        code: 'ATTACHMENT_UNREADABLE',
+        reason: 'Missing from the export'
+      }
+    ])
+  })
+})
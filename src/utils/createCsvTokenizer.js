@@ -0,0 +1,69 @@
+/**
+ * Incremental CSV tokenizer. Text can be pushed in chunks of any size, a
+ * quoted field or an escaped quote may be split across chunks. Fields are
+ * trimmed and `\r` outside of quotes is ignored.
+ * @returns {{
+ *   push: (chunk: string) => string[][],
+ *   end: () => string[][]
+ * }} `push` returns the rows completed by the chunk, `end` the last row.
+ */
+export const createCsvTokenizer = () => {
+  let currentLine = []
+  let currentField = ''
+  let insideQuotes = false
+  // A quote inside a quoted field either closes it or escapes the next quote
+  let pendingQuote = false
+
+  const endField = () => {
+    currentLine.push(currentField.trim())
+    currentField = ''
+  }
+
+  return {
+    push: (chunk) => {
+      const rows = []
+
+      for (const char of chunk) {
+        if (pendingQuote) {
+          pendingQuote = false
+          if (char === '"') {
+            currentField += '"'
+            continue
+          }
+          insideQuotes = false
+        }
+
+        if (insideQuotes) {
+          if (char === '"') {
+            pendingQuote = true
+          } else {
+            currentField += char
+          }
+        } else if (char === '"') {
+          insideQuotes = true
+        } else if (char === ',') {
+          endField()
+        } else if (char === '\n') {
+          endField()
+          rows.push(currentLine)
+          currentLine = []
+        } else if (char !== '\r') {
+          currentField += char
+        }
+      }
+
+      return rows
+    },
+
+    end: () => {
+      if (!currentField && !currentLine.length) {
+        return []
+      }
+
+      endField()
+      const row = currentLine
+      currentLine = []
+      return [row]
+    }
+  }
+}
@@ -0,0 +1,46 @@
+import { createCsvTokenizer } from './createCsvTokenizer'
+import { getRowsFromCsv } from './getRowsFromCsv'
+
+const tokenize = (chunks) => {
+  const tokenizer = createCsvTokenizer()
+  return [
+    ...chunks.flatMap((chunk) => tokenizer.push(chunk)),
+    ...tokenizer.end()
+  ]
+}
+
+describe('createCsvTokenizer', () => {
+  it('returns rows as soon as they are complete', () => {
+    const tokenizer = createCsvTokenizer()
+
+    expect(tokenizer.push('a,b\nc,')).toEqual([['a', 'b']])
+    expect(tokenizer.push('d\n')).toEqual([['c', 'd']])
+    expect(tokenizer.end()).toEqual([])
+  })
+
+  it('returns the last row without a trailing newline on end', () => {
+    const tokenizer = createCsvTokenizer()
+
+    expect(tokenizer.push('a,b')).toEqual([])
+    expect(tokenizer.end()).toEqual([['a', 'b']])
+  })
+
+  it('gives the same rows wherever the text is split', () => {
+    const csv =
+      'name,"note"\r\n"a ""quoted"" name","multi\nline, note"\n b ,""\n'
+    const expected = getRowsFromCsv(csv)
+
+    for (let i = 0; i <= csv.length; i++) {
+      expect(tokenize([csv.slice(0, i), csv.slice(i)])).toEqual(expected)
+    }
+  })
+
+  it('handles an escaped quote split across chunks', () => {
+    expect(tokenize(['"a"', '"b",c'])).toEqual([['a"b', 'c']])
+  })
+
+  it('handles one character per chunk', () => {
+    const csv = '"x,""y""",z\n1,2'
+    expect(tokenize([...csv])).toEqual(getRowsFromCsv(csv))
+  })
+})
@@ -0,0 +1,118 @@
+import { toTimestamp } from './toTimestamp'
+
+/**
+ * A labelled custom field. Free-form text without a label stays a note,
+ * `{ type: 'note', note }`.
+ * @typedef {Object} CustomField
+ * @property {'text' | 'hidden' | 'boolean' | 'url' | 'email' | 'date'} type
+ * @property {string} label
+ * @property {string} value - `true`/`false` for booleans, `YYYY-MM-DD` for
+ *   dates.
+ * @property {boolean} hidden - The value is masked until revealed.
+ */
+
+export const CUSTOM_FIELD_TYPES = [
+  'text',
+  'hidden',
+  'boolean',
+  'url',
+  'email',
+  'date'
+]
+
+/**
+ * @param {string} value
+ * @returns {'text' | 'url' | 'email'}
+ */
+const inferType = (value) => {
+  if (/^https?:\/\/\S+$/i.test(value)) return 'url'
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return 'email'
+  return 'text'
+}
+
+/**
+ * @param {string} type
+ * @param {string} value
+ * @returns {{type: string, value: string}}
+ */
+const toTypedValue = (type, value) => {
+  if (type === 'boolean') {
+    return { type, value: String(/^(true|1|yes|on)$/i.test(value.trim())) }
+  }
+
+  if (type === 'date') {
+    const time = toTimestamp(value)
+    return time === undefined
+      ? { type: 'text', value }
+      : { type, value: new Date(time).toISOString().slice(0, 10) }
+  }
+
+  return { type, value }
+}
+
+/**
+ * Creates a typed custom field. Text fields holding a URL or an email
+ * address get that type.
+ * @param {*} label
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {string} [options.type] - One of `CUSTOM_FIELD_TYPES`, others are
+ *   treated as text.
+ * @param {boolean} [options.hidden] - The source masks the value, e.g. a
+ *   protected KeePass string. Makes the field `hidden` unless it is typed.
+ * @returns {CustomField}
+ */
+export const createCustomField = (
+  label,
+  value,
+  { type, hidden = false } = {}
+) => {
+  const text = value === undefined || value === null ? '' : String(value)
+  const isTyped = CUSTOM_FIELD_TYPES.includes(type) && type !== 'text'
+  const typed = toTypedValue(
+    isTyped ? type : hidden ? 'hidden' : inferType(text),
+    text
+  )
+
+  return {
+    type: typed.type,
+    label: label === undefined || label === null ? '' : String(label).trim(),
+    value: typed.value,
+    hidden: hidden || typed.type === 'hidden'
+  }
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isValue = (value) =>
+  ['string', 'number', 'boolean'].includes(typeof value)
+
+/**
+ * Validates a custom field of a parsed record.
+ * @param {*} field
+ * @returns {CustomField | {type: 'note', note: string} | null} `null` for
+ *   invalid or empty fields.
+ */
+export const normalizeCustomField = (field) => {
+  if (!field || typeof field !== 'object' || typeof field.type !== 'string') {
+    return null
+  }
+
+  if (field.type === 'note') {
+    return typeof field.note === 'string' && field.note.trim()
+      ? { type: 'note', note: field.note }
+      : null
+  }
+
+  if (!isValue(field.value) && typeof field.label !== 'string') return null
+
+  const customField = createCustomField(
+    typeof field.label === 'string' ? field.label : '',
+    isValue(field.value) ? field.value : '',
+    { type: field.type, hidden: field.hidden === true }
+  )
+
+  return customField.label || customField.value.trim() ? customField : null
+}
@@ -0,0 +1,75 @@
+import { createCustomField, normalizeCustomField } from './createCustomField'
+
+describe('createCustomField', () => {
+  it('infers URLs and email addresses of text fields', () => {
+    expect(createCustomField(' Site ', 'https://example.com')).toEqual({
+      type: 'url',
+      label: 'Site',
+      value: 'https://example.com',
+      hidden: false
+    })
+    expect(createCustomField('Mail', 'me@example.com').type).toBe('email')
+    expect(createCustomField('Count', 3)).toEqual({
+      type: 'text',
+      label: 'Count',
+      value: '3',
+      hidden: false
+    })
+  })
+
+  it('masks hidden and protected values', () => {
+    expect(createCustomField('PIN', '1234', { type: 'hidden' })).toEqual({
+      type: 'hidden',
+      label: 'PIN',
+      value: '1234',
+      hidden: true
+    })
+    expect(
+      createCustomField('Token', 'https://x.test', { hidden: true })
+    ).toEqual({
+      type: 'hidden',
+      label: 'Token',
+      value: 'https://x.test',
+      hidden: true
+    })
+  })
+
+  it('normalizes booleans and dates', () => {
+    expect(createCustomField('On', 'TRUE', { type: 'boolean' }).value).toBe(
+      'true'
+    )
+    expect(createCustomField('On', '', { type: 'boolean' }).value).toBe('false')
+    expect(
+      createCustomField('Due', '2030-01-31T10:00:00Z', { type: 'date' })
+    ).toMatchObject({ type: 'date', value: '2030-01-31' })
+    expect(createCustomField('Due', 'soon', { type: 'date' })).toMatchObject({
+      type: 'text',
+      value: 'soon'
+    })
+  })
+})
+
+describe('normalizeCustomField', () => {
+  it('keeps notes and typed fields', () => {
+    expect(normalizeCustomField({ type: 'note', note: 'text', x: 1 })).toEqual({
+      type: 'note',
+      note: 'text'
+    })
+    expect(
+      normalizeCustomField({ type: 'hidden', label: 'PIN', value: 1234 })
+    ).toEqual({ type: 'hidden', label: 'PIN', value: '1234', hidden: true })
+    expect(
+      normalizeCustomField({ type: 'unknown', label: 'A', value: 'b' })
+    ).toEqual({ type: 'text', label: 'A', value: 'b', hidden: false })
+  })
+
+  it('rejects invalid and empty fields', () => {
+    expect(normalizeCustomField(null)).toBeNull()
+    expect(normalizeCustomField({ label: 'no type' })).toBeNull()
+    expect(normalizeCustomField({ type: 'note', note: ' ' })).toBeNull()
+    expect(normalizeCustomField({ type: 'text', value: {} })).toBeNull()
+    expect(
+      normalizeCustomField({ type: 'text', label: '', value: ' ' })
+    ).toBeNull()
+  })
+})
@@ -0,0 +1,162 @@
+import { ImportAbortedError } from '../errors'
+import { ATTACHMENT_LIMITS } from './createAttachment'
+import { createImportReport } from './createImportReport'
+import { createSourceId } from './createSourceId'
+
+/**
+ * Phases passed to `onProgress`. Which ones occur depends on the file type,
+ * e.g. only KDBX files go through key derivation and decryption.
+ */
+export const IMPORT_PHASES = Object.freeze({
+  DERIVING_KEY: 'deriving key',
+  DECRYPTING: 'decrypting',
+  PARSING_FILE: 'parsing file',
+  PARSING_ROWS: 'parsing rows',
+  MAPPING_RECORDS: 'mapping records'
+})
+
+/** Items processed between two progress events within a phase. */
+const PROGRESS_INTERVAL = 100
+
+/**
+ * @typedef {Object} ImportProgress
+ * @property {string} phase - One of `IMPORT_PHASES`.
+ * @property {number} processed - Items done in this phase.
+ * @property {number | null} total - Items in this phase, `null` if unknown.
+ */
+
+/**
+ * State shared by a parser run. Parsers receive it as their last argument and
+ * create a fresh one when called directly.
+ *
+ * Parsers announce each phase with `startPhase` and call `tick` per item.
+ * Both throw an `ImportAbortedError` once the signal is aborted, so every
+ * progress update is also a cancellation point.
+ * @typedef {Object} ImportContext
+ * @property {ReturnType<typeof createImportReport>} report
+ * @property {AbortSignal} [signal]
+ * @property {string | null} source - Importer id, when known.
+ * @property {string | null} fileType
+ * @property {number} importedAt - Start of the import in ms since the epoch,
+ *   shared by all records of the import.
+ * @property {typeof ATTACHMENT_LIMITS} attachmentLimits
+ * @property {(phase: string, total?: number | null) => void} startPhase
+ * @property {(count?: number) => void} tick
+ * @property {() => void} throwIfAborted
+ * @property {(
+ *   location: import('./createImportReport').ImportLocation,
+ *   attachment: import('./createAttachment').Attachment
+ * ) => boolean} acceptAttachment - Counts the attachment against the limits
+ *   of the import. Attachments over a limit are reported as dropped.
+ * @property {(
+ *   type: string,
+ *   data: Object,
+ *   folder: string | null
+ * ) => string} deriveSourceId - `createSourceId` for records without an id
+ *   of their own. Items of the import with the same identifying fields get
+ *   different ids, in the order they are derived.
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {ReturnType<typeof createImportReport>} [options.report]
+ * @param {(progress: ImportProgress) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.source]
+ * @param {string} [options.fileType]
+ * @param {number} [options.importedAt]
+ * @param {Partial<typeof ATTACHMENT_LIMITS>} [options.attachmentLimits]
+ * @returns {ImportContext}
+ */
+export const createImportContext = ({
+  report = createImportReport(),
+  onProgress,
+  signal,
+  source = null,
+  fileType = null,
+  importedAt = Date.now(),
+  attachmentLimits
+} = {}) => {
+  const limits = { ...ATTACHMENT_LIMITS, ...attachmentLimits }
+  let progress = { phase: null, processed: 0, total: null }
+  let lastReported = 0
+  let attachmentCount = 0
+  let attachmentSize = 0
+  const sourceIdCounts = new Map()
+
+  const throwIfAborted = () => {
+    if (signal?.aborted) {
+      throw new ImportAbortedError(signal.reason)
+    }
+  }
+
+  const emit = () => {
+    lastReported = progress.processed
+    onProgress?.({ ...progress })
+  }
+
+  return {
+    report,
+    signal,
+    source,
+    fileType,
+    importedAt,
+    attachmentLimits: limits,
+    throwIfAborted,
+
+    startPhase: (phase, total = null) => {
+      throwIfAborted()
+      progress = { phase, processed: 0, total }
+      emit()
+    },
+
+    tick: (count = 1) => {
+      throwIfAborted()
+      progress.processed += count
+
+      if (
+        progress.processed === progress.total ||
+        progress.processed - lastReported >= PROGRESS_INTERVAL
+      ) {
+        emit()
+      }
+    },
+
+    acceptAttachment: (location, { name, size }) => {
+      if (size > limits.maxFileSize) {
+        report.dropAttachment(
+          location,
+          name,
+          'ATTACHMENT_TOO_LARGE',
+          `Attachment is larger than ${limits.maxFileSize} bytes`
+        )
+        return false
+      }
+
+      if (
+        attachmentCount + 1 > limits.maxCount ||
+        attachmentSize + size > limits.maxTotalSize
+      ) {
+        report.dropAttachment(
+          location,
+          name,
+          'ATTACHMENT_LIMIT_REACHED',
+          'Attachments of the import exceed the size or count limit'
+        )
+        return false
+      }
+
+      attachmentCount++
+      attachmentSize += size
+      return true
+    },
+
+    deriveSourceId: (type, data, folder) => {
+      const id = createSourceId(type, data, folder)
+      const occurrence = sourceIdCounts.get(id) ?? 0
+
+      sourceIdCounts.set(id, occurrence + 1)
+      return occurrence ? createSourceId(type, data, folder, occurrence) : id
+    }
+  }
+}
@@ -0,0 +1,102 @@
+import { createImportContext, IMPORT_PHASES } from './createImportContext'
+import { createSourceId } from './createSourceId'
+import { ImportAbortedError } from '../errors'
+
+describe('createImportContext', () => {
+  it('reports the start of every phase', () => {
+    const onProgress = jest.fn()
+    const context = createImportContext({ onProgress })
+
+    context.startPhase(IMPORT_PHASES.PARSING_ROWS)
+    context.startPhase(IMPORT_PHASES.MAPPING_RECORDS, 3)
+
+    expect(onProgress.mock.calls).toEqual([
+      [{ phase: 'parsing rows', processed: 0, total: null }],
+      [{ phase: 'mapping records', processed: 0, total: 3 }]
+    ])
+  })
+
+  it('throttles item progress and always reports the last item', () => {
+    const onProgress = jest.fn()
+    const context = createImportContext({ onProgress })
+
+    context.startPhase(IMPORT_PHASES.MAPPING_RECORDS, 250)
+    for (let i = 0; i < 250; i++) {
+      context.tick()
+    }
+
+    expect(onProgress.mock.calls.map(([{ processed }]) => processed)).toEqual([
+      0, 100, 200, 250
+    ])
+  })
+
+  it('throws an ImportAbortedError once the signal is aborted', () => {
+    const controller = new AbortController()
+    const context = createImportContext({ signal: controller.signal })
+
+    context.startPhase(IMPORT_PHASES.PARSING_ROWS)
+    context.tick()
+    controller.abort('user cancelled')
+
+    const error = (() => {
+      try {
+        context.tick()
+      } catch (e) {
+        return e
+      }
+    })()
+
+    expect(error).toBeInstanceOf(ImportAbortedError)
+    expect(error).toMatchObject({ code: 'IMPORT_ABORTED' })
+    expect(error.cause).toBe('user cancelled')
+    expect(() => context.startPhase(IMPORT_PHASES.PARSING_FILE)).toThrow(
+      ImportAbortedError
+    )
+  })
+
+  it('works without onProgress and signal', () => {
+    const context = createImportContext()
+
+    expect(() => {
+      context.startPhase(IMPORT_PHASES.PARSING_ROWS)
+      context.tick()
+      context.throwIfAborted()
+    }).not.toThrow()
+  })
+
+  it('drops attachments over the limits of the import', () => {
+    const context = createImportContext({
+      attachmentLimits: { maxFileSize: 10, maxTotalSize: 15 }
+    })
+    const accept = (name, size) =>
+      context.acceptAttachment({ index: 0 }, { name, size })
+
+    expect(accept('a.txt', 8)).toBe(true)
+    expect(accept('b.txt', 11)).toBe(false)
+    expect(accept('c.txt', 8)).toBe(false)
+    expect(accept('d.txt', 7)).toBe(true)
+    expect(context.attachmentLimits.maxCount).toBe(5000)
+    expect(
+      context.report
+        .summarize()
+        .droppedAttachments.map(({ name, code }) => [name, code])
+    ).toEqual([
+      ['b.txt', 'ATTACHMENT_TOO_LARGE'],
+      ['c.txt', 'ATTACHMENT_LIMIT_REACHED']
+    ])
+  })
+
+  it('derives a different source id for every repeated item', () => {
+    const derive = (context) => [
+      context.deriveSourceId('note', { title: 'A' }, null),
+      context.deriveSourceId('note', { title: 'A' }, null),
+      context.deriveSourceId('note', { title: 'B' }, null)
+    ]
+    const ids = derive(createImportContext())
+
+    expect(ids[0]).toBe(createSourceId('note', { title: 'A' }, null))
+    expect(ids[1]).toBe(createSourceId('note', { title: 'A' }, null, 1))
+    expect(ids[2]).toBe(createSourceId('note', { title: 'B' }, null))
+    expect(derive(createImportContext())).toEqual(ids)
+  })
+})
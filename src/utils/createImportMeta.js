@@ -0,0 +1,32 @@
+/**
+ * Where an imported record comes from.
+ * @typedef {Object} ImportMeta
+ * @property {string | null} source - Importer id, e.g. `bitwarden`.
+ * @property {string | null} fileType
+ * @property {string | number | null} originalType - Item type as the source
+ *   names it, e.g. Bitwarden `3`, NordPass `credit_card` or LastPass
+ *   `Credit Card`.
+ * @property {string | null} folderPath - Folder or group path as written in
+ *   the export.
+ * @property {number} importedAt - Start of the import, ms since the epoch.
+ */
+
+/**
+ * @param {Object} meta
+ * @param {string} meta.source
+ * @param {string} meta.fileType
+ * @param {string | number | null} [meta.originalType]
+ * @param {string | null} [meta.folderPath]
+ * @param {import('./createImportContext').ImportContext} context
+ * @returns {ImportMeta}
+ */
+export const createImportMeta = (
+  { source, fileType, originalType = null, folderPath = null },
+  context
+) => ({
+  source,
+  fileType,
+  originalType: originalType === '' ? null : originalType,
+  folderPath: folderPath || null,
+  importedAt: context.importedAt
+})
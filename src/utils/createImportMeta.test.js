@@ -0,0 +1,40 @@
+import { createImportContext } from './createImportContext'
+import { createImportMeta } from './createImportMeta'
+
+describe('createImportMeta', () => {
+  const context = createImportContext({ importedAt: 1000 })
+
+  it('takes the import time from the context', () => {
+    expect(
+      createImportMeta(
+        {
+          source: 'nordpass',
+          fileType: 'csv',
+          originalType: 'credit_card',
+          folderPath: 'Finance'
+        },
+        context
+      )
+    ).toEqual({
+      source: 'nordpass',
+      fileType: 'csv',
+      originalType: 'credit_card',
+      folderPath: 'Finance',
+      importedAt: 1000
+    })
+  })
+
+  it('uses null for missing or blank type and folder', () => {
+    expect(
+      createImportMeta(
+        {
+          source: 'lastpass',
+          fileType: 'csv',
+          originalType: '',
+          folderPath: ''
+        },
+        context
+      )
+    ).toMatchObject({ originalType: null, folderPath: null })
+  })
+})
@@ -0,0 +1,96 @@
+/**
+ * Where in the source export a report entry comes from. CSV parsers set `row`,
+ * JSON parsers `index` and `itemId`, KeePass parsers `path`. Problems found
+ * while normalizing the parsed records are located by `record`.
+ * @typedef {Object} ImportLocation
+ * @property {number} [row] - 1-based CSV row, the header being row 1.
+ * @property {number} [index] - 0-based position of the item in the export.
+ * @property {string} [itemId] - Id of the item in the source export.
+ * @property {string} [path] - Group path and title of a KeePass entry.
+ * @property {number} [record] - 0-based position in the parser output.
+ */
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {number} total - Source items seen, imported or skipped.
+ * @property {number} imported - Records returned to the caller.
+ * @property {Array<ImportLocation & {code: string, reason: string}>} skipped
+ * @property {Array<ImportLocation & {code: string, message: string}>} warnings
+ * @property {Array<ImportLocation & {field: string}>} unmappedFields - Source
+ *   fields with a value that was not carried over into any record field.
+ * @property {Object<string, number>} countsByType - Imported records per type.
+ * @property {Array<ImportLocation & {name: string, code: string, reason: string}>} droppedAttachments
+ *   Files of the export that were not carried over.
+ */
+
+/**
+ * Collects what happened to every source item while parsing an export.
+ * Codes are stable and meant for localization, messages are for logs.
+ * Streamed records are tallied with `count` instead of being kept around.
+ * @returns {{
+ *   skip: (location: ImportLocation, code: string, reason: string) => void,
+ *   warn: (location: ImportLocation, code: string, message: string) => void,
+ *   unmapped: (location: ImportLocation, fields: string[]) => void,
+ *   dropAttachment: (
+ *     location: ImportLocation,
+ *     name: string,
+ *     code: string,
+ *     reason: string
+ *   ) => void,
+ *   count: (record: {type: string}) => void,
+ *   summarize: (records?: Array<{type: string}>) => ImportReport
+ * }}
+ */
+export const createImportReport = () => {
+  const skipped = []
+  const warnings = []
+  const unmappedFields = []
+  const droppedAttachments = []
+  const countedByType = {}
+  let counted = 0
+
+  return {
+    skip: (location, code, reason) => {
+      skipped.push({ ...location, code, reason })
+    },
+
+    warn: (location, code, message) => {
+      warnings.push({ ...location, code, message })
+    },
+
+    unmapped: (location, fields) => {
+      for (const field of fields) {
+        unmappedFields.push({ ...location, field })
+      }
+    },
+
+    dropAttachment: (location, name, code, reason) => {
+      droppedAttachments.push({ ...location, name, code, reason })
+    },
+
+    count: ({ type }) => {
+      countedByType[type] = (countedByType[type] || 0) + 1
+      counted++
+    },
+
+    summarize: (records = []) => {
+      const countsByType = { ...countedByType }
+
+      for (const { type } of records) {
+        countsByType[type] = (countsByType[type] || 0) + 1
+      }
+
+      const imported = counted + records.length
+
+      return {
+        total: imported + skipped.length,
+        imported,
+        skipped: [...skipped],
+        warnings: [...warnings],
+        unmappedFields: [...unmappedFields],
+        countsByType,
+        droppedAttachments: [...droppedAttachments]
+      }
+    }
+  }
+}
@@ -0,0 +1,94 @@
+import { createImportReport } from './createImportReport'
+
+describe('createImportReport', () => {
+  it('summarizes an empty run', () => {
+    expect(createImportReport().summarize([])).toEqual({
+      total: 0,
+      imported: 0,
+      skipped: [],
+      warnings: [],
+      unmappedFields: [],
+      countsByType: {},
+      droppedAttachments: []
+    })
+  })
+
+  it('collects skipped items, warnings and unmapped fields', () => {
+    const report = createImportReport()
+    report.skip({ row: 2 }, 'INVALID_RECORD', 'Record has no type')
+    report.warn({ itemId: 'a' }, 'UNSUPPORTED_ITEM_TYPE', 'Imported as custom')
+    report.unmapped({ index: 1 }, ['login.totp', 'reprompt'])
+
+    expect(report.summarize([])).toMatchObject({
+      skipped: [
+        { row: 2, code: 'INVALID_RECORD', reason: 'Record has no type' }
+      ],
+      warnings: [
+        {
+          itemId: 'a',
+          code: 'UNSUPPORTED_ITEM_TYPE',
+          message: 'Imported as custom'
+        }
+      ],
+      unmappedFields: [
+        { index: 1, field: 'login.totp' },
+        { index: 1, field: 'reprompt' }
+      ]
+    })
+  })
+
+  it('counts imported records per type', () => {
+    const report = createImportReport()
+    report.skip({ row: 3 }, 'INVALID_RECORD', 'Broken')
+
+    expect(
+      report.summarize([{ type: 'login' }, { type: 'note' }, { type: 'login' }])
+    ).toMatchObject({
+      total: 4,
+      imported: 3,
+      countsByType: { login: 2, note: 1 }
+    })
+  })
+
+  it('includes records tallied with count', () => {
+    const report = createImportReport()
+    report.count({ type: 'login' })
+    report.count({ type: 'note' })
+
+    expect(report.summarize()).toMatchObject({
+      total: 2,
+      imported: 2,
+      countsByType: { login: 1, note: 1 }
+    })
+    expect(report.summarize([{ type: 'login' }])).toMatchObject({
+      imported: 3,
+      countsByType: { login: 2, note: 1 }
+    })
+  })
+
+  it('returns summaries that do not change with later entries', () => {
+    const report = createImportReport()
+    const summary = report.summarize([])
+    report.skip({ row: 2 }, 'INVALID_RECORD', 'Broken')
+    expect(summary.skipped).toEqual([])
+  })
+
+  it('lists attachments that were dropped', () => {
+    const report = createImportReport()
+    report.dropAttachment(
+      { path: 'Root/Entry' },
+      'scan.pdf',
+      'ATTACHMENT_TOO_LARGE',
+      'Too large'
+    )
+
+    expect(report.summarize().droppedAttachments).toEqual([
+      {
+        path: 'Root/Entry',
+        name: 'scan.pdf',
+        code: 'ATTACHMENT_TOO_LARGE',
+        reason: 'Too large'
+      }
+    ])
+  })
+})
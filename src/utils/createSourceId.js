@@ -0,0 +1,29 @@
+import { sha256 } from '@noble/hashes/sha256'
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils'
+
+/**
+ * Deterministic id for records whose source has no ids of its own (CSV
+ * exports): a truncated SHA-256 of the fields that identify an item, its
+ * type, title, username, websites and folder. The same item exported again
+ * keeps its id when its password, note or other content changed.
+ * @param {string} type
+ * @param {Object} data - Normalized record data.
+ * @param {string | null} [folder]
+ * @param {number} [occurrence] - How many items of the export had the same
+ *   identifying fields before this one, so that each gets its own id.
+ * @returns {string} 32 hex characters.
+ */
+export const createSourceId = (
+  type,
+  { title = '', username = '', websites = [] },
+  folder = null,
+  occurrence = 0
+) => {
+  const fields = [type, title, username, websites, folder]
+
+  return bytesToHex(
+    sha256(
+      utf8ToBytes(JSON.stringify(occurrence ? [...fields, occurrence] : fields))
+    )
+  ).slice(0, 32)
+}
@@ -0,0 +1,48 @@
+import { createSourceId } from './createSourceId'
+
+describe('createSourceId', () => {
+  it('is deterministic', () => {
+    const data = { title: 'A', note: 'b' }
+
+    expect(createSourceId('note', data)).toMatch(/^[0-9a-f]{32}$/)
+    expect(createSourceId('note', { ...data })).toBe(
+      createSourceId('note', data)
+    )
+  })
+
+  it('changes with the identifying fields only', () => {
+    const data = {
+      title: 'A',
+      username: 'me',
+      password: 'old',
+      websites: ['https://a.test']
+    }
+    const id = createSourceId('login', data, 'Work')
+
+    expect(createSourceId('login', { ...data, password: 'new' }, 'Work')).toBe(
+      id
+    )
+    expect(createSourceId('custom', data, 'Work')).not.toBe(id)
+    expect(createSourceId('login', { ...data, title: 'B' }, 'Work')).not.toBe(
+      id
+    )
+    expect(
+      createSourceId('login', { ...data, username: 'you' }, 'Work')
+    ).not.toBe(id)
+    expect(
+      createSourceId('login', { ...data, websites: ['https://b.test'] }, 'Work')
+    ).not.toBe(id)
+    expect(createSourceId('login', data, null)).not.toBe(id)
+  })
+
+  it('tells repeated items apart by their occurrence', () => {
+    const data = { title: 'Wifi codes' }
+    const id = createSourceId('note', data, 'Home')
+
+    expect(createSourceId('note', data, 'Home', 0)).toBe(id)
+    expect(createSourceId('note', data, 'Home', 1)).not.toBe(id)
+    expect(createSourceId('note', data, 'Home', 2)).not.toBe(
+      createSourceId('note', data, 'Home', 1)
+    )
+  })
+})
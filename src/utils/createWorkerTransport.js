@@ -0,0 +1,70 @@
+/**
+ * Message channel between an import client and an import worker. Implement
+ * it to run imports over anything that can pass structured-clonable messages.
+ * @typedef {Object} WorkerTransport
+ * @property {(message: Object, transfer?: Array<*>) => void} postMessage
+ * @property {(
+ *   onMessage: (message: *) => void,
+ *   onError?: (error: *) => void
+ * ) => () => void} listen - Returns a function that removes the listeners.
+ */
+
+/**
+ * Wraps a browser `Worker`, `self` or `MessagePort` (EventTarget style) or a
+ * Node `worker_threads` `Worker`, `parentPort` or `MessagePort` (EventEmitter
+ * style) in a `WorkerTransport`. Transports are passed through unchanged.
+ * @param {*} port
+ * @returns {WorkerTransport}
+ */
+export const createWorkerTransport = (port) => {
+  if (typeof port?.listen === 'function') return port
+
+  if (typeof port?.postMessage !== 'function') {
+    throw new TypeError('Expected a Worker, MessagePort or WorkerTransport')
+  }
+
+  const postMessage = (message, transfer = []) =>
+    port.postMessage(message, transfer)
+
+  if (typeof port.on === 'function') {
+    return {
+      postMessage,
+      listen: (onMessage, onError = () => {}) => {
+        const onExit = (code) =>
+          onError(new Error(`Worker stopped with exit code ${code}`))
+
+        port.on('message', onMessage)
+        port.on('error', onError)
+        port.on('exit', onExit)
+
+        return () => {
+          port.off('message', onMessage)
+          port.off('error', onError)
+          port.off('exit', onExit)
+        }
+      }
+    }
+  }
+
+  return {
+    postMessage,
+    listen: (onMessage, onError = () => {}) => {
+      const handleMessage = (event) => onMessage(event.data)
+      const handleError = (event) => {
+        event.preventDefault?.()
+        onError(event.error ?? new Error(event.message || 'Worker error'))
+      }
+
+      port.addEventListener('message', handleMessage)
+      port.addEventListener('error', handleError)
+      port.addEventListener('messageerror', handleError)
+      port.start?.()
+
+      return () => {
+        port.removeEventListener('message', handleMessage)
+        port.removeEventListener('error', handleError)
+        port.removeEventListener('messageerror', handleError)
+      }
+    }
+  }
+}
@@ -0,0 +1,65 @@
+import { createWorkerTransport } from './createWorkerTransport'
+
+describe('createWorkerTransport', () => {
+  it('passes transports through', () => {
+    const transport = { postMessage: () => {}, listen: () => () => {} }
+
+    expect(createWorkerTransport(transport)).toBe(transport)
+  })
+
+  it('listens to EventTarget style ports', () => {
+    const port = new EventTarget()
+    port.postMessage = jest.fn()
+    port.start = jest.fn()
+    const onMessage = jest.fn()
+    const onError = jest.fn()
+
+    const transport = createWorkerTransport(port)
+    const stop = transport.listen(onMessage, onError)
+    transport.postMessage({ type: 'import' }, ['buffer'])
+
+    port.dispatchEvent(
+      Object.assign(new Event('message'), { data: { type: 'done' } })
+    )
+    port.dispatchEvent(
+      Object.assign(new Event('error'), { message: 'Script error' })
+    )
+    stop()
+    port.dispatchEvent(new Event('message'))
+
+    expect(port.start).toHaveBeenCalled()
+    expect(port.postMessage).toHaveBeenCalledWith({ type: 'import' }, [
+      'buffer'
+    ])
+    expect(onMessage.mock.calls).toEqual([[{ type: 'done' }]])
+    expect(onError.mock.calls[0][0].message).toBe('Script error')
+  })
+
+  it('listens to EventEmitter style ports and reports worker exits', () => {
+    const listeners = {}
+    const port = {
+      postMessage: jest.fn(),
+      on: (event, listener) => {
+        listeners[event] = listener
+      },
+      off: jest.fn()
+    }
+    const onMessage = jest.fn()
+    const onError = jest.fn()
+
+    const stop = createWorkerTransport(port).listen(onMessage, onError)
+    listeners.message({ type: 'done' })
+    listeners.exit(1)
+    stop()
+
+    expect(onMessage).toHaveBeenCalledWith({ type: 'done' })
+    expect(onError.mock.calls[0][0].message).toBe(
+      'Worker stopped with exit code 1'
+    )
+    expect(port.off).toHaveBeenCalledTimes(3)
+  })
+
+  it('rejects anything else', () => {
+    expect(() => createWorkerTransport({})).toThrow(TypeError)
+  })
+})
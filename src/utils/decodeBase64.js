@@ -0,0 +1,53 @@
+const BASE64_ALPHABET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+const WHITESPACE = -2
+const PADDING = -3
+
+/** Value of each character code below 256, `-1` for invalid characters. */
+const BASE64_VALUES = (() => {
+  const values = new Int8Array(256).fill(-1)
+  for (let i = 0; i < BASE64_ALPHABET.length; i++) {
+    values[BASE64_ALPHABET.charCodeAt(i)] = i
+  }
+  for (const char of ' \t\n\v\f\r') values[char.charCodeAt(0)] = WHITESPACE
+  values['='.charCodeAt(0)] = PADDING
+  return values
+})()
+
+/**
+ * Decodes standard base64. Whitespace and padding are ignored.
+ * @param {string} text
+ * @returns {Uint8Array | null} `null` when `text` is empty or not base64.
+ */
+export const decodeBase64 = (text) => {
+  const bytes = new Uint8Array(Math.floor((text.length * 6) / 8))
+  let length = 0
+  let buffer = 0
+  let bits = 0
+  let isPadded = false
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i)
+    const value = code < 256 ? BASE64_VALUES[code] : -1
+
+    if (value === WHITESPACE) continue
+    if (value === PADDING) {
+      isPadded = true
+      continue
+    }
+    // padding may only end the text
+    if (value === -1 || isPadded) return null
+
+    buffer = ((buffer << 6) | value) & 0xffffff
+    bits += 6
+    if (bits >= 8) {
+      bytes[length++] = (buffer >>> (bits - 8)) & 255
+      bits -= 8
+    }
+  }
+
+  if (!length && !bits) return null
+
+  return length === bytes.length ? bytes : bytes.slice(0, length)
+}
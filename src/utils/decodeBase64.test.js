@@ -0,0 +1,17 @@
+import { decodeBase64 } from './decodeBase64'
+
+describe('decodeBase64', () => {
+  it('decodes with and without padding and line breaks', () => {
+    expect(decodeBase64('aGVsbG8=')).toEqual(new TextEncoder().encode('hello'))
+    expect(decodeBase64('aGVs\nbG8')).toEqual(new TextEncoder().encode('hello'))
+    expect(decodeBase64('/+8=')).toEqual(new Uint8Array([255, 239]))
+  })
+
+  it('returns null for empty or invalid input', () => {
+    expect(decodeBase64('')).toBeNull()
+    expect(decodeBase64('a-b')).toBeNull()
+    expect(decodeBase64(' =\n')).toBeNull()
+    expect(decodeBase64('aG=Vs')).toBeNull()
+    expect(decodeBase64('aGVs\u00e9')).toBeNull()
+  })
+})
@@ -0,0 +1,26 @@
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const hasValue = (value) => {
+  if (value === null || value === undefined) return false
+  if (typeof value === 'string') return value.trim() !== ''
+  if (Array.isArray(value)) return value.length > 0
+  if (typeof value === 'object') return Object.values(value).some(hasValue)
+  return true
+}
+
+/**
+ * Lists the keys of a source object that hold a value but were not mapped.
+ * @param {Object<string, *> | null | undefined} source
+ * @param {Iterable<string>} mappedKeys - Keys consumed or deliberately ignored.
+ * @param {string} [prefix] - Prepended to every key, e.g. 'login.'.
+ * @returns {string[]}
+ */
+export const getUnmappedFields = (source, mappedKeys, prefix = '') => {
+  const mapped = new Set(mappedKeys)
+
+  return Object.entries(source || {})
+    .filter(([key, value]) => !mapped.has(key) && hasValue(value))
+    .map(([key]) => `${prefix}${key}`)
+}
@@ -0,0 +1,41 @@
+import { getUnmappedFields } from './getUnmappedFields'
+
+describe('getUnmappedFields', () => {
+  it('lists keys with values that are not mapped', () => {
+    expect(
+      getUnmappedFields({ name: 'a', totp: 'b', tags: 'c' }, ['name'])
+    ).toEqual(['totp', 'tags'])
+  })
+
+  it('ignores empty values', () => {
+    expect(
+      getUnmappedFields(
+        {
+          empty: '',
+          blank: '  ',
+          missing: null,
+          undef: undefined,
+          list: [],
+          object: { nested: '' }
+        },
+        []
+      )
+    ).toEqual([])
+  })
+
+  it('reports non-string values', () => {
+    expect(getUnmappedFields({ count: 0, flag: false, list: [1] }, [])).toEqual(
+      ['count', 'flag', 'list']
+    )
+  })
+
+  it('prefixes keys', () => {
+    expect(getUnmappedFields({ brand: 'Visa' }, [], 'card.')).toEqual([
+      'card.brand'
+    ])
+  })
+
+  it('handles missing sources', () => {
+    expect(getUnmappedFields(undefined, [])).toEqual([])
+  })
+})
@@ -0,0 +1,11 @@
+import { sha256 } from '@noble/hashes/sha256'
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils'
+
+/**
+ * SHA-256 of a password as hex. Duplicate detection compares passwords only
+ * through this hash, so vault snapshots can carry it instead of the password.
+ * @param {string} password
+ * @returns {string}
+ */
+export const hashPassword = (password) =>
+  bytesToHex(sha256(utf8ToBytes(password)))
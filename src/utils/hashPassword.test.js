@@ -0,0 +1,14 @@
+import { hashPassword } from './hashPassword'
+
+describe('hashPassword', () => {
+  it('returns the SHA-256 hex digest', () => {
+    expect(hashPassword('abc')).toBe(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    )
+  })
+
+  it('is case and whitespace sensitive', () => {
+    expect(hashPassword('Secret')).not.toBe(hashPassword('secret'))
+    expect(hashPassword('secret ')).not.toBe(hashPassword('secret'))
+  })
+})
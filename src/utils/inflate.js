@@ -0,0 +1,371 @@
+import { ArchiveLimitError, MalformedFileError } from '../errors'
+import { crc32 } from './crc32'
+
+/** Base lengths and extra bits of length symbols 257-285. */
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+  83, 99, 115, 131, 163, 195, 227, 258
+]
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 0
+]
+
+/** Base distances and extra bits of distance symbols 0-29. */
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+  1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+]
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13
+]
+
+/** Order in which the code length code lengths of a dynamic block are sent. */
+const CODE_LENGTH_ORDER = [
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15
+]
+
+const MAX_BITS = 15
+const END_OF_BLOCK = 256
+
+/**
+ * @param {string} message
+ * @returns {MalformedFileError}
+ */
+const createMalformedError = (message) =>
+  new MalformedFileError(`Invalid compressed data: ${message}`)
+
+/**
+ * Canonical Huffman code, decoded one bit at a time (RFC 1951, 3.2.2).
+ * @typedef {{count: Uint16Array, symbol: Uint16Array}} Huffman
+ */
+
+/**
+ * @param {ArrayLike<number>} lengths - Code length per symbol, 0 if unused.
+ * @returns {Huffman}
+ */
+const createHuffman = (lengths) => {
+  const count = new Uint16Array(MAX_BITS + 1)
+  const symbol = new Uint16Array(lengths.length)
+
+  for (let i = 0; i < lengths.length; i++) count[lengths[i]]++
+  count[0] = 0
+
+  let left = 1
+  for (let length = 1; length <= MAX_BITS; length++) {
+    left = (left << 1) - count[length]
+    if (left < 0) throw createMalformedError('over-subscribed code')
+  }
+
+  const offsets = new Uint16Array(MAX_BITS + 1)
+  for (let length = 1; length < MAX_BITS; length++) {
+    offsets[length + 1] = offsets[length] + count[length]
+  }
+  for (let i = 0; i < lengths.length; i++) {
+    if (lengths[i]) symbol[offsets[lengths[i]]++] = i
+  }
+
+  return { count, symbol }
+}
+
+const FIXED_LITERALS = createHuffman(
+  Array.from({ length: 288 }, (_, i) =>
+    i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8
+  )
+)
+const FIXED_DISTANCES = createHuffman(new Array(30).fill(5))
+
+/**
+ * Reads the deflate bit stream, least significant bit first.
+ * @param {Uint8Array} bytes
+ */
+const createBitReader = (bytes) => {
+  let position = 0
+  let buffer = 0
+  let bufferedBits = 0
+
+  const bits = (count) => {
+    while (bufferedBits < count) {
+      if (position >= bytes.length) throw createMalformedError('unexpected end')
+      buffer |= bytes[position++] << bufferedBits
+      bufferedBits += 8
+    }
+    const value = buffer & ((1 << count) - 1)
+    buffer >>>= count
+    bufferedBits -= count
+    return value
+  }
+
+  /** @param {Huffman} huffman */
+  const decode = ({ count, symbol }) => {
+    let code = 0
+    let first = 0
+    let index = 0
+
+    for (let length = 1; length <= MAX_BITS; length++) {
+      code |= bits(1)
+      const codes = count[length]
+      if (code - first < codes) return symbol[index + code - first]
+      index += codes
+      first = (first + codes) << 1
+      code <<= 1
+    }
+
+    throw createMalformedError('invalid code')
+  }
+
+  /** Drops the bits left in the current byte, for stored blocks. */
+  const alignToByte = () => {
+    buffer = 0
+    bufferedBits = 0
+  }
+
+  /**
+   * @param {number} length
+   * @returns {Uint8Array}
+   */
+  const readBytes = (length) => {
+    if (position + length > bytes.length) {
+      throw createMalformedError('unexpected end')
+    }
+    position += length
+    return bytes.subarray(position - length, position)
+  }
+
+  return {
+    bits,
+    decode,
+    alignToByte,
+    readBytes
+  }
+}
+
+/**
+ * Output buffer that grows up to `maxSize` bytes.
+ * @param {number} initialSize
+ * @param {number} maxSize
+ */
+const createOutput = (initialSize, maxSize) => {
+  let bytes = new Uint8Array(Math.min(initialSize, maxSize) || 1024)
+  let length = 0
+
+  const reserve = (count) => {
+    if (length + count <= bytes.length) return
+    if (length + count > maxSize) {
+      throw new ArchiveLimitError(
+        `Compressed data expands beyond ${maxSize} bytes`,
+        { limit: 'maxSize' }
+      )
+    }
+    const grown = new Uint8Array(
+      Math.min(Math.max(bytes.length * 2, length + count), maxSize)
+    )
+    grown.set(bytes.subarray(0, length))
+    bytes = grown
+  }
+
+  return {
+    /** @param {number} byte */
+    push: (byte) => {
+      reserve(1)
+      bytes[length++] = byte
+    },
+    /** @param {Uint8Array} chunk */
+    append: (chunk) => {
+      reserve(chunk.length)
+      bytes.set(chunk, length)
+      length += chunk.length
+    },
+    /**
+     * @param {number} distance
+     * @param {number} count
+     */
+    copy: (distance, count) => {
+      if (distance > length) throw createMalformedError('distance too far')
+      reserve(count)
+      for (let i = 0; i < count; i++, length++) {
+        bytes[length] = bytes[length - distance]
+      }
+    },
+    result: () => (length === bytes.length ? bytes : bytes.slice(0, length))
+  }
+}
+
+/**
+ * @param {ReturnType<typeof createBitReader>} reader
+ * @returns {{literals: Huffman, distances: Huffman}}
+ */
+const readDynamicCodes = (reader) => {
+  const literalCount = reader.bits(5) + 257
+  const distanceCount = reader.bits(5) + 1
+  const codeLengthCount = reader.bits(4) + 4
+
+  const codeLengthLengths = new Uint8Array(19)
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.bits(3)
+  }
+  const codeLengths = createHuffman(codeLengthLengths)
+
+  const lengths = new Uint8Array(literalCount + distanceCount)
+  for (let i = 0; i < lengths.length;) {
+    const symbol = reader.decode(codeLengths)
+
+    if (symbol < 16) {
+      lengths[i++] = symbol
+      continue
+    }
+
+    let value = 0
+    let repeat
+    if (symbol === 16) {
+      if (i === 0) throw createMalformedError('repeat without length')
+      value = lengths[i - 1]
+      repeat = 3 + reader.bits(2)
+    } else if (symbol === 17) {
+      repeat = 3 + reader.bits(3)
+    } else {
+      repeat = 11 + reader.bits(7)
+    }
+
+    if (i + repeat > lengths.length) {
+      throw createMalformedError('too many code lengths')
+    }
+    lengths.fill(value, i, i + repeat)
+    i += repeat
+  }
+
+  if (!lengths[END_OF_BLOCK]) {
+    throw createMalformedError('missing end-of-block code')
+  }
+
+  return {
+    literals: createHuffman(lengths.subarray(0, literalCount)),
+    distances: createHuffman(lengths.subarray(literalCount))
+  }
+}
+
+/**
+ * @param {ReturnType<typeof createBitReader>} reader
+ * @param {ReturnType<typeof createOutput>} output
+ * @param {Huffman} literals
+ * @param {Huffman} distances
+ */
+const inflateBlock = (reader, output, literals, distances) => {
+  for (;;) {
+    const symbol = reader.decode(literals)
+
+    if (symbol < 256) {
+      output.push(symbol)
+    } else if (symbol === END_OF_BLOCK) {
+      return
+    } else {
+      const lengthIndex = symbol - 257
+      if (lengthIndex >= LENGTH_BASE.length) {
+        throw createMalformedError('invalid length')
+      }
+      const length =
+        LENGTH_BASE[lengthIndex] + reader.bits(LENGTH_EXTRA[lengthIndex])
+
+      const distanceIndex = reader.decode(distances)
+      if (distanceIndex >= DISTANCE_BASE.length) {
+        throw createMalformedError('invalid distance')
+      }
+      const distance =
+        DISTANCE_BASE[distanceIndex] +
+        reader.bits(DISTANCE_EXTRA[distanceIndex])
+      output.copy(distance, length)
+    }
+  }
+}
+
+/**
+ * Decompresses raw DEFLATE data (RFC 1951), as stored in ZIP archives.
+ * @param {Uint8Array} bytes
+ * @param {Object} [options]
+ * @param {number} [options.size] - Expected size, to allocate the output once.
+ * @param {number} [options.maxSize] - Output limit in bytes.
+ * @returns {Uint8Array}
+ * @throws {MalformedFileError} For invalid data.
+ * @throws {ArchiveLimitError} When the output exceeds `maxSize`.
+ */
+export const inflate = (bytes, { size = 0, maxSize = Infinity } = {}) => {
+  const reader = createBitReader(bytes)
+  const output = createOutput(size, maxSize)
+  let isFinal = false
+
+  while (!isFinal) {
+    isFinal = reader.bits(1) === 1
+    const type = reader.bits(2)
+
+    if (type === 0) {
+      reader.alignToByte()
+      const [low, high, invertedLow, invertedHigh] = reader.readBytes(4)
+      const length = low | (high << 8)
+      if ((length ^ (invertedLow | (invertedHigh << 8))) !== 0xffff) {
+        throw createMalformedError('stored block length mismatch')
+      }
+      output.append(reader.readBytes(length))
+    } else if (type === 1) {
+      inflateBlock(reader, output, FIXED_LITERALS, FIXED_DISTANCES)
+    } else if (type === 2) {
+      const { literals, distances } = readDynamicCodes(reader)
+      inflateBlock(reader, output, literals, distances)
+    } else {
+      throw createMalformedError('invalid block type')
+    }
+  }
+
+  return output.result()
+}
+
+const GZIP_FLAGS = { EXTRA: 4, NAME: 8, COMMENT: 16, HEADER_CRC: 2 }
+
+/**
+ * Decompresses a gzip member (RFC 1952) and verifies its checksum, e.g. the
+ * compressed binaries of KeePass XML exports.
+ * @param {Uint8Array} bytes
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Output limit in bytes.
+ * @returns {Uint8Array}
+ * @throws {MalformedFileError}
+ * @throws {ArchiveLimitError}
+ */
+export const gunzip = (bytes, { maxSize = Infinity } = {}) => {
+  if (bytes.length < 18 || bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
+    throw createMalformedError('not gzip')
+  }
+  if (bytes[2] !== 8) throw createMalformedError('unknown gzip method')
+
+  const flags = bytes[3]
+  let offset = 10
+  const skipString = () => {
+    while (offset < bytes.length && bytes[offset] !== 0) offset++
+    offset++
+  }
+
+  if (flags & GZIP_FLAGS.EXTRA) offset += 2 + (bytes[10] | (bytes[11] << 8))
+  if (flags & GZIP_FLAGS.NAME) skipString()
+  if (flags & GZIP_FLAGS.COMMENT) skipString()
+  if (flags & GZIP_FLAGS.HEADER_CRC) offset += 2
+
+  const trailer = new DataView(
+    bytes.buffer,
+    bytes.byteOffset + bytes.length - 8,
+    8
+  )
+  const size = trailer.getUint32(4, true)
+  const output = inflate(bytes.subarray(offset, bytes.length - 8), {
+    size,
+    maxSize
+  })
+
+  if (
+    output.length % 2 ** 32 !== size ||
+    crc32(output) !== trailer.getUint32(0, true)
+  ) {
+    throw createMalformedError('gzip checksum mismatch')
+  }
+
+  return output
+}
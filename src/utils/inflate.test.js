@@ -0,0 +1,59 @@
+import { deflateRawSync, gzipSync } from 'zlib'
+
+import { ArchiveLimitError, MalformedFileError } from '../errors'
+import { gunzip, inflate } from './inflate'
+
+const text = new TextEncoder().encode(
+  'The quick brown fox jumps over the lazy dog. '.repeat(200)
+)
+
+const randomBytes = (length) => {
+  let seed = 7
+  return Uint8Array.from({ length }, () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff
+    return seed >> 16
+  })
+}
+
+describe('inflate', () => {
+  it('decompresses stored, fixed and dynamic blocks', () => {
+    const binary = randomBytes(70000)
+
+    expect(inflate(deflateRawSync(text, { level: 0 }))).toEqual(text)
+    expect(inflate(deflateRawSync(text, { strategy: 4 }))).toEqual(text)
+    expect(inflate(deflateRawSync(text, { level: 9 }))).toEqual(text)
+    expect(inflate(deflateRawSync(binary), { size: binary.length })).toEqual(
+      binary
+    )
+    expect(inflate(deflateRawSync(new Uint8Array()))).toEqual(new Uint8Array())
+  })
+
+  it('stops at the output limit', () => {
+    const bomb = deflateRawSync(new Uint8Array(1024 * 1024))
+
+    expect(() => inflate(bomb, { maxSize: 4096 })).toThrow(ArchiveLimitError)
+  })
+
+  it('rejects corrupt data', () => {
+    const compressed = deflateRawSync(text)
+
+    expect(() => inflate(compressed.subarray(0, 20))).toThrow(
+      MalformedFileError
+    )
+    expect(() => inflate(Uint8Array.of(0x07))).toThrow(MalformedFileError)
+  })
+})
+
+describe('gunzip', () => {
+  it('decompresses gzip data', () => {
+    expect(gunzip(gzipSync(text))).toEqual(text)
+  })
+
+  it('verifies the checksum', () => {
+    const compressed = Uint8Array.from(gzipSync(text))
+    compressed[compressed.length - 8] ^= 1
+
+    expect(() => gunzip(compressed)).toThrow('gzip checksum mismatch')
+    expect(() => gunzip(text)).toThrow(MalformedFileError)
+  })
+})
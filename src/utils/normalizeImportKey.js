@@ -0,0 +1,8 @@
+/**
+ * Canonical form of importer ids and file types, so `'CSV'` or `' Bitwarden'`
+ * find the same importer as `'csv'` and `'bitwarden'`.
+ * @param {*} value
+ * @returns {*} Strings trimmed and lower-cased, other values unchanged.
+ */
+export const normalizeImportKey = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase() : value
@@ -0,0 +1,13 @@
+import { normalizeImportKey } from './normalizeImportKey'
+
+describe('normalizeImportKey', () => {
+  it('trims and lower-cases strings', () => {
+    expect(normalizeImportKey(' CSV ')).toBe('csv')
+    expect(normalizeImportKey('ProtonPass')).toBe('protonpass')
+  })
+
+  it('leaves other values unchanged', () => {
+    expect(normalizeImportKey(undefined)).toBeUndefined()
+    expect(normalizeImportKey(42)).toBe(42)
+  })
+})
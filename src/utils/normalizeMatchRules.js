@@ -0,0 +1,102 @@
+import { normalizeUrl, normalizeWebsites } from './normalizeUrl'
+
+/**
+ * How autofill compares a website with the page:
+ * - `domain`: same registrable domain, the default
+ * - `host`: same host and port
+ * - `startsWith`: the page URL starts with the website
+ * - `exact`: the page URL is the website
+ * - `never`: the website is not offered for autofill
+ * @typedef {'domain' | 'host' | 'startsWith' | 'exact' | 'never'} MatchRule
+ */
+
+/**
+ * Non-default match rule of one of the `websites` of a login.
+ * @typedef {Object} WebsiteMatchRule
+ * @property {string} website
+ * @property {Exclude<MatchRule, 'domain'>} match
+ */
+
+export const DEFAULT_MATCH_RULE = 'domain'
+
+/**
+ * Rule of websites whose rule is not supported. The narrowest one, so a
+ * rule such as a regular expression never matches more pages than before.
+ */
+export const FALLBACK_MATCH_RULE = 'exact'
+
+/** @type {Set<MatchRule>} */
+export const MATCH_RULES = new Set([
+  DEFAULT_MATCH_RULE,
+  'host',
+  'startsWith',
+  'exact',
+  'never'
+])
+
+/**
+ * @param {*} value
+ * @returns {WebsiteMatchRule | null} `null` for anything but a website with a
+ *   supported, non-default rule.
+ */
+export const normalizeWebsiteMatchRule = (value) => {
+  const website = typeof value?.website === 'string' ? value.website.trim() : ''
+  const match = value?.match
+
+  if (!website || match === DEFAULT_MATCH_RULE || !MATCH_RULES.has(match)) {
+    return null
+  }
+  return { website, match }
+}
+
+/**
+ * Normalizes the websites of a login together with their match rules. Rules
+ * autofill does not know, such as regular expressions, are reported; their
+ * website is kept with `FALLBACK_MATCH_RULE` when it is a URL.
+ * @param {Array<{url: *, match?: string | null}>} entries - `match` is
+ *   `null` or left out for the default rule.
+ * @param {import('./createImportReport').ImportLocation} location
+ * @param {import('./createImportContext').ImportContext} context
+ * @returns {{websites: string[], websiteMatchRules: WebsiteMatchRule[]}}
+ *   Rules are only listed for websites that do not use the default.
+ */
+export const normalizeWebsiteMatchRules = (entries, location, context) => {
+  const supported = entries.filter(
+    ({ match }) => match == null || MATCH_RULES.has(match)
+  )
+  const websites = normalizeWebsites(
+    supported.map(({ url }) => url),
+    location,
+    context
+  )
+  // like `normalizeWebsites`, the first entry of a website wins
+  const rules = new Map()
+
+  for (const { url, match } of supported) {
+    const website = normalizeUrl(url).url
+    if (website && !rules.has(website)) rules.set(website, match)
+  }
+
+  for (const { url, match } of entries) {
+    if (match == null || MATCH_RULES.has(match)) continue
+    const text = String(url ?? '').trim()
+    const website = normalizeUrl(url).url
+
+    if (website && !websites.includes(website)) websites.push(website)
+    if (website && !rules.has(website)) rules.set(website, FALLBACK_MATCH_RULE)
+    context.report.warn(
+      location,
+      'UNSUPPORTED_MATCH_RULE',
+      website
+        ? `Match rule "${match}" of website "${text}" is not supported, it uses the ${FALLBACK_MATCH_RULE} rule instead`
+        : `Website "${text}" was dropped: match rule "${match}" is not supported`
+    )
+  }
+
+  return {
+    websites,
+    websiteMatchRules: [...rules]
+      .map(([website, match]) => normalizeWebsiteMatchRule({ website, match }))
+      .filter(Boolean)
+  }
+}
@@ -0,0 +1,96 @@
+import { createImportContext } from './createImportContext'
+import {
+  normalizeWebsiteMatchRule,
+  normalizeWebsiteMatchRules
+} from './normalizeMatchRules'
+
+describe('normalizeWebsiteMatchRule', () => {
+  it('keeps websites with a supported rule other than the default', () => {
+    expect(
+      normalizeWebsiteMatchRule({ website: 'https://a.test', match: 'host' })
+    ).toEqual({ website: 'https://a.test', match: 'host' })
+    expect(
+      normalizeWebsiteMatchRule({ website: 'https://a.test', match: 'domain' })
+    ).toBeNull()
+    expect(
+      normalizeWebsiteMatchRule({ website: 'https://a.test', match: 'regex' })
+    ).toBeNull()
+    expect(normalizeWebsiteMatchRule({ website: ' ', match: 'exact' })).toBe(
+      null
+    )
+  })
+})
+
+describe('normalizeWebsiteMatchRules', () => {
+  it('normalizes the websites and lists their rules', () => {
+    const context = createImportContext()
+
+    expect(
+      normalizeWebsiteMatchRules(
+        [
+          { url: 'a.test', match: null },
+          { url: 'https://b.test/login', match: 'startsWith' },
+          { url: 'https://a.test/', match: 'exact' },
+          { url: 'c.test', match: 'never' },
+          { url: 'd.test', match: 'domain' }
+        ],
+        { index: 0 },
+        context
+      )
+    ).toEqual({
+      websites: [
+        'https://a.test',
+        'https://b.test/login',
+        'https://c.test',
+        'https://d.test'
+      ],
+      websiteMatchRules: [
+        { website: 'https://b.test/login', match: 'startsWith' },
+        { website: 'https://c.test', match: 'never' }
+      ]
+    })
+    expect(context.report.summarize([]).warnings).toEqual([])
+  })
+
+  it('reports unsupported rules and keeps websites that are URLs', () => {
+    const context = createImportContext()
+
+    expect(
+      normalizeWebsiteMatchRules(
+        [
+          { url: 'https://a.test', match: 'regex' },
+          { url: '^https://b\\.test/.*$', match: 'regex' },
+          { url: 'c.test', match: '9' }
+        ],
+        { index: 1 },
+        context
+      )
+    ).toEqual({
+      websites: ['https://a.test', 'https://c.test'],
+      websiteMatchRules: [
+        { website: 'https://a.test', match: 'exact' },
+        { website: 'https://c.test', match: 'exact' }
+      ]
+    })
+    expect(context.report.summarize([]).warnings).toEqual([
+      {
+        index: 1,
+        code: 'UNSUPPORTED_MATCH_RULE',
+        message:
+          'Match rule "regex" of website "https://a.test" is not supported, it uses the exact rule instead'
+      },
+      {
+        index: 1,
+        code: 'UNSUPPORTED_MATCH_RULE',
+        message:
+          'Website "^https://b\\.test/.*$" was dropped: match rule "regex" is not supported'
+      },
+      {
+        index: 1,
+        code: 'UNSUPPORTED_MATCH_RULE',
+        message:
+          'Match rule "9" of website "c.test" is not supported, it uses the exact rule instead'
+      }
+    ])
+  })
+})
@@ -0,0 +1,382 @@
+import { isAttachment } from './createAttachment'
+import { normalizeCustomField } from './createCustomField'
+import { createImportContext } from './createImportContext'
+import { getUnmappedFields } from './getUnmappedFields'
+import { normalizeWebsiteMatchRule } from './normalizeMatchRules'
+import { normalizeOtp, parseOtp } from './parseOtp'
+import { createPasskey } from './parsePasskey'
+import { toTimestamp } from './toTimestamp'
+
+/**
+ * Field kinds of the record schemas. `normalize` returns `undefined` for
+ * values that cannot be converted, optional kinds have no default.
+ * @type {Object<string, {
+ *   normalize: (value: *) => *,
+ *   defaultValue?: () => *
+ * }>}
+ */
+const FIELD_KINDS = {
+  string: {
+    normalize: (value) => {
+      if (typeof value === 'string') return value
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value)
+      }
+      return undefined
+    },
+    defaultValue: () => ''
+  },
+
+  boolean: {
+    normalize: (value) => (typeof value === 'boolean' ? value : undefined),
+    defaultValue: () => false
+  },
+
+  stringList: {
+    normalize: (value) =>
+      Array.isArray(value)
+        ? value.filter((item) => typeof item === 'string' && item.trim())
+        : undefined,
+    defaultValue: () => []
+  },
+
+  customFields: {
+    normalize: (value) =>
+      Array.isArray(value)
+        ? value.map(normalizeCustomField).filter(Boolean)
+        : undefined,
+    defaultValue: () => []
+  },
+
+  passwordHistory: {
+    normalize: (value) =>
+      Array.isArray(value)
+        ? value
+            .filter(
+              (entry) =>
+                typeof entry?.password === 'string' && entry.password !== ''
+            )
+            .map(({ password, changedAt }) => {
+              const time = toTimestamp(changedAt)
+              return time === undefined
+                ? { password }
+                : { password, changedAt: time }
+            })
+        : undefined,
+    defaultValue: () => []
+  },
+
+  otp: {
+    normalize: (value) =>
+      (typeof value === 'string' ? parseOtp(value) : normalizeOtp(value)) ??
+      undefined
+  },
+
+  passkeys: {
+    normalize: (value) => {
+      if (!Array.isArray(value)) return undefined
+      const passkeys = value
+        .map((passkey) => (isObject(passkey) ? createPasskey(passkey) : null))
+        .filter(Boolean)
+      return passkeys.length || !value.length ? passkeys : undefined
+    }
+  },
+
+  websiteMatchRules: {
+    normalize: (value) =>
+      Array.isArray(value)
+        ? value.map(normalizeWebsiteMatchRule).filter(Boolean)
+        : undefined
+  },
+
+  timestamp: {
+    normalize: (value) => toTimestamp(value)
+  }
+}
+
+const COMMON_FIELDS = {
+  title: 'string',
+  note: 'string',
+  customFields: 'customFields'
+}
+
+/**
+ * Canonical `data` shape of every PearPass record type.
+ * @type {Object<string, Object<string, keyof FIELD_KINDS>>}
+ */
+export const RECORD_SCHEMAS = {
+  login: {
+    ...COMMON_FIELDS,
+    username: 'string',
+    password: 'string',
+    passwordUpdatedAt: 'timestamp',
+    passwordHistory: 'passwordHistory',
+    otp: 'otp',
+    passkeys: 'passkeys',
+    websites: 'stringList',
+    websiteMatchRules: 'websiteMatchRules'
+  },
+  creditCard: {
+    ...COMMON_FIELDS,
+    name: 'string',
+    number: 'string',
+    expireDate: 'string',
+    securityCode: 'string',
+    pinCode: 'string',
+    brand: 'string'
+  },
+  identity: {
+    ...COMMON_FIELDS,
+    fullName: 'string',
+    email: 'string',
+    phoneNumber: 'string',
+    address: 'string',
+    zip: 'string',
+    city: 'string',
+    region: 'string',
+    country: 'string',
+    passportFullName: 'string',
+    passportNumber: 'string',
+    passportIssuingCountry: 'string',
+    passportDateOfIssue: 'string',
+    passportExpiryDate: 'string',
+    passportNationality: 'string',
+    passportDob: 'string',
+    passportGender: 'string',
+    idCardNumber: 'string',
+    idCardDateOfIssue: 'string',
+    idCardExpiryDate: 'string',
+    idCardIssuingCountry: 'string',
+    drivingLicenseNumber: 'string',
+    drivingLicenseDateOfIssue: 'string',
+    drivingLicenseExpiryDate: 'string',
+    drivingLicenseIssuingCountry: 'string'
+  },
+  note: COMMON_FIELDS,
+  custom: COMMON_FIELDS,
+  passPhrase: { ...COMMON_FIELDS, passPhrase: 'string' },
+  sshKey: {
+    ...COMMON_FIELDS,
+    privateKey: 'string',
+    publicKey: 'string',
+    keyType: 'string',
+    comment: 'string',
+    fingerprint: 'string',
+    isEncrypted: 'boolean'
+  },
+  wifiPassword: { ...COMMON_FIELDS, password: 'string' }
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * @param {Object} data - Normalized record data.
+ * @returns {boolean}
+ */
+const isEmpty = (data) =>
+  Object.values(data).every((value) => {
+    if (typeof value === 'boolean') return !value
+    return Array.isArray(value) ? !value.length : !String(value ?? '').trim()
+  })
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether `value` is a non-empty string or a number.
+ */
+const isIdentifier = (value) =>
+  (typeof value === 'string' && value.trim() !== '') || Number.isFinite(value)
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+const toTextOrNull = (value) =>
+  typeof value === 'string' && value.trim() ? value : null
+
+/**
+ * Completes the provenance of a record; what the parser left out is taken
+ * from the context of the import.
+ * @param {*} importMeta
+ * @param {import('./createImportContext').ImportContext} context
+ * @returns {import('./createImportMeta').ImportMeta}
+ */
+const normalizeImportMeta = (importMeta, context) => {
+  const meta = isObject(importMeta) ? importMeta : {}
+
+  return {
+    source: toTextOrNull(meta.source) ?? context.source ?? null,
+    fileType: toTextOrNull(meta.fileType) ?? context.fileType ?? null,
+    originalType: isIdentifier(meta.originalType) ? meta.originalType : null,
+    folderPath: toTextOrNull(meta.folderPath),
+    importedAt: Number.isFinite(meta.importedAt)
+      ? meta.importedAt
+      : context.importedAt
+  }
+}
+
+/** Record-level timestamps, in milliseconds since the epoch. */
+const RECORD_TIMESTAMPS = ['createdAt', 'updatedAt']
+
+/**
+ * @param {Object} record
+ * @param {import('./createImportReport').ImportLocation} location
+ * @param {import('./createImportContext').ImportContext} context
+ * @returns {{createdAt?: number, updatedAt?: number}} Only the timestamps the
+ *   source knows.
+ */
+const normalizeTimestamps = (record, location, context) => {
+  const timestamps = {}
+
+  for (const key of RECORD_TIMESTAMPS) {
+    const value = record[key]
+    if (value === undefined || value === null || value === '') continue
+
+    const time = toTimestamp(value)
+    if (time === undefined) {
+      context.report.warn(
+        location,
+        'INVALID_FIELD_VALUE',
+        `Invalid value for ${key}, field was dropped`
+      )
+    } else {
+      timestamps[key] = time
+    }
+  }
+
+  return timestamps
+}
+
+/**
+ * @param {Object} record
+ * @param {import('./createImportReport').ImportLocation} location
+ * @param {import('./createImportContext').ImportContext} context
+ * @returns {{attachments?: import('./createAttachment').Attachment[]}} Only
+ *   when the record has valid attachments.
+ */
+const normalizeAttachments = (record, location, context) => {
+  if (!Array.isArray(record.attachments)) return {}
+
+  const attachments = []
+  for (const attachment of record.attachments) {
+    if (isAttachment(attachment)) {
+      const { name, mimeType, size, bytes, load } = attachment
+      attachments.push({
+        name,
+        mimeType,
+        size,
+        ...(bytes ? { bytes } : { load })
+      })
+    } else {
+      context.report.dropAttachment(
+        location,
+        typeof attachment?.name === 'string' ? attachment.name : '',
+        'INVALID_ATTACHMENT',
+        'Attachment has no name, size or content'
+      )
+    }
+  }
+
+  return attachments.length ? { attachments } : {}
+}
+
+/**
+ * Brings a parsed record into the canonical PearPass shape: missing fields
+ * get their default, unknown keys are dropped (and reported as unmapped when
+ * they hold a value), values of the wrong type are reset with a warning.
+ *
+ * `sourceId` keeps the id the item has in the source export, records without
+ * one get an id derived from their identifying fields, unique within the
+ * import of `context`. `createdAt`, `updatedAt` and
+ * `attachments` are only present when the source has them.
+ * @param {*} record
+ * @param {import('./createImportReport').ImportLocation} [location]
+ * @param {import('./createImportContext').ImportContext} [context]
+ * @returns {{
+ *   type: string,
+ *   sourceId: string,
+ *   data: Object,
+ *   folder: string|null,
+ *   isFavorite: boolean,
+ *   createdAt?: number,
+ *   updatedAt?: number,
+ *   attachments?: import('./createAttachment').Attachment[],
+ *   importMeta: import('./createImportMeta').ImportMeta
+ * } | null}
+ *   `null` when the record is invalid or empty; the reason is in the report.
+ */
+export const normalizeRecord = (
+  record,
+  location = {},
+  context = createImportContext()
+) => {
+  if (!isObject(record) || !isObject(record.data)) {
+    context.report.skip(location, 'INVALID_RECORD', 'Record has no data')
+    return null
+  }
+
+  const schema = RECORD_SCHEMAS[record.type]
+  if (!schema) {
+    context.report.skip(
+      location,
+      'UNSUPPORTED_ITEM_TYPE',
+      `Unsupported record type "${record.type}"`
+    )
+    return null
+  }
+
+  const data = {}
+
+  for (const [key, kind] of Object.entries(schema)) {
+    const { normalize, defaultValue } = FIELD_KINDS[kind]
+    const value = record.data[key]
+    const isMissing = value === undefined || value === null || value === ''
+    const normalized = isMissing ? undefined : normalize(value)
+
+    if (!isMissing && normalized === undefined) {
+      context.report.warn(
+        location,
+        'INVALID_FIELD_VALUE',
+        `Invalid value for data.${key}, field was reset`
+      )
+    }
+
+    if (normalized !== undefined) {
+      data[key] = normalized
+    } else if (defaultValue) {
+      data[key] = defaultValue()
+    }
+  }
+
+  context.report.unmapped(
+    location,
+    getUnmappedFields(record.data, Object.keys(schema), 'data.')
+  )
+
+  if (isEmpty(data)) {
+    context.report.skip(location, 'EMPTY_RECORD', 'Record has no content')
+    return null
+  }
+
+  const folder =
+    typeof record.folder === 'string' && record.folder.trim()
+      ? record.folder
+      : null
+
+  return {
+    type: record.type,
+    sourceId: isIdentifier(record.sourceId)
+      ? String(record.sourceId)
+      : context.deriveSourceId(record.type, data, folder),
+    data,
+    folder,
+    isFavorite: record.isFavorite === true,
+    ...normalizeTimestamps(record, location, context),
+    ...normalizeAttachments(record, location, context),
+    importMeta: normalizeImportMeta(record.importMeta, context)
+  }
+}
@@ -0,0 +1,403 @@
+import { createImportContext } from './createImportContext'
+import { normalizeRecord, RECORD_SCHEMAS } from './normalizeRecord'
+
+describe('normalizeRecord', () => {
+  it('fills defaults of the record type', () => {
+    expect(normalizeRecord({ type: 'login', data: { title: 'Site' } })).toEqual(
+      {
+        type: 'login',
+        sourceId: expect.stringMatching(/^[0-9a-f]{32}$/),
+        folder: null,
+        isFavorite: false,
+        importMeta: {
+          source: null,
+          fileType: null,
+          originalType: null,
+          folderPath: null,
+          importedAt: expect.any(Number)
+        },
+        data: {
+          title: 'Site',
+          note: '',
+          customFields: [],
+          username: '',
+          password: '',
+          passwordHistory: [],
+          websites: []
+        }
+      }
+    )
+  })
+
+  it('keeps previous passwords with valid change times', () => {
+    const { data } = normalizeRecord({
+      type: 'login',
+      data: {
+        title: 'Site',
+        passwordHistory: [
+          { password: 'old', changedAt: '2024-01-01T00:00:00.000Z' },
+          { password: 'older', changedAt: 'unknown' },
+          { password: '' },
+          'oldest'
+        ]
+      }
+    })
+
+    expect(data.passwordHistory).toEqual([
+      { password: 'old', changedAt: 1704067200000 },
+      { password: 'older' }
+    ])
+  })
+
+  it('keeps the source id or derives one from the identifying fields', () => {
+    const note = { type: 'note', data: { title: 'Note', note: 'text' } }
+
+    expect(normalizeRecord({ ...note, sourceId: 'abc' }).sourceId).toBe('abc')
+    expect(normalizeRecord({ ...note, sourceId: 42 }).sourceId).toBe('42')
+    expect(normalizeRecord({ ...note, sourceId: ' ' }).sourceId).toBe(
+      normalizeRecord(note).sourceId
+    )
+    expect(normalizeRecord(note).sourceId).toBe(
+      normalizeRecord({ ...note, data: { title: 'Note', note: 'edited' } })
+        .sourceId
+    )
+    expect(normalizeRecord(note).sourceId).not.toBe(
+      normalizeRecord({ ...note, folder: 'Work' }).sourceId
+    )
+  })
+
+  it('completes the import metadata from the context', () => {
+    const context = createImportContext({
+      source: 'custom-manager',
+      fileType: 'json',
+      importedAt: 1000
+    })
+    const note = { type: 'note', data: { title: 'Note' } }
+
+    expect(normalizeRecord(note, {}, context).importMeta).toEqual({
+      source: 'custom-manager',
+      fileType: 'json',
+      originalType: null,
+      folderPath: null,
+      importedAt: 1000
+    })
+    expect(
+      normalizeRecord(
+        {
+          ...note,
+          importMeta: { originalType: 3, folderPath: 'A/B', importedAt: 'x' }
+        },
+        {},
+        context
+      ).importMeta
+    ).toMatchObject({ originalType: 3, folderPath: 'A/B', importedAt: 1000 })
+  })
+
+  it('gives every type a title, note and custom fields', () => {
+    for (const type of Object.keys(RECORD_SCHEMAS)) {
+      const { data } = normalizeRecord({ type, data: { title: 'x' } })
+      expect(data).toMatchObject({ title: 'x', note: '', customFields: [] })
+    }
+  })
+
+  it('strips unknown keys and reports the ones with a value', () => {
+    const context = createImportContext()
+    const record = normalizeRecord(
+      {
+        type: 'note',
+        data: { title: 'Note', folder: 'Inbox', color: '' },
+        folder: 'Inbox',
+        isFavorite: true,
+        extra: 'dropped'
+      },
+      { record: 0 },
+      context
+    )
+
+    expect(record).toEqual({
+      type: 'note',
+      sourceId: expect.any(String),
+      folder: 'Inbox',
+      isFavorite: true,
+      importMeta: expect.any(Object),
+      data: { title: 'Note', note: '', customFields: [] }
+    })
+    expect(context.report.summarize([record]).unmappedFields).toEqual([
+      { record: 0, field: 'data.folder' }
+    ])
+  })
+
+  it('converts empty folders to null and favorites to booleans', () => {
+    expect(
+      normalizeRecord({
+        type: 'note',
+        data: { title: 'Note' },
+        folder: '  ',
+        isFavorite: 'true'
+      })
+    ).toMatchObject({ folder: null, isFavorite: false })
+  })
+
+  it('resets values of the wrong type with a warning', () => {
+    const context = createImportContext()
+    const record = normalizeRecord(
+      {
+        type: 'login',
+        data: {
+          title: 42,
+          username: { name: 'user' },
+          websites: 'https://example.com',
+          passwordUpdatedAt: 'never'
+        }
+      },
+      { record: 3 },
+      context
+    )
+
+    expect(record.data).toMatchObject({
+      title: '42',
+      username: '',
+      websites: []
+    })
+    expect(record.data).not.toHaveProperty('passwordUpdatedAt')
+    expect(context.report.summarize([record]).warnings).toEqual([
+      {
+        record: 3,
+        code: 'INVALID_FIELD_VALUE',
+        message: 'Invalid value for data.username, field was reset'
+      },
+      {
+        record: 3,
+        code: 'INVALID_FIELD_VALUE',
+        message: 'Invalid value for data.passwordUpdatedAt, field was reset'
+      },
+      {
+        record: 3,
+        code: 'INVALID_FIELD_VALUE',
+        message: 'Invalid value for data.websites, field was reset'
+      }
+    ])
+  })
+
+  it('keeps valid timestamps as milliseconds', () => {
+    const normalize = (passwordUpdatedAt) =>
+      normalizeRecord({
+        type: 'login',
+        data: { title: 'x', passwordUpdatedAt }
+      }).data.passwordUpdatedAt
+
+    expect(normalize(1700000000000)).toBe(1700000000000)
+    expect(normalize('1700000000000')).toBe(1700000000000)
+    expect(normalize('2024-01-01T00:00:00.000Z')).toBe(1704067200000)
+    expect(normalize('')).toBeUndefined()
+  })
+
+  it('keeps the creation and modification time of the record', () => {
+    const context = createImportContext()
+    const record = normalizeRecord(
+      {
+        type: 'note',
+        data: { title: 'x' },
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: 'last week'
+      },
+      { index: 2 },
+      context
+    )
+
+    expect(record.createdAt).toBe(1704067200000)
+    expect(record).not.toHaveProperty('updatedAt')
+    expect(context.report.summarize([record]).warnings).toEqual([
+      {
+        index: 2,
+        code: 'INVALID_FIELD_VALUE',
+        message: 'Invalid value for updatedAt, field was dropped'
+      }
+    ])
+  })
+
+  it('drops invalid list entries and custom fields', () => {
+    const { data } = normalizeRecord({
+      type: 'login',
+      data: {
+        title: 'Site',
+        websites: ['https://a.com', '', null, 3],
+        customFields: [
+          { type: 'note', note: 'kept', extra: true },
+          { type: 'note', note: '' },
+          { type: 'hidden', label: 'PIN', value: '1234' },
+          { type: 'text', label: '', value: '' },
+          { note: 'no type' },
+          'text'
+        ]
+      }
+    })
+
+    expect(data.websites).toEqual(['https://a.com'])
+    expect(data.customFields).toEqual([
+      { type: 'note', note: 'kept' },
+      { type: 'hidden', label: 'PIN', value: '1234', hidden: true }
+    ])
+  })
+
+  it('rejects records without data or with an unknown type', () => {
+    const context = createImportContext()
+
+    expect(normalizeRecord(null, { record: 0 }, context)).toBeNull()
+    expect(
+      normalizeRecord({ type: 'login', data: [] }, { record: 1 }, context)
+    ).toBeNull()
+    expect(
+      normalizeRecord({ type: 'document', data: {} }, { record: 2 }, context)
+    ).toBeNull()
+    expect(context.report.summarize([]).skipped).toEqual([
+      { record: 0, code: 'INVALID_RECORD', reason: 'Record has no data' },
+      { record: 1, code: 'INVALID_RECORD', reason: 'Record has no data' },
+      {
+        record: 2,
+        code: 'UNSUPPORTED_ITEM_TYPE',
+        reason: 'Unsupported record type "document"'
+      }
+    ])
+  })
+
+  it('rejects records without any content', () => {
+    const context = createImportContext()
+
+    expect(
+      normalizeRecord(
+        { type: 'login', data: { title: ' ', websites: [] } },
+        { record: 0 },
+        context
+      )
+    ).toBeNull()
+    expect(context.report.summarize([]).skipped).toEqual([
+      { record: 0, code: 'EMPTY_RECORD', reason: 'Record has no content' }
+    ])
+  })
+
+  it('parses the one-time password settings of logins', () => {
+    const context = createImportContext()
+    const normalize = (otp) =>
+      normalizeRecord(
+        { type: 'login', data: { title: 'Site', otp } },
+        { record: 0 },
+        context
+      ).data.otp
+
+    expect(normalize('otpauth://totp/me?secret=JBSWY3DP&digits=8')).toEqual({
+      secret: 'JBSWY3DP',
+      algorithm: 'SHA1',
+      digits: 8,
+      period: 30,
+      issuer: '',
+      account: 'me'
+    })
+    expect(normalize({ secret: 'jbsw y3dp', algorithm: 'sha256' })).toEqual(
+      expect.objectContaining({ secret: 'JBSWY3DP', algorithm: 'SHA256' })
+    )
+    expect(normalize({ secret: 'JBSWY3DP', digits: 4 })).toBeUndefined()
+    expect(context.report.summarize([]).warnings).toHaveLength(1)
+  })
+
+  it('validates the passkeys of logins', () => {
+    const context = createImportContext()
+    const passkey = {
+      credentialId: 'q80',
+      rpId: 'x.test',
+      privateKey:
+        'MC4CAQAwBQYDK2VwBCIEIKv-RhECiEMcYgc3fJ3CRpWlr1OyPVnuaeY76hF_2K7T'
+    }
+    const normalize = (passkeys) =>
+      normalizeRecord(
+        { type: 'login', data: { title: 'Site', passkeys } },
+        { record: 0 },
+        context
+      ).data.passkeys
+
+    expect(normalize([passkey, { ...passkey, privateKey: 'AAAA' }])).toEqual([
+      {
+        ...passkey,
+        userHandle: '',
+        userName: '',
+        algorithm: 'EdDSA',
+        counter: 0
+      }
+    ])
+    expect(normalize([{ ...passkey, rpId: '' }])).toBeUndefined()
+    expect(normalize(undefined)).toBeUndefined()
+    expect(context.report.summarize([]).warnings).toHaveLength(1)
+  })
+
+  it('keeps valid attachments and reports the others', () => {
+    const context = createImportContext()
+    const file = {
+      name: 'a.txt',
+      mimeType: 'text/plain',
+      size: 1,
+      bytes: new Uint8Array(1)
+    }
+    const note = { type: 'note', data: { title: 'Note' } }
+
+    expect(
+      normalizeRecord(
+        { ...note, attachments: [{ ...file, extra: true }, { name: 'b.txt' }] },
+        { record: 0 },
+        context
+      ).attachments
+    ).toEqual([file])
+    expect(normalizeRecord({ ...note, attachments: [] })).not.toHaveProperty(
+      'attachments'
+    )
+    expect(context.report.summarize().droppedAttachments).toEqual([
+      {
+        record: 0,
+        name: 'b.txt',
+        code: 'INVALID_ATTACHMENT',
+        reason: 'Attachment has no name, size or content'
+      }
+    ])
+  })
+
+  it('fills defaults of SSH keys and skips empty ones', () => {
+    expect(
+      normalizeRecord({
+        type: 'sshKey',
+        data: { title: 'Server', privateKey: 'key', isEncrypted: 'yes' }
+      }).data
+    ).toEqual({
+      title: 'Server',
+      note: '',
+      customFields: [],
+      privateKey: 'key',
+      publicKey: '',
+      keyType: '',
+      comment: '',
+      fingerprint: '',
+      isEncrypted: false
+    })
+    expect(
+      normalizeRecord({ type: 'sshKey', data: { isEncrypted: false } })
+    ).toBeNull()
+  })
+
+  it('keeps the supported match rules of websites', () => {
+    const { data } = normalizeRecord({
+      type: 'login',
+      data: {
+        title: 'Site',
+        websites: ['https://a.test', 'https://b.test'],
+        websiteMatchRules: [
+          { website: 'https://a.test', match: 'exact' },
+          { website: 'https://b.test', match: 'regex' },
+          { website: 'https://b.test', match: 'domain' },
+          { match: 'never' }
+        ]
+      }
+    })
+
+    expect(data.websiteMatchRules).toEqual([
+      { website: 'https://a.test', match: 'exact' }
+    ])
+  })
+})
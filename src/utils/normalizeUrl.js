@@ -0,0 +1,151 @@
+/** Schemes of websites that are parsed and kept. */
+const WEB_SCHEMES = new Set(['http', 'https', 'ftp', 'ftps', 'sftp', 'ssh'])
+
+/** Schemes that run code or read local data when opened. */
+const UNSAFE_SCHEMES = new Set([
+  'javascript',
+  'vbscript',
+  'data',
+  'file',
+  'blob',
+  'about'
+])
+
+/**
+ * Placeholders LastPass puts into the url column of secure notes and
+ * folder entries.
+ */
+const PLACEHOLDER_URLS = new Set(['http://sn', 'http://group', 'http://'])
+
+const SCHEME = /^([a-z][a-z0-9+.-]*):/i
+
+const IPV4 = /^\d{1,3}(?:\.\d{1,3}){3}$/
+
+/** IPv6 address without the brackets URLs need around it. */
+const BARE_IPV6 = /^[0-9a-f]*:[0-9a-f]*:[0-9a-f:.]*$/i
+
+/**
+ * @typedef {{url: string} | {url: null, reason: string | null}} UrlResult
+ *   `reason` is `null` for values that were never meant as a URL, such as
+ *   empty values and placeholders.
+ */
+
+/**
+ * @param {string} reason
+ * @returns {UrlResult}
+ */
+const drop = (reason) => ({ url: null, reason })
+
+/**
+ * Normalizes the app URIs of password managers to `androidapp://<package>`
+ * and `iosapp://<id>`. Chrome and 1Password write `android://<hash>@<package>`.
+ * @param {string} scheme
+ * @param {string} text
+ * @returns {UrlResult}
+ */
+const normalizeAppUri = (scheme, text) => {
+  const target = text
+    .slice(scheme.length + 3)
+    .replace(/^[^@/]*@/, '')
+    .replace(/\/+$/, '')
+
+  if (!/^[\w.-]+$/.test(target)) return drop('Invalid app identifier')
+  return {
+    url: `${scheme === 'iosapp' ? 'iosapp' : 'androidapp'}://${target}`
+  }
+}
+
+/**
+ * @param {string} host - Host of a website without a scheme, with an optional
+ *   port.
+ * @returns {string} Default scheme: `http` for IP addresses and localhost,
+ *   where devices rarely have certificates, `https` otherwise.
+ */
+const getDefaultScheme = (host) => {
+  const hostname = host.replace(/:\d+$/, '')
+  return IPV4.test(hostname) ||
+    hostname.startsWith('[') ||
+    hostname.toLowerCase() === 'localhost'
+    ? 'http'
+    : 'https'
+}
+
+/**
+ * Brings a website of an export into canonical form: trimmed, with a scheme,
+ * the host in lower case and punycode, default ports and a lone trailing
+ * slash removed. App URIs are kept; unsafe schemes, placeholders and values
+ * that are not URLs are dropped.
+ * @param {*} value
+ * @returns {UrlResult}
+ */
+export const normalizeUrl = (value) => {
+  const text = typeof value === 'string' ? value.trim() : ''
+  if (!text || PLACEHOLDER_URLS.has(text.toLowerCase())) return drop(null)
+  if (/\s/.test(text)) return drop('Contains whitespace')
+
+  if (BARE_IPV6.test(text)) return normalizeUrl(`[${text}]`)
+
+  // `host:8080` has no scheme, but looks like it to the pattern
+  const schemeMatch = SCHEME.exec(text)
+  const scheme =
+    schemeMatch && !/^:\d/.test(text.slice(schemeMatch[1].length))
+      ? schemeMatch[1].toLowerCase()
+      : null
+
+  if (scheme && UNSAFE_SCHEMES.has(scheme)) {
+    return drop(`Unsafe scheme ${scheme}:`)
+  }
+  if (['android', 'androidapp', 'iosapp'].includes(scheme)) {
+    return text.startsWith(`${schemeMatch[1]}://`)
+      ? normalizeAppUri(scheme, text)
+      : drop('Invalid app identifier')
+  }
+  if (scheme && !WEB_SCHEMES.has(scheme)) {
+    return drop(`Unsupported scheme ${scheme}:`)
+  }
+
+  let url
+  try {
+    url = new URL(
+      scheme ? text : `${getDefaultScheme(text.split(/[/?#]/)[0])}://${text}`
+    )
+  } catch {
+    return drop('Not a valid URL')
+  }
+  if (!url.hostname) return drop('Not a valid URL')
+
+  return {
+    url:
+      url.pathname === '/' && !url.search && !url.hash
+        ? url.href.slice(0, -1)
+        : url.href
+  }
+}
+
+/**
+ * Normalizes the websites of a record and removes duplicates. Values that had
+ * to be dropped are reported.
+ * @param {Array<*>} values
+ * @param {import('./createImportReport').ImportLocation} location
+ * @param {import('./createImportContext').ImportContext} context
+ * @returns {string[]}
+ */
+export const normalizeWebsites = (values, location, context) => {
+  const websites = new Set()
+
+  for (const value of values) {
+    const result = normalizeUrl(value)
+
+    if (result.url) {
+      websites.add(result.url)
+    } else if (result.reason) {
+      context.report.warn(
+        location,
+        'INVALID_URL',
+        `Website "${String(value).trim()}" was dropped: ${result.reason}`
+      )
+    }
+  }
+
+  return [...websites]
+}
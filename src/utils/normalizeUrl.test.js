@@ -0,0 +1,87 @@
+import { createImportContext } from './createImportContext'
+import { normalizeUrl, normalizeWebsites } from './normalizeUrl'
+
+describe('normalizeUrl', () => {
+  it.each([
+    ['example.com', 'https://example.com'],
+    ['  https://Example.COM/  ', 'https://example.com'],
+    ['http://example.com/path?q=1', 'http://example.com/path?q=1'],
+    ['www.example.com/path', 'https://www.example.com/path'],
+    ['https://example.com:443', 'https://example.com'],
+    ['example.com:8443/login', 'https://example.com:8443/login'],
+    ['192.168.1.1', 'http://192.168.1.1'],
+    ['localhost:3000', 'http://localhost:3000'],
+    ['https://192.168.1.1:8080', 'https://192.168.1.1:8080'],
+    ['[::1]:8080', 'http://[::1]:8080'],
+    ['fe80::1', 'http://[fe80::1]'],
+    ['https://bücher.de', 'https://xn--bcher-kva.de'],
+    ['https://xn--bcher-kva.de/', 'https://xn--bcher-kva.de'],
+    ['ssh://Server.example.com', 'ssh://Server.example.com']
+  ])('normalizes %s', (value, url) => {
+    expect(normalizeUrl(value)).toEqual({ url })
+  })
+
+  it('keeps app URIs', () => {
+    expect(normalizeUrl('androidapp://com.example.app')).toEqual({
+      url: 'androidapp://com.example.app'
+    })
+    expect(normalizeUrl('android://dGVzdA==@com.example.app/')).toEqual({
+      url: 'androidapp://com.example.app'
+    })
+    expect(normalizeUrl('iosapp://123456')).toEqual({
+      url: 'iosapp://123456'
+    })
+    expect(normalizeUrl('androidapp://')).toEqual({
+      url: null,
+      reason: 'Invalid app identifier'
+    })
+  })
+
+  it('drops unsafe schemes and values that are not URLs', () => {
+    expect(normalizeUrl('javascript:alert(1)')).toEqual({
+      url: null,
+      reason: 'Unsafe scheme javascript:'
+    })
+    expect(normalizeUrl('DATA:text/html,hi').reason).toBe('Unsafe scheme data:')
+    expect(normalizeUrl('mailto:me@example.com').reason).toBe(
+      'Unsupported scheme mailto:'
+    )
+    expect(normalizeUrl('exa mple.com').reason).toBe('Contains whitespace')
+    expect(normalizeUrl('https://').reason).toBe('Not a valid URL')
+    expect(normalizeUrl('http://exa%mple.com').reason).toBe('Not a valid URL')
+  })
+
+  it('ignores empty values and placeholders', () => {
+    for (const value of ['', '   ', null, 'http://sn', 'http://group']) {
+      expect(normalizeUrl(value)).toEqual({ url: null, reason: null })
+    }
+  })
+})
+
+describe('normalizeWebsites', () => {
+  it('removes duplicates and reports dropped websites', () => {
+    const context = createImportContext()
+
+    expect(
+      normalizeWebsites(
+        [
+          'example.com',
+          'https://example.com/',
+          'javascript:void(0)',
+          'http://sn',
+          'androidapp://com.example'
+        ],
+        { row: 2 },
+        context
+      )
+    ).toEqual(['https://example.com', 'androidapp://com.example'])
+    expect(context.report.summarize([]).warnings).toEqual([
+      {
+        row: 2,
+        code: 'INVALID_URL',
+        message:
+          'Website "javascript:void(0)" was dropped: Unsafe scheme javascript:'
+      }
+    ])
+  })
+})
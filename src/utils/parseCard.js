@@ -0,0 +1,220 @@
+/**
+ * Payment card fields of a `creditCard` record.
+ * @typedef {Object} CardData
+ * @property {string} name - Cardholder name.
+ * @property {string} number - Digits only, unless the export held something
+ *   else.
+ * @property {string} expireDate - `MM/YY`, or the exported value when it
+ *   could not be read.
+ * @property {string} securityCode
+ * @property {string} pinCode
+ * @property {CardBrand | ''} brand
+ */
+
+/**
+ * @typedef {'visa' | 'mastercard' | 'amex' | 'discover' | 'dinersClub' |
+ *   'jcb' | 'unionPay' | 'maestro'} CardBrand
+ */
+
+/**
+ * Issuer number prefixes, checked in order: the ranges of Discover and
+ * Maestro overlap with UnionPay and Mastercard.
+ * @type {Array<[CardBrand, RegExp]>}
+ */
+const BRAND_PREFIXES = [
+  ['amex', /^3[47]/],
+  ['dinersClub', /^3(?:0[0-5]|[689])/],
+  ['jcb', /^35(?:2[89]|[3-8])/],
+  ['discover', /^(?:6011|64[4-9]|65)/],
+  ['unionPay', /^62/],
+  ['mastercard', /^(?:5[1-5]|222[1-9]|22[3-9]|2[3-6]|27[01]|2720)/],
+  ['maestro', /^(?:5[06-9]|6[37])/],
+  ['visa', /^4/]
+]
+
+const MONTH_NAMES = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec'
+]
+
+/**
+ * Expiry notations, with the named groups `month` and `year`.
+ * @type {RegExp[]}
+ */
+const EXPIRY_PATTERNS = [
+  // 12/25, 12/2025, 12-25, 12 25, 12.2025
+  /^(?<month>\d{1,2})\s*[/.\- ]\s*(?<year>\d{2}|\d{4})$/,
+  // 2025-12, 2025/12
+  /^(?<year>\d{4})\s*[/.-]\s*(?<month>\d{1,2})$/,
+  // 1225
+  /^(?<month>\d{2})(?<year>\d{2})$/,
+  // 202512, the monthYear of 1Password
+  /^(?<year>\d{4})(?<month>\d{2})$/,
+  // January,2025, Jan 2025
+  /^(?<month>[a-z]{3,})\.?\s*[, /-]?\s*(?<year>\d{2}|\d{4})$/i
+]
+
+/**
+ * @param {string} month - Number or English name.
+ * @returns {number | null}
+ */
+const toMonth = (month) => {
+  const index = /^\d+$/.test(month)
+    ? Number(month) - 1
+    : MONTH_NAMES.indexOf(month.slice(0, 3).toLowerCase())
+  return index >= 0 && index < 12 ? index + 1 : null
+}
+
+/**
+ * @param {string} year - Two or four digits.
+ * @returns {number}
+ */
+const toYear = (year) =>
+  year.length === 2 ? 2000 + Number(year) : Number(year)
+
+/**
+ * Reads the expiry of a card from the notations of the exports, or from
+ * separate month and year values.
+ * @param {string | number | {month?: *, year?: *}} value
+ * @returns {{month: number, year: number} | null} `null` when the value is
+ *   empty, incomplete or cannot be read.
+ */
+export const parseCardExpiry = (value) => {
+  if (value && typeof value === 'object') {
+    const month = String(value.month ?? '').trim()
+    const year = String(value.year ?? '').trim()
+    return /^\d{1,2}$/.test(month) && /^(?:\d{2}|\d{4})$/.test(year)
+      ? parseCardExpiry(`${month}/${year}`)
+      : null
+  }
+
+  const text = String(value ?? '').trim()
+  for (const pattern of EXPIRY_PATTERNS) {
+    const groups = pattern.exec(text)?.groups
+    const month = groups && toMonth(groups.month)
+    if (month) return { month, year: toYear(groups.year) }
+  }
+  return null
+}
+
+/**
+ * @param {{month: number, year: number}} expiry
+ * @returns {string} `MM/YY`.
+ */
+export const formatCardExpiry = ({ month, year }) =>
+  `${String(month).padStart(2, '0')}/${String(year % 100).padStart(2, '0')}`
+
+/**
+ * @param {string} number - Card number, digits only.
+ * @returns {CardBrand | ''} Brand of the issuer prefix, empty when unknown.
+ */
+export const detectCardBrand = (number) =>
+  BRAND_PREFIXES.find(([, prefix]) => prefix.test(number))?.[0] || ''
+
+/**
+ * @param {string} number - Card number, digits only.
+ * @returns {boolean} Whether the check digit of the Luhn algorithm matches.
+ */
+export const isLuhnValid = (number) => {
+  let sum = 0
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i])
+    if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2
+    sum += digit
+  }
+  return number.length > 0 && sum % 10 === 0
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+const toText = (value) =>
+  typeof value === 'string' || typeof value === 'number'
+    ? String(value).trim()
+    : ''
+
+/**
+ * Maps the card of a source item. Numbers lose their spaces and dashes,
+ * the expiry is brought into `MM/YY` and the brand is detected from the
+ * number, falling back to the brand of the export. Numbers that fail the
+ * Luhn check, expiries that cannot be read and exported brands that do not
+ * match the number are kept as they are, with a warning.
+ * @param {Object} source
+ * @param {string} [source.name]
+ * @param {string} [source.number]
+ * @param {Parameters<typeof parseCardExpiry>[0]} [source.expiry]
+ * @param {string} [source.securityCode]
+ * @param {string} [source.pinCode]
+ * @param {CardBrand | string} [source.brand] - Brand stored in the export.
+ * @param {import('./createImportReport').ImportLocation} location
+ * @param {import('./createImportContext').ImportContext} context
+ * @returns {CardData}
+ */
+export const mapCard = (
+  { name, number, expiry, securityCode, pinCode, brand },
+  location,
+  context
+) => {
+  const numberText = toText(number)
+  const digits = numberText.replace(/[\s-]/g, '')
+  const isNumeric = /^\d+$/.test(digits)
+
+  if (
+    numberText &&
+    (!isNumeric ||
+      digits.length < 12 ||
+      digits.length > 19 ||
+      !isLuhnValid(digits))
+  ) {
+    context.report.warn(
+      location,
+      'INVALID_CARD_NUMBER',
+      'Card number is not a valid card number and was imported as is'
+    )
+  }
+
+  const parsedExpiry = parseCardExpiry(expiry)
+  const expiryText =
+    expiry && typeof expiry === 'object'
+      ? [expiry.month, expiry.year].filter(Boolean).join('/')
+      : toText(expiry)
+
+  if (expiryText && !parsedExpiry) {
+    context.report.warn(
+      location,
+      'INVALID_CARD_EXPIRY',
+      `Card expiry "${expiryText}" could not be read and was imported as is`
+    )
+  }
+
+  const detectedBrand = isNumeric ? detectCardBrand(digits) : ''
+  const exportedBrand = BRAND_PREFIXES.some(([id]) => id === brand) ? brand : ''
+
+  if (detectedBrand && exportedBrand && detectedBrand !== exportedBrand) {
+    context.report.warn(
+      location,
+      'CARD_BRAND_MISMATCH',
+      `Card brand ${exportedBrand} of the export does not match the number`
+    )
+  }
+
+  return {
+    name: toText(name),
+    number: isNumeric ? digits : numberText,
+    expireDate: parsedExpiry ? formatCardExpiry(parsedExpiry) : expiryText,
+    securityCode: toText(securityCode),
+    pinCode: toText(pinCode),
+    brand: detectedBrand || exportedBrand
+  }
+}
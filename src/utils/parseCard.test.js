@@ -0,0 +1,129 @@
+import { createImportContext } from './createImportContext'
+import {
+  detectCardBrand,
+  isLuhnValid,
+  mapCard,
+  parseCardExpiry
+} from './parseCard'
+
+describe('parseCardExpiry', () => {
+  it.each([
+    ['12/25', { month: 12, year: 2025 }],
+    ['1/2027', { month: 1, year: 2027 }],
+    ['03-26', { month: 3, year: 2026 }],
+    ['12 25', { month: 12, year: 2025 }],
+    ['2027-03', { month: 3, year: 2027 }],
+    ['0326', { month: 3, year: 2026 }],
+    [202512, { month: 12, year: 2025 }],
+    ['January,2027', { month: 1, year: 2027 }],
+    ['Sept 2026', { month: 9, year: 2026 }],
+    [
+      { month: '7', year: '2028' },
+      { month: 7, year: 2028 }
+    ]
+  ])('reads %p', (value, expected) => {
+    expect(parseCardExpiry(value)).toEqual(expected)
+  })
+
+  it.each([
+    '',
+    '13/25',
+    '__ 25',
+    'soon',
+    { month: '12', year: null },
+    { month: '12', year: '__' }
+  ])('rejects %p', (value) => {
+    expect(parseCardExpiry(value)).toBeNull()
+  })
+})
+
+describe('detectCardBrand', () => {
+  it.each([
+    ['4111111111111111', 'visa'],
+    ['5555555555554444', 'mastercard'],
+    ['2223003122003222', 'mastercard'],
+    ['378282246310005', 'amex'],
+    ['6011111111111117', 'discover'],
+    ['36227206271667', 'dinersClub'],
+    ['3566002020360505', 'jcb'],
+    ['6200000000000005', 'unionPay'],
+    ['6759649826438453', 'maestro'],
+    ['9999999999999995', '']
+  ])('detects %s as %p', (number, brand) => {
+    expect(detectCardBrand(number)).toBe(brand)
+  })
+})
+
+describe('isLuhnValid', () => {
+  it('checks the check digit', () => {
+    expect(isLuhnValid('4111111111111111')).toBe(true)
+    expect(isLuhnValid('4111111111111112')).toBe(false)
+    expect(isLuhnValid('')).toBe(false)
+  })
+})
+
+describe('mapCard', () => {
+  it('normalizes the card and detects the brand', () => {
+    const context = createImportContext()
+
+    expect(
+      mapCard(
+        {
+          name: ' Jane Doe ',
+          number: '4111-1111-1111-1111',
+          expiry: 'March,2027',
+          securityCode: '123'
+        },
+        { row: 2 },
+        context
+      )
+    ).toEqual({
+      name: 'Jane Doe',
+      number: '4111111111111111',
+      expireDate: '03/27',
+      securityCode: '123',
+      pinCode: '',
+      brand: 'visa'
+    })
+    expect(context.report.summarize([]).warnings).toEqual([])
+  })
+
+  it('keeps suspicious data as is and reports it', () => {
+    const context = createImportContext()
+
+    expect(
+      mapCard(
+        {
+          number: '4111 1111 1111 1112',
+          expiry: { month: '12' },
+          brand: 'amex'
+        },
+        { row: 3 },
+        context
+      )
+    ).toMatchObject({ number: '4111111111111112', expireDate: '12' })
+    expect(context.report.summarize([]).warnings).toEqual([
+      {
+        row: 3,
+        code: 'INVALID_CARD_NUMBER',
+        message: 'Card number is not a valid card number and was imported as is'
+      },
+      {
+        row: 3,
+        code: 'INVALID_CARD_EXPIRY',
+        message: 'Card expiry "12" could not be read and was imported as is'
+      },
+      {
+        row: 3,
+        code: 'CARD_BRAND_MISMATCH',
+        message: 'Card brand amex of the export does not match the number'
+      }
+    ])
+  })
+
+  it('uses the brand of the export when the number has none', () => {
+    expect(
+      mapCard({ number: '', brand: 'jcb' }, {}, createImportContext()).brand
+    ).toBe('jcb')
+  })
+})
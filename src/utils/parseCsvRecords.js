@@ -0,0 +1,33 @@
+import { IMPORT_PHASES } from './createImportContext'
+import { getRowsFromCsv } from './getRowsFromCsv'
+
+/**
+ * Parses a CSV export held in memory. Counterpart of `streamCsvRecords`
+ * taking the same row parser factory.
+ * @param {string} text
+ * @param {(headerRow: string[]) => (
+ *   row: string[],
+ *   location: {row: number}
+ * ) => Object | null} createRowParser - Called with the header row, returns
+ *   the parser for the data rows. Rows it returns `null` for are left out.
+ * @param {import('./createImportContext').ImportContext} context
+ * @returns {Array<Object>}
+ */
+export const parseCsvRecords = (text, createRowParser, context) => {
+  context.startPhase(IMPORT_PHASES.PARSING_ROWS)
+  const [headerRow, ...dataRows] = getRowsFromCsv(text)
+
+  context.startPhase(IMPORT_PHASES.MAPPING_RECORDS, dataRows.length)
+  if (!dataRows.length) return []
+
+  const parseRow = createRowParser(headerRow)
+  const records = []
+
+  for (const [index, row] of dataRows.entries()) {
+    const record = parseRow(row, { row: index + 2 })
+    if (record) records.push(record)
+    context.tick()
+  }
+
+  return records
+}
@@ -0,0 +1,52 @@
+import { createImportContext } from './createImportContext'
+import { parseCsvRecords } from './parseCsvRecords'
+
+describe('parseCsvRecords', () => {
+  it('parses data rows with the parser created from the header row', () => {
+    const createRowParser = jest.fn((headerRow) => (row, location) => ({
+      [headerRow[0]]: row[0],
+      ...location
+    }))
+
+    const records = parseCsvRecords(
+      'name\nA\nfolder\nB',
+      (headerRow) => {
+        const parseRow = createRowParser(headerRow)
+        return (row, location) =>
+          row[0] === 'folder' ? null : parseRow(row, location)
+      },
+      createImportContext()
+    )
+
+    expect(createRowParser).toHaveBeenCalledTimes(1)
+    expect(records).toEqual([
+      { name: 'A', row: 2 },
+      { name: 'B', row: 4 }
+    ])
+  })
+
+  it('returns no records for a file without data rows', () => {
+    const createRowParser = jest.fn()
+
+    expect(
+      parseCsvRecords('name,note', createRowParser, createImportContext())
+    ).toEqual([])
+    expect(createRowParser).not.toHaveBeenCalled()
+  })
+
+  it('reports the rows and the mapped records', () => {
+    const onProgress = jest.fn()
+
+    parseCsvRecords(
+      'name\nA\nB',
+      () => (row) => ({ name: row[0] }),
+      createImportContext({ onProgress })
+    )
+
+    expect(onProgress.mock.calls).toEqual([
+      [{ phase: 'parsing rows', processed: 0, total: null }],
+      [{ phase: 'mapping records', processed: 0, total: 2 }],
+      [{ phase: 'mapping records', processed: 2, total: 2 }]
+    ])
+  })
+})
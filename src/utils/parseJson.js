@@ -0,0 +1,117 @@
+import { MalformedFileError } from '../errors'
+
+/**
+ * Parses JSON file contents, turning syntax errors into a
+ * `MalformedFileError` that points at the offending line and column.
+ * A leading byte order mark is ignored.
+ * @param {string} data
+ * @returns {*}
+ * @throws {MalformedFileError}
+ */
+export const parseJson = (data) => {
+  const text = String(data).replace(/^\uFEFF/, '')
+
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    const { line, column } = getPosition(text, findSyntaxErrorOffset(text))
+
+    throw new MalformedFileError(
+      `Invalid JSON file at line ${line}, column ${column}`,
+      { fileType: 'json', line, column, cause: error }
+    )
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+const getPosition = (text, offset) => {
+  const lines = text.slice(0, offset).split(/\r\n|\r|\n/)
+
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 }
+}
+
+const LITERALS = ['true', 'false', 'null']
+const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y
+// JSON strings may not hold raw control characters
+// eslint-disable-next-line no-control-regex
+const STRING = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y
+
+/**
+ * Engines word and position JSON syntax errors differently (some omit the
+ * position), so the offset is found by walking the text ourselves.
+ * @param {string} text
+ * @returns {number} Offset of the first character that breaks the grammar.
+ */
+const findSyntaxErrorOffset = (text) => {
+  let offset = 0
+
+  const skipWhitespace = () => {
+    while (/[ \t\n\r]/.test(text[offset] ?? '')) offset++
+  }
+
+  // Readers return false at the offset where the grammar breaks
+  const match = (pattern) => {
+    pattern.lastIndex = offset
+    if (!pattern.test(text)) return false
+    offset = pattern.lastIndex
+    return true
+  }
+
+  const expect = (char) => {
+    skipWhitespace()
+    if (text[offset] !== char) return false
+    offset++
+    return true
+  }
+
+  const readList = (close, readItem) => {
+    offset++
+    skipWhitespace()
+    if (text[offset] === close) {
+      offset++
+      return true
+    }
+
+    for (;;) {
+      if (!readItem()) return false
+      skipWhitespace()
+      if (text[offset] === close) {
+        offset++
+        return true
+      }
+      if (!expect(',')) return false
+    }
+  }
+
+  const readValue = () => {
+    skipWhitespace()
+    const char = text[offset]
+
+    if (char === '{') {
+      return readList('}', () => {
+        skipWhitespace()
+        return match(STRING) && expect(':') && readValue()
+      })
+    }
+    if (char === '[') return readList(']', readValue)
+    if (char === '"') return match(STRING)
+    if (char === '-' || /\d/.test(char ?? '')) return match(NUMBER)
+
+    const literal = LITERALS.find((word) => text.startsWith(word, offset))
+    if (!literal) return false
+    offset += literal.length
+    return true
+  }
+
+  try {
+    if (readValue()) skipWhitespace()
+    return offset
+  } catch {
+    // Nesting too deep for the call stack: the position is unknown
+    return 0
+  }
+}
@@ -0,0 +1,48 @@
+import { parseJson } from './parseJson'
+import { MalformedFileError } from '../errors'
+
+const getError = (text) => {
+  try {
+    parseJson(text)
+  } catch (error) {
+    return error
+  }
+  throw new Error('Expected parseJson to throw')
+}
+
+describe('parseJson', () => {
+  it('parses valid JSON', () => {
+    expect(parseJson('{"items":[1,true,null,"a"]}')).toEqual({
+      items: [1, true, null, 'a']
+    })
+  })
+
+  it('ignores a byte order mark', () => {
+    expect(parseJson('\uFEFF[]')).toEqual([])
+  })
+
+  it('throws a MalformedFileError with line and column', () => {
+    const error = getError('{\n  "name": "x",\n  "items": [1, 2,]\n}')
+
+    expect(error).toBeInstanceOf(MalformedFileError)
+    expect(error).toMatchObject({
+      code: 'MALFORMED_FILE',
+      fileType: 'json',
+      line: 3,
+      column: 18,
+      message: 'Invalid JSON file at line 3, column 18'
+    })
+    expect(error.cause).toBeInstanceOf(SyntaxError)
+  })
+
+  it.each([
+    ['', 1, 1],
+    ['{"a" 1}', 1, 6],
+    ['{"a": tru}', 1, 7],
+    ['[1] x', 1, 5],
+    ['{\r\n"a": "line\nbreak"}', 2, 6],
+    ['{"a": 01}', 1, 8]
+  ])('locates the error in %j', (text, line, column) => {
+    expect(getError(text)).toMatchObject({ line, column })
+  })
+})
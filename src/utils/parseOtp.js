@@ -0,0 +1,322 @@
+import { decodeBase64 } from './decodeBase64'
+
+/**
+ * Time-based one-time password settings of a login, as authenticator apps
+ * read them from an `otpauth://totp/` URI.
+ * @typedef {Object} OtpField
+ * @property {string} secret - Base32, upper case and without padding.
+ * @property {'SHA1' | 'SHA256' | 'SHA512'} algorithm
+ * @property {number} digits
+ * @property {number} period - Seconds a code is valid.
+ * @property {string} issuer
+ * @property {string} account
+ * @property {'steam'} [encoder] - Steam Guard codes use their own alphabet.
+ */
+
+export const OTP_ALGORITHMS = ['SHA1', 'SHA256', 'SHA512']
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+const STEAM_DIGITS = 5
+
+/**
+ * Base32 characters of an 80-bit key, the shortest secret services commonly
+ * issue. Shorter bare values are more likely words than secrets.
+ */
+const MIN_BARE_SECRET_LENGTH = 16
+
+/** Defaults of RFC 6238 and the Key Uri Format. */
+const DEFAULTS = { algorithm: 'SHA1', digits: 6, period: 30 }
+
+/** KeePass fields that hold one-time password settings. */
+const KEEPASS_OTP_FIELDS = new Set(['otp', 'TOTP Seed', 'TOTP Settings'])
+
+/**
+ * @param {string} key - Name of a KeePass string field.
+ * @returns {boolean}
+ */
+export const isKeePassOtpField = (key) =>
+  KEEPASS_OTP_FIELDS.has(key) || key.startsWith('TimeOtp-')
+
+/**
+ * @param {*} text
+ * @returns {string | null} The secret in canonical form, `null` when it is
+ *   not base32.
+ */
+const toBase32Secret = (text) => {
+  if (typeof text !== 'string') return null
+  const secret = text.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase()
+  return /^[A-Z2-7]+$/.test(secret) ? secret : null
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} Base32 without padding.
+ */
+const encodeBase32 = (bytes) => {
+  let result = ''
+  let buffer = 0
+  let bits = 0
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      result += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) result += BASE32_ALPHABET[(buffer << (5 - bits)) & 31]
+  return result
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array | null}
+ */
+const decodeHex = (text) => {
+  const hex = text.replace(/\s/g, '')
+  if (!hex || hex.length % 2 || /[^0-9a-f]/i.test(hex)) return null
+  return Uint8Array.from(hex.match(/../g), (pair) => parseInt(pair, 16))
+}
+
+/**
+ * @param {*} value - E.g. `SHA256`, `sha-256` or KeePass `HMAC-SHA-256`.
+ * @returns {string | null}
+ */
+const toAlgorithm = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULTS.algorithm
+  }
+  const algorithm = String(value)
+    .toUpperCase()
+    .replace(/^HMAC/, '')
+    .replace(/[^A-Z0-9]/g, '')
+  return OTP_ALGORITHMS.includes(algorithm) ? algorithm : null
+}
+
+/**
+ * @param {*} value
+ * @param {number} defaultValue
+ * @returns {number | null} `null` unless a positive integer.
+ */
+const toPositiveInteger = (value, defaultValue) => {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue
+  }
+  const number = Number(value)
+  return Number.isInteger(number) && number > 0 ? number : null
+}
+
+/**
+ * Validates OTP settings and brings them into canonical form.
+ * @param {*} value - An `OtpField`-like object, missing settings get their
+ *   default.
+ * @returns {OtpField | null}
+ */
+export const normalizeOtp = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null
+
+  const isSteam = value.encoder === 'steam'
+  const secret = toBase32Secret(value.secret)
+  const algorithm = toAlgorithm(value.algorithm)
+  const digits = toPositiveInteger(
+    value.digits,
+    isSteam ? STEAM_DIGITS : DEFAULTS.digits
+  )
+  const period = toPositiveInteger(value.period, DEFAULTS.period)
+
+  if (!secret || !algorithm || !period) return null
+  if (isSteam ? digits !== STEAM_DIGITS : !(digits >= 6 && digits <= 10)) {
+    return null
+  }
+
+  return {
+    secret,
+    algorithm,
+    digits,
+    period,
+    issuer: typeof value.issuer === 'string' ? value.issuer.trim() : '',
+    account: typeof value.account === 'string' ? value.account.trim() : '',
+    ...(isSteam && { encoder: 'steam' })
+  }
+}
+
+/**
+ * @param {string} query - Without the leading `?`.
+ * @returns {Object<string, string>} Keys in lower case.
+ */
+const parseQuery = (query) => {
+  const params = {}
+
+  for (const pair of query.split('&')) {
+    const [key, ...rest] = pair.split('=')
+    if (!key) continue
+    try {
+      params[decodeURIComponent(key).toLowerCase()] = decodeURIComponent(
+        rest.join('=')
+      )
+    } catch {
+      params[key.toLowerCase()] = rest.join('=')
+    }
+  }
+
+  return params
+}
+
+/**
+ * @param {string} uri - `otpauth://totp/Issuer:account?secret=...`
+ * @returns {OtpField | null} `null` for HOTP and invalid URIs.
+ */
+const parseOtpAuthUri = (uri) => {
+  const match = uri.match(/^otpauth:\/\/([^/?#]+)\/?([^?#]*)(?:\?([^#]*))?/i)
+  if (!match || match[1].toLowerCase() !== 'totp') return null
+
+  let label = match[2]
+  try {
+    label = decodeURIComponent(label)
+  } catch {
+    // Keep the label as written
+  }
+
+  const separator = label.indexOf(':')
+  const params = parseQuery(match[3] || '')
+  const isSteam = params.encoder?.toLowerCase() === 'steam'
+
+  return normalizeOtp({
+    secret: params.secret,
+    algorithm: params.algorithm,
+    digits: params.digits,
+    period: params.period,
+    issuer: params.issuer ?? (separator > -1 ? label.slice(0, separator) : ''),
+    account: separator > -1 ? label.slice(separator + 1) : label,
+    ...(isSteam && { encoder: 'steam' })
+  })
+}
+
+/**
+ * Reads the TOTP value of a source: an `otpauth://totp/` URI, a `steam://`
+ * secret, the KeeOtp `key=...&step=30&size=6` format or a bare base32 secret
+ * of at least 16 characters.
+ * @param {*} value
+ * @returns {OtpField | null} `null` when the value is empty or invalid.
+ */
+export const parseOtp = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null
+  const text = value.trim()
+
+  if (/^otpauth:\/\//i.test(text)) return parseOtpAuthUri(text)
+
+  if (/^steam:\/\//i.test(text)) {
+    return normalizeOtp({ secret: text.slice(8), encoder: 'steam' })
+  }
+
+  if (/(^|&)key=/i.test(text)) {
+    const params = parseQuery(text)
+    if (params.type && params.type.toLowerCase() !== 'totp') return null
+    return normalizeOtp({
+      secret: params.key,
+      algorithm: params.otphashmode,
+      digits: params.size,
+      period: params.step
+    })
+  }
+
+  const secret = toBase32Secret(text)
+  return secret?.length >= MIN_BARE_SECRET_LENGTH
+    ? normalizeOtp({ secret })
+    : null
+}
+
+/**
+ * Secret of the KeePass 2.47+ `TimeOtp-Secret*` fields, as base32.
+ * @param {Object<string, string>} fields
+ * @returns {string | undefined}
+ */
+const getTimeOtpSecret = (fields) => {
+  if (fields['TimeOtp-Secret-Base32']) return fields['TimeOtp-Secret-Base32']
+
+  const bytes =
+    (fields['TimeOtp-Secret-Hex'] && decodeHex(fields['TimeOtp-Secret-Hex'])) ||
+    (fields['TimeOtp-Secret-Base64'] &&
+      decodeBase64(fields['TimeOtp-Secret-Base64'])) ||
+    (fields['TimeOtp-Secret'] &&
+      new TextEncoder().encode(fields['TimeOtp-Secret']))
+
+  return bytes?.length ? encodeBase32(bytes) : undefined
+}
+
+/**
+ * @param {Object<string, string>} fields
+ * @returns {OtpField | null}
+ */
+const parseLegacyKeePassOtp = (fields) => {
+  if (!fields['TOTP Seed']) return null
+
+  const [period, digits] = (fields['TOTP Settings'] || '').split(';')
+  const isSteam = digits?.trim().toUpperCase() === 'S'
+
+  return normalizeOtp({
+    secret: fields['TOTP Seed'],
+    period: period?.trim(),
+    digits: isSteam ? STEAM_DIGITS : digits?.trim(),
+    ...(isSteam && { encoder: 'steam' })
+  })
+}
+
+/**
+ * @param {Object<string, string>} fields
+ * @returns {OtpField | null}
+ */
+const parseTimeOtp = (fields) => {
+  const secret = getTimeOtpSecret(fields)
+  if (!secret) return null
+
+  return normalizeOtp({
+    secret,
+    algorithm: fields['TimeOtp-Algorithm'],
+    digits: fields['TimeOtp-Length'],
+    period: fields['TimeOtp-Period']
+  })
+}
+
+/**
+ * Reads the TOTP settings of a KeePass entry from whichever convention
+ * wrote them: `otp` (KeePassXC, KeeOtp), `TOTP Seed` with `TOTP Settings`
+ * (`period;digits`, `S` as digits for Steam) or the `TimeOtp-*` fields of
+ * KeePass 2.47+. The first one that can be read wins.
+ * @param {Object<string, string>} fields - String fields of the entry.
+ * @returns {OtpField | null} `null` when the entry has none or they are
+ *   invalid.
+ */
+export const parseKeePassOtp = (fields) =>
+  parseOtp(fields.otp) ?? parseLegacyKeePassOtp(fields) ?? parseTimeOtp(fields)
+
+/**
+ * @param {import('./createImportReport').ImportLocation} location
+ * @param {import('./createImportContext').ImportContext} context
+ */
+export const warnInvalidOtp = (location, context) =>
+  context.report.warn(
+    location,
+    'INVALID_OTP',
+    'One-time password settings could not be read, kept as a note'
+  )
+
+/**
+ * Maps the TOTP value of a source item. Values that cannot be read are kept
+ * as a `TOTP: ...` note, with a warning.
+ * @param {string} [value]
+ * @param {import('./createImportReport').ImportLocation} location
+ * @param {import('./createImportContext').ImportContext} context
+ * @returns {{otp?: OtpField, customFields: Array<{type: string, note: string}>}}
+ */
+export const mapOtp = (value, location, context) => {
+  const otp = parseOtp(value)
+  if (otp) return { otp, customFields: [] }
+  if (!value) return { customFields: [] }
+
+  warnInvalidOtp(location, context)
+  return { customFields: [{ type: 'note', note: `TOTP: ${value}` }] }
+}
@@ -0,0 +1,167 @@
+import { createImportContext } from './createImportContext'
+import {
+  isKeePassOtpField,
+  mapOtp,
+  normalizeOtp,
+  parseKeePassOtp,
+  parseOtp
+} from './parseOtp'
+
+const SECRET = 'JBSWY3DPEHPK3PXP'
+
+describe('parseOtp', () => {
+  it('reads otpauth URIs', () => {
+    expect(
+      parseOtp(
+        'otpauth://totp/ACME%20Co:john@example.com?secret=jbswy3dpehpk3pxp&algorithm=SHA256&digits=8&period=60'
+      )
+    ).toEqual({
+      secret: SECRET,
+      algorithm: 'SHA256',
+      digits: 8,
+      period: 60,
+      issuer: 'ACME Co',
+      account: 'john@example.com'
+    })
+  })
+
+  it('prefers the issuer parameter and fills defaults', () => {
+    expect(
+      parseOtp(`otpauth://totp/Old:me?secret=${SECRET}&issuer=New`)
+    ).toEqual({
+      secret: SECRET,
+      algorithm: 'SHA1',
+      digits: 6,
+      period: 30,
+      issuer: 'New',
+      account: 'me'
+    })
+  })
+
+  it('reads bare base32 secrets, Steam and KeeOtp values', () => {
+    expect(parseOtp('jbsw y3dp ehpk 3pxp')).toMatchObject({
+      secret: SECRET,
+      digits: 6
+    })
+    expect(parseOtp(`steam://${SECRET}`)).toMatchObject({
+      secret: SECRET,
+      digits: 5,
+      encoder: 'steam'
+    })
+    expect(
+      parseOtp(`otpauth://totp/Steam:me?secret=${SECRET}&encoder=steam`)
+    ).toMatchObject({ digits: 5, encoder: 'steam' })
+    expect(
+      parseOtp(`key=${SECRET}&step=45&size=8&otpHashMode=Sha512`)
+    ).toMatchObject({ period: 45, digits: 8, algorithm: 'SHA512' })
+  })
+
+  it('rejects invalid values', () => {
+    expect(parseOtp('')).toBeNull()
+    expect(parseOtp('not a secret!')).toBeNull()
+    expect(parseOtp('hello')).toBeNull()
+    expect(parseOtp('JBSWY3DPEHPK3PX')).toBeNull()
+    expect(parseOtp(`otpauth://hotp/me?secret=${SECRET}&counter=1`)).toBeNull()
+    expect(parseOtp('otpauth://totp/me?digits=6')).toBeNull()
+    expect(parseOtp(`otpauth://totp/me?secret=${SECRET}&digits=4`)).toBeNull()
+    expect(
+      parseOtp(`otpauth://totp/me?secret=${SECRET}&algorithm=MD5`)
+    ).toBeNull()
+    expect(parseOtp(`otpauth://totp/me?secret=${SECRET}&period=0`)).toBeNull()
+  })
+})
+
+describe('parseKeePassOtp', () => {
+  it('reads the otp field', () => {
+    expect(
+      parseKeePassOtp({ otp: `otpauth://totp/Site:me?secret=${SECRET}` })
+    ).toMatchObject({ secret: SECRET, issuer: 'Site' })
+  })
+
+  it('reads the legacy seed and settings', () => {
+    expect(
+      parseKeePassOtp({ 'TOTP Seed': SECRET, 'TOTP Settings': '60;8' })
+    ).toMatchObject({ period: 60, digits: 8 })
+    expect(
+      parseKeePassOtp({ 'TOTP Seed': SECRET, 'TOTP Settings': '30;S' })
+    ).toMatchObject({ digits: 5, encoder: 'steam' })
+  })
+
+  it('reads the TimeOtp fields in every secret encoding', () => {
+    // 'Hello!' in the encodings KeePass supports
+    const secrets = [
+      { 'TimeOtp-Secret-Base32': 'JBSWY3DPEE' },
+      { 'TimeOtp-Secret-Hex': '48656c6c6f21' },
+      { 'TimeOtp-Secret-Base64': 'SGVsbG8h' },
+      { 'TimeOtp-Secret': 'Hello!' }
+    ]
+
+    for (const secret of secrets) {
+      expect(
+        parseKeePassOtp({
+          ...secret,
+          'TimeOtp-Length': '7',
+          'TimeOtp-Period': '40',
+          'TimeOtp-Algorithm': 'HMAC-SHA-256'
+        })
+      ).toMatchObject({
+        secret: 'JBSWY3DPEE',
+        digits: 7,
+        period: 40,
+        algorithm: 'SHA256'
+      })
+    }
+  })
+
+  it('returns null without OTP fields', () => {
+    expect(parseKeePassOtp({ Title: 'x' })).toBeNull()
+  })
+
+  it('recognizes the OTP fields', () => {
+    expect(
+      ['otp', 'TOTP Seed', 'TimeOtp-Period', 'HmacOtp-Counter', 'Title'].map(
+        isKeePassOtpField
+      )
+    ).toEqual([true, true, true, false, false])
+  })
+})
+
+describe('normalizeOtp', () => {
+  it('validates stored settings', () => {
+    expect(normalizeOtp({ secret: SECRET.toLowerCase() })).toMatchObject({
+      secret: SECRET,
+      period: 30
+    })
+    expect(normalizeOtp({ secret: SECRET, digits: 'six' })).toBeNull()
+    expect(normalizeOtp(SECRET)).toBeNull()
+  })
+})
+
+describe('mapOtp', () => {
+  it('keeps values it cannot read as a note', () => {
+    const context = createImportContext()
+
+    expect(mapOtp(SECRET, { row: 2 }, context).otp).toMatchObject({
+      secret: SECRET
+    })
+    expect(mapOtp('', { row: 3 }, context)).toEqual({ customFields: [] })
+    expect(mapOtp('123456', { row: 4 }, context)).toEqual({
+      customFields: [{ type: 'note', note: 'TOTP: 123456' }]
+    })
+    expect(mapOtp('hello', { row: 5 }, context)).toEqual({
+      customFields: [{ type: 'note', note: 'TOTP: hello' }]
+    })
+    expect(context.report.summarize([]).warnings).toEqual([
+      {
+        row: 4,
+        code: 'INVALID_OTP',
+        message: 'One-time password settings could not be read, kept as a note'
+      },
+      {
+        row: 5,
+        code: 'INVALID_OTP',
+        message: 'One-time password settings could not be read, kept as a note'
+      }
+    ])
+  })
+})
@@ -0,0 +1,28 @@
+import { readChunks } from './readChunks'
+
+/**
+ * Collects a whole import input, for formats that cannot be parsed
+ * incrementally (e.g. encrypted databases).
+ * @param {import('./readChunks').ImportInput} input
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const readAllBytes = async (input) => {
+  const encoder = new TextEncoder()
+  const chunks = []
+  let length = 0
+
+  for await (const chunk of readChunks(input)) {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk
+    chunks.push(bytes)
+    length += bytes.length
+  }
+
+  const result = new Uint8Array(length)
+  let offset = 0
+  for (const bytes of chunks) {
+    result.set(bytes, offset)
+    offset += bytes.length
+  }
+
+  return result.buffer
+}
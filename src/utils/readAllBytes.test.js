@@ -0,0 +1,23 @@
+import { readAllBytes } from './readAllBytes'
+
+describe('readAllBytes', () => {
+  it('concatenates binary chunks', async () => {
+    const buffer = await readAllBytes([
+      new Uint8Array([1, 2]),
+      new Uint8Array([3]).buffer
+    ])
+
+    expect(buffer).toBeInstanceOf(ArrayBuffer)
+    expect([...new Uint8Array(buffer)]).toEqual([1, 2, 3])
+  })
+
+  it('encodes string chunks as UTF-8', async () => {
+    const buffer = await readAllBytes(['a', 'é'])
+    expect([...new Uint8Array(buffer)]).toEqual([0x61, 0xc3, 0xa9])
+  })
+
+  it('copies the data of views', async () => {
+    const bytes = new Uint8Array([1, 2, 3, 4]).subarray(1, 3)
+    expect([...new Uint8Array(await readAllBytes(bytes))]).toEqual([2, 3])
+  })
+})
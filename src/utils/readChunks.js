@@ -0,0 +1,45 @@
+import { toBytes } from './toBytes'
+
+/**
+ * @typedef {string | ArrayBuffer | ArrayBufferView | ReadableStream |
+ *   AsyncIterable<string | ArrayBuffer | ArrayBufferView> |
+ *   Iterable<string | ArrayBuffer | ArrayBufferView>} ImportInput
+ */
+
+/**
+ * Reads any supported import input chunk by chunk. Web `ReadableStream`s are
+ * read through their reader, so this works where they are not async
+ * iterable (e.g. React Native and Safari).
+ * @param {ImportInput} input
+ * @returns {AsyncGenerator<string | Uint8Array>}
+ */
+export async function* readChunks(input) {
+  if (typeof input === 'string' || toBytes(input)) {
+    yield toBytes(input) || input
+    return
+  }
+
+  if (typeof input?.getReader === 'function') {
+    const reader = input.getReader()
+    try {
+      for (;;) {
+        const { done, value } = await reader.read()
+        if (done) return
+        yield toBytes(value) || String(value)
+      }
+    } finally {
+      reader.releaseLock()
+    }
+  }
+
+  if (input?.[Symbol.asyncIterator] || input?.[Symbol.iterator]) {
+    for await (const chunk of input) {
+      yield toBytes(chunk) || String(chunk)
+    }
+    return
+  }
+
+  throw new TypeError(
+    'Import data must be a string, binary data, a ReadableStream or an iterable of chunks'
+  )
+}
@@ -0,0 +1,29 @@
+import { readChunks } from './readChunks'
+
+/**
+ * Decodes an import input to text chunk by chunk. Multi-byte characters
+ * split across chunks and a leading byte order mark are handled.
+ * @param {import('./readChunks').ImportInput} input
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readTextChunks(input) {
+  const decoder = new TextDecoder('utf-8')
+  let isFirst = true
+
+  for await (const chunk of readChunks(input)) {
+    let text =
+      typeof chunk === 'string'
+        ? chunk
+        : decoder.decode(chunk, { stream: true })
+
+    if (isFirst && text) {
+      text = text.replace(/^\uFEFF/, '')
+      isFirst = false
+    }
+
+    if (text) yield text
+  }
+
+  const rest = decoder.decode()
+  if (rest) yield rest
+}
@@ -0,0 +1,61 @@
+import { ReadableStream } from 'node:stream/web'
+
+import { readTextChunks } from './readTextChunks'
+
+const collect = async (input) => {
+  const chunks = []
+  for await (const chunk of readTextChunks(input)) {
+    chunks.push(chunk)
+  }
+  return chunks
+}
+
+describe('readTextChunks', () => {
+  it('yields strings unchanged', async () => {
+    expect(await collect('a,b')).toEqual(['a,b'])
+  })
+
+  it('decodes binary data', async () => {
+    const bytes = new TextEncoder().encode('päss')
+    expect((await collect(bytes.buffer)).join('')).toBe('päss')
+  })
+
+  it('decodes characters split across chunks', async () => {
+    const bytes = new TextEncoder().encode('€uro')
+    const chunks = [bytes.slice(0, 1), bytes.slice(1, 2), bytes.slice(2)]
+
+    expect((await collect(chunks)).join('')).toBe('€uro')
+  })
+
+  it('strips a leading byte order mark', async () => {
+    expect((await collect(['\uFEFFa', '\uFEFFb'])).join('')).toBe('a\uFEFFb')
+    expect(
+      (await collect([new Uint8Array([0xef, 0xbb, 0xbf, 0x61])])).join('')
+    ).toBe('a')
+  })
+
+  it('reads ReadableStreams', async () => {
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('a,'))
+        controller.enqueue('b')
+        controller.close()
+      }
+    })
+
+    expect((await collect(stream)).join('')).toBe('a,b')
+  })
+
+  it('reads async iterables', async () => {
+    async function* chunks() {
+      yield 'a'
+      yield 'b'
+    }
+
+    expect(await collect(chunks())).toEqual(['a', 'b'])
+  })
+
+  it('rejects unsupported inputs', async () => {
+    await expect(collect(42)).rejects.toThrow(TypeError)
+  })
+})
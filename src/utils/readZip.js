@@ -0,0 +1,261 @@
+import {
+  ArchiveLimitError,
+  MalformedFileError,
+  UnsupportedVersionError
+} from '../errors'
+import { crc32 } from './crc32'
+import { inflate } from './inflate'
+import { toBytes } from './toBytes'
+
+/**
+ * Limits ZIP archives are read with. Archives beyond them, e.g. zip bombs,
+ * fail with `ArchiveLimitError`.
+ */
+export const ZIP_LIMITS = Object.freeze({
+  /** Entries in the central directory. */
+  maxEntries: 10000,
+  /** Uncompressed bytes of a single entry. */
+  maxEntrySize: 256 * 1024 * 1024,
+  /** Uncompressed bytes of all entries read from one archive. */
+  maxTotalSize: 1024 * 1024 * 1024,
+  /** Uncompressed to compressed size, checked for entries over 1 MiB. */
+  maxCompressionRatio: 200
+})
+
+const RATIO_CHECK_SIZE = 1024 * 1024
+
+const SIGNATURES = {
+  LOCAL_FILE: 0x04034b50,
+  CENTRAL_FILE: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50
+}
+
+const METHODS = { STORED: 0, DEFLATED: 8 }
+
+const FLAG_ENCRYPTED = 1
+
+/** End of central directory record plus the longest possible comment. */
+const MAX_END_RECORD_SIZE = 22 + 0xffff
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive, `/` separated.
+ * @property {number} size - Uncompressed bytes.
+ * @property {number} compressedSize
+ * @property {boolean} isDirectory
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean} The data starts like a ZIP archive.
+ */
+export const isZip = (bytes) =>
+  bytes.length >= 4 &&
+  bytes[0] === 0x50 &&
+  bytes[1] === 0x4b &&
+  bytes[2] === 0x03 &&
+  bytes[3] === 0x04
+
+/**
+ * @param {string} message
+ * @returns {MalformedFileError}
+ */
+const createMalformedError = (message) =>
+  new MalformedFileError(message, { fileType: 'zip' })
+
+/**
+ * @param {DataView} view
+ * @returns {number} Offset of the end of central directory record.
+ */
+const findEndRecord = (view) => {
+  const last = Math.max(0, view.byteLength - MAX_END_RECORD_SIZE)
+
+  for (let offset = view.byteLength - 22; offset >= last; offset--) {
+    if (view.getUint32(offset, true) === SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+      return offset
+    }
+  }
+
+  throw createMalformedError('Invalid ZIP archive: no central directory')
+}
+
+/**
+ * Reads a ZIP archive held in memory. Entries are decompressed when read, so
+ * listing an archive is cheap. Supports stored and deflated entries; ZIP64
+ * and encrypted archives are rejected.
+ * @param {Uint8Array | ArrayBuffer} data
+ * @param {Partial<typeof ZIP_LIMITS>} [limits]
+ * @returns {{
+ *   entries: ZipEntry[],
+ *   getEntry: (name: string) => ZipEntry | undefined,
+ *   has: (name: string) => boolean,
+ *   read: (name: string) => Uint8Array,
+ *   readText: (name: string) => string
+ * }}
+ * @throws {MalformedFileError}
+ * @throws {UnsupportedVersionError}
+ * @throws {ArchiveLimitError}
+ */
+export const readZip = (data, limits = {}) => {
+  const { maxEntries, maxEntrySize, maxTotalSize, maxCompressionRatio } = {
+    ...ZIP_LIMITS,
+    ...limits
+  }
+  const bytes = toBytes(data)
+  if (!bytes) {
+    throw createMalformedError('ZIP archives must be passed as binary data')
+  }
+  if (bytes.length < 22) {
+    throw createMalformedError('Invalid ZIP archive: file is too short')
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const decoder = new TextDecoder('utf-8')
+  const endOffset = findEndRecord(view)
+  const entryCount = view.getUint16(endOffset + 10, true)
+  const directoryOffset = view.getUint32(endOffset + 16, true)
+
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new UnsupportedVersionError('ZIP64 archives are not supported', {
+      fileType: 'zip'
+    })
+  }
+  if (entryCount > maxEntries) {
+    throw new ArchiveLimitError(
+      `ZIP archive has more than ${maxEntries} entries`,
+      { limit: 'maxEntries', fileType: 'zip' }
+    )
+  }
+
+  /** @type {Map<string, ZipEntry & {method: number, crc: number, flags: number, localOffset: number}>} */
+  const records = new Map()
+  let offset = directoryOffset
+
+  for (let i = 0; i < entryCount; i++) {
+    if (
+      offset + 46 > bytes.length ||
+      view.getUint32(offset, true) !== SIGNATURES.CENTRAL_FILE
+    ) {
+      throw createMalformedError(
+        'Invalid ZIP archive: broken central directory'
+      )
+    }
+
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const name = decoder.decode(
+      bytes.subarray(offset + 46, offset + 46 + nameLength)
+    )
+
+    records.set(name, {
+      name,
+      size: view.getUint32(offset + 24, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      isDirectory: name.endsWith('/'),
+      flags: view.getUint16(offset + 8, true),
+      method: view.getUint16(offset + 10, true),
+      crc: view.getUint32(offset + 16, true),
+      localOffset: view.getUint32(offset + 42, true)
+    })
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  let totalSize = 0
+
+  /**
+   * @param {string} name
+   * @returns {Uint8Array}
+   */
+  const read = (name) => {
+    const record = records.get(name)
+    if (!record || record.isDirectory) {
+      throw createMalformedError(`ZIP archive has no file ${name}`)
+    }
+
+    const { size, compressedSize, method, flags, localOffset } = record
+    if (flags & FLAG_ENCRYPTED) {
+      throw new UnsupportedVersionError(
+        'Encrypted ZIP archives are not supported',
+        { fileType: 'zip' }
+      )
+    }
+    if (![METHODS.STORED, METHODS.DEFLATED].includes(method)) {
+      throw new UnsupportedVersionError(
+        `ZIP compression method ${method} is not supported`,
+        { fileType: 'zip' }
+      )
+    }
+    if (size > maxEntrySize) {
+      throw new ArchiveLimitError(
+        `ZIP entry ${name} is larger than ${maxEntrySize} bytes`,
+        { limit: 'maxEntrySize', fileType: 'zip' }
+      )
+    }
+    if (totalSize + size > maxTotalSize) {
+      throw new ArchiveLimitError(
+        `ZIP archive expands beyond ${maxTotalSize} bytes`,
+        { limit: 'maxTotalSize', fileType: 'zip' }
+      )
+    }
+    if (
+      size > RATIO_CHECK_SIZE &&
+      size > compressedSize * maxCompressionRatio
+    ) {
+      throw new ArchiveLimitError(
+        `ZIP entry ${name} is compressed more than ${maxCompressionRatio}:1`,
+        { limit: 'maxCompressionRatio', fileType: 'zip' }
+      )
+    }
+
+    if (
+      localOffset + 30 > bytes.length ||
+      view.getUint32(localOffset, true) !== SIGNATURES.LOCAL_FILE
+    ) {
+      throw createMalformedError(`Invalid ZIP archive: broken entry ${name}`)
+    }
+    const dataOffset =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true)
+    if (dataOffset + compressedSize > bytes.length) {
+      throw createMalformedError(`Invalid ZIP archive: truncated entry ${name}`)
+    }
+
+    const compressed = bytes.subarray(dataOffset, dataOffset + compressedSize)
+    // The sizes of the central directory bound the output, whatever the
+    // compressed data claims.
+    const content =
+      method === METHODS.STORED
+        ? compressed.slice()
+        : inflate(compressed, { size, maxSize: size })
+
+    if (content.length !== size || crc32(content) !== record.crc) {
+      throw createMalformedError(
+        `Invalid ZIP archive: checksum mismatch in ${name}`
+      )
+    }
+
+    totalSize += size
+    return content
+  }
+
+  const entries = [...records.values()].map(
+    ({ name, size, compressedSize, isDirectory }) => ({
+      name,
+      size,
+      compressedSize,
+      isDirectory
+    })
+  )
+  const entriesByName = new Map(entries.map((entry) => [entry.name, entry]))
+
+  return {
+    entries,
+    getEntry: (name) => entriesByName.get(name),
+    has: (name) => records.has(name) && !records.get(name).isDirectory,
+    read,
+    readText: (name) => decoder.decode(read(name))
+  }
+}
@@ -0,0 +1,93 @@
+import {
+  ArchiveLimitError,
+  MalformedFileError,
+  UnsupportedVersionError
+} from '../errors'
+import { createTestZip } from '../../test/helpers/createTestZip'
+import { isZip, readZip } from './readZip'
+
+const encoder = new TextEncoder()
+
+describe('readZip', () => {
+  it('lists and reads stored and deflated entries', () => {
+    const zip = readZip(
+      createTestZip([
+        { name: 'folder/' },
+        { name: 'folder/data.json', content: '{"a":1}' },
+        { name: 'notes.txt', content: 'ünïcode '.repeat(50), deflate: true }
+      ])
+    )
+
+    expect(zip.entries).toEqual([
+      { name: 'folder/', size: 0, compressedSize: 0, isDirectory: true },
+      {
+        name: 'folder/data.json',
+        size: 7,
+        compressedSize: 7,
+        isDirectory: false
+      },
+      expect.objectContaining({ name: 'notes.txt', size: 500 })
+    ])
+    expect(zip.getEntry('folder/data.json').size).toBe(7)
+    expect(zip.getEntry('missing')).toBeUndefined()
+    expect(zip.has('folder/data.json')).toBe(true)
+    expect(zip.has('folder/')).toBe(false)
+    expect(zip.readText('folder/data.json')).toBe('{"a":1}')
+    expect(zip.readText('notes.txt')).toBe('ünïcode '.repeat(50))
+    expect(zip.read('folder/data.json')).toEqual(encoder.encode('{"a":1}'))
+  })
+
+  it('detects ZIP data', () => {
+    expect(isZip(createTestZip([]))).toBe(false)
+    expect(isZip(createTestZip([{ name: 'a' }]))).toBe(true)
+    expect(isZip(encoder.encode('{}'))).toBe(false)
+  })
+
+  it('rejects invalid archives', () => {
+    const zip = createTestZip([{ name: 'a.txt', content: 'hello' }])
+    zip[30 + 5] ^= 1
+
+    expect(() => readZip(encoder.encode('not a zip archive at all'))).toThrow(
+      MalformedFileError
+    )
+    expect(() => readZip(zip).read('a.txt')).toThrow('checksum mismatch')
+    expect(() => readZip(zip).read('b.txt')).toThrow('has no file b.txt')
+  })
+
+  it('rejects encrypted entries', () => {
+    const zip = readZip(createTestZip([{ name: 'a', content: 'x', flags: 1 }]))
+
+    expect(() => zip.read('a')).toThrow(UnsupportedVersionError)
+  })
+
+  it('enforces the archive limits', () => {
+    const files = [
+      { name: 'a', content: 'aaaa' },
+      { name: 'b', content: 'bbbb' }
+    ]
+    const bomb = createTestZip([
+      { name: 'zeros', content: new Uint8Array(2 * 1024 * 1024), deflate: true }
+    ])
+    const lying = createTestZip([
+      { name: 'big', content: 'x'.repeat(1000), deflate: true, size: 10 }
+    ])
+
+    expect(() => readZip(createTestZip(files), { maxEntries: 1 })).toThrow(
+      ArchiveLimitError
+    )
+    expect(() =>
+      readZip(createTestZip(files), { maxEntrySize: 3 }).read('a')
+    ).toThrow(expect.objectContaining({ limit: 'maxEntrySize' }))
+
+    const zip = readZip(createTestZip(files), { maxTotalSize: 6 })
+    zip.read('a')
+    expect(() => zip.read('b')).toThrow(
+      expect.objectContaining({ limit: 'maxTotalSize' })
+    )
+
+    expect(() => readZip(bomb).read('zeros')).toThrow(
+      expect.objectContaining({ limit: 'maxCompressionRatio' })
+    )
+    expect(() => readZip(lying).read('big')).toThrow(ArchiveLimitError)
+  })
+})
@@ -0,0 +1,20 @@
+/**
+ * Scores how well a CSV header row matches a known export signature.
+ * Every required header must be present; optional headers raise the score.
+ * @param {string[] | null} headers
+ * @param {{required: string[], optional?: string[]}} signature
+ * @returns {number} Confidence between 0 and 0.95.
+ */
+export const scoreCsvHeaders = (headers, { required, optional = [] }) => {
+  if (!headers || !required.every((name) => headers.includes(name))) {
+    return 0
+  }
+
+  if (!optional.length) {
+    return 0.95
+  }
+
+  const matched = optional.filter((name) => headers.includes(name)).length
+
+  return Number((0.6 + (0.35 * matched) / optional.length).toFixed(2))
+}
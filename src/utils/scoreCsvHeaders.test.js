@@ -0,0 +1,37 @@
+import { scoreCsvHeaders } from './scoreCsvHeaders'
+
+describe('scoreCsvHeaders', () => {
+  const signature = {
+    required: ['Title', 'Url'],
+    optional: ['Username', 'Password']
+  }
+
+  it('returns 0 when headers are missing', () => {
+    expect(scoreCsvHeaders(null, signature)).toBe(0)
+  })
+
+  it('returns 0 when a required header is missing', () => {
+    expect(scoreCsvHeaders(['Title', 'Username'], signature)).toBe(0)
+  })
+
+  it('is case sensitive', () => {
+    expect(scoreCsvHeaders(['Title', 'URL'], signature)).toBe(0)
+  })
+
+  it('scores required-only matches lowest', () => {
+    expect(scoreCsvHeaders(['Title', 'Url'], signature)).toBe(0.6)
+  })
+
+  it('raises the score with every optional header', () => {
+    const partial = scoreCsvHeaders(['Title', 'Url', 'Username'], signature)
+    expect(partial).toBeGreaterThan(0.6)
+    expect(partial).toBeLessThan(0.95)
+    expect(
+      scoreCsvHeaders(['Title', 'Url', 'Username', 'Password'], signature)
+    ).toBe(0.95)
+  })
+
+  it('returns the maximum score when there are no optional headers', () => {
+    expect(scoreCsvHeaders(['a', 'b'], { required: ['a'] })).toBe(0.95)
+  })
+})
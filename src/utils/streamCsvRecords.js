@@ -0,0 +1,50 @@
+import { createCsvTokenizer } from './createCsvTokenizer'
+import { createImportContext, IMPORT_PHASES } from './createImportContext'
+import { readTextChunks } from './readTextChunks'
+
+/**
+ * Parses a CSV export row by row while it is read, so only one row and one
+ * record are held in memory at a time.
+ * @param {import('./readChunks').ImportInput} input
+ * @param {(headerRow: string[]) => (
+ *   row: string[],
+ *   location: {row: number}
+ * ) => Object | null} createRowParser - Called with the header row, returns
+ *   the parser for the data rows. Rows it returns `null` for are left out.
+ * @param {import('./createImportContext').ImportContext} [context] - Progress
+ *   counts data rows, the total is unknown while streaming.
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* streamCsvRecords(
+  input,
+  createRowParser,
+  context = createImportContext()
+) {
+  const tokenizer = createCsvTokenizer()
+  let parseRow = null
+  let rowNumber = 0
+
+  const parseRows = function* (rows) {
+    for (const row of rows) {
+      rowNumber++
+
+      if (!parseRow) {
+        parseRow = createRowParser(row)
+        continue
+      }
+
+      const record = parseRow(row, { row: rowNumber })
+      context.tick()
+      if (record) yield record
+    }
+  }
+
+  context.startPhase(IMPORT_PHASES.PARSING_ROWS)
+
+  for await (const chunk of readTextChunks(input)) {
+    context.throwIfAborted()
+    yield* parseRows(tokenizer.push(chunk))
+  }
+
+  yield* parseRows(tokenizer.end())
+}
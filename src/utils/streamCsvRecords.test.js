@@ -0,0 +1,58 @@
+import { streamCsvRecords } from './streamCsvRecords'
+
+const collect = async (iterable) => {
+  const records = []
+  for await (const record of iterable) {
+    records.push(record)
+  }
+  return records
+}
+
+describe('streamCsvRecords', () => {
+  it('passes the header row once and every data row with its location', async () => {
+    const createRowParser = jest.fn((headerRow) => (row, location) => ({
+      ...Object.fromEntries(headerRow.map((header, i) => [header, row[i]])),
+      ...location
+    }))
+
+    const records = await collect(
+      streamCsvRecords(['name,no', 'te\nA,"1\n', '2"\nB,3'], createRowParser)
+    )
+
+    expect(createRowParser).toHaveBeenCalledTimes(1)
+    expect(createRowParser).toHaveBeenCalledWith(['name', 'note'])
+    expect(records).toEqual([
+      { name: 'A', note: '1\n2', row: 2 },
+      { name: 'B', note: '3', row: 3 }
+    ])
+  })
+
+  it('leaves out rows the parser returns null for', async () => {
+    const records = await collect(
+      streamCsvRecords(
+        'type\nfolder\nlogin',
+        () => (row) => (row[0] === 'folder' ? null : { type: row[0] })
+      )
+    )
+
+    expect(records).toEqual([{ type: 'login' }])
+  })
+
+  it('yields nothing for a file with only a header', async () => {
+    const createRowParser = jest.fn(() => () => ({}))
+
+    expect(await collect(streamCsvRecords('a,b\n', createRowParser))).toEqual(
+      []
+    )
+  })
+
+  it('parses rows only as far as they are consumed', async () => {
+    const parseRow = jest.fn((row) => ({ value: row[0] }))
+    const iterator = streamCsvRecords(['h\n1\n2\n', '3\n'], () => parseRow)
+
+    expect((await iterator.next()).value).toEqual({ value: '1' })
+    await iterator.return()
+
+    expect(parseRow).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,12 @@
+/**
+ * @param {*} data
+ * @returns {Uint8Array | null} A view on the same memory, `null` when `data`
+ *   is not binary.
+ */
+export const toBytes = (data) => {
+  if (data instanceof ArrayBuffer) return new Uint8Array(data)
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  }
+  return null
+}
@@ -0,0 +1,24 @@
+/**
+ * Converts a source timestamp to milliseconds since the epoch. Accepts
+ * `Date`s, ISO 8601 strings and numbers (or numeric strings).
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {boolean} [options.seconds] - Numbers count seconds, as in Unix
+ *   timestamps, instead of milliseconds.
+ * @returns {number | undefined} `undefined` when the value is empty or not a
+ *   valid point in time.
+ */
+export const toTimestamp = (value, { seconds = false } = {}) => {
+  if (value === undefined || value === null || value === '') return undefined
+
+  let time
+  if (value instanceof Date) {
+    time = value.getTime()
+  } else if (typeof value === 'string' && !/^\s*\d+(\.\d+)?\s*$/.test(value)) {
+    time = Date.parse(value)
+  } else {
+    time = Number(value) * (seconds ? 1000 : 1)
+  }
+
+  return Number.isFinite(time) && time > 0 ? Math.round(time) : undefined
+}
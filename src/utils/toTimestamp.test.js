@@ -0,0 +1,27 @@
+import { toTimestamp } from './toTimestamp'
+
+describe('toTimestamp', () => {
+  const time = Date.UTC(2024, 2, 1, 12, 30)
+
+  it('reads dates, ISO strings and milliseconds', () => {
+    expect(toTimestamp(new Date(time))).toBe(time)
+    expect(toTimestamp('2024-03-01T12:30:00.000Z')).toBe(time)
+    expect(toTimestamp(time)).toBe(time)
+    expect(toTimestamp(String(time))).toBe(time)
+  })
+
+  it('reads Unix seconds', () => {
+    expect(toTimestamp(time / 1000, { seconds: true })).toBe(time)
+    expect(toTimestamp(String(time / 1000), { seconds: true })).toBe(time)
+    expect(toTimestamp('2024-03-01T12:30:00Z', { seconds: true })).toBe(time)
+  })
+
+  it('returns undefined for empty or invalid values', () => {
+    expect(toTimestamp(undefined)).toBeUndefined()
+    expect(toTimestamp('')).toBeUndefined()
+    expect(toTimestamp('yesterday')).toBeUndefined()
+    expect(toTimestamp(0)).toBeUndefined()
+    expect(toTimestamp(new Date('invalid'))).toBeUndefined()
+    expect(toTimestamp({})).toBeUndefined()
+  })
+})
@@ -0,0 +1,77 @@
+import { deflateRawSync } from 'zlib'
+
+import { crc32 } from '../../src/utils/crc32'
+
+const encoder = new TextEncoder()
+
+/**
+ * Builds a ZIP archive for tests, with one local header and central directory
+ * record per file. `size` overrides the uncompressed size in the headers.
+ * @param {Array<{name: string, content?: string | Uint8Array, deflate?: boolean, flags?: number, size?: number}>} files
+ * @returns {Uint8Array}
+ */
+export const createTestZip = (files) => {
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const {
+    name,
+    content = '',
+    deflate = false,
+    flags = 0,
+    size
+  } of files) {
+    const nameBytes = encoder.encode(name)
+    const data = typeof content === 'string' ? encoder.encode(content) : content
+    const stored = deflate ? deflateRawSync(data) : data
+
+    const header = (length, signature) => {
+      const bytes = new Uint8Array(length + nameBytes.length)
+      const view = new DataView(bytes.buffer)
+      view.setUint32(0, signature, true)
+      return { bytes, view }
+    }
+
+    const local = header(30, 0x04034b50)
+    local.view.setUint16(6, flags | 0x800, true)
+    local.view.setUint16(8, deflate ? 8 : 0, true)
+    local.view.setUint32(14, crc32(data), true)
+    local.view.setUint32(18, stored.length, true)
+    local.view.setUint32(22, size ?? data.length, true)
+    local.view.setUint16(26, nameBytes.length, true)
+    local.bytes.set(nameBytes, 30)
+
+    const central = header(46, 0x02014b50)
+    central.view.setUint16(8, flags | 0x800, true)
+    central.view.setUint16(10, deflate ? 8 : 0, true)
+    central.view.setUint32(16, crc32(data), true)
+    central.view.setUint32(20, stored.length, true)
+    central.view.setUint32(24, size ?? data.length, true)
+    central.view.setUint16(28, nameBytes.length, true)
+    central.view.setUint32(42, offset, true)
+    central.bytes.set(nameBytes, 46)
+
+    locals.push(local.bytes, stored)
+    centrals.push(central.bytes)
+    offset += local.bytes.length + stored.length
+  }
+
+  const directorySize = centrals.reduce((sum, bytes) => sum + bytes.length, 0)
+  const end = new Uint8Array(22)
+  const endView = new DataView(end.buffer)
+  endView.setUint32(0, 0x06054b50, true)
+  endView.setUint16(8, files.length, true)
+  endView.setUint16(10, files.length, true)
+  endView.setUint32(12, directorySize, true)
+  endView.setUint32(16, offset, true)
+
+  const parts = [...locals, ...centrals, end]
+  const zip = new Uint8Array(offset + directorySize + 22)
+  let position = 0
+  for (const part of parts) {
+    zip.set(part, position)
+    position += part.length
+  }
+  return zip
+}